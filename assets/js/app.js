@@ -7,282 +7,183 @@
 // GLOBAL VARIABLES & CONFIGURATION
 // ============================================================
 
-let predictionLog = [];
-let sessionStartTime = Date.now();
-
-// Model Configuration
-const MODEL_CONFIG = {
-    classes: ['ISS', 'Sentinel1A'],
-    featureNames: [
-        'latitude', 'longitude', 'x_eci_km', 'y_eci_km', 'z_eci_km',
-        'velocity_x', 'velocity_y', 'velocity_z', 'total_velocity', 'radial_distance'
-    ],
-    featureImportance: {
-        'radial_distance': 0.15,
-        'x_eci_km': 0.15,
-        'y_eci_km': 0.14,
-        'z_eci_km': 0.13,
-        'velocity_x': 0.12,
-        'velocity_y': 0.11,
-        'velocity_z': 0.10,
-        'longitude': 0.09,
-        'total_velocity': 0.09,
-        'latitude': 0.08
-    },
-    classificationRules: {
-        ISS: {
-            altitude_range: [400, 410],
-            velocity_range: [7.6, 7.7],
-            radial_distance: [6771, 6781]
-        },
-        Sentinel1A: {
-            altitude_range: [690, 710],
-            velocity_range: [7.4, 7.5],
-            radial_distance: [7061, 7081]
-        }
-    }
-};
+// MODEL_CONFIG, SCALER_PARAMS and CONSTANTS come from js/model_config.js
+const classifier = new SatelliteClassifier(MODEL_CONFIG, SCALER_PARAMS, CONSTANTS);
+const trackClassifier = new TrackClassifier();
+const explainer = new ModelExplainer(MODEL_CONFIG, classifier);
+// Inputs are checked for drift against models/drift_reference.js, or the
+// scaler's means and deviations when that file is missing
+const driftReference = typeof DRIFT_REFERENCE !== 'undefined'
+    ? DRIFT_REFERENCE
+    : DriftDetector.scalerReference(MODEL_CONFIG.featureNames, SCALER_PARAMS);
+const monitor = new PerformanceMonitor([...classifier.classIds, MODEL_CONFIG.unknownClass], { driftReference });
 
-const SCALER_PARAMS = {
-    mean: [0, 0, 0, 0, 0, 0, 0, 0, 7.5, 6900],
-    std: [90, 180, 1000, 1000, 1000, 1.5, 1.5, 1.5, 0.15, 200]
-};
+// Single predictions, CSV uploads and the stats cards (js/ui_controller.js)
+let ui = null;
+
+// Inputs are read, validated and exported through InputSchema (js/input_schema.js)
 
 // ============================================================
-// INITIALIZATION
+// PERMISSIONS
 // ============================================================
 
-// Create starfield background
-function createStars() {
-    const starsContainer = document.getElementById('stars');
-    for (let i = 0; i < 100; i++) {
-        const star = document.createElement('div');
-        star.className = 'star';
-        star.style.left = Math.random() * 100 + '%';
-        star.style.top = Math.random() * 100 + '%';
-        star.style.width = star.style.height = Math.random() * 3 + 'px';
-        star.style.animationDelay = Math.random() * 3 + 's';
-        starsContainer.appendChild(star);
-    }
-}
+// Roles and their permissions are set in config/auth.js; SatelliteAuth
+// (assets/js/auth.js) knows the signed-in user's role
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', function() {
-    createStars();
-    updatePerformanceStats();
-    setInterval(updatePerformanceStats, 1000);
-});
+/**
+ * Check a permission before an action and tell the user when it is missing
+ * @param {string} permission - e.g. 'batch.run'
+ * @param {string} action - What was refused, for the message
+ * @returns {boolean} Whether the action may go ahead
+ */
+function requirePermission(permission, action) {
+    if (SatelliteAuth.hasPermission(permission)) return true;
 
-// ============================================================
-// PERFORMANCE MONITORING
-// ============================================================
+    const user = SatelliteAuth.getCurrentUser();
+    console.warn(`🔒 Permission denied: ${permission}`);
+    alert(`🔒 Your role (${user ? user.role : 'signed out'}) cannot ${action}.\n\nAsk an administrator for access.`);
+    return false;
+}
 
-function logPrediction(input, output, processingTime) {
-    const timestamp = new Date().toISOString();
-    
-    predictionLog.push({
-        timestamp,
-        input,
-        output,
-        processingTime: processingTime.toFixed(2)
+/**
+ * Hide the controls whose data-permission the user's role lacks
+ * @param {Element} root - Part of the page to update
+ */
+function applyPermissions(root = document) {
+    const user = SatelliteAuth.getCurrentUser();
+    const granted = user ? user.permissions : [];
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        element.style.display = granted.includes(element.dataset.permission) ? '' : 'none';
     });
-    
-    updatePerformanceStats();
 }
 
-function updatePerformanceStats() {
-    const totalPreds = predictionLog.length;
-    const avgTime = predictionLog.length > 0 
-        ? (predictionLog.reduce((sum, p) => sum + parseFloat(p.processingTime), 0) / totalPreds).toFixed(2)
-        : 0;
-    const sessionTime = Math.floor((Date.now() - sessionStartTime) / 1000);
-
-    document.getElementById('totalPredictions').textContent = totalPreds;
-    document.getElementById('avgProcessingTime').textContent = avgTime + 'ms';
-    document.getElementById('sessionDuration').textContent = sessionTime + 's';
+/**
+ * Replace the model behind predictions and explanations
+ * CSV batches can only use it when it was loaded from a file (see batchModelSource).
+ * @param {Object|null} model - e.g. a PMMLModel or RandomForestModel; null for the decision rules
+ * @returns {boolean} Whether the model was switched
+ */
+function switchModel(model) {
+    if (!requirePermission('model.switch', 'switch the model')) return false;
+    classifier.setModel(model);
+    showModelScoring();
+    console.log(`🔁 Model switched to ${model ? model.method || 'custom' : 'decision rules'}`);
+    return true;
 }
 
-// ============================================================
-// INPUT VALIDATION
-// ============================================================
+/**
+ * Score with the trained model in MODEL_CONFIG.modelFile
+ * The decision rules stay in use when the file is missing or invalid.
+ * @returns {Promise<boolean>} Whether the model was loaded
+ */
+async function loadTrainedModel() {
+    const file = MODEL_CONFIG.modelFile;
+    if (!file) return false;
 
-function validateInput(data) {
-    const errors = [];
-    
-    // Check required fields
-    const requiredFields = ['latitude', 'longitude', 'x_eci', 'y_eci', 'z_eci', 'vel_x', 'vel_y', 'vel_z'];
-    for (const field of requiredFields) {
-        if (data[field] === undefined || data[field] === null) {
-            errors.push(`Missing required field: ${field}`);
-        }
-        if (typeof data[field] !== 'number' || isNaN(data[field])) {
-            errors.push(`Invalid numeric value for: ${field}`);
-        }
-    }
-    
-    // Validate latitude range
-    if (data.latitude !== undefined && (data.latitude < -90 || data.latitude > 90)) {
-        errors.push(`Latitude out of range: ${data.latitude}° (valid: -90° to +90°)`);
-    }
-    
-    // Validate longitude range
-    if (data.longitude !== undefined && (data.longitude < -180 || data.longitude > 180)) {
-        errors.push(`Longitude out of range: ${data.longitude}° (valid: -180° to +180°)`);
-    }
-    
-    // Validate velocity is reasonable
-    if (data.vel_x !== undefined && Math.abs(data.vel_x) > 20) {
-        errors.push(`Velocity X seems unrealistic: ${data.vel_x} km/s (typical: ±10 km/s)`);
-    }
-    if (data.vel_y !== undefined && Math.abs(data.vel_y) > 20) {
-        errors.push(`Velocity Y seems unrealistic: ${data.vel_y} km/s (typical: ±10 km/s)`);
+    try {
+        const model = /\.pmml$/i.test(file)
+            ? await PMMLModel.load(file, MODEL_CONFIG)
+            : await RandomForestModel.load(file, MODEL_CONFIG);
+        classifier.setModel(model);
+        console.log(`✅ Loaded ${model.method} model from ${file}`);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not load ${file}, using the decision rules: ${error.message}`);
+        return false;
+    } finally {
+        showModelScoring();
     }
-    if (data.vel_z !== undefined && Math.abs(data.vel_z) > 20) {
-        errors.push(`Velocity Z seems unrealistic: ${data.vel_z} km/s (typical: ±10 km/s)`);
-    }
-    
-    // Validate ECI coordinates
-    const eci_magnitude = Math.sqrt((data.x_eci || 0)**2 + (data.y_eci || 0)**2 + (data.z_eci || 0)**2);
-    if (eci_magnitude < 6371) {
-        errors.push(`ECI position inside Earth! Magnitude: ${eci_magnitude.toFixed(2)} km (min: 6371 km)`);
-    }
-    if (eci_magnitude > 100000) {
-        errors.push(`ECI position too far from Earth: ${eci_magnitude.toFixed(2)} km (typical: 6371-50000 km)`);
-    }
-    
-    return errors;
 }
 
-// ============================================================
-// MODEL PREDICTION LOGIC
-// ============================================================
+/**
+ * Where the batch worker loads the classifier's model from
+ * The worker cannot share the page's objects, so it fetches the same file.
+ * @returns {Object|null} { url, method }, or null when scoring with the rules
+ */
+function batchModelSource() {
+    const model = classifier.model;
+    return model && model.source
+        ? { url: new URL(model.source, document.baseURI).href, method: model.method }
+        : null;
+}
 
-function calculateDerivedFeatures(data) {
-    const totalVelocity = Math.sqrt(
-        data.vel_x ** 2 + data.vel_y ** 2 + data.vel_z ** 2
-    );
-    const radialDistance = Math.sqrt(
-        data.x_eci ** 2 + data.y_eci ** 2 + data.z_eci ** 2
-    );
-    return { totalVelocity, radialDistance };
+// Models built in memory (e.g. RandomForestModel.fromJSON) cannot reach the worker
+function requireBatchModel() {
+    if (!classifier.model || classifier.model.source) return true;
+    alert('⚠️ CSV batches cannot use a model that was not loaded from a file.\n\n' +
+        'Load it with RandomForestModel.load or PMMLModel.load, or switch back with switchModel(null).');
+    return false;
 }
 
-function normalizeFeatures(features) {
-    return features.map((val, idx) => 
-        (val - SCALER_PARAMS.mean[idx]) / SCALER_PARAMS.std[idx]
-    );
+// Model information panel: what predictions are scored with
+function showModelScoring() {
+    const label = { random_forest: 'Random Forest', pmml: 'PMML' };
+    const model = classifier.model;
+    document.getElementById('modelScoring').textContent = model
+        ? label[model.method] || model.method || 'Custom model'
+        : 'Decision rules';
 }
 
-function predictSatellite(data) {
-    // Validate input data
-    const validationErrors = validateInput(data);
-    if (validationErrors.length > 0) {
-        console.error('❌ Validation failed:', validationErrors);
-        throw new Error('Input validation failed:\n' + validationErrors.join('\n'));
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+// Create starfield background
+function createStars() {
+    const starsContainer = document.getElementById('stars');
+    for (let i = 0; i < 100; i++) {
+        const star = document.createElement('div');
+        star.className = 'star';
+        star.style.left = Math.random() * 100 + '%';
+        star.style.top = Math.random() * 100 + '%';
+        star.style.width = star.style.height = Math.random() * 3 + 'px';
+        star.style.animationDelay = Math.random() * 3 + 's';
+        starsContainer.appendChild(star);
     }
-    
-    const derived = calculateDerivedFeatures(data);
-    
-    const features = [
-        data.latitude,
-        data.longitude,
-        data.x_eci,
-        data.y_eci,
-        data.z_eci,
-        data.vel_x,
-        data.vel_y,
-        data.vel_z,
-        derived.totalVelocity,
-        derived.radialDistance
-    ];
+}
 
-    const normalizedFeatures = normalizeFeatures(features);
-    const altitude = derived.radialDistance - 6371;
-    
-    let prediction = 'Sentinel1A';
-    let confidence = 0.5;
+// Class helpers: everything class-specific comes from MODEL_CONFIG.classes
+function getClassInfo(classId) {
+    return MODEL_CONFIG.classes.find(cls => cls.id === classId);
+}
 
-    if (altitude < 450 && derived.totalVelocity > 7.6) {
-        prediction = 'ISS';
-        confidence = 0.95;
-    }
-    else if (altitude > 650 && derived.totalVelocity < 7.6) {
-        prediction = 'Sentinel1A';
-        confidence = 0.92;
-    }
-    else if (Math.abs(data.latitude) < 52 && altitude < 450) {
-        prediction = 'ISS';
-        confidence = 0.88;
-    } else {
-        confidence = 0.75;
-    }
-
-    return {
-        prediction,
-        confidence,
-        features: {
-            latitude: data.latitude.toFixed(4),
-            longitude: data.longitude.toFixed(4),
-            altitude: altitude.toFixed(2),
-            totalVelocity: derived.totalVelocity.toFixed(4),
-            radialDistance: derived.radialDistance.toFixed(2)
-        },
-        rawFeatures: {
-            ...data,
-            totalVelocity: derived.totalVelocity,
-            radialDistance: derived.radialDistance
-        }
-    };
+function classColor(classId) {
+    const info = getClassInfo(classId);
+    return info ? info.color : MODEL_CONFIG.unknownColor;
 }
 
-// ============================================================
-// MODEL EXPLAINABILITY
-// ============================================================
+// Track ids and sources come straight from uploaded files
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
 
-function explainPrediction(features, prediction) {
-    const contributions = MODEL_CONFIG.featureImportance;
-    
-    const featureValues = {
-        'latitude': features.latitude,
-        'longitude': features.longitude,
-        'x_eci_km': features.x_eci,
-        'y_eci_km': features.y_eci,
-        'z_eci_km': features.z_eci,
-        'velocity_x': features.vel_x,
-        'velocity_y': features.vel_y,
-        'velocity_z': features.vel_z,
-        'total_velocity': features.totalVelocity,
-        'radial_distance': features.radialDistance
-    };
-    
-    return Object.entries(contributions)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([feature, importance]) => ({
-            feature: feature.replace(/_/g, ' ').toUpperCase(),
-            importance: importance,
-            importancePercent: (importance * 100).toFixed(1) + '%',
-            value: typeof featureValues[feature] === 'number' 
-                ? featureValues[feature].toFixed(2) 
-                : featureValues[feature]
-        }));
-}
-
-function displayExplainability(explanations) {
-    const container = document.getElementById('contributionBars');
-    container.innerHTML = explanations.map(exp => `
-        <div style="margin: 15px 0;">
-            <div style="display: flex; justify-content: space-between; color: #ffcc88; margin-bottom: 5px;">
-                <span><strong>${exp.feature}</strong>: ${exp.value}</span>
-                <span>${exp.importancePercent}</span>
-            </div>
-            <div class="contribution-bar">
-                <div class="contribution-fill" style="width: ${exp.importance * 100}%"></div>
-            </div>
-        </div>
+// Sample data buttons and the model information satellite list
+function renderClassControls() {
+    document.getElementById('sampleButtons').innerHTML = MODEL_CONFIG.classes.map(cls => `
+        <button type="button" onclick="loadSampleData('${cls.id}')"
+                style="background: ${cls.color}; margin-top: 10px;">
+            📝 Load ${cls.displayName} Sample Data
+        </button>
     `).join('');
+
+    document.getElementById('classCount').textContent = MODEL_CONFIG.classes.length;
+    document.getElementById('classList').textContent = MODEL_CONFIG.classes.map(cls => cls.displayName).join(', ');
 }
 
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    createStars();
+    renderClassControls();
+    applyPermissions();
+    groundTrackMap = createGroundTrackMap();
+    orbitView = createOrbitView();
+    ui = new UIController(classifier, explainer, monitor, [groundTrackMap, orbitView].filter(Boolean));
+    openHistoryStore();
+    loadTrainedModel();
+});
+
 // ============================================================
 // SAMPLE DATA LOADERS
 // ============================================================
@@ -290,44 +191,14 @@ function displayExplainability(explanations) {
 function loadSampleData(satelliteType) {
     console.log('Loading sample data for:', satelliteType);
     
-    const sampleData = {
-        ISS: {
-            latitude: 51.6,
-            longitude: -122.0,
-            x_eci: 6771.5,
-            y_eci: 100.0,
-            z_eci: 200.0,
-            vel_x: 7.66,
-            vel_y: 0.5,
-            vel_z: 0.3
-        },
-        Sentinel1A: {
-            latitude: 98.2,
-            longitude: 45.0,
-            x_eci: 7065.0,
-            y_eci: 500.0,
-            z_eci: 1000.0,
-            vel_x: 7.45,
-            vel_y: -0.5,
-            vel_z: -0.3
-        }
-    };
-    
-    const data = sampleData[satelliteType];
-    if (!data) {
+    const info = getClassInfo(satelliteType);
+    if (!info || !info.sample) {
         console.error('Unknown satellite type:', satelliteType);
         return;
     }
     
     // Populate form fields
-    document.getElementById('latitude').value = data.latitude;
-    document.getElementById('longitude').value = data.longitude;
-    document.getElementById('x_eci').value = data.x_eci;
-    document.getElementById('y_eci').value = data.y_eci;
-    document.getElementById('z_eci').value = data.z_eci;
-    document.getElementById('vel_x').value = data.vel_x;
-    document.getElementById('vel_y').value = data.vel_y;
-    document.getElementById('vel_z').value = data.vel_z;
+    InputSchema.toForm(info.sample);
     
     // Highlight form
     const form = document.getElementById('predictionForm');
@@ -340,362 +211,1184 @@ function loadSampleData(satelliteType) {
 }
 
 // ============================================================
-// FORM SUBMISSION HANDLER
+// CSV BATCH PROCESSING
 // ============================================================
 
-document.addEventListener('DOMContentLoaded', function() {
-    document.getElementById('predictionForm').addEventListener('submit', function(e) {
-        e.preventDefault();
-        
-        const predictionStartTime = performance.now();
-        
-        const data = {
-            latitude: parseFloat(document.getElementById('latitude').value),
-            longitude: parseFloat(document.getElementById('longitude').value),
-            x_eci: parseFloat(document.getElementById('x_eci').value),
-            y_eci: parseFloat(document.getElementById('y_eci').value),
-            z_eci: parseFloat(document.getElementById('z_eci').value),
-            vel_x: parseFloat(document.getElementById('vel_x').value),
-            vel_y: parseFloat(document.getElementById('vel_y').value),
-            vel_z: parseFloat(document.getElementById('vel_z').value)
+const BATCH_PAGE_SIZE = 100;
+const TRACK_POINT_LIMIT = 500;
+
+// Current streaming CSV batch; null when the results on screen are in memory
+let batchSession = null;
+// The in-memory (TLE) batch on screen: { results, tracks }, kept for its export
+let batchResults = null;
+
+/**
+ * Start a BatchProcessor in a Web Worker, or on the main thread where
+ * workers are unavailable (e.g. pages opened from file://)
+ * @param {Function} onMessage - Receives the processor's messages
+ * @returns {Object} { post, terminate }
+ */
+function createBatchProcessor(onMessage) {
+    try {
+        const worker = new Worker('js/batch_worker.js');
+        worker.onmessage = event => onMessage(event.data);
+        worker.onerror = event => {
+            event.preventDefault();
+            onMessage({ type: 'failed', message: event.message || 'Batch worker failed to load' });
         };
+        return {
+            post: message => worker.postMessage(message),
+            terminate: () => worker.terminate()
+        };
+    } catch (error) {
+        console.warn('⚠️ Web Worker unavailable, processing on the main thread:', error.message);
+        const processor = new BatchProcessor(classifier, onMessage);
+        return {
+            post: message => processor.handleMessage(message),
+            terminate: () => {
+                processor.cancelled = true;
+            }
+        };
+    }
+}
 
-        console.log('Form submitted with data:', data);
-        
-        // Check HTML5 validation
-        if (!e.target.checkValidity()) {
-            console.error('❌ Form validation failed');
-            alert('Please check your input values. Make sure all fields are within valid ranges.');
-            return;
+/**
+ * Classify a CSV file in the background
+ * @param {File} file - CSV file
+ * @param {Object} mapping - Column mapping from ColumnMapper.inspect
+ */
+function startCSVBatch(file, mapping) {
+    if (batchSession) {
+        batchSession.processor.terminate();
+    }
+
+    const session = {
+        fileName: file.name,
+        summary: null,
+        page: 0,
+        requests: new Map(),
+        nextRequestId: 1
+    };
+    session.processor = createBatchProcessor(message => handleBatchMessage(session, message));
+    batchSession = session;
+    batchResults = null;
+
+    document.getElementById('resultPanel')?.classList.remove('show');
+    showBatchInViews([]);
+    document.getElementById('batchProgressFill').style.width = '0%';
+    document.getElementById('batchProgressText').textContent = `Reading ${file.name}…`;
+    document.getElementById('batchProgressRate').textContent = '';
+    document.getElementById('batchProgress').style.display = '';
+
+    session.processor.post({ type: 'start', file, options: mapping, driftReference, model: batchModelSource() });
+}
+
+function cancelCSVBatch() {
+    if (batchSession && !batchSession.summary) {
+        batchSession.processor.post({ type: 'cancel' });
+        document.getElementById('batchProgressText').textContent = 'Cancelling…';
+    }
+}
+
+/**
+ * Ask the current batch's processor for data
+ * @param {string} type - 'rows', 'tracks', 'trackPoints', 'misclassified', 'mapPoints' or 'export'
+ * @param {Object} params - Request fields
+ * @returns {Promise} Resolves with the reply data
+ */
+function requestBatchData(type, params = {}) {
+    const session = batchSession;
+    if (!session) {
+        return Promise.reject(new Error('No batch results available'));
+    }
+    const requestId = session.nextRequestId++;
+    return new Promise(resolve => {
+        session.requests.set(requestId, resolve);
+        session.processor.post({ type, requestId, ...params });
+    });
+}
+
+function handleBatchMessage(session, message) {
+    // Messages from a batch that has since been replaced
+    if (session !== batchSession) return;
+
+    switch (message.type) {
+        case 'progress': {
+            const percent = message.totalBytes > 0 ? message.bytesRead / message.totalBytes * 100 : 100;
+            document.getElementById('batchProgressFill').style.width = `${percent.toFixed(1)}%`;
+            document.getElementById('batchProgressText').textContent =
+                `${message.rows.toLocaleString()} rows classified (${percent.toFixed(0)}%)` +
+                (message.errorCount > 0 ? `, ${message.errorCount.toLocaleString()} failed` : '');
+            document.getElementById('batchProgressRate').textContent =
+                `${Math.round(message.rowsPerSecond).toLocaleString()} rows/s`;
+            break;
         }
+        case 'done': {
+            const summary = message.summary;
+            session.summary = summary;
+            document.getElementById('batchProgress').style.display = 'none';
 
-        document.getElementById('loading').classList.add('show');
-        document.getElementById('resultPanel').classList.remove('show');
+            console.log('\n=== CSV PROCESSING COMPLETE ===');
+            console.log('✅ Successful predictions:', summary.rows);
+            console.log('❌ Failed rows:', summary.errorCount);
+            console.log('⏱️ Total processing time:', summary.elapsedMs.toFixed(2), 'ms');
 
-        setTimeout(() => {
-            try {
-                const result = predictSatellite(data);
-                const processingTime = performance.now() - predictionStartTime;
-                
-                displayResults(result);
-                logPrediction(data, result, processingTime);
-                
-                document.getElementById('loading').classList.remove('show');
-                document.getElementById('resultPanel').classList.add('show');
-                
-                console.log('✅ Prediction completed successfully');
-                
-            } catch (error) {
-                console.error('❌ Prediction error:', error);
-                document.getElementById('loading').classList.remove('show');
-                alert('❌ Prediction Failed\n\n' + error.message + '\n\nPlease check your input values and try again.');
+            monitor.mergeDrift(summary.drift);
+            ui.updateDriftDisplay();
+
+            if (summary.errorCount > 0) {
+                const errorSummary = summary.errors.slice(0, 5).join('\n');
+                const moreErrors = summary.errorCount > 5 ? `\n... and ${summary.errorCount - 5} more errors` : '';
+                alert(`⚠️ Processing completed with warnings:\n\n✅ ${summary.rows} rows successful\n❌ ${summary.errorCount} rows failed\n\nFirst errors:\n${errorSummary}${moreErrors}\n\nCheck console (F12) for details.`);
             }
-        }, 1000);
-    });
-});
+
+            if (summary.rows > 0) {
+                displayStreamingResults(summary);
+            } else if (!summary.cancelled) {
+                alert('Error processing CSV: No valid data rows found in CSV file');
+            }
+            break;
+        }
+        case 'reply': {
+            const resolve = session.requests.get(message.requestId);
+            session.requests.delete(message.requestId);
+            resolve?.(message.data);
+            break;
+        }
+        case 'failed':
+            console.error('❌ CRITICAL ERROR:', message.message);
+            document.getElementById('batchProgress').style.display = 'none';
+            alert('Error processing CSV: ' + message.message + '\n\nCheck console (F12) for details.');
+            session.processor.terminate();
+            batchSession = null;
+            break;
+    }
+}
 
 // ============================================================
-// RESULTS DISPLAY
+// CSV COLUMN MAPPING
 // ============================================================
 
-function displayResults(result) {
-    document.getElementById('satelliteName').textContent = result.prediction;
-    
-    const confidencePercent = (result.confidence * 100).toFixed(2);
-    const confidenceBar = document.getElementById('confidenceBar');
-    confidenceBar.style.width = confidencePercent + '%';
-    confidenceBar.textContent = confidencePercent + '%';
+// File waiting for the user to confirm its column mapping
+let pendingCSV = null;
 
-    const featureHTML = `
-        <div class="feature-item">
-            <div class="feature-name">Latitude</div>
-            <div class="feature-value">${result.features.latitude}°</div>
-        </div>
-        <div class="feature-item">
-            <div class="feature-name">Longitude</div>
-            <div class="feature-value">${result.features.longitude}°</div>
+const CSV_DELIMITERS = [
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+async function inspectCSVFile(file) {
+    if (!requirePermission('batch.run', 'run batch predictions') || !requireBatchModel()) return;
+    try {
+        const sample = await file.slice(0, BatchProcessor.SAMPLE_SIZE).text();
+        pendingCSV = { file, sample, mapping: ColumnMapper.inspect(sample) };
+        console.log('🧭 Proposed column mapping:', pendingCSV.mapping);
+        renderCSVMapping();
+    } catch (error) {
+        console.error('❌ CSV inspection failed:', error);
+        alert('Error processing CSV: ' + error.message);
+    }
+}
+
+// Delimiter or header choice changed: inspect the sample again
+function updateCSVMappingOptions() {
+    pendingCSV.mapping = ColumnMapper.inspect(pendingCSV.sample, {
+        delimiter: document.getElementById('csvDelimiter').value,
+        hasHeader: document.getElementById('csvHasHeader').checked
+    });
+    renderCSVMapping();
+}
+
+function updateCSVMappingColumn(fieldName, value) {
+    const mapping = pendingCSV.mapping;
+    mapping.columns[fieldName] = parseInt(value, 10);
+    mapping.passThrough = ColumnMapper.passThrough(mapping.header, mapping.width, mapping.columns);
+    renderCSVMapping();
+}
+
+function renderCSVMapping() {
+    const { file, mapping } = pendingCSV;
+    const errors = ColumnMapper.validate(mapping.columns);
+    const columnName = idx => mapping.header?.[idx] || `Column ${idx + 1}`;
+    const sampleValue = idx => mapping.preview[0]?.[idx] ?? '';
+    const fieldFor = idx => ColumnMapper.FIELDS.find(field => mapping.columns[field.name] === idx);
+
+    const panel = document.getElementById('csvMapping');
+    panel.innerHTML = `
+        <h3>🧭 Column Mapping: ${escapeHTML(file.name)}</h3>
+        <div class="csv-mapping-options">
+            <div class="form-group">
+                <label for="csvDelimiter">Delimiter</label>
+                <select id="csvDelimiter" onchange="updateCSVMappingOptions()">
+                    ${CSV_DELIMITERS.map(option => `
+                        <option value="${option.value}" ${option.value === mapping.delimiter ? 'selected' : ''}>${option.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <label class="csv-mapping-header">
+                <input type="checkbox" id="csvHasHeader" ${mapping.hasHeader ? 'checked' : ''}
+                       onchange="updateCSVMappingOptions()">
+                First row is a header
+            </label>
         </div>
-        <div class="feature-item">
-            <div class="feature-name">Altitude</div>
-            <div class="feature-value">${result.features.altitude} km</div>
+
+        <div class="csv-mapping-grid">
+            ${ColumnMapper.FIELDS.map(field => `
+                <div class="form-group">
+                    <label for="csvMap_${field.name}">${field.label}${field.required ? ' *' : ''}</label>
+                    <select id="csvMap_${field.name}" onchange="updateCSVMappingColumn('${field.name}', this.value)">
+                        <option value="-1">— not mapped —</option>
+                        ${Array.from({ length: mapping.width }, (_, idx) => `
+                            <option value="${idx}" ${mapping.columns[field.name] === idx ? 'selected' : ''}>
+                                ${escapeHTML(columnName(idx))}${sampleValue(idx) ? ` (e.g. ${escapeHTML(sampleValue(idx))})` : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
         </div>
-        <div class="feature-item">
-            <div class="feature-name">Total Velocity</div>
-            <div class="feature-value">${result.features.totalVelocity} km/s</div>
+
+        <p class="csv-mapping-extra">
+            ${mapping.passThrough.length > 0
+                ? `Passed through to the results: ${mapping.passThrough.map(column => escapeHTML(column.name)).join(', ')}`
+                : 'No extra columns to pass through.'}
+        </p>
+        ${errors.map(error => `<p class="csv-mapping-error">⚠ ${escapeHTML(error)}</p>`).join('')}
+
+        <div class="csv-mapping-preview">
+            <table>
+                <thead>
+                    <tr>
+                        ${Array.from({ length: mapping.width }, (_, idx) => `
+                            <th>${escapeHTML(columnName(idx))}<br>
+                                <small>${fieldFor(idx) ? `→ ${fieldFor(idx).name}` : 'pass-through'}</small></th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${mapping.preview.map(row => `
+                        <tr>${Array.from({ length: mapping.width }, (_, idx) => `<td>${escapeHTML(row[idx] ?? '')}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
-        <div class="feature-item">
-            <div class="feature-name">Radial Distance</div>
-            <div class="feature-value">${result.features.radialDistance} km</div>
+
+        <div class="csv-mapping-actions">
+            <button type="button" onclick="runMappedCSV()" ${errors.length > 0 ? 'disabled' : ''}>▶ Run Batch</button>
+            <button type="button" class="csv-mapping-cancel" onclick="closeCSVMapping()">✕ Cancel</button>
         </div>
     `;
-    
-    document.getElementById('featureValues').innerHTML = featureHTML;
-    document.getElementById('batchResults').innerHTML = '';
+    panel.style.display = '';
+}
 
-    // Display explainability
-    const explanations = explainPrediction(result.rawFeatures, result.prediction);
-    displayExplainability(explanations);
+function runMappedCSV() {
+    const { file, mapping } = pendingCSV;
+    const errors = ColumnMapper.validate(mapping.columns);
+    if (errors.length > 0) {
+        alert('Fix the column mapping first:\n\n' + errors.join('\n'));
+        return;
+    }
+    if (!requireBatchModel()) return;
+    closeCSVMapping();
+    startCSVBatch(file, mapping);
+}
+
+function closeCSVMapping() {
+    pendingCSV = null;
+    const panel = document.getElementById('csvMapping');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
 }
 
 // ============================================================
-// CSV BATCH PROCESSING
+// TLE BATCH PROCESSING
 // ============================================================
 
+function setBatchMode(mode) {
+    document.getElementById('csvBatchMode').style.display = mode === 'csv' ? '' : 'none';
+    document.getElementById('tleBatchMode').style.display = mode === 'tle' ? '' : 'none';
+    document.querySelectorAll('.batch-mode-button').forEach(button => {
+        const active = button.dataset.mode === mode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', active);
+    });
+}
+
 document.addEventListener('DOMContentLoaded', function() {
-    document.getElementById('csvFile').addEventListener('change', function(e) {
+    document.getElementById('tleFile').addEventListener('change', function(e) {
         const file = e.target.files[0];
-        
-        console.log('=== CSV UPLOAD STARTED ===');
-        console.log('File selected:', file?.name);
-        
-        if (!file) {
-            console.error('❌ No file selected!');
-            alert('No file selected. Please try again.');
-            return;
-        }
-
-        document.getElementById('loading')?.classList.add('show');
-        document.getElementById('resultPanel')?.classList.remove('show');
+        if (!file) return;
 
         const reader = new FileReader();
-        
-        reader.onerror = function(error) {
-            console.error('❌ FileReader error:', error);
-            alert('Error reading file: ' + error);
-            document.getElementById('loading')?.classList.remove('show');
+        reader.onload = event => {
+            document.getElementById('tleText').value = event.target.result;
         };
-        
-        reader.onload = function(event) {
-            console.log('✅ File loaded successfully');
-            
-            try {
-                const csv = event.target.result;
-                const normalizedCSV = csv.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-                const lines = normalizedCSV
-                    .split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line.length > 0);
-                
-                console.log('📊 Total lines found:', lines.length);
-                
-                if (lines.length === 0) {
-                    throw new Error('CSV file is empty');
-                }
-                
-                const firstLine = lines[0].toLowerCase();
-                const hasHeader = firstLine.includes('lat') || firstLine.includes('lon');
-                const startIdx = hasHeader ? 1 : 0;
-
-                const results = [];
-                const errors = [];
-                const batchStartTime = performance.now();
-
-                for (let i = startIdx; i < lines.length; i++) {
-                    const line = lines[i];
-                    const values = line.split(',').map(v => v.trim());
-                    
-                    if (values.length < 8) {
-                        errors.push(`Line ${i + 1}: Not enough columns (found ${values.length}, need 8)`);
-                        continue;
-                    }
-                    
-                    const nums = values.slice(0, 8).map(v => parseFloat(v));
-                    const invalidIndices = nums.map((n, idx) => isNaN(n) ? idx : -1).filter(idx => idx !== -1);
-                    
-                    if (invalidIndices.length > 0) {
-                        errors.push(`Line ${i + 1}: Invalid numeric values at positions ${invalidIndices.join(', ')}`);
-                        continue;
-                    }
-                    
-                    const data = {
-                        latitude: nums[0],
-                        longitude: nums[1],
-                        x_eci: nums[2],
-                        y_eci: nums[3],
-                        z_eci: nums[4],
-                        vel_x: nums[5],
-                        vel_y: nums[6],
-                        vel_z: nums[7]
-                    };
-                    
-                    try {
-                        const predStart = performance.now();
-                        const result = predictSatellite(data);
-                        const predTime = performance.now() - predStart;
-                        
-                        results.push({ ...data, ...result, lineNumber: i + 1 });
-                        logPrediction(data, result, predTime);
-                        
-                    } catch (predError) {
-                        errors.push(`Line ${i + 1}: Prediction failed - ${predError.message}`);
-                    }
-                }
-                
-                const totalTime = performance.now() - batchStartTime;
-                
-                console.log('\n=== CSV PROCESSING COMPLETE ===');
-                console.log('✅ Successful predictions:', results.length);
-                console.log('❌ Failed rows:', errors.length);
-                console.log('⏱️ Total processing time:', totalTime.toFixed(2), 'ms');
-                
-                if (errors.length > 0) {
-                    const errorSummary = errors.slice(0, 5).join('\n');
-                    const moreErrors = errors.length > 5 ? `\n... and ${errors.length - 5} more errors` : '';
-                    alert(`⚠️ Processing completed with warnings:\n\n✅ ${results.length} rows successful\n❌ ${errors.length} rows failed\n\nFirst errors:\n${errorSummary}${moreErrors}\n\nCheck console (F12) for details.`);
-                }
-                
-                if (results.length > 0) {
-                    displayBatchResults(results);
-                } else {
-                    throw new Error('No valid data rows found in CSV file');
-                }
-                
-            } catch (error) {
-                console.error('❌ CRITICAL ERROR:', error);
-                alert('Error processing CSV: ' + error.message + '\n\nCheck console (F12) for details.');
-            } finally {
-                document.getElementById('loading')?.classList.remove('show');
-            }
-        };
-        
+        reader.onerror = () => alert('Error reading file: ' + file.name);
         reader.readAsText(file);
+        e.target.value = '';
     });
 });
 
+function runTLEBatch() {
+    if (!requirePermission('batch.run', 'run batch predictions')) return;
+    const text = document.getElementById('tleText').value;
+    const startValue = document.getElementById('tleStart').value;
+    const spanMinutes = parseFloat(document.getElementById('tleSpan').value);
+    const stepMinutes = parseFloat(document.getElementById('tleStep').value);
+
+    if (!text.trim()) {
+        alert('Paste or load at least one TLE element set.');
+        return;
+    }
+    if (!(stepMinutes > 0) || !(spanMinutes >= 0)) {
+        alert('Span must be 0 or more minutes and step must be greater than 0.');
+        return;
+    }
+    if (spanMinutes / stepMinutes > 10000) {
+        alert('Too many samples per element set (max 10,000). Increase the step or shorten the span.');
+        return;
+    }
+
+    // datetime-local has no zone; the inputs are labelled UTC
+    const start = startValue ? new Date(startValue + 'Z') : null;
+
+    console.log('=== TLE BATCH STARTED ===');
+    const { records, errors } = TLEParser.parse(text);
+    console.log('🛰️ Element sets parsed:', records.length);
+
+    const results = [];
+    const batchStartTime = performance.now();
+
+    for (const [recordIdx, record] of records.entries()) {
+        // Element sets sharing a name (several epochs of one object, many
+        // "DEB" pieces) stay separate tracks: key on catalog number and position
+        const trackId = `${record.name} · ${record.satelliteNumber} · #${recordIdx + 1}`;
+        let track;
+        try {
+            track = new SGP4Propagator(record).generateTrack({
+                start: start || record.epoch,
+                spanMinutes,
+                stepMinutes
+            });
+        } catch (propError) {
+            errors.push(`${record.name}: ${propError.message}`);
+            continue;
+        }
+
+        for (const row of track) {
+            try {
+                const predStart = performance.now();
+                const result = ui.predict(row);
+                const predTime = performance.now() - predStart;
+
+                results.push({
+                    ...row,
+                    ...result,
+                    track_id: trackId,
+                    source: `${trackId} @ ${row.timestamp.slice(0, 19)}Z`
+                });
+                monitor.logPrediction({ ...row, track_id: trackId }, result, predTime);
+            } catch (predError) {
+                errors.push(`${record.name} @ ${row.timestamp}: Prediction failed - ${predError.message}`);
+            }
+        }
+    }
+
+    console.log('✅ Successful predictions:', results.length);
+    console.log('❌ Errors:', errors.length);
+    console.log('⏱️ Total processing time:', (performance.now() - batchStartTime).toFixed(2), 'ms');
+
+    if (errors.length > 0) {
+        const errorSummary = errors.slice(0, 5).join('\n');
+        const moreErrors = errors.length > 5 ? `\n... and ${errors.length - 5} more errors` : '';
+        alert(`⚠️ Processing completed with warnings:\n\n✅ ${results.length} rows successful\n❌ ${errors.length} problems\n\nFirst errors:\n${errorSummary}${moreErrors}`);
+    }
+
+    if (results.length > 0) {
+        displayBatchResults(results);
+    } else if (errors.length === 0) {
+        alert('No TLE element sets found. Each set needs a line starting with "1 " followed by one starting with "2 ".');
+    }
+}
+
 function displayBatchResults(results) {
     console.log('📊 Displaying batch results:', results.length, 'predictions');
-    
+
+    // In-memory results replace any streamed batch
+    if (batchSession) {
+        batchSession.processor.terminate();
+        batchSession = null;
+    }
+
+    const classCounts = {};
+    results.forEach(r => {
+        classCounts[r.prediction] = (classCounts[r.prediction] || 0) + 1;
+    });
+
+    // Rows carrying a track_id are aggregated per track; rows without one
+    // become single-point tracks so nothing drops out of the table
+    const tracks = results.some(r => r.track_id !== undefined)
+        ? trackClassifier.classifyTracks(results.map((r, idx) => ({
+            ...r,
+            track_id: r.track_id ?? `Row ${r.lineNumber || idx + 1}`
+        })))
+        : null;
+    batchResults = { results, tracks };
+
+    renderBatchPanel({
+        rows: results.length,
+        classCounts,
+        avgConfidence: results.reduce((sum, r) => sum + r.confidence, 0) / results.length,
+        avgAltitude: results.reduce((sum, r) => sum + parseFloat(r.features.altitude), 0) / results.length,
+        trackCount: tracks ? tracks.length : 0,
+        flippedTracks: tracks ? tracks.filter(track => track.flipped).length : 0
+    }, tracks ? renderTrackTable(tracks) : renderPointTable(results));
+    showBatchInViews(sampleMapPoints(results, MAP_POINT_LIMIT), results.length);
+}
+
+/**
+ * Show a batch summary and results table in the result panel
+ * @param {Object} summary - { rows, classCounts, avgConfidence, avgAltitude, trackCount, flippedTracks, cancelled }
+ * @param {string} tableHTML - Results table, or a container filled page by page
+ */
+function renderBatchPanel(summary, tableHTML) {
     document.getElementById('loading')?.classList.remove('show');
     document.getElementById('resultPanel')?.classList.add('show');
     
-    document.getElementById('satelliteName').textContent = `${results.length} Predictions`;
+    document.getElementById('satelliteName').textContent = `${summary.rows.toLocaleString()} Predictions`;
     
     const confidenceBar = document.getElementById('confidenceBar');
     confidenceBar.style.width = '100%';
-    confidenceBar.textContent = '✓ Batch Complete';
+    confidenceBar.textContent = summary.cancelled ? '⏹ Batch Cancelled' : '✓ Batch Complete';
     
     document.getElementById('featureValues').innerHTML = '';
-    const explainSection = document.getElementById('explainabilitySection');
-    if (explainSection) {
-        explainSection.style.display = 'none';
-    }
+    // Contributions, rule trace and counterfactuals belong to single predictions
+    document.querySelectorAll('.explainability-section').forEach(section => {
+        section.style.display = 'none';
+    });
 
-    const issCount = results.filter(r => r.prediction === 'ISS').length;
-    const sentinelCount = results.filter(r => r.prediction === 'Sentinel1A').length;
-    const avgConfidence = results.reduce((sum, r) => sum + r.confidence, 0) / results.length;
-    const avgAltitude = results.reduce((sum, r) => sum + parseFloat(r.features.altitude), 0) / results.length;
+    const classCounts = [
+        ...MODEL_CONFIG.classes.map(cls => ({ id: cls.id, label: `${cls.displayName} Classifications`, color: cls.color })),
+        { id: MODEL_CONFIG.unknownClass, label: 'Unknown Objects', color: MODEL_CONFIG.unknownColor }
+    ].map(entry => ({ ...entry, count: summary.classCounts[entry.id] || 0 }));
 
-    const tableHTML = `
+    const panelHTML = `
         <h3 style="color: #00d4ff; margin: 20px 0;">
-            📊 Batch Prediction Results (${results.length} rows processed)
+            📊 Batch Prediction Results (${summary.rows.toLocaleString()} rows processed${summary.trackCount ? `, ${summary.trackCount.toLocaleString()} tracks` : ''}${summary.cancelled ? ' before cancelling' : ''})
         </h3>
         
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px;">
-            <div style="background: rgba(0, 255, 136, 0.1); padding: 15px; border-radius: 8px; border-left: 3px solid #00ff88;">
-                <div style="color: #88ffaa; font-size: 0.9em;">ISS Classifications</div>
-                <div style="color: #00ff88; font-size: 2em; font-weight: bold;">${issCount}</div>
-            </div>
-            <div style="background: rgba(0, 212, 255, 0.1); padding: 15px; border-radius: 8px; border-left: 3px solid #00d4ff;">
-                <div style="color: #88ccff; font-size: 0.9em;">Sentinel1A Classifications</div>
-                <div style="color: #00d4ff; font-size: 2em; font-weight: bold;">${sentinelCount}</div>
-            </div>
+            ${classCounts.map(entry => `
+                <div style="background: ${entry.color}1a; padding: 15px; border-radius: 8px; border-left: 3px solid ${entry.color};">
+                    <div style="color: #88ccff; font-size: 0.9em;">${entry.label}</div>
+                    <div style="color: ${entry.color}; font-size: 2em; font-weight: bold;">${entry.count.toLocaleString()}</div>
+                </div>
+            `).join('')}
             <div style="background: rgba(255, 165, 0, 0.1); padding: 15px; border-radius: 8px; border-left: 3px solid #ffa500;">
                 <div style="color: #ffcc88; font-size: 0.9em;">Avg Confidence</div>
-                <div style="color: #ffa500; font-size: 2em; font-weight: bold;">${(avgConfidence * 100).toFixed(1)}%</div>
+                <div style="color: #ffa500; font-size: 2em; font-weight: bold;">${(summary.avgConfidence * 100).toFixed(1)}%</div>
             </div>
             <div style="background: rgba(138, 43, 226, 0.1); padding: 15px; border-radius: 8px; border-left: 3px solid #8a2be2;">
                 <div style="color: #b88fff; font-size: 0.9em;">Avg Altitude</div>
-                <div style="color: #8a2be2; font-size: 2em; font-weight: bold;">${avgAltitude.toFixed(0)} km</div>
+                <div style="color: #8a2be2; font-size: 2em; font-weight: bold;">${summary.avgAltitude.toFixed(0)} km</div>
             </div>
+            ${summary.trackCount ? `
+                <div style="background: rgba(255, 68, 68, 0.1); padding: 15px; border-radius: 8px; border-left: 3px solid #ff4444;">
+                    <div style="color: #ff8888; font-size: 0.9em;">Tracks With Flips</div>
+                    <div style="color: #ff4444; font-size: 2em; font-weight: bold;">${summary.flippedTracks.toLocaleString()} / ${summary.trackCount.toLocaleString()}</div>
+                </div>
+            ` : ''}
         </div>
 
+        ${summary.evaluation ? renderEvaluation(summary.evaluation) : ''}
+
         <div style="overflow-x: auto; background: rgba(0, 0, 0, 0.2); border-radius: 10px; padding: 10px;">
-            <table>
-                <thead>
-                    <tr>
-                        <th>#</th>
-                        <th>Line</th>
-                        <th>Predicted Satellite</th>
-                        <th>Confidence</th>
-                        <th>Latitude</th>
-                        <th>Longitude</th>
-                        <th>Altitude (km)</th>
-                        <th>Velocity (km/s)</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${results.map((r, idx) => `
-                        <tr style="background: ${idx % 2 === 0 ? 'rgba(0, 0, 0, 0.1)' : 'transparent'};">
-                            <td>${idx + 1}</td>
-                            <td style="color: #88ccff;">${r.lineNumber || idx + 1}</td>
-                            <td>
-                                <strong style="color: ${r.prediction === 'ISS' ? '#00ff88' : '#00d4ff'}; font-size: 1.1em;">
-                                    ${r.prediction}
-                                </strong>
-                            </td>
-                            <td>
-                                <div style="display: flex; align-items: center; gap: 8px;">
-                                    <div style="flex: 1; height: 6px; background: rgba(0, 0, 0, 0.3); border-radius: 3px; overflow: hidden;">
-                                        <div style="width: ${r.confidence * 100}%; height: 100%; background: linear-gradient(90deg, #00d4ff, #00ff88);"></div>
-                                    </div>
-                                    <span style="min-width: 45px;">${(r.confidence * 100).toFixed(1)}%</span>
-                                </div>
-                            </td>
-                            <td>${r.latitude.toFixed(4)}°</td>
-                            <td>${r.longitude.toFixed(4)}°</td>
-                            <td>${r.features.altitude}</td>
-                            <td>${r.features.totalVelocity}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
+            ${tableHTML}
         </div>
 
         <div style="margin-top: 20px; display: flex; gap: 10px; flex-wrap: wrap;">
-            <button onclick="downloadBatchResults()" 
+            <button onclick="downloadBatchResults()" data-permission="export"
                     style="background: linear-gradient(45deg, #00ff88, #00cc66); flex: 1; min-width: 200px;">
                 💾 Download Results CSV
             </button>
-            <button onclick="window.print()" 
+            <button onclick="window.print()" data-permission="export"
                     style="background: linear-gradient(45deg, #ff8800, #cc6600); flex: 1; min-width: 200px;">
                 🖨️ Print Report
             </button>
-            <button onclick="copyResultsToClipboard()" 
+            <button onclick="copyResultsToClipboard()" data-permission="export"
                     style="background: linear-gradient(45deg, #8a2be2, #6a1bb2); flex: 1; min-width: 200px;">
                 📋 Copy to Clipboard
             </button>
         </div>
     `;
     
-    document.getElementById('batchResults').innerHTML = tableHTML;
+    document.getElementById('batchResults').innerHTML = panelHTML;
+    applyPermissions(document.getElementById('batchResults'));
+}
+
+/**
+ * Show a streamed batch; rows stay in the processor and are fetched
+ * one page at a time
+ * @param {Object} summary - BatchProcessor summary
+ */
+function displayStreamingResults(summary) {
+    console.log('📊 Displaying batch results:', summary.rows, 'predictions');
+    renderBatchPanel(summary, '<div id="batchPage"></div>');
+    loadBatchPage(0);
+    loadBatchMapPoints();
+    if (summary.evaluation?.misclassified > 0) {
+        loadMisclassifiedPage(0);
+    }
+}
+
+async function loadBatchPage(page) {
+    const session = batchSession;
+    if (!session?.summary) return;
+
+    const byTrack = session.summary.trackCount > 0;
+    const total = byTrack ? session.summary.trackCount : session.summary.rows;
+    const pageCount = Math.max(1, Math.ceil(total / BATCH_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+    const offset = page * BATCH_PAGE_SIZE;
+
+    const items = await requestBatchData(byTrack ? 'tracks' : 'rows', { offset, limit: BATCH_PAGE_SIZE });
+    if (session !== batchSession) return;
+    session.page = page;
+    session.pageItems = items;
+
+    const pager = `
+        <div class="batch-pager">
+            <button type="button" onclick="loadBatchPage(${page - 1})" ${page === 0 ? 'disabled' : ''}>◀ Previous</button>
+            <span>Page ${page + 1} of ${pageCount.toLocaleString()}
+                (${byTrack ? 'tracks' : 'rows'} ${(offset + 1).toLocaleString()}–${(offset + items.length).toLocaleString()} of ${total.toLocaleString()})</span>
+            <button type="button" onclick="loadBatchPage(${page + 1})" ${page >= pageCount - 1 ? 'disabled' : ''}>Next ▶</button>
+        </div>
+    `;
+    document.getElementById('batchPage').innerHTML = pager +
+        (byTrack ? renderTrackTable(items) : renderPointTable(items, offset)) +
+        pager;
+}
+
+/**
+ * Per-point batch results table
+ * @param {Array} results - Point predictions
+ * @param {number} offset - Row number of the first result, for paged tables
+ * @returns {string} Table HTML
+ */
+function renderPointTable(results, offset = 0) {
+    // Pass-through columns from the uploaded file
+    const extraNames = results[0]?.extra ? Object.keys(results[0].extra) : [];
+
+    return `
+        <table>
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Source</th>
+                    ${extraNames.map(name => `<th>${escapeHTML(name)}</th>`).join('')}
+                    <th>Predicted Satellite</th>
+                    <th>Confidence</th>
+                    <th>Latitude</th>
+                    <th>Longitude</th>
+                    <th>Altitude (km)</th>
+                    <th>Velocity (km/s)</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map((r, idx) => `
+                    <tr style="background: ${idx % 2 === 0 ? 'rgba(0, 0, 0, 0.1)' : 'transparent'};">
+                        <td>${offset + idx + 1}</td>
+                        <td style="color: #88ccff;">${escapeHTML(r.source || [r.lineNumber || offset + idx + 1, r.timestamp].filter(Boolean).join(' @ '))}</td>
+                        ${extraNames.map(name => `<td>${escapeHTML(r.extra[name])}</td>`).join('')}
+                        <td>
+                            <strong style="color: ${classColor(r.prediction)}; font-size: 1.1em;">
+                                ${r.prediction}
+                            </strong>
+                        </td>
+                        <td>
+                            ${confidenceBarHTML(r.confidence)}
+                        </td>
+                        <td>${r.latitude.toFixed(4)}°</td>
+                        <td>${r.longitude.toFixed(4)}°</td>
+                        <td>${r.features.altitude}</td>
+                        <td>${r.features.totalVelocity}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Track summary table; each track expands into its points
+ * Tracks from a streamed batch carry an `index` instead of `points`;
+ * their points are fetched when the track is first expanded.
+ * @param {Array} tracks - TrackClassifier.classifyTracks output
+ * @returns {string} Table HTML
+ */
+function renderTrackTable(tracks) {
+    const formatTime = iso => iso ? iso.slice(0, 19).replace('T', ' ') : '—';
+
+    return `
+        <table class="track-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Track</th>
+                    <th>Points</th>
+                    <th>Time Span (UTC)</th>
+                    <th>Predicted Satellite</th>
+                    <th>Combined Confidence</th>
+                    <th>Agreement</th>
+                    <th>Flips</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${tracks.map((track, position) => {
+                    const idx = track.index ?? position;
+                    return `
+                    <tr class="track-row" onclick="toggleTrackPoints(${idx})">
+                        <td><span class="track-toggle" id="trackToggle${idx}">▸</span></td>
+                        <td style="color: #88ccff;">${escapeHTML(track.trackId)}</td>
+                        <td>${track.pointCount.toLocaleString()}</td>
+                        <td>${track.startTime ? `${formatTime(track.startTime)} → ${formatTime(track.endTime)}` : '—'}</td>
+                        <td>
+                            <strong style="color: ${classColor(track.prediction)}; font-size: 1.1em;">
+                                ${track.prediction}
+                            </strong>
+                        </td>
+                        <td>${confidenceBarHTML(track.confidence)}</td>
+                        <td>${(track.agreement * 100).toFixed(0)}%</td>
+                        <td>
+                            ${track.flipped
+                                ? `<span class="track-flip-badge" title="Per-point predictions change class along this track">⚠ ${track.flips}</span>`
+                                : '0'}
+                        </td>
+                    </tr>
+                    <tr class="track-points-row" id="trackPoints${idx}" ${track.points ? 'data-loaded="true"' : ''}>
+                        <td colspan="8">${track.points ? renderPointTable(track.points) : 'Loading points…'}</td>
+                    </tr>
+                `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function toggleTrackPoints(idx) {
+    const row = document.getElementById(`trackPoints${idx}`);
+    const open = row.classList.toggle('open');
+    document.getElementById(`trackToggle${idx}`).textContent = open ? '▾' : '▸';
+
+    if (open && !row.dataset.loaded) {
+        row.dataset.loaded = 'true';
+        const { points, total } = await requestBatchData('trackPoints', { track: idx, limit: TRACK_POINT_LIMIT });
+        const note = total > points.length
+            ? `<p style="color: #88ccff; margin: 10px 0;">Showing the first ${points.length.toLocaleString()} of ${total.toLocaleString()} points. Download the CSV for all of them.</p>`
+            : '';
+        row.cells[0].innerHTML = renderPointTable(points) + note;
+    }
+}
+
+function confidenceBarHTML(confidence) {
+    return `
+        <div style="display: flex; align-items: center; gap: 8px;">
+            <div style="flex: 1; height: 6px; background: rgba(0, 0, 0, 0.3); border-radius: 3px; overflow: hidden;">
+                <div style="width: ${confidence * 100}%; height: 100%; background: linear-gradient(90deg, #00d4ff, #00ff88);"></div>
+            </div>
+            <span style="min-width: 45px;">${(confidence * 100).toFixed(1)}%</span>
+        </div>
+    `;
+}
+
+// ============================================================
+// MODEL EVALUATION (CSV files with a label column)
+// ============================================================
+
+const MISCLASSIFIED_PAGE_SIZE = 25;
+
+/**
+ * Labeled-file metrics next to the training-time numbers in MODEL_CONFIG.performance
+ * @param {Object} evaluation - BatchProcessor.evaluate output
+ * @returns {string} HTML
+ */
+function renderEvaluation(evaluation) {
+    const training = MODEL_CONFIG.performance;
+    const percent = value => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+    const aucs = evaluation.perClass
+        .map(entry => evaluation.curves[entry.label].auc)
+        .filter(auc => auc !== null);
+    const macroAuc = aucs.length > 0 ? aucs.reduce((sum, auc) => sum + auc, 0) / aucs.length : null;
+
+    const comparison = [
+        ['Accuracy', training.accuracy, evaluation.accuracy],
+        ['Precision (macro)', training.precision, evaluation.macro.precision],
+        ['Recall (macro)', training.recall, evaluation.macro.recall],
+        ['F1 (macro)', training.f1Score, evaluation.macro.f1],
+        ['AUC-ROC (macro)', training.aucRoc, macroAuc]
+    ].map(([name, before, now]) => {
+        const delta = now === null ? null : now - before;
+        return `
+            <tr>
+                <td>${name}</td>
+                <td>${percent(before)}</td>
+                <td><strong>${percent(now)}</strong></td>
+                <td class="${delta !== null && delta < -0.0005 ? 'evaluation-regression' : ''}">
+                    ${delta === null ? '—' : `${delta >= 0 ? '+' : '−'}${Math.abs(delta * 100).toFixed(1)} pp`}
+                </td>
+            </tr>`;
+    }).join('');
+
+    const perClass = evaluation.perClass.map(entry => {
+        const curve = evaluation.curves[entry.label];
+        return `
+            <tr>
+                <td><strong style="color: ${classColor(entry.label)};">${entry.label}</strong></td>
+                <td>${entry.support.toLocaleString()}</td>
+                <td>${percent(entry.precision)}</td>
+                <td>${percent(entry.recall)}</td>
+                <td>${percent(entry.f1)}</td>
+                <td>${curve.auc === null ? '—' : curve.auc.toFixed(3)}</td>
+                <td>${curve.averagePrecision === null ? '—' : curve.averagePrecision.toFixed(3)}</td>
+            </tr>`;
+    }).join('');
+
+    const labels = evaluation.perClass.map(entry => entry.label);
+    const notes = [
+        `${evaluation.labeled.toLocaleString()} labeled rows scored`,
+        evaluation.unlabeled > 0 ? `${evaluation.unlabeled.toLocaleString()} unlabeled ${evaluation.unlabeled === 1 ? 'row' : 'rows'} not scored` : '',
+        evaluation.unrecognizedLabels.length > 0
+            ? `labels that name no class: ${evaluation.unrecognizedLabels
+                .map(entry => `"${escapeHTML(entry.label)}" (${entry.count.toLocaleString()})`).join(', ')}`
+            : ''
+    ].filter(Boolean);
+
+    return `
+        <div class="evaluation-section">
+            <h3>🎯 Evaluation Against Labels</h3>
+            <p class="evaluation-note">${notes.join(' · ')}</p>
+
+            <div class="evaluation-grid">
+                <table class="evaluation-table">
+                    <thead><tr><th>Metric</th><th>Training</th><th>This File</th><th>Δ</th></tr></thead>
+                    <tbody>${comparison}</tbody>
+                </table>
+                <table class="evaluation-table">
+                    <thead><tr><th>Class</th><th>Rows</th><th>Precision</th><th>Recall</th><th>F1</th><th>AUC</th><th>AP</th></tr></thead>
+                    <tbody>${perClass}</tbody>
+                </table>
+            </div>
+
+            <div class="evaluation-grid">
+                <div>
+                    <h4>Confusion Matrix (this file)</h4>
+                    ${confusionMatrixHTML(evaluation.confusionMatrix, labels)}
+                </div>
+                <div>
+                    <h4>Confusion Matrix (training)</h4>
+                    ${confusionMatrixHTML(training.confusionMatrix, MODEL_CONFIG.classes.map(cls => cls.id))}
+                </div>
+            </div>
+
+            <div class="evaluation-grid">
+                <div>
+                    <h4>ROC (one vs rest)</h4>
+                    ${curveSVG(evaluation.curves, 'roc', 'fpr', 'tpr', 'auc')}
+                </div>
+                <div>
+                    <h4>Precision–Recall</h4>
+                    ${curveSVG(evaluation.curves, 'pr', 'recall', 'precision', 'averagePrecision')}
+                </div>
+            </div>
+
+            <h4>Misclassified Rows (${evaluation.misclassified.toLocaleString()})</h4>
+            <div id="misclassifiedPage">${evaluation.misclassified === 0 ? '<p class="evaluation-note">Every labeled row was classified correctly.</p>' : ''}</div>
+        </div>
+    `;
+}
+
+/**
+ * @param {Array<Array<number>>} matrix - Counts, rows = true label, columns = prediction
+ * @param {Array} labels - Label of each row and column
+ * @returns {string} Table HTML
+ */
+function confusionMatrixHTML(matrix, labels) {
+    return `
+        <table class="confusion-matrix">
+            <thead>
+                <tr><th>True ↓ / Predicted →</th>${labels.map(label => `<th>${label}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${matrix.map((row, actual) => `
+                    <tr>
+                        <th>${labels[actual]}</th>
+                        ${row.map((count, predicted) => `
+                            <td class="${count === 0 ? '' : actual === predicted ? 'confusion-hit' : 'confusion-miss'}">
+                                ${count.toLocaleString()}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Draw one curve per class as an inline SVG
+ * @param {Object} curves - Label → ModelEvaluator.curve output
+ * @param {string} key - 'roc' or 'pr'
+ * @param {string} xKey - Point field on the x axis
+ * @param {string} yKey - Point field on the y axis
+ * @param {string} scoreKey - Curve field shown in the legend
+ * @returns {string} HTML
+ */
+function curveSVG(curves, key, xKey, yKey, scoreKey) {
+    const size = 200;
+    const drawn = Object.entries(curves).filter(([, curve]) => curve[key].length > 0);
+    const lines = drawn.map(([label, curve]) => {
+        const points = curve[key]
+            .map(point => `${(point[xKey] * size).toFixed(1)},${((1 - point[yKey]) * size).toFixed(1)}`)
+            .join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${classColor(label)}" stroke-width="2"/>`;
+    }).join('');
+
+    return `
+        <svg class="evaluation-curve" viewBox="-1 -1 ${size + 2} ${size + 2}">
+            <rect x="0" y="0" width="${size}" height="${size}" class="evaluation-curve-frame"/>
+            ${key === 'roc' ? `<line x1="0" y1="${size}" x2="${size}" y2="0" class="evaluation-curve-chance"/>` : ''}
+            ${lines}
+        </svg>
+        <div class="evaluation-legend">
+            ${drawn.length > 0
+                ? drawn.map(([label, curve]) => `
+                    <span style="color: ${classColor(label)};">■ ${label} (${curve[scoreKey].toFixed(3)})</span>
+                `).join('')
+                : 'Needs labeled rows of more than one class.'}
+        </div>
+    `;
+}
+
+async function loadMisclassifiedPage(page) {
+    const session = batchSession;
+    const total = session?.summary?.evaluation?.misclassified;
+    if (!total) return;
+
+    const pageCount = Math.ceil(total / MISCLASSIFIED_PAGE_SIZE);
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+    const offset = page * MISCLASSIFIED_PAGE_SIZE;
+    const { rows } = await requestBatchData('misclassified', { offset, limit: MISCLASSIFIED_PAGE_SIZE });
+    if (session !== batchSession) return;
+    session.misclassifiedRows = rows;
+
+    const pager = pageCount > 1 ? `
+        <div class="batch-pager">
+            <button type="button" onclick="loadMisclassifiedPage(${page - 1})" ${page === 0 ? 'disabled' : ''}>◀ Previous</button>
+            <span>Page ${page + 1} of ${pageCount.toLocaleString()}</span>
+            <button type="button" onclick="loadMisclassifiedPage(${page + 1})" ${page >= pageCount - 1 ? 'disabled' : ''}>Next ▶</button>
+        </div>
+    ` : '';
+
+    document.getElementById('misclassifiedPage').innerHTML = `
+        <table class="track-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Line</th>
+                    <th>True Label</th>
+                    <th>Predicted</th>
+                    <th>Confidence</th>
+                    <th>Altitude (km)</th>
+                    <th>Velocity (km/s)</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map((r, idx) => `
+                    <tr class="track-row" onclick="toggleMisclassifiedRow(${idx})">
+                        <td><span class="track-toggle" id="misclassifiedToggle${idx}">▸</span></td>
+                        <td style="color: #88ccff;">${r.lineNumber}</td>
+                        <td><strong style="color: ${classColor(r.label)};">${r.label}</strong></td>
+                        <td><strong style="color: ${classColor(r.prediction)};">${r.prediction}</strong></td>
+                        <td>${confidenceBarHTML(r.confidence)}</td>
+                        <td>${r.features.altitude}</td>
+                        <td>${r.features.totalVelocity}</td>
+                    </tr>
+                    <tr class="track-points-row" id="misclassifiedDetail${idx}">
+                        <td colspan="7"></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${pager}
+    `;
+}
+
+// Expand a misclassified row into its rule trace
+function toggleMisclassifiedRow(idx) {
+    const row = document.getElementById(`misclassifiedDetail${idx}`);
+    const open = row.classList.toggle('open');
+    document.getElementById(`misclassifiedToggle${idx}`).textContent = open ? '▾' : '▸';
+
+    if (open && !row.dataset.loaded) {
+        row.dataset.loaded = 'true';
+        const result = ui.predict(batchSession.misclassifiedRows[idx]);
+        row.cells[0].innerHTML = `
+            <p class="rule-trace-text">${explainer.generateTextExplanation(result)}</p>
+            <button type="button" class="evaluation-load" onclick="loadMisclassifiedIntoForm(${idx})">Load into form</button>
+        `;
+    }
+}
+
+function loadMisclassifiedIntoForm(idx) {
+    InputSchema.toForm(batchSession.misclassifiedRows[idx]);
+    document.getElementById('predictionForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================================
+// GROUND TRACK MAP
+// ============================================================
+
+// Batch points drawn on the map and in the orbit view; larger batches are
+// thinned evenly
+const MAP_POINT_LIMIT = 5000;
+
+// GroundTrackMap (js/ground_track_map.js); null when the page has no map
+let groundTrackMap = null;
+// Rows in the batch behind the map's 'batch' layer
+let mapBatchTotal = 0;
+
+function createGroundTrackMap() {
+    const canvas = document.getElementById('mapCanvas');
+    if (!canvas) return null;
+
+    document.getElementById('mapLegend').innerHTML = [
+        ...MODEL_CONFIG.classes.map(cls => ({ label: cls.displayName, color: cls.color })),
+        { label: MODEL_CONFIG.unknownClass, color: MODEL_CONFIG.unknownColor }
+    ].map(entry => `
+        <span class="map-legend-item"><span class="map-swatch" style="background: ${entry.color};"></span>${entry.label}</span>
+    `).join('') + `
+        <span class="map-legend-item"><span class="map-swatch map-swatch-faded"></span>Faded = low confidence</span>
+        <span class="map-legend-item"><span class="map-swatch map-swatch-line"></span>Ground track</span>
+    `;
+
+    return new GroundTrackMap(canvas, {
+        classes: MODEL_CONFIG.classes,
+        unknownColor: MODEL_CONFIG.unknownColor,
+        coastline: typeof COASTLINE !== 'undefined' ? COASTLINE : undefined,
+        tooltip: document.getElementById('mapTooltip'),
+        onSelect: explainMapPoint,
+        onChange: updateMapStatus
+    });
+}
+
+/**
+ * Thin in-memory batch results to about `limit` points, every n-th point
+ * of each track so all tracks stay on the map
+ * @param {Array} results - Batch results
+ * @param {number} limit
+ * @returns {Array}
+ */
+function sampleMapPoints(results, limit) {
+    const stride = Math.max(1, Math.ceil(results.length / limit));
+    if (stride === 1) return results;
+    const seen = new Map();
+    return results.filter(r => {
+        const count = seen.get(r.track_id) || 0;
+        seen.set(r.track_id, count + 1);
+        return count % stride === 0;
+    });
+}
+
+/**
+ * Plot a batch on the map and in the orbit view
+ * @param {Array} points - Batch points to plot
+ * @param {number} total - Rows in the batch, when points is a sample
+ */
+function showBatchInViews(points, total = points.length) {
+    mapBatchTotal = total;
+    groundTrackMap?.setLayer('batch', points);
+    orbitView?.setLayer('batch', points);
+}
+
+// Streamed batches stay in the processor; only a sample comes over
+async function loadBatchMapPoints() {
+    const session = batchSession;
+    if ((!groundTrackMap && !orbitView) || !session) return;
+    const { points, total } = await requestBatchData('mapPoints', { limit: MAP_POINT_LIMIT });
+    if (session === batchSession) showBatchInViews(points, total);
+}
+
+// Caption under the map; called by the map whenever its points change
+function updateMapStatus() {
+    const batchCount = (groundTrackMap.layers.get('batch') || []).length;
+    const singleCount = (groundTrackMap.layers.get('single') || []).length;
+    const parts = [];
+    if (batchCount > 0) {
+        parts.push(batchCount < mapBatchTotal
+            ? `${batchCount.toLocaleString()} of ${mapBatchTotal.toLocaleString()} batch rows (evenly sampled)`
+            : `${batchCount.toLocaleString()} batch rows`);
+    }
+    if (singleCount > 0) {
+        parts.push(`${singleCount.toLocaleString()} single prediction${singleCount === 1 ? '' : 's'}`);
+    }
+    document.getElementById('mapStatus').textContent = parts.length
+        ? `Showing ${parts.join(' and ')}. Hover a point for details, click it for the explanation.`
+        : 'Single and batch predictions appear here by latitude and longitude.';
+}
+
+function clearMap() {
+    groundTrackMap?.clear();
+}
+
+/**
+ * Explain a point picked on the map or in the orbit view in the result
+ * panel, above any batch results; the point is loaded into the form as well
+ * @param {Object} point - Prediction record from a map layer
+ */
+function explainMapPoint(point) {
+    let result;
+    try {
+        result = ui.predict(point);
+    } catch (error) {
+        alert('❌ Cannot explain this point\n\n' + error.message);
+        return;
+    }
+    InputSchema.toForm(point);
+    ui.displayResults(result, { keepBatch: true });
+
+    const resultPanel = document.getElementById('resultPanel');
+    resultPanel.classList.add('show');
+    resultPanel.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================================
+// 3D ORBIT VIEW
+// ============================================================
+
+// OrbitView (js/orbit_view.js); null when the page has no orbit view
+let orbitView = null;
+
+function createOrbitView() {
+    const canvas = document.getElementById('orbitCanvas');
+    if (!canvas) return null;
+
+    return new OrbitView(canvas, {
+        classes: MODEL_CONFIG.classes,
+        unknownColor: MODEL_CONFIG.unknownColor,
+        earthRadius: CONSTANTS.EARTH_RADIUS_KM,
+        mu: CONSTANTS.GRAVITATIONAL_CONSTANT,
+        tooltip: document.getElementById('orbitTooltip'),
+        onSelect: showOrbitSelection,
+        onChange: updateOrbitStatus
+    });
+}
+
+// Caption under the orbit view; called by the view whenever its points change
+function updateOrbitStatus() {
+    let count = 0;
+    orbitView.layers.forEach(points => {
+        count += points.length;
+    });
+    document.getElementById('orbitStatus').textContent = count > 0
+        ? `Showing ${count.toLocaleString()} point${count === 1 ? '' : 's'}. Drag to rotate, shift-drag to pan, scroll to zoom, double-click to fit.`
+        : 'ECI positions of single and batch predictions appear here around the Earth.';
+}
+
+/**
+ * Describe the osculating orbit of the point selected in the orbit view
+ * @param {Object|null} point - Prediction record, or null when nothing is selected
+ */
+function showOrbitSelection(point) {
+    const container = document.getElementById('orbitSelection');
+    if (!point) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const input = InputSchema.normalize(point);
+    const orbit = classifier.calculateDerivedFeatures(input);
+    const bound = isFinite(orbit.orbitalPeriod);
+    const perigee = orbit.semiMajorAxis * (1 - orbit.eccentricity) - CONSTANTS.EARTH_RADIUS_KM;
+    const apogee = orbit.semiMajorAxis * (1 + orbit.eccentricity) - CONSTANTS.EARTH_RADIUS_KM;
+    const km = value => `${Math.round(value).toLocaleString()} km`;
+    const facts = [
+        ['Altitude', km(orbit.altitude)],
+        ['Speed', `${orbit.totalVelocity.toFixed(3)} km/s`],
+        ['Eccentricity', orbit.eccentricity.toFixed(4)],
+        ['Inclination', `${orbit.inclination.toFixed(2)}°`],
+        ...(bound ? [
+            ['Semi-major Axis', km(orbit.semiMajorAxis)],
+            ['Perigee / Apogee Alt.', `${km(perigee)} / ${km(apogee)}`],
+            ['Period', `${orbit.orbitalPeriod.toFixed(1)} min`]
+        ] : [
+            ['Orbit', 'Unbound (escape trajectory)']
+        ])
+    ];
+
+    container.innerHTML = `
+        <div class="orbit-selection-title">
+            <strong style="color: ${classColor(point.prediction)};">${escapeHTML(getClassInfo(point.prediction)?.displayName ?? point.prediction)}</strong>
+            · ${(point.confidence * 100).toFixed(1)}%
+            ${point.track_id !== undefined ? `· ${escapeHTML(point.track_id)}` : ''}
+            ${point.timestamp ? `· ${escapeHTML(String(point.timestamp).slice(0, 19))}Z` : ''}
+        </div>
+        <div class="orbit-selection-facts">
+            ${facts.map(([name, value]) => `
+                <div class="feature-item">
+                    <div class="feature-name">${name}</div>
+                    <div class="feature-value">${value}</div>
+                </div>
+            `).join('')}
+        </div>
+        ${bound && perigee < 0 ? '<p class="orbit-selection-note">⚠️ The perigee is below the surface: this state cannot complete an orbit.</p>' : ''}
+        <button type="button" class="map-clear" onclick="explainMapPoint(orbitView.selected)">🔍 Explain This Point</button>
+    `;
+    container.style.display = '';
+}
+
+function clearOrbitView() {
+    orbitView?.clear();
 }
 
 // ============================================================
 // EXPORT FUNCTIONS
 // ============================================================
 
-function downloadBatchResults() {
+async function downloadBatchResults() {
+    if (!requirePermission('export', 'export results')) return;
     console.log('💾 Downloading batch results...');
-    
-    const headers = 'Timestamp,Prediction,Confidence,Latitude,Longitude,Altitude_km,Velocity_km_s,Processing_Time_ms';
-    const rows = predictionLog.map(log => [
-        log.timestamp,
-        log.output?.prediction || 'N/A',
-        log.output?.confidence ? log.output.confidence.toFixed(4) : 'N/A',
-        log.input?.latitude || 'N/A',
-        log.input?.longitude || 'N/A',
-        log.output?.features?.altitude || 'N/A',
-        log.output?.features?.totalVelocity || 'N/A',
-        log.processingTime || 'N/A'
-    ].join(','));
-    
-    const csv = [headers, ...rows].join('\n');
-    
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+
+    // Streamed batches are exported by the processor that holds them
+    if (batchSession) {
+        if (!batchSession.summary) {
+            alert('The batch is still running. Download its results when it finishes.');
+            return;
+        }
+        const blob = await requestBatchData('export');
+        const name = batchSession.fileName.replace(/\.csv$/i, '');
+        downloadBlob(blob, `${name}_predictions_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+        return;
+    }
+
+    // In-memory batches: the same columns, from the batch's own results
+    if (!batchResults) return;
+    const { results, tracks } = batchResults;
+    const trackById = new Map((tracks || []).map(track => [track.trackId, track]));
+    const lines = results.map(r => InputSchema.csvRow(
+        InputSchema.outputRecord(r, r, { line: r.lineNumber, track: trackById.get(r.track_id) })
+    ));
+    const blob = new Blob([[InputSchema.csvHeader(), ...lines].join('\n') + '\n'], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, `satellite_predictions_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+}
+
+function downloadBlob(blob, fileName) {
     const url = window.URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `satellite_predictions_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -705,13 +1398,30 @@ function downloadBatchResults() {
 }
 
 function copyResultsToClipboard() {
+    if (!requirePermission('export', 'export results')) return;
     console.log('📋 Copying results to clipboard...');
-    
-    const text = predictionLog.map((log, idx) => 
-        `${idx + 1}. ${log.output?.prediction || 'N/A'} (${((log.output?.confidence || 0) * 100).toFixed(1)}%) - ` +
-        `Lat: ${log.input?.latitude || 'N/A'}, Lon: ${log.input?.longitude || 'N/A'}, ` +
-        `Alt: ${log.output?.features?.altitude || 'N/A'} km`
-    ).join('\n');
+
+    let text;
+    if (batchSession?.pageItems) {
+        // Streamed batches: copy the page on screen
+        const offset = batchSession.page * BATCH_PAGE_SIZE;
+        text = batchSession.summary.trackCount > 0
+            ? batchSession.pageItems.map(track =>
+                `${track.trackId}: ${track.prediction} (${(track.confidence * 100).toFixed(1)}%) - ` +
+                `${track.pointCount} points, ${track.flips} flips`
+            ).join('\n')
+            : batchSession.pageItems.map((r, idx) =>
+                `${offset + idx + 1}. ${r.prediction} (${(r.confidence * 100).toFixed(1)}%) - ` +
+                `Lat: ${r.latitude.toFixed(4)}, Lon: ${r.longitude.toFixed(4)}, Alt: ${r.features.altitude} km`
+            ).join('\n');
+    } else if (batchResults) {
+        text = batchResults.results.map((r, idx) =>
+            `${idx + 1}. ${r.prediction} (${(r.confidence * 100).toFixed(1)}%) - ` +
+            `Lat: ${r.latitude.toFixed(4)}, Lon: ${r.longitude.toFixed(4)}, Alt: ${r.features.altitude} km`
+        ).join('\n');
+    } else {
+        return;
+    }
     
     navigator.clipboard.writeText(text).then(() => {
         alert('✅ Results copied to clipboard!');
@@ -726,13 +1436,46 @@ function copyResultsToClipboard() {
 // HISTORY MANAGEMENT
 // ============================================================
 
-function showHistory() {
+// Rows per page of the History modal
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Keep the prediction log and session statistics in IndexedDB and pick up
+ * the session saved before the last reload
+ * Without IndexedDB the history stays in memory for this tab.
+ */
+async function openHistoryStore() {
+    try {
+        const store = await new HistoryStore().open();
+        if (await monitor.attachStore(store)) {
+            console.log(`📂 Restored ${monitor.metrics.totalPredictions} predictions from the saved session`);
+            ui.updatePerformanceDisplay();
+        }
+        // Metrics are saved shortly after each burst of predictions; save them
+        // right away when the tab is hidden or reloaded
+        window.addEventListener('pagehide', () => monitor.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') monitor.flush();
+        });
+        // Ask the browser not to evict the history under storage pressure
+        navigator.storage?.persist?.().catch(() => {});
+    } catch (error) {
+        console.warn('⚠️ Prediction history is kept in memory only:', error.message);
+    }
+}
+
+async function showHistory(page = 0) {
+    if (!requirePermission('history.view', 'view the prediction history')) return;
     const modal = document.getElementById('historyModal');
     const content = document.getElementById('historyContent');
+    const stats = monitor.getStats();
+    const offset = page * HISTORY_PAGE_SIZE;
+    const { entries, total } = await monitor.getHistoryPage(offset, HISTORY_PAGE_SIZE);
     
-    if (predictionLog.length === 0) {
+    if (total === 0) {
         content.innerHTML = '<p style="color: #88ccff; text-align: center; padding: 40px;">No predictions yet. Make some predictions to see them here!</p>';
     } else {
+        const pageCount = Math.ceil(total / HISTORY_PAGE_SIZE);
         const historyHTML = `
             <table>
                 <thead>
@@ -746,42 +1489,48 @@ function showHistory() {
                     </tr>
                 </thead>
                 <tbody>
-                    ${predictionLog.map((log, idx) => `
+                    ${entries.map((log, idx) => `
                         <tr>
-                            <td>${idx + 1}</td>
+                            <td>${total - offset - idx}</td>
                             <td>${new Date(log.timestamp).toLocaleString()}</td>
-                            <td><strong style="color: #00d4ff;">${log.output.prediction}</strong></td>
-                            <td>${(log.output.confidence * 100).toFixed(1)}%</td>
-                            <td>${log.processingTime}ms</td>
-                            <td>${log.output.features.altitude} km</td>
+                            ${log.success ? `
+                                <td><strong style="color: #00d4ff;">${log.output.prediction}</strong></td>
+                                <td>${(log.output.confidence * 100).toFixed(1)}%</td>
+                                <td>${log.processingTime}ms</td>
+                                <td>${log.output.features.altitude} km</td>
+                            ` : `
+                                <td colspan="4" style="color: #ff8888;">❌ ${log.error}</td>
+                            `}
                         </tr>
                     `).join('')}
                 </tbody>
             </table>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 15px; color: #88ccff;">
+                <button type="button" onclick="showHistory(${page - 1})" style="width: auto; padding: 6px 14px;" ${page === 0 ? 'disabled' : ''}>← Newer</button>
+                <span>${(offset + 1).toLocaleString()}–${(offset + entries.length).toLocaleString()} of ${total.toLocaleString()} (page ${page + 1} of ${pageCount})</span>
+                <button type="button" onclick="showHistory(${page + 1})" style="width: auto; padding: 6px 14px;" ${page + 1 >= pageCount ? 'disabled' : ''}>Older →</button>
+            </div>
             
             <div style="margin-top: 30px; padding: 20px; background: rgba(0, 212, 255, 0.1); border-radius: 10px;">
                 <h3 style="color: #00d4ff; margin-bottom: 15px;">📊 Session Statistics</h3>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
                     <div>
                         <div style="color: #88ccff;">Total Predictions</div>
-                        <div style="font-size: 1.8em; color: #00d4ff; font-weight: bold;">${predictionLog.length}</div>
+                        <div style="font-size: 1.8em; color: #00d4ff; font-weight: bold;">${stats.successfulPredictions}</div>
                     </div>
+                    ${[...MODEL_CONFIG.classes.map(cls => [cls.id, `${cls.displayName} Classifications`]),
+                       [MODEL_CONFIG.unknownClass, 'Unknown Objects']].map(([id, label]) => `
                     <div>
-                        <div style="color: #88ccff;">ISS Classifications</div>
+                        <div style="color: #88ccff;">${label}</div>
                         <div style="font-size: 1.8em; color: #00d4ff; font-weight: bold;">
-                            ${predictionLog.filter(p => p.output.prediction === 'ISS').length}
-                        </div>
-                    </div>
-                    <div>
-                        <div style="color: #88ccff;">Sentinel1A Classifications</div>
-                        <div style="font-size: 1.8em; color: #00d4ff; font-weight: bold;">
-                            ${predictionLog.filter(p => p.output.prediction === 'Sentinel1A').length}
+                            ${stats.predictionsByClass[id] || 0}
                         </div>
                     </div>
+                    `).join('')}
                     <div>
                         <div style="color: #88ccff;">Avg Confidence</div>
                         <div style="font-size: 1.8em; color: #00d4ff; font-weight: bold;">
-                            ${(predictionLog.reduce((sum, p) => sum + p.output.confidence, 0) / predictionLog.length * 100).toFixed(1)}%
+                            ${(stats.avgConfidence * 100).toFixed(1)}%
                         </div>
                     </div>
                 </div>
@@ -789,18 +1538,64 @@ function showHistory() {
         `;
         content.innerHTML = historyHTML;
     }
+    content.insertAdjacentHTML('beforeend', await historyStorageHTML());
+    applyPermissions(modal);
     
     modal.classList.add('show');
 }
 
+/**
+ * Retention settings and storage use, below the history table
+ * @returns {Promise<string>} HTML
+ */
+async function historyStorageHTML() {
+    const store = monitor.store;
+    if (!store) {
+        return '<p style="color: #88ccff; margin-top: 20px;">💾 Browser storage is unavailable; the history is kept for this tab only.</p>';
+    }
+
+    const estimate = await HistoryStore.estimate();
+    const megabytes = bytes => (bytes / 1048576).toFixed(1) + ' MB';
+    return `
+        <form onsubmit="applyHistoryRetention(event)" data-permission="history.retention" style="margin-top: 20px; color: #88ccff; display: flex; flex-wrap: wrap; gap: 10px; align-items: center;">
+            💾 Keep the last
+            <input type="number" id="historyMaxEntries" min="1" step="1" value="${store.retention.maxEntries}" style="width: 110px;">
+            predictions for
+            <input type="number" id="historyMaxAgeDays" min="1" step="1" value="${store.retention.maxAgeDays}" style="width: 80px;">
+            days
+            <button type="submit" style="width: auto; padding: 6px 14px;">Apply</button>
+        </form>
+        <p style="color: #88ccff; font-size: 0.9em; margin-top: 8px;">
+            ${estimate ? `Using ${megabytes(estimate.usage)} of ${megabytes(estimate.quota)} available to this page.` : ''}
+            ${store.full ? '<strong style="color: #ff8888;">Storage is full: new predictions are no longer saved. Clear the history or lower the retention.</strong>' : ''}
+        </p>
+    `;
+}
+
+async function applyHistoryRetention(event) {
+    event.preventDefault();
+    if (!requirePermission('history.retention', 'change the history retention')) return;
+    const maxEntries = parseInt(document.getElementById('historyMaxEntries').value, 10);
+    const maxAgeDays = parseInt(document.getElementById('historyMaxAgeDays').value, 10);
+    if (!(maxEntries > 0) || !(maxAgeDays > 0)) {
+        alert('Retention must be at least 1 prediction and 1 day.');
+        return;
+    }
+
+    const removed = await monitor.store.setRetention({ maxEntries, maxAgeDays });
+    console.log(`🗑️ Retention applied: ${removed} old predictions removed`);
+    await showHistory();
+}
+
 function closeHistory() {
     document.getElementById('historyModal').classList.remove('show');
 }
 
-function clearHistory() {
+async function clearHistory() {
+    if (!requirePermission('history.clear', 'clear the prediction history')) return;
     if (confirm('Are you sure you want to clear all prediction history?')) {
-        predictionLog = [];
-        updatePerformanceStats();
+        await monitor.clearHistory();
+        ui.updatePerformanceDisplay();
         closeHistory();
         alert('Prediction history cleared!');
     }
@@ -815,31 +1610,14 @@ window.onclick = function(event) {
 }
 
 // Download history as CSV
-function downloadHistory() {
-    if (predictionLog.length === 0) {
+async function downloadHistory() {
+    if (!requirePermission('export', 'export the prediction history')) return;
+    const { total } = await monitor.getHistoryPage(0, 1);
+    if (total === 0) {
         alert('No predictions to download!');
         return;
     }
 
-    const csvContent = [
-        ['Timestamp', 'Prediction', 'Confidence', 'Latitude', 'Longitude', 'Altitude', 'Velocity', 'Processing Time'],
-        ...predictionLog.map(log => [
-            log.timestamp,
-            log.output.prediction,
-            log.output.confidence.toFixed(4),
-            log.input.latitude,
-            log.input.longitude,
-            log.output.features.altitude,
-            log.output.features.totalVelocity,
-            log.processingTime + 'ms'
-        ])
-    ].map(row => row.join(',')).join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `satellite_predictions_${new Date().toISOString()}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+    const blob = new Blob([await monitor.exportToCSV()], { type: 'text/csv' });
+    downloadBlob(blob, `satellite_predictions_${new Date().toISOString()}.csv`);
 }
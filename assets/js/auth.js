@@ -1,98 +1,665 @@
 // assets/js/auth.js - FIXED VERSION
+// Sign-in goes through a provider: 'local' checks the salted PBKDF2
+// hashes in config/users.js, 'oidc' uses an OpenID Connect provider
+// (authorization code + PKCE). Settings come from config/auth.js.
+// Sign-ins, sign-outs and expiries are kept in a local audit log and
+// announced to other tabs through a localStorage key.
+//
+// A provider is an object with:
+//   id, name        - stored in the session / shown on the login page
+//   redirect        - true when login() leaves the page for the provider
+//   authenticate(username, password)
+//                   - password providers: Promise<{ success, username, role, claims }>
+//   beginLogin({ rememberMe })
+//                   - redirect providers: Promise; navigates to the provider
+//   completeLogin(url)
+//                   - redirect providers: Promise<{ success, username, role, claims,
+//                     rememberMe, message }>, or null when url is not a callback
+//   logoutUrl(session)
+//                   - optional: where to go once the local session is cleared
 const SatelliteAuth = (function() {
     'use strict';
-    
-    const VALID_CREDENTIALS = {
-        'demo': 'demo123',
-        'admin': 'admin123',
-        'mauro': 'satellite2025'
-    };
-    
+
+    const CONFIG = typeof SATELLITE_AUTH_CONFIG !== 'undefined' ? SATELLITE_AUTH_CONFIG : { provider: 'local' };
+
     const SESSION_KEY = 'satelliteSession';
-    const SESSION_EXPIRY_HOURS = 24;
-    
-    function login(username, password, rememberMe = false) {
-        if (!username || !password) {
-            return { success: false, message: 'Username and password are required' };
+    const ATTEMPTS_KEY = 'satelliteLoginAttempts';
+    const OIDC_STATE_KEY = 'satelliteOidcLogin';
+    // Written on every sign-in, sign-out and expiry so other tabs hear about it
+    const EVENT_KEY = 'satelliteAuthEvent';
+    const AUDIT_KEY = 'satelliteAuthAudit';
+    const AUDIT_LIMIT = 500;
+    // Activity is written back to the session at most this often
+    const ACTIVITY_WRITE_MS = 15000;
+    const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'wheel', 'scroll', 'touchstart'];
+
+    const SESSION = {
+        idleMinutes: 30,
+        warningSeconds: 60,
+        maxHours: 24,
+        ...CONFIG.session
+    };
+
+    // Role name → permissions, least to most privileged
+    const ROLES = CONFIG.roles || {};
+    const DEFAULT_ROLE = CONFIG.defaultRole || 'viewer';
+
+    const LOCKOUT = {
+        freeAttempts: 3,
+        baseSeconds: 30,
+        maxSeconds: 900,
+        ...CONFIG.lockout
+    };
+
+    // ============================================================
+    // ENCODING & CRYPTO HELPERS
+    // ============================================================
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    function toBase64Url(bytes) {
+        return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function randomBase64Url(byteCount) {
+        return toBase64Url(crypto.getRandomValues(new Uint8Array(byteCount)));
+    }
+
+    function requireWebCrypto() {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('This browser does not provide WebCrypto here; open the page over HTTPS or localhost');
         }
-        
-        if (VALID_CREDENTIALS[username] && VALID_CREDENTIALS[username] === password) {
-            const sessionData = {
-                username: username,
-                loginTime: new Date().toISOString(),
-                rememberMe: rememberMe
-            };
-            
-            const storage = rememberMe ? localStorage : sessionStorage;
-            storage.setItem(SESSION_KEY, JSON.stringify(sessionData));
-            
-            console.log('Login successful:', username);
-            
-            return { success: true, message: 'Login successful', user: username };
+    }
+
+    /**
+     * PBKDF2-SHA-256, as written by tools/hash_password.js
+     * @param {string} password
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @returns {Promise<Uint8Array>} 32-byte hash
+     */
+    async function pbkdf2(password, salt, iterations) {
+        requireWebCrypto();
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256
+        );
+        return new Uint8Array(bits);
+    }
+
+    // Compares every byte so the time taken does not reveal the first mismatch
+    function constantTimeEqual(a, b) {
+        let diff = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            diff |= (a[i] || 0) ^ (b[i] || 0);
         }
-        
-        return { success: false, message: 'Invalid username or password' };
+        return diff === 0;
     }
-    
-    function checkAuth() {
-        const sessionData = localStorage.getItem(SESSION_KEY) || 
-                           sessionStorage.getItem(SESSION_KEY);
-        
-        if (!sessionData) {
-            console.log('No session found');
-            return null;
+
+    // ============================================================
+    // PROVIDERS
+    // ============================================================
+
+    /**
+     * Accounts from config/users.js, verified in the browser
+     * @param {Object} users - Username → { role, salt, iterations, hash }
+     */
+    function localProvider(users) {
+        // Unknown usernames are hashed too, so they take as long as wrong passwords
+        const decoy = { salt: 'AAAAAAAAAAAAAAAAAAAAAA==', iterations: 600000, hash: '' };
+
+        return {
+            id: 'local',
+            name: 'Local accounts',
+            redirect: false,
+
+            async authenticate(username, password) {
+                const account = Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+                const entry = account || decoy;
+                const hash = await pbkdf2(password, fromBase64(entry.salt), entry.iterations);
+                const success = Boolean(account) && constantTimeEqual(hash, fromBase64(account.hash));
+                return { success, username, role: account ? account.role : null, claims: {} };
+            }
+        };
+    }
+
+    /**
+     * OpenID Connect authorization-code flow with PKCE (RFC 7636)
+     * The ID token comes straight from the token endpoint, so its issuer is
+     * trusted from the connection (OIDC Core 3.1.3.7) and the signature is
+     * not checked; iss, aud, nonce and exp are.
+     * @param {Object} options - { name, issuer, clientId, scope, roleClaim, redirectUri }
+     */
+    function oidcProvider(options) {
+        const redirectUri = options.redirectUri || new URL('index.html', window.location.href).href;
+        let discovery = null;
+
+        async function metadata() {
+            if (!discovery) {
+                const response = await fetch(`${options.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+                if (!response.ok) {
+                    throw new Error(`Could not reach ${options.name || options.issuer} (HTTP ${response.status})`);
+                }
+                discovery = await response.json();
+            }
+            return discovery;
         }
-        
+
+        function decodeJwt(token) {
+            const payload = token.split('.')[1] || '';
+            const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+            return JSON.parse(decodeURIComponent(Array.from(json, char =>
+                '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('')));
+        }
+
+        return {
+            id: 'oidc',
+            name: options.name || options.issuer,
+            redirect: true,
+
+            async beginLogin({ rememberMe = false } = {}) {
+                requireWebCrypto();
+                const config = await metadata();
+                const verifier = randomBase64Url(32);
+                const challenge = toBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+                const state = randomBase64Url(16);
+                const nonce = randomBase64Url(16);
+                sessionStorage.setItem(OIDC_STATE_KEY, JSON.stringify({ verifier, state, nonce, rememberMe }));
+
+                const url = new URL(config.authorization_endpoint);
+                url.search = new URLSearchParams({
+                    response_type: 'code',
+                    client_id: options.clientId,
+                    redirect_uri: redirectUri,
+                    scope: options.scope || 'openid',
+                    state,
+                    nonce,
+                    code_challenge: challenge,
+                    code_challenge_method: 'S256'
+                }).toString();
+                window.location.assign(url.href);
+            },
+
+            async completeLogin(href) {
+                const params = new URL(href).searchParams;
+                if (!params.has('code') && !params.has('error')) return null;
+
+                const pending = JSON.parse(sessionStorage.getItem(OIDC_STATE_KEY) || 'null');
+                sessionStorage.removeItem(OIDC_STATE_KEY);
+                if (!pending || params.get('state') !== pending.state) {
+                    return { success: false, message: 'Sign-in response does not match this browser session; please try again' };
+                }
+                if (params.has('error')) {
+                    return { success: false, message: params.get('error_description') || params.get('error') };
+                }
+
+                const config = await metadata();
+                const response = await fetch(config.token_endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({
+                        grant_type: 'authorization_code',
+                        code: params.get('code'),
+                        redirect_uri: redirectUri,
+                        client_id: options.clientId,
+                        code_verifier: pending.verifier
+                    })
+                });
+                const tokens = await response.json();
+                if (!response.ok || !tokens.id_token) {
+                    return { success: false, message: tokens.error_description || tokens.error || `Token request failed (HTTP ${response.status})` };
+                }
+
+                const claims = decodeJwt(tokens.id_token);
+                const audience = [].concat(claims.aud);
+                const problem =
+                    claims.iss !== config.issuer ? 'issuer' :
+                    !audience.includes(options.clientId) ? 'audience' :
+                    claims.nonce !== pending.nonce ? 'nonce' :
+                    !(claims.exp * 1000 > Date.now()) ? 'expiry' : null;
+                if (problem) {
+                    return { success: false, message: `ID token rejected (${problem})` };
+                }
+
+                return {
+                    success: true,
+                    username: claims.preferred_username || claims.sub,
+                    role: claims[options.roleClaim || 'role'],
+                    rememberMe: pending.rememberMe,
+                    claims: { sub: claims.sub, name: claims.name, email: claims.email },
+                    idToken: tokens.id_token
+                };
+            },
+
+            logoutUrl(session) {
+                if (!discovery || !discovery.end_session_endpoint) return null;
+                const url = new URL(discovery.end_session_endpoint);
+                url.search = new URLSearchParams({
+                    client_id: options.clientId,
+                    post_logout_redirect_uri: redirectUri,
+                    ...(session && session.idToken ? { id_token_hint: session.idToken } : {})
+                }).toString();
+                return url.href;
+            },
+
+            // Fetches the discovery document early so logoutUrl() can use it
+            metadata
+        };
+    }
+
+    let provider = CONFIG.provider === 'oidc'
+        ? oidcProvider(CONFIG.oidc)
+        : localProvider(typeof SATELLITE_USERS !== 'undefined' ? SATELLITE_USERS : {});
+
+    function useProvider(customProvider) {
+        provider = customProvider;
+    }
+
+    function getProvider() {
+        return provider;
+    }
+
+    // ============================================================
+    // LOCKOUT
+    // ============================================================
+
+    function readAttempts() {
+        try {
+            return JSON.parse(localStorage.getItem(ATTEMPTS_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * @param {string} username
+     * @returns {number} Seconds until the username may try again (0 = now)
+     */
+    function lockoutRemaining(username) {
+        const record = readAttempts()[username.toLowerCase()];
+        return record && record.lockedUntil > Date.now()
+            ? Math.ceil((record.lockedUntil - Date.now()) / 1000)
+            : 0;
+    }
+
+    /**
+     * Count a failure; past the free attempts the username is locked,
+     * twice as long each time
+     * @param {string} username
+     * @returns {number} Seconds the username is now locked for (0 = not locked)
+     */
+    function recordFailure(username) {
+        const attempts = readAttempts();
+        const key = username.toLowerCase();
+        const record = attempts[key] || { failures: 0, lockedUntil: 0 };
+        record.failures++;
+
+        const over = record.failures - LOCKOUT.freeAttempts;
+        const seconds = over > 0 ? Math.min(LOCKOUT.maxSeconds, LOCKOUT.baseSeconds * Math.pow(2, over - 1)) : 0;
+        record.lockedUntil = seconds > 0 ? Date.now() + seconds * 1000 : 0;
+        attempts[key] = record;
+        localStorage.setItem(ATTEMPTS_KEY, JSON.stringify(attempts));
+        return seconds;
+    }
+
+    function clearFailures(username) {
+        const attempts = readAttempts();
+        delete attempts[username.toLowerCase()];
+        localStorage.setItem(ATTEMPTS_KEY, JSON.stringify(attempts));
+    }
+
+    function formatWait(seconds) {
+        return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+    }
+
+    // ============================================================
+    // ROLES
+    // ============================================================
+
+    /**
+     * @param {string|Array} role - Role name, or several (e.g. an OIDC groups claim)
+     * @returns {string} The most privileged known role, or the default role
+     */
+    function resolveRole(role) {
+        const names = [].concat(role || []);
+        const known = Object.keys(ROLES).filter(name => names.includes(name));
+        return known.length > 0 ? known[known.length - 1] : DEFAULT_ROLE;
+    }
+
+    /**
+     * @param {string} permission - e.g. 'batch.run' (see roles in config/auth.js)
+     * @returns {boolean} Whether the signed-in user's role grants it
+     */
+    function hasPermission(permission) {
+        const user = getCurrentUser();
+        return Boolean(user) && user.permissions.includes(permission);
+    }
+
+    // ============================================================
+    // AUDIT LOG & CROSS-TAB EVENTS
+    // ============================================================
+
+    /**
+     * Sign-ins, failed attempts, sign-outs and expiries in this browser
+     * @returns {Array} [{ time, type, username, ...details }], oldest first
+     */
+    function getAuditLog() {
         try {
-            const session = JSON.parse(sessionData);
-            
-            if (!session.username || !session.loginTime) {
-                console.log('Invalid session structure');
-                clearSession();
-                return null;
+            return JSON.parse(localStorage.getItem(AUDIT_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {string} type - 'login', 'login_failed', 'logout' or 'expired'
+     * @param {string} username
+     * @param {Object} details - Extra fields (provider, reason, …)
+     */
+    function audit(type, username, details = {}) {
+        const log = getAuditLog();
+        log.push({ time: new Date().toISOString(), type, username: username || null, ...details });
+        try {
+            localStorage.setItem(AUDIT_KEY, JSON.stringify(log.slice(-AUDIT_LIMIT)));
+        } catch (e) {
+            console.warn('Could not write the audit log:', e.message);
+        }
+    }
+
+    // Other tabs get a storage event; the time makes every write a change
+    function broadcast(type, username) {
+        localStorage.setItem(EVENT_KEY, JSON.stringify({ type, username, time: Date.now() }));
+    }
+
+    /**
+     * Follow sign-ins, sign-outs and expiries made in other tabs
+     * A sign-out elsewhere also ends this tab's own session when it is kept
+     * in sessionStorage ("Remember me" off).
+     * @param {Function} listener - Receives { type, username, time }
+     */
+    function onChange(listener) {
+        window.addEventListener('storage', function(event) {
+            if (event.key !== EVENT_KEY || !event.newValue) return;
+
+            let change;
+            try {
+                change = JSON.parse(event.newValue);
+            } catch (e) {
+                return;
             }
-            
-            const loginTime = new Date(session.loginTime);
-            const now = new Date();
-            const hoursSinceLogin = (now - loginTime) / (1000 * 60 * 60);
-            
-            if (hoursSinceLogin > SESSION_EXPIRY_HOURS) {
-                console.log('Session expired');
-                clearSession();
-                return null;
+            if (change.type === 'logout') {
+                sessionStorage.removeItem(SESSION_KEY);
             }
-            
-            console.log('Valid session found:', session.username);
-            return session;
-            
+            listener(change);
+        });
+    }
+
+    // ============================================================
+    // SESSION API
+    // ============================================================
+
+    function readSession() {
+        const sessionData = localStorage.getItem(SESSION_KEY) || 
+                           sessionStorage.getItem(SESSION_KEY);
+        return sessionData ? JSON.parse(sessionData) : null;
+    }
+
+    function writeSession(session) {
+        const storage = session.rememberMe ? localStorage : sessionStorage;
+        storage.setItem(SESSION_KEY, JSON.stringify(session));
+    }
+
+    /**
+     * When and why a session ends: maxHours after sign-in, or idleMinutes
+     * after its last activity (sliding; 0 = no idle timeout)
+     * @param {Object} session
+     * @returns {Object} { at (epoch ms), reason: 'idle' | 'max_age' }
+     */
+    function sessionDeadline(session) {
+        const maxAge = Date.parse(session.loginTime) + SESSION.maxHours * 3600000;
+        const idle = SESSION.idleMinutes > 0
+            ? Date.parse(session.lastActivity || session.loginTime) + SESSION.idleMinutes * 60000
+            : Infinity;
+        return idle < maxAge ? { at: idle, reason: 'idle' } : { at: maxAge, reason: 'max_age' };
+    }
+
+    function startSession(result, rememberMe) {
+        const now = new Date().toISOString();
+        const sessionData = {
+            username: result.username,
+            loginTime: now,
+            lastActivity: now,
+            rememberMe: rememberMe,
+            provider: provider.id,
+            role: resolveRole(result.role),
+            claims: result.claims || {},
+            ...(result.idToken ? { idToken: result.idToken } : {})
+        };
+
+        writeSession(sessionData);
+        audit('login', sessionData.username, { provider: provider.id, role: sessionData.role });
+        broadcast('login', sessionData.username);
+        return sessionData;
+    }
+
+    /**
+     * Sign in
+     * Password providers check the credentials; redirect providers leave
+     * the page for the identity provider (see completeLogin).
+     * @returns {Promise<Object>} { success, message, user, role, retryAfter, redirecting }
+     */
+    async function login(username, password, rememberMe = false) {
+        if (provider.redirect) {
+            try {
+                await provider.beginLogin({ rememberMe });
+            } catch (error) {
+                console.error('Login failed:', error);
+                audit('login_failed', null, { provider: provider.id, reason: 'redirect' });
+                return { success: false, message: error.message };
+            }
+            return { success: true, redirecting: true, message: `Redirecting to ${provider.name}...` };
+        }
+
+        if (!username || !password) {
+            return { success: false, message: 'Username and password are required' };
+        }
+
+        const wait = lockoutRemaining(username);
+        if (wait > 0) {
+            audit('login_failed', username, { provider: provider.id, reason: 'locked' });
+            return { success: false, retryAfter: wait, message: `Too many failed attempts. Try again in ${formatWait(wait)}.` };
+        }
+
+        let result;
+        try {
+            result = await provider.authenticate(username, password);
+        } catch (error) {
+            console.error('Login failed:', error);
+            return { success: false, message: error.message };
+        }
+
+        if (!result.success) {
+            const lockedFor = recordFailure(username);
+            audit('login_failed', username, { provider: provider.id, reason: 'credentials', ...(lockedFor > 0 ? { lockedFor } : {}) });
+            return lockedFor > 0
+                ? { success: false, retryAfter: lockedFor, message: `Invalid username or password. Sign-in is locked for ${formatWait(lockedFor)}.` }
+                : { success: false, message: 'Invalid username or password' };
+        }
+
+        clearFailures(username);
+        startSession(result, rememberMe);
+        console.log('Login successful:', result.username);
+
+        return { success: true, message: 'Login successful', user: result.username, role: resolveRole(result.role) };
+    }
+
+    /**
+     * Finish a redirect sign-in when the page is the provider's callback
+     * @returns {Promise<Object|null>} Same shape as login(), or null when
+     *                                 there is no sign-in to complete
+     */
+    async function completeLogin() {
+        if (!provider.redirect) return null;
+
+        let result;
+        try {
+            result = await provider.completeLogin(window.location.href);
+        } catch (error) {
+            console.error('Login failed:', error);
+            result = { success: false, message: error.message };
+        }
+        if (!result) return null;
+
+        // Keep the code out of the history and bookmarks
+        window.history.replaceState(null, '', window.location.pathname);
+        if (!result.success) {
+            audit('login_failed', null, { provider: provider.id, reason: result.message });
+            return { success: false, message: result.message };
+        }
+
+        startSession(result, result.rememberMe);
+        console.log('Login successful:', result.username);
+        return { success: true, message: 'Login successful', user: result.username, role: resolveRole(result.role) };
+    }
+
+    function checkAuth() {
+        let session;
+        try {
+            session = readSession();
         } catch (e) {
             console.error('Error parsing session:', e);
             clearSession();
             return null;
         }
+
+        if (!session) {
+            return null;
+        }
+
+        if (!session.username || !session.loginTime) {
+            console.log('Invalid session structure');
+            clearSession();
+            return null;
+        }
+
+        const deadline = sessionDeadline(session);
+        if (Date.now() >= deadline.at) {
+            console.log(`Session expired (${deadline.reason})`);
+            clearSession();
+            audit('expired', session.username, { provider: session.provider, reason: deadline.reason });
+            broadcast('expired', session.username);
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Slide the idle timeout forward
+     * @param {boolean} force - Write even if the last write was recent
+     */
+    function extendSession(force = false) {
+        const session = checkAuth();
+        if (!session) return;
+
+        const lastActivity = Date.parse(session.lastActivity || session.loginTime);
+        if (force || Date.now() - lastActivity >= ACTIVITY_WRITE_MS) {
+            session.lastActivity = new Date().toISOString();
+            writeSession(session);
+        }
+    }
+
+    /**
+     * Watch for inactivity on a protected page
+     * Activity in the page extends the session. Sessions shared through
+     * localStorage also stay alive while another tab is in use.
+     * @param {Object} handlers
+     *   onWarning(secondsLeft, reason) - every second of the last warningSeconds
+     *   onActive()                     - the session was extended after a warning
+     *   onExpired(reason)              - the session has ended
+     * @returns {Function} Stops watching
+     */
+    function watchSession(handlers = {}) {
+        let lastEvent = 0;
+        let warned = false;
+        let deadline = null;
+
+        function activity() {
+            // mousemove fires continuously; the session is checked once a second at most
+            if (Date.now() - lastEvent < 1000) return;
+            lastEvent = Date.now();
+            extendSession();
+        }
+
+        function tick() {
+            const session = checkAuth();
+            if (!session) {
+                stop();
+                // Past the deadline we saw last: expired; otherwise signed out
+                const reason = deadline && Date.now() >= deadline.at ? deadline.reason : 'logout';
+                if (handlers.onExpired) handlers.onExpired(reason);
+                return;
+            }
+
+            deadline = sessionDeadline(session);
+            const secondsLeft = Math.ceil((deadline.at - Date.now()) / 1000);
+            if (secondsLeft <= SESSION.warningSeconds) {
+                warned = true;
+                if (handlers.onWarning) handlers.onWarning(secondsLeft, deadline.reason);
+            } else if (warned) {
+                warned = false;
+                if (handlers.onActive) handlers.onActive();
+            }
+        }
+
+        function stop() {
+            clearInterval(timer);
+            ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, activity));
+        }
+
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, activity, { passive: true }));
+        const timer = setInterval(tick, 1000);
+        return stop;
     }
-    
-    function logout() {
+
+    async function logout() {
         console.log('Logging out');
+        const session = checkAuth();
         clearSession();
-        window.location.replace('index.html');
+        if (session) {
+            audit('logout', session.username, { provider: session.provider });
+            broadcast('logout', session.username);
+        }
+
+        let target = null;
+        if (session && session.provider === provider.id && provider.logoutUrl) {
+            try {
+                if (provider.metadata) await provider.metadata();
+                target = provider.logoutUrl(session);
+            } catch (e) {
+                console.warn('Could not reach the identity provider to sign out there:', e.message);
+            }
+        }
+        window.location.replace(target || 'index.html');
     }
-    
+
     function clearSession() {
         localStorage.removeItem(SESSION_KEY);
         sessionStorage.removeItem(SESSION_KEY);
-        sessionStorage.removeItem('redirecting');
         console.log('Session cleared');
     }
-    
+
     function requireAuth() {
         console.log('Checking authentication for protected page');
         
-        // Prevent redirect loop
-        if (sessionStorage.getItem('redirecting')) {
-            sessionStorage.removeItem('redirecting');
-        }
-        
         const session = checkAuth();
         if (!session) {
             console.log('Not authenticated, redirecting to login');
@@ -103,49 +670,56 @@ const SatelliteAuth = (function() {
         console.log('Authentication verified');
         return session;
     }
-    
+
     function redirectIfAuthenticated() {
-        // Don't check if we're currently redirecting
-        if (sessionStorage.getItem('redirecting')) {
-            console.log('Redirect in progress, skipping check');
-            return false;
-        }
-        
         const session = checkAuth();
         if (session) {
             console.log('Already authenticated, redirecting to dashboard');
-            sessionStorage.setItem('redirecting', 'true');
-            
-            // Use setTimeout to ensure storage is set before redirect
-            setTimeout(function() {
-                window.location.replace('dashboard.html');
-            }, 100);
-            
+            window.location.replace('dashboard.html');
             return true;
         }
         
         console.log('Not authenticated, staying on login page');
         return false;
     }
-    
+
     function getCurrentUser() {
         const session = checkAuth();
-        return session ? {
+        if (!session) return null;
+
+        // Sessions from before roles existed get the default role
+        const role = resolveRole(session.role);
+        return {
             username: session.username,
-            loginTime: session.loginTime
-        } : null;
+            loginTime: session.loginTime,
+            role: role,
+            permissions: (ROLES[role] || []).slice()
+        };
     }
-    
+
     return {
         login: login,
+        completeLogin: completeLogin,
         logout: logout,
         checkAuth: checkAuth,
         requireAuth: requireAuth,
         redirectIfAuthenticated: redirectIfAuthenticated,
         getCurrentUser: getCurrentUser,
-        clearSession: clearSession
+        hasPermission: hasPermission,
+        extendSession: extendSession,
+        watchSession: watchSession,
+        onChange: onChange,
+        getAuditLog: getAuditLog,
+        clearSession: clearSession,
+        lockoutRemaining: lockoutRemaining,
+        useProvider: useProvider,
+        getProvider: getProvider,
+        providers: {
+            local: localProvider,
+            oidc: oidcProvider
+        }
     };
-    
+
 })();
 
 window.SatelliteAuth = SatelliteAuth;
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+// bin/satclass.js
+// ============================================================
+// Headless Satellite Classifier
+// Classifies a CSV, JSON or NDJSON file (or stdin) with the same
+// modules the dashboard uses and writes CSV, JSON or NDJSON.
+// Exit status: 0 = every row classified, 1 = some rows failed
+// validation, 2 = usage, input or model error
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// The browser modules refer to each other as globals
+const { MODEL_CONFIG, SCALER_PARAMS, CONSTANTS } = require('../js/model_config.js');
+global.InputSchema = require('../js/input_schema.js');
+global.SatelliteClassifier = require('../js/prediction_engine.js');
+global.CSVParser = require('../js/csv_parser.js');
+global.ColumnMapper = require('../js/column_mapper.js');
+const ModelExplainer = require('../js/explainability.js');
+const RandomForestModel = require('../js/random_forest.js');
+const PMMLModel = require('../js/pmml_model.js');
+
+const EXIT_OK = 0;
+const EXIT_ROWS_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+// Failed rows listed on stderr; the rest are only counted
+const MAX_REPORTED_ERRORS = 20;
+
+const USAGE = `Usage: satclass predict [input] [options]
+
+Classify every row of a CSV, JSON or NDJSON file. Reads stdin when the
+input is omitted or "-".
+
+Options:
+  -f, --format <csv|json|ndjson>   Output format (default: from --output, else csv)
+  -i, --input-format <csv|json|ndjson>
+                                   Input format (default: from the file name, else detected)
+  -o, --output <file>              Write results to a file instead of stdout
+  -d, --delimiter <char>           CSV input delimiter (default: detected)
+  -e, --explain                    Add the rule-trace explanation and Shapley contributions
+  -s, --summary                    Print a JSON summary to stderr
+  -m, --model <file>               Score with a Random Forest dump (.json) or PMML model (.pmml)
+  -q, --quiet                      Do not list failed rows on stderr
+  -h, --help                       Show this help
+
+Exit status: 0 = every row classified, 1 = some rows failed validation,
+2 = usage, input or model error.`;
+
+/**
+ * Parse the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        input: '-',
+        format: null,
+        inputFormat: null,
+        output: null,
+        delimiter: null,
+        explain: false,
+        summary: false,
+        model: null,
+        quiet: false,
+        help: false
+    };
+    const valueOptions = {
+        '-f': 'format', '--format': 'format',
+        '-i': 'inputFormat', '--input-format': 'inputFormat',
+        '-o': 'output', '--output': 'output',
+        '-d': 'delimiter', '--delimiter': 'delimiter',
+        '-m': 'model', '--model': 'model'
+    };
+    const flags = {
+        '-e': 'explain', '--explain': 'explain',
+        '-s': 'summary', '--summary': 'summary',
+        '-q': 'quiet', '--quiet': 'quiet',
+        '-h': 'help', '--help': 'help'
+    };
+    const positional = [];
+
+    for (let idx = 0; idx < argv.length; idx++) {
+        const [arg, inlineValue] = argv[idx].startsWith('--') && argv[idx].includes('=')
+            ? [argv[idx].slice(0, argv[idx].indexOf('=')), argv[idx].slice(argv[idx].indexOf('=') + 1)]
+            : [argv[idx], undefined];
+
+        if (valueOptions[arg]) {
+            const value = inlineValue ?? argv[++idx];
+            if (value === undefined) throw new Error(`${arg} needs a value`);
+            options[valueOptions[arg]] = value;
+        } else if (flags[arg]) {
+            options[flags[arg]] = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    [options.command, options.input = '-'] = positional;
+    if (positional.length > 2) {
+        throw new Error(`Only one input file can be given (got ${positional.length - 1})`);
+    }
+    for (const key of ['format', 'inputFormat']) {
+        if (options[key] && !FORMATS.includes(options[key])) {
+            throw new Error(`Unknown format "${options[key]}" (expected ${FORMATS.join(', ')})`);
+        }
+    }
+    if (options.delimiter === '\\t') options.delimiter = '\t';
+    return options;
+}
+
+/**
+ * Format implied by a file name
+ * @param {string} fileName - File name, or null
+ * @returns {string|null} 'csv', 'json', 'ndjson' or null
+ */
+function formatFromName(fileName) {
+    const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+    return {
+        '.csv': 'csv', '.tsv': 'csv', '.txt': 'csv',
+        '.json': 'json',
+        '.ndjson': 'ndjson', '.jsonl': 'ndjson'
+    }[extension] || null;
+}
+
+/**
+ * Guess the format of input text
+ * @param {string} text - Input
+ * @returns {string} 'json' for a JSON document, 'ndjson' for one object per line, else 'csv'
+ */
+function detectFormat(text) {
+    const start = text.trimStart();
+    if (start.startsWith('[')) return 'json';
+    if (!start.startsWith('{')) return 'csv';
+    try {
+        JSON.parse(start);
+        return 'json';
+    } catch (error) {
+        return 'ndjson';
+    }
+}
+
+/**
+ * Turn input text into records
+ * Every record is { line, input, extra, error }. `input` is keyed by
+ * the file's own names; SatelliteClassifier.predict maps them through
+ * InputSchema. `extra` holds the CSV columns that match no field.
+ * @param {string} text - Input
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @param {Object} options - { delimiter }
+ * @returns {Object} { records, extraNames }
+ */
+function readRecords(text, format, options = {}) {
+    if (format === 'json') {
+        const document = JSON.parse(text);
+        const rows = Array.isArray(document) ? document : document.rows || [document];
+        return {
+            records: rows.map((input, idx) => ({ line: idx + 1, input })),
+            extraNames: []
+        };
+    }
+
+    if (format === 'ndjson') {
+        const records = [];
+        text.split(/\r?\n/).forEach((line, idx) => {
+            if (line.trim() === '') return;
+            try {
+                records.push({ line: idx + 1, input: JSON.parse(line) });
+            } catch (error) {
+                records.push({ line: idx + 1, input: {}, error: `Invalid JSON: ${error.message}` });
+            }
+        });
+        return { records, extraNames: [] };
+    }
+
+    const mapping = ColumnMapper.inspect(text.slice(0, 64 * 1024), { delimiter: options.delimiter });
+    const mappingErrors = ColumnMapper.validate(mapping.columns);
+    if (mappingErrors.length > 0) {
+        throw new Error(mappingErrors.join('; '));
+    }
+
+    const rows = CSVParser.parse(text, { delimiter: mapping.delimiter });
+    const fields = Object.entries(mapping.columns).filter(([, index]) => index >= 0);
+    // Files that are not comma-delimited may use a decimal comma
+    const decimal = value => mapping.delimiter === ',' ? value : value.replace(',', '.');
+
+    return {
+        records: (mapping.hasHeader ? rows.slice(1) : rows).map(row => {
+            const input = {};
+            for (const [name, index] of fields) {
+                const value = (row.fields[index] ?? '').trim();
+                input[name] = InputSchema.NUMERIC.has(name) ? decimal(value) : value;
+            }
+            return {
+                line: row.line,
+                input,
+                extra: mapping.passThrough.map(column => row.fields[column.index] ?? '')
+            };
+        }),
+        extraNames: mapping.passThrough.map(column => column.name)
+    };
+}
+
+/**
+ * Load a trained model from disk
+ * @param {string} fileName - Random Forest JSON dump or PMML document
+ * @returns {RandomForestModel|PMMLModel} Model for SatelliteClassifier.setModel
+ */
+function loadModel(fileName) {
+    const text = fs.readFileSync(fileName, 'utf8');
+    return path.extname(fileName).toLowerCase() === '.pmml'
+        ? PMMLModel.fromXML(text, MODEL_CONFIG)
+        : RandomForestModel.fromJSON(JSON.parse(text), MODEL_CONFIG);
+}
+
+/**
+ * Explanation of one prediction, as plain text and per-feature Shapley values
+ * @param {ModelExplainer} explainer - Explainer bound to the classifier
+ * @param {Object} result - SatelliteClassifier.predict output
+ * @returns {Object} { text, baseline, contributions } for the predicted class
+ */
+function explain(explainer, result) {
+    const shapley = explainer.explainInstance(result.rawFeatures);
+    return {
+        text: explainer.generateTextExplanation(result).replace(/<[^>]+>/g, '').trim(),
+        baseline: shapley.baseline[result.prediction],
+        contributions: Object.fromEntries(shapley.features.map(feature => [
+            feature.featureKey,
+            feature.contributions[result.prediction]
+        ]))
+    };
+}
+
+/**
+ * Classify every record and write the results
+ * @param {Object} options - Output of parseArgs()
+ * @param {Object} io - { readInput(name), writeOutput(name, text), error(text) }
+ * @returns {number} Exit status
+ */
+function predict(options, io) {
+    const startTime = Date.now();
+    const text = io.readInput(options.input);
+    const inputFormat = options.inputFormat || formatFromName(options.input) || detectFormat(text);
+    const format = options.format || formatFromName(options.output) || 'csv';
+    const { records, extraNames } = readRecords(text, inputFormat, options);
+
+    const classifier = new SatelliteClassifier(MODEL_CONFIG, SCALER_PARAMS, CONSTANTS);
+    if (options.model) {
+        classifier.setModel(loadModel(options.model));
+    }
+    const explainer = options.explain ? new ModelExplainer(MODEL_CONFIG, classifier) : null;
+
+    // Rows that could not be read are failed without being classified
+    const readable = records.filter(record => !record.error);
+    const outcomes = new Map(classifier.predictBatch(readable.map(record => record.input))
+        .map(outcome => [readable[outcome.index], outcome]));
+
+    const labels = [...classifier.classIds, MODEL_CONFIG.unknownClass];
+    const summary = {
+        input: options.input === '-' ? 'stdin' : options.input,
+        inputFormat,
+        rows: records.length,
+        succeeded: 0,
+        failed: 0,
+        classCounts: Object.fromEntries(labels.map(label => [label, 0])),
+        avgConfidence: 0,
+        errors: []
+    };
+
+    const rows = records.map(record => {
+        const outcome = outcomes.get(record);
+        const error = record.error || (outcome.success ? undefined : outcome.error);
+        const result = error ? {} : outcome.result;
+        if (error) {
+            summary.failed++;
+            if (summary.errors.length < MAX_REPORTED_ERRORS) {
+                summary.errors.push(`Line ${record.line}: ${error}`);
+            }
+        } else {
+            summary.succeeded++;
+            summary.classCounts[result.prediction]++;
+            summary.avgConfidence += result.confidence;
+        }
+
+        return {
+            record,
+            result,
+            output: InputSchema.outputRecord(record.input, result, { line: record.line, error }),
+            explanation: explainer && !error ? explain(explainer, result) : undefined
+        };
+    });
+
+    summary.avgConfidence = summary.succeeded > 0 ? summary.avgConfidence / summary.succeeded : 0;
+    summary.elapsedMs = Date.now() - startTime;
+
+    io.writeOutput(options.output, formatRows(rows, format, extraNames));
+
+    if (!options.quiet && summary.failed > 0) {
+        io.error(summary.errors.join('\n') +
+            (summary.failed > summary.errors.length
+                ? `\n... and ${summary.failed - summary.errors.length} more failed rows` : '') + '\n');
+    }
+    if (options.summary) {
+        io.error(JSON.stringify(summary, null, 2) + '\n');
+    }
+    return summary.failed > 0 ? EXIT_ROWS_FAILED : EXIT_OK;
+}
+
+/**
+ * Serialize results
+ * CSV has the dashboard's export columns (InputSchema.OUTPUT_COLUMNS),
+ * then pass-through columns, then the explanation when requested.
+ * JSON and NDJSON records also carry the class probabilities.
+ * @param {Array} rows - { record, result, output, explanation }
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @param {Array} extraNames - CSV pass-through column names
+ * @returns {string} Output text
+ */
+function formatRows(rows, format, extraNames) {
+    const explained = rows.some(row => row.explanation);
+
+    if (format === 'csv') {
+        const explanationNames = explained
+            ? ['explanation', ...InputSchema.INPUT_NAMES.map(name => `shap_${name}`)]
+            : [];
+        const lines = rows.map(row => {
+            const explanation = row.explanation;
+            const explanationValues = !explained ? [] : explanation
+                ? [explanation.text, ...InputSchema.INPUT_NAMES.map(name => explanation.contributions[name].toFixed(4))]
+                : explanationNames.map(() => '');
+            return InputSchema.csvRow(row.output, [...(row.record.extra || []), ...explanationValues]);
+        });
+        return [InputSchema.csvHeader([...extraNames, ...explanationNames]), ...lines].join('\n') + '\n';
+    }
+
+    const objects = rows.map(row => {
+        const object = {};
+        for (const [name, value] of Object.entries(row.output)) {
+            if (value !== undefined) object[name] = value;
+        }
+        if (row.result.probabilities) object.probabilities = row.result.probabilities;
+        extraNames.forEach((name, idx) => {
+            object[name] = row.record.extra[idx];
+        });
+        if (row.explanation) object.explanation = row.explanation;
+        return object;
+    });
+
+    return format === 'json'
+        ? JSON.stringify(objects, null, 2) + '\n'
+        : objects.map(object => JSON.stringify(object)).join('\n') + '\n';
+}
+
+/**
+ * @param {Array} argv - Arguments after the script name
+ * @param {Object} io - File access; readInput('-') reads stdin and
+ *                      writeOutput(null, text) writes stdout
+ * @returns {number} Exit status
+ */
+function main(argv, io) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        io.error(`satclass: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    if (options.help || !options.command) {
+        if (options.help) io.writeOutput(null, USAGE + '\n'); else io.error(USAGE + '\n');
+        return options.help ? EXIT_OK : EXIT_ERROR;
+    }
+    if (options.command !== 'predict') {
+        io.error(`satclass: unknown command "${options.command}"\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        return predict(options, io);
+    } catch (error) {
+        io.error(`satclass: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2), {
+        readInput: name => fs.readFileSync(name === '-' ? 0 : name, 'utf8').replace(/^\uFEFF/, ''),
+        writeOutput: (name, text) => name ? fs.writeFileSync(name, text) : process.stdout.write(text),
+        error: text => process.stderr.write(text)
+    });
+}
+
+module.exports = { parseArgs, readRecords, detectFormat, formatRows, main };
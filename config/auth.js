@@ -0,0 +1,56 @@
+// config/auth.js
+// ============================================================
+// Sign-in settings for SatelliteAuth (assets/js/auth.js)
+//   provider: 'local' checks config/users.js in the browser;
+//             'oidc' signs in at an OpenID Connect provider with the
+//             authorization-code flow and PKCE
+// Try the OIDC flow against the mock provider in tools/mock_idp.js:
+//   node tools/mock_idp.js   then set provider to 'oidc'
+// ============================================================
+
+const SATELLITE_AUTH_CONFIG = {
+    provider: 'local',
+
+    // Sessions end idleMinutes after the last activity in any tab (0 = no
+    // idle timeout) and maxHours after sign-in; the dashboard warns
+    // warningSeconds before
+    session: {
+        idleMinutes: 30,
+        warningSeconds: 60,
+        maxHours: 24
+    },
+
+    // Progressive lockout: after `freeAttempts` failures for a username,
+    // each further failure locks it for baseSeconds, doubling up to maxSeconds
+    lockout: {
+        freeAttempts: 3,
+        baseSeconds: 30,
+        maxSeconds: 900
+    },
+
+    // Permissions of each role, least to most privileged. Accounts carry a
+    // role (config/users.js, or the OIDC roleClaim); unknown or missing roles
+    // get defaultRole
+    roles: {
+        viewer: [],
+        analyst: ['batch.run', 'export', 'history.view'],
+        admin: ['batch.run', 'export', 'history.view', 'history.retention', 'history.clear', 'model.switch']
+    },
+    defaultRole: 'viewer',
+
+    oidc: {
+        name: 'Mock IdP',
+        issuer: 'http://127.0.0.1:9400',
+        clientId: 'satellite-dashboard',
+        scope: 'openid profile',
+        // ID token claim holding the role name (or a list of role names)
+        roleClaim: 'role',
+        // Defaults to index.html next to the current page
+        redirectUri: null
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SATELLITE_AUTH_CONFIG;
+}
@@ -0,0 +1,17 @@
+// config/users.js
+// ============================================================
+// Accounts of SatelliteAuth's local provider. Passwords are stored
+// as salted PBKDF2-SHA-256 hashes, never in clear text.
+// Managed with tools/hash_password.js; do not edit by hand.
+// ============================================================
+
+const SATELLITE_USERS = {
+    'demo': { role: 'viewer', salt: 'nY7H1DF2eg/A6CKHjzMSVQ==', iterations: 600000, hash: 'a8KvGrNWMPtldn049taNn3fKtzcrRLerIf4KNPG9V3M=' },
+    'admin': { role: 'admin', salt: 'lLVgVEjmFl4LDhIPFfnHdw==', iterations: 600000, hash: '5ORtHTTcmCnHA+MWsPq8OlgRqh61sd2alJBwb0Rj5IM=' },
+    'mauro': { role: 'analyst', salt: 'LP+n94p+x9o2oNmPEIsd4Q==', iterations: 600000, hash: 'VFa0LJuignkufxWaREia8FyuXGnCVNe7xwEi/hwAwXU=' }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SATELLITE_USERS;
+}
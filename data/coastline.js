@@ -0,0 +1,70 @@
+// data/coastline.js
+// ============================================================
+// Land and lake outlines for GroundTrackMap, as rings of
+// [lon, lat, lon, lat, …] in degrees. Lakes are drawn over the land.
+// A hand-simplified outline written for this repository, accurate to
+// about 1°. It was not generated by tools/build_coastline.js and is not
+// Natural Earth data; run that tool on Natural Earth to replace it.
+// ============================================================
+
+const COASTLINE = {
+    source: 'Hand-simplified world outline, accurate to about 1°',
+    tolerance: 0,
+    land: [
+        [-168,65.6,-166,68.9,-163,70.3,-156.5,71.3,-152,70.8,-145,70.1,-141,69.7,-136,69,-131,69.8,-127,70.2,-121,69.5,-115,68.7,-110,68,-103,68,-98,67.8,-94,68.5,-90,68.8,-87,67.5,-85,69.7,-81.5,68.5,-82.5,66.5,-86,64.5,-88.5,64,-92.5,62.5,-94.5,60,-94,58.7,-92.5,57,-88,56,-82.5,55.2,-82,53,-80,51.3,-79,52.5,-79,54.5,-77,55.5,-76.5,58,-78,60.5,-77.5,62.4,-73,62,-70,61,-67.5,58.5,-64.5,60.3,-62,57.5,-60,55.3,-57,53.5,-56,52,-60,50.2,-66,50.2,-69,48.5,-64.5,48.8,-64.8,47,-61,45.8,-60,45.9,-63.5,44.6,-66,43.6,-67,44.8,-70,43.7,-70.6,42,-70,41.7,-72,41.1,-74,40.5,-74,39.2,-75.5,38.5,-75.9,37,-75.5,35.2,-77.8,34,-79,33.2,-81,31.5,-81.3,30,-80.1,26.8,-80.4,25.2,-81.3,25.5,-82.7,27.5,-83.6,29.9,-85.3,29.7,-88,30.4,-89.5,30.2,-89.2,29,-91,29.3,-94,29.6,-97.2,27.7,-97.5,25.8,-97.7,22.5,-96,19.5,-94.5,18.2,-91.5,18.5,-90.5,21,-87,21.5,-87.5,19,-88.2,15.8,-84,15.9,-83.2,15,-83.7,11,-81.6,9,-79.5,9.6,-77.4,8.6,-77.9,7.3,-80,7.3,-82,8.2,-85.7,10,-87.5,13.2,-91.5,14,-94,16,-96.5,15.7,-100,17,-105.5,20,-105.3,21.8,-106.5,23.2,-109.4,26.7,-110.5,27.9,-112.8,31.5,-114.7,31.7,-113,28.9,-110.3,24.3,-109.5,23,-112,24.8,-114.2,28,-116.5,31.8,-117.1,32.5,-118.5,34,-120.6,34.6,-122.5,37.5,-124,40.3,-124.5,43,-124,46.2,-124.7,48.4,-127.5,50.5,-130,54.5,-134,58,-137,58.5,-140,59.8,-144,60,-146.5,60.7,-148.5,59.9,-151.8,59.2,-151,61,-154,59.2,-154,58,-158,56.5,-162,55,-164.7,54.5,-161,56,-157.5,58.6,-162,58.7,-164.5,60,-165.5,61.5,-164.5,63.2,-161,64.5,-163.5,64.5,-166.5,64.6],
+        [-61.9,66.9,-64.6,63.5,-65.5,62,-71,62.8,-74.5,64.6,-78,64.5,-73,67.5,-77.5,70,-83,70.5,-89.5,71.5,-88,73.5,-80,73.7,-76,72.5,-70,70.5,-67,69],
+        [-119,71.5,-115,73.3,-104.5,73,-101.5,70,-106,69,-113,68.5,-118,69.2],
+        [-125.5,71.9,-124.5,74.3,-120,74.4,-117.5,73,-120.5,71.4],
+        [-90,77,-80,76.3,-74.5,78.5,-71,79.8,-62,82,-70,83,-90,81.5,-96,80,-92,78],
+        [-80,74.5,-92,74.6,-92,76.3,-86,76.6,-80,76.1],
+        [-86,63.5,-80.5,63.8,-83,65.5,-87,65.5],
+        [-59.4,47.6,-56.3,51.6,-55.4,51.5,-53.5,49.5,-52.7,47.6,-53.6,46.6,-55.9,47.1],
+        [-73,78.5,-66,80.7,-60,82,-40,83.6,-20,83,-12,81.5,-18,79,-19,76,-22,72.5,-22,70.5,-26,68.5,-31,68,-38,65.5,-41,63,-43,60,-48,61,-50.5,64,-52,67,-53.5,68.5,-51,70,-55,71.5,-58,75.5,-62,76.1,-68,77],
+        [-24,65.5,-22,66.4,-16,66.5,-13.5,65.2,-15,64.2,-19,63.4,-22.5,63.8,-24,64.8],
+        [-84.9,21.9,-83,23,-80,23.1,-76.5,21.2,-74.1,20.2,-77.7,19.8,-78.5,21.6,-81.8,22.2],
+        [-74.4,18.5,-72.8,19.9,-69.9,19.6,-68.3,18.6,-71.3,17.6],
+        [-77.4,8.6,-75.5,10.5,-73,11.5,-72,12.3,-71.5,11,-70.2,11.6,-68,10.5,-64,10.6,-62,10.7,-60.8,8.5,-58,6.8,-54,5.8,-51.5,4.3,-50,1.8,-49.5,0,-48,-1,-44.5,-2.5,-41,-2.9,-38,-3.8,-35.2,-5.3,-34.8,-7.5,-35.2,-9,-37,-11,-39,-13.5,-39,-17.5,-40,-20,-41,-22,-43,-23,-45,-23.7,-48.5,-26.2,-48.6,-28.5,-50.5,-31,-52.5,-33.3,-53.5,-34,-55,-35,-57.5,-36.2,-57.5,-38.3,-62,-38.8,-62.3,-40.6,-65,-41,-64.5,-42.5,-65,-45,-67.5,-46.5,-65.8,-47.8,-68.3,-50.2,-69,-52,-67.8,-54,-65.2,-54.9,-68,-55.6,-71.5,-53.8,-74.5,-52.5,-75.5,-48.7,-74,-46.5,-74,-44,-73.7,-41.5,-73.5,-37.5,-71.5,-33,-71.4,-29,-70.5,-25,-70.2,-20,-70.3,-18.4,-75,-15.3,-77,-12,-79.5,-7.5,-81.2,-5.5,-80,-2.5,-80.9,-1,-80,0.8,-79,1.5,-77.8,3.9,-77.3,6.5,-77.9,7.3],
+        [-5.9,35.8,-2,35.1,3,36.8,8.6,36.9,10.2,37.2,11.1,36.8,10.1,34.3,11.5,33.1,15.2,32.3,19,30.3,20,32,23,32.6,25,31.7,29,30.9,32.3,31.3,34.2,31.3,34.9,29.5,33.6,27.9,34,26.6,35.6,23.8,37.2,21,38.5,18,39.7,15.2,41.5,13.5,43.3,12.5,44,10.5,45,10.4,49,11.3,51.3,11.8,51,10.4,49,6,47.9,4.5,45.4,2,42,-0.5,40.5,-2.5,39.3,-4.8,39.3,-6.8,39.7,-10,40.5,-11,40.5,-15,37,-17.5,35.3,-22.2,35.5,-24,33,-25.9,32.8,-28.5,31,-29.9,28,-33,25.6,-33.9,22,-34.2,20,-34.8,18.4,-34.2,17.9,-32,15.3,-27,14.5,-22.9,11.8,-17.3,12.3,-13.5,13.5,-11,13,-8.8,12.2,-5.9,11.1,-3.9,9.3,-0.7,9.5,2.9,8.5,4.6,6,4.3,4.5,6.4,1.5,6.2,-2,4.8,-4.5,5.2,-7.5,4.4,-10.5,6.5,-12.5,7.5,-13.3,9,-15,10.8,-16.7,12.4,-17.5,14.7,-16.5,16.5,-16.2,19.5,-17,21,-16,23.8,-14.5,26.1,-12.9,27.9,-9.8,29.6,-9.8,31.5,-8.5,33.3,-6.8,34.1],
+        [49.3,-12,50.3,-15.7,49.4,-17.9,47.5,-24.7,45.2,-25.6,43.7,-23.6,43.3,-21.9,44.4,-19.5,44.1,-16.3,46.3,-15.7,48,-13.5],
+        [-5.6,36,-6.3,36.8,-7.4,37.2,-8.9,37,-8.8,38.7,-9.5,39.4,-8.9,41.5,-9.3,43,-8,43.7,-4,43.4,-1.8,43.4,-1.2,46,-2.2,47.2,-4.7,48.5,-1.6,48.7,-1.8,49.7,0,49.4,1.6,50.5,3,51.2,4.5,52.5,4.8,53,7,53.5,8.6,53.9,8.6,55.3,8.1,56.8,10.5,57.7,10.5,56.5,10,55,10.9,54,13.5,54.2,14.2,53.9,18,54.8,19.7,54.4,21.1,55.7,21,56.8,23.5,57.2,24.3,57.2,23.5,59.2,28,59.5,30,59.9,26,60.4,22.9,59.8,21.3,60.9,21.5,63,25,65,24.5,65.8,22,65.5,21,64.1,17.5,62.4,17.2,60.6,18.6,59.5,16.5,57.8,16.4,56.2,14.2,55.4,12.9,55.5,12.6,56.2,11.9,57.7,11,59,10.6,59.9,8,58.1,5.6,58.7,5,60.5,5.2,62,8,63.5,10,64.5,12.5,66.1,14.5,67.8,16.5,68.9,19,70,23.5,70.8,28,71.1,31,70.3,33,69.4,36.8,69.1,40.5,67.8,41.2,66.7,38.5,66,34.8,66.5,33.5,66.4,34.7,64.5,37,63.9,40.5,64.5,43.5,66.2,44.2,68.3,46,68.1,53,68.5,54,68.8,58.8,68.9,60.8,69.9,63,69.5,66.8,70.5,68.5,72.5,70,73.3,72.6,72.8,72,71,73.5,68.5,74,71.5,78,72.3,80.5,73.5,86.7,74,95,76,104,77.7,113,76.1,112,73.8,118,73.5,126.8,73.3,129,72.5,132,71.5,139.5,72.3,146,72.2,152,70.9,160,70.8,170,70,176,69.8,180,68.9,180,65.1,178.6,64.6,177.5,62.5,173.5,61.7,170.3,60,166,59.8,163.5,59.9,162.9,58,163.2,56.5,162.5,54.9,160,53,158.5,52.7,156.7,51,156,53.2,155.6,56.5,156.8,57.7,160,61.1,155,59.3,151.3,59.3,143.5,59.4,140.7,58.3,137,55,135.2,54.7,140.5,53.6,141.3,52.2,140.5,50,140.3,48.5,138.2,46.2,135.2,43.5,133,42.8,131.9,43.1,130.7,42.3,129.5,41,128.4,39.5,129.4,37,129.4,35.3,126.5,34.4,126.3,36.5,126.6,37.7,125.3,37.8,124.6,39.7,121.5,39,121.7,40.9,120,40.2,118,39,117.8,38.4,118.9,37.3,120.7,37.8,122.5,37,120.3,35.9,119.2,34.5,121,32,121.9,30.9,121.5,29,119.6,26,117.5,23.6,114.2,22.3,111,21.5,110.2,20.3,108.6,21.6,106.7,20.5,105.7,18.7,107,17,108.8,15.5,109.3,13,108.9,11.3,106.7,10.4,105,8.6,105,10.4,103.4,10.8,102.3,12.2,100.9,12.7,100,13.5,99.2,10.5,100.4,7.3,102,6.2,103.4,4,104.2,1.4,103,1.5,101.3,2.8,100.3,5.3,98.3,8,98.5,10.5,97.7,16,95.3,15.8,94.3,16.3,94.5,19.5,92.3,20.7,91.8,22.3,90.5,22,88.9,21.7,87,21.5,86.5,20,84.8,19.2,82.3,16.6,80.3,15.5,80.2,13,79.8,10.3,78.2,8.8,77.5,8.1,76.2,10,74.8,12.9,73.4,16,72.9,19,72.7,21,72.6,22.3,70.2,22.4,68.8,23.8,66.7,25.4,62,25.1,57.8,25.7,56.3,27.2,54.5,26.6,51.5,27.9,50.1,30.1,48.5,30,48,29.4,49.5,27,50.8,25.4,52,24,54.5,24.4,56,25,56.4,26.2,56.6,24.4,58.6,23.6,59.8,22.5,58.5,20.4,57.7,19,55.4,17.7,52.2,16,48.7,14,45,12.8,43.4,12.6,42.7,15.7,41.2,19,39.2,21.5,38.4,24,36.5,26.3,35,28,35,29.5,34.5,31.5,35.1,32.9,35.9,34.5,36,36,36.2,36.6,34,36.3,32.5,36.1,30.6,36.8,28.3,36.7,27.2,37.6,26.5,39.3,26.2,40.1,26,40.8,24,40.8,22.9,40.6,23.8,39.3,22.8,37.8,23.2,36.5,21.7,36.8,21.1,38.3,20.1,39.6,19.4,40.4,19.5,41.8,18.5,42.5,16,43.5,14.5,45.2,13.7,45.7,12.3,45.3,12.4,44.2,13.6,43.5,16,41.9,18.5,40.1,17.2,40.4,16.5,39.6,17.1,39,16,38,15.6,38,15.8,40,14.3,40.8,12.2,41.8,11,42.5,10.2,43.9,8.7,44.4,7.5,43.8,6.2,43.1,4.5,43.5,3,43.3,3.2,42,2.2,41.3,0.7,40.7,-0.3,39.4,0.2,38.7,-0.7,37.6,-2.1,36.7,-4.4,36.7],
+        [-180,68.9,-175,67.6,-171.8,66.9,-169.7,66.1,-171,65.4,-172.5,64.4,-176,65,-178.5,65.5,-180,65.1],
+        [-5.7,50.1,-3,50.6,1.4,51.2,1.7,52.7,0.3,53.5,-1.5,55,-2,55.9,-1.8,57.5,-3.3,58.6,-5,58.6,-6.2,57.5,-5.6,56.3,-4.9,55,-3.1,54.9,-3.4,54,-3,53.3,-4.7,52.8,-4.1,52.3,-5.3,51.7,-3.3,51.4,-4.5,51.2],
+        [-6,52.2,-6.2,53.9,-5.9,55.2,-7.3,55.3,-8.5,54.5,-10,54.2,-9.5,53,-10.3,51.9,-9.5,51.5,-8,51.8],
+        [12.4,37.8,15.6,38.3,15.1,36.7],
+        [8.4,41,9.8,40.9,9.6,39.1,8.4,39],
+        [8.6,41.4,9.5,42.7,9.4,43,8.6,42.4],
+        [23.5,35.6,26.3,35.3,26,35,23.6,35.2],
+        [32.3,35,34.6,35.7,33.9,34.9,32.4,34.7],
+        [11,78.5,16,76.6,21,77.5,27,80,20,80.5,11,79.7],
+        [52,71.5,57.5,70.6,55.5,72.5,58,74.5,62,75.8,69,76.9,66,77,58,75.8,54.5,73.5],
+        [142,46,143.5,46.5,143,49,144.4,49,143,52,143.2,54,142.4,54.3,142,52,141.8,48.5],
+        [140,41.5,141.2,41.8,143.2,42,145.5,43.3,144.3,44.1,141.6,45.4,141.4,43.3,139.9,42.6],
+        [141.4,41.4,142,39.5,141,38.3,140.9,36.9,140.9,35.7,139.8,35,138.8,34.6,137,34.6,136,33.5,135,33.8,135.1,34.6,133,34.3,131,34,131.2,34.4,132.8,35.5,135.8,35.6,136.8,37.3,138.5,37.4,139.5,38.5,140,40,140.3,41.2],
+        [130.9,34,131.9,33,131.3,31.3,130.2,31.2,129.7,33.2],
+        [132.5,32.9,134.7,33.8,134.5,34.2,133,34.1],
+        [120.1,23,121,25.3,122,25,120.8,21.9],
+        [108.6,19.2,110.5,20.1,111,19.7,109.5,18.2],
+        [79.8,8,80.2,9.8,81.9,7.3,80.6,5.9],
+        [120.6,18.5,122.3,18.5,122.2,16.3,121.6,15,124,13.5,123.3,12.9,121,13.7,120.6,14.4,119.8,16.3],
+        [122,7,123.5,8.6,125.5,9.8,126.6,7.2,125.4,5.6,124,6.4],
+        [95.3,5.6,98.3,4.2,100.9,2,103.8,-1,105.9,-3,105.8,-5.8,104.5,-5.9,102.3,-4,100.4,-1,98.7,1.7,96.3,3.7],
+        [105.2,-6.8,106.1,-5.9,108.3,-6.2,110.4,-6.9,112.7,-6.9,114.4,-7.8,114.5,-8.7,110.3,-8.1,108,-7.8,106.4,-7.4],
+        [109,1.9,111.5,2.7,113.2,3.2,115.5,5.1,117.1,7,119.3,5.3,118.1,4.9,117.8,1,116.5,-1.5,116,-3.5,114.5,-4,111.8,-3.4,110.2,-2.9,109,-0.5],
+        [118.8,-2.8,119.5,0.5,120.2,0.8,123,0.9,125.2,1.5,124.3,0.4,121.5,0.3,121.5,-0.8,123.3,-0.9,121.3,-1.9,123.1,-4.5,121.5,-4.8,121,-2.9,120.3,-2.9,120.4,-5.6,119.4,-5.5,119.5,-3.5],
+        [131,-1.3,132.5,-0.4,134,-0.8,135.5,-3.3,138,-1.6,141,-2.6,145.8,-5,147.5,-6.2,147.8,-8,150.8,-10.6,147.5,-10,146,-8,144.2,-7.6,143.3,-9,141,-9.1,139.5,-8.2,138,-8.4,137.8,-5.2,134.5,-3.9,133.5,-3.7,132,-2.9,133,-1.9],
+        [113.5,-22,114.2,-21.8,116.8,-20.6,121,-19.5,122.3,-17.3,125.2,-14.6,128,-15,129.7,-14.9,130.3,-12.5,132.6,-11.5,136.7,-12.2,135.9,-13.9,136.5,-15.6,139.3,-17.4,140.8,-17.4,141.6,-13.5,142.5,-10.7,143.5,-14,145.3,-15,146.3,-19,149,-21,150.8,-22.8,153.1,-25.5,153.6,-28.5,153,-31,151.3,-33.9,150,-37.5,147.5,-37.9,145,-38.4,143.5,-38.8,140.5,-38,139.6,-36.9,138,-35.6,137.8,-33,136,-34.9,135,-32.7,131,-31.5,126,-32.3,123.5,-33.9,118,-35,115,-34.3,115.7,-31.6,114.9,-29,113.4,-26],
+        [144.6,-40.7,148.3,-40.9,148,-43.2,146.8,-43.6,145.2,-42.3],
+        [172.7,-34.4,174.3,-35.8,175.9,-37.4,178.5,-37.7,177.9,-39.2,176.9,-39.5,175.3,-41.6,174.6,-41.3,174.2,-39.5,173.8,-39.2,174.6,-38,174.3,-36.8],
+        [172.7,-40.5,174.3,-41.7,173.2,-43,171.2,-44.5,170.6,-45.8,169,-46.7,166.5,-46,166.6,-45.2,168.3,-44,170.5,-43.1,172,-41.8],
+        [-180,-78.5,-170,-78.2,-160,-78.5,-150,-77,-140,-75,-130,-74.3,-120,-73.8,-110,-74.5,-100,-73.5,-90,-72.8,-80,-73.3,-75,-71,-68,-70,-65,-66,-60,-63.5,-57,-63.3,-60,-65,-62,-70,-61,-74.5,-50,-78,-40,-78,-35,-77,-30,-76,-20,-73.5,-12,-71.5,0,-70,10,-70,20,-70,30,-69.5,40,-69,50,-66.5,60,-67,70,-68,75,-69.5,80,-67.5,90,-66.5,100,-66,110,-66,120,-67,130,-66.2,140,-66.8,150,-68.5,160,-70,165,-71.5,170,-71.5,167,-77,165,-78,170,-78,180,-78.5,180,-90,-180,-90]
+    ],
+    lakes: [
+        [27.5,42.5,28,44,29.6,45.4,31,46.6,33,46,33.5,44.5,36,45.3,37.5,44.7,39.5,43.5,41.6,41.6,40,41,36,41.7,33,42,30,41.2,28,41.4],
+        [49,46.6,51.5,47,53,46.5,53.2,45,51,44.5,50.5,44.5,53,42,52.8,41,53.9,40.5,53.8,37.5,51,36.8,49,37.5,49.5,40.2,48,42,47.5,43,47,44.5,47.5,45.6]
+    ]
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = COASTLINE;
+}
@@ -0,0 +1,428 @@
+// js/batch_processor.js
+// ============================================================
+// Streaming CSV Batch Processor
+// Reads a CSV file in chunks, classifies every row and keeps the
+// results in a BatchResultStore. Talks through plain messages so it
+// runs the same inside js/batch_worker.js or on the main thread.
+// ============================================================
+
+class BatchProcessor {
+    /**
+     * @param {SatelliteClassifier} classifier - Classifier used for every row
+     * @param {Function} post - Receives outgoing messages
+     * @param {Object} options - { chunkSize (bytes), progressInterval (ms), maxErrors,
+     *                           prepare (async, receives the `start` message before the run) }
+     */
+    constructor(classifier, post, options = {}) {
+        this.classifier = classifier;
+        this.post = post;
+        this.chunkSize = options.chunkSize || BatchProcessor.CHUNK_SIZE;
+        this.progressInterval = options.progressInterval || 250;
+        this.maxErrors = options.maxErrors || 100;
+        this.prepare = options.prepare || (async () => {});
+        this.trackClassifier = new TrackClassifier();
+        this.store = null;
+        this.tracks = null;
+        this.evaluator = null;
+        this.misclassified = null;
+        this.drift = null;
+        this.summary = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Handle one incoming message
+     * @param {Object} message - { type, ... }
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+                // Reset before anything async, so a `cancel` sent meanwhile still counts
+                this.cancelled = false;
+                this.prepare(message)
+                    .then(() => this.run(message.file, message.options, message.driftReference))
+                    .catch(error => {
+                        this.post({ type: 'failed', message: error.message });
+                    });
+                break;
+            case 'cancel':
+                this.cancelled = true;
+                break;
+            case 'rows':
+                this.reply(message, this.store ? this.store.slice(message.offset, message.limit) : []);
+                break;
+            case 'tracks':
+                this.reply(message, this.getTracks(message.offset, message.limit));
+                break;
+            case 'trackPoints':
+                this.reply(message, this.getTrackPoints(message.track, message.limit));
+                break;
+            case 'misclassified':
+                this.reply(message, this.getMisclassified(message.offset, message.limit));
+                break;
+            case 'mapPoints':
+                this.reply(message, this.getMapPoints(message.limit));
+                break;
+            case 'export':
+                this.reply(message, this.exportCSV());
+                break;
+            default:
+                this.post({ type: 'failed', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    reply(message, data) {
+        this.post({ type: 'reply', requestId: message.requestId, data });
+    }
+
+    /**
+     * Stream, parse and classify a CSV file
+     * Yields to the event loop after every chunk so `cancel` and page
+     * requests are handled while the file is being processed.
+     * @param {Blob} file - CSV file
+     * @param {Object} options - Mapping from ColumnMapper.inspect, possibly
+     *                           edited by the user; inspected from the file when omitted
+     * @param {Object} driftReference - Training distributions (see DriftDetector);
+     *                                  the summary then carries a drift snapshot
+     */
+    async run(file, options, driftReference = null) {
+        if (!options) {
+            options = ColumnMapper.inspect(await file.slice(0, BatchProcessor.SAMPLE_SIZE).text());
+        }
+        const mappingErrors = ColumnMapper.validate(options.columns);
+        if (mappingErrors.length > 0) {
+            throw new Error(mappingErrors.join('; '));
+        }
+
+        const labels = [...this.classifier.classIds, this.classifier.config.unknownClass];
+        this.store = new BatchResultStore(labels, options.passThrough.map(column => column.name));
+        this.tracks = null;
+        this.summary = null;
+        // Files with a label column are also scored against their labels
+        this.evaluator = options.columns.label >= 0
+            ? new ModelEvaluator(labels, this.classifier.config.classes)
+            : null;
+        this.misclassified = null;
+        this.drift = driftReference ? new DriftDetector(driftReference) : null;
+        this.state = {
+            options,
+            headerSkipped: !options.hasHeader,
+            minColumns: Math.max(...Object.values(options.columns)) + 1,
+            namedTracks: 0,
+            errors: [],
+            errorCount: 0,
+            classCounts: Object.fromEntries(labels.map(label => [label, 0])),
+            unlabeledRows: 0,
+            unrecognizedLabels: new Map(),
+            confidenceSum: 0,
+            altitudeSum: 0,
+            startTime: performance.now()
+        };
+
+        const parser = new CSVParser({ delimiter: options.delimiter });
+        const decoder = new TextDecoder();
+        let lastProgress = 0;
+
+        for (let offset = 0; offset < file.size && !this.cancelled; offset += this.chunkSize) {
+            const end = Math.min(offset + this.chunkSize, file.size);
+            const buffer = await file.slice(offset, end).arrayBuffer();
+            const last = end === file.size;
+
+            const records = parser.push(decoder.decode(buffer, { stream: !last }));
+            if (last) records.push(...parser.flush());
+            for (const record of records) {
+                this.processRecord(record);
+            }
+
+            const now = performance.now();
+            if (last || now - lastProgress >= this.progressInterval) {
+                lastProgress = now;
+                this.postProgress(end, file.size);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (this.state.namedTracks > 0) {
+            this.tracks = this.summarizeTracks();
+        }
+        if (this.evaluator) {
+            this.misclassified = this.store.misclassifiedRows();
+        }
+        this.summary = this.buildSummary();
+        this.post({ type: 'done', summary: this.summary });
+    }
+
+    /**
+     * Classify one CSV record
+     * @param {Object} record - CSVParser record ({ fields, line })
+     */
+    processRecord(record) {
+        const state = this.state;
+        const { columns, passThrough, delimiter } = state.options;
+        const lineNumber = record.line;
+        const values = record.fields;
+
+        if (!state.headerSkipped) {
+            state.headerSkipped = true;
+            return;
+        }
+
+        if (values.length < state.minColumns) {
+            this.addError(`Line ${lineNumber}: Not enough columns (found ${values.length}, need ${state.minColumns})`);
+            return;
+        }
+
+        const input = {};
+        const invalid = [];
+        for (const field of BatchProcessor.INPUT_FIELDS) {
+            input[field] = BatchProcessor.parseNumber(values[columns[field]], delimiter);
+            if (isNaN(input[field])) invalid.push(field);
+        }
+        if (invalid.length > 0) {
+            this.addError(`Line ${lineNumber}: Invalid numeric values for ${invalid.join(', ')}`);
+            return;
+        }
+
+        // Optional trajectory columns; rows without a track id become
+        // single-point tracks
+        let trackId;
+        if (columns.track_id >= 0) {
+            trackId = (values[columns.track_id] || '').trim();
+            if (trackId) {
+                state.namedTracks++;
+            } else {
+                trackId = `Row ${lineNumber}`;
+            }
+        }
+        const time = columns.timestamp >= 0
+            ? TrackClassifier.parseTimestamp(values[columns.timestamp])
+            : NaN;
+
+        let result;
+        try {
+            result = this.classifier.predict(input);
+        } catch (error) {
+            this.addError(`Line ${lineNumber}: Prediction failed - ${error.message}`);
+            return;
+        }
+
+        const label = this.evaluator ? this.scoreLabel(values[columns.label], result) : undefined;
+        const extra = passThrough.map(column => values[column.index] ?? '');
+        this.store.add(result, { lineNumber, trackId, time, label, extra });
+        if (this.drift) {
+            this.drift.observe(result.rawFeatures);
+        }
+        state.classCounts[result.prediction]++;
+        state.confidenceSum += result.confidence;
+        state.altitudeSum += result.rawFeatures.altitude;
+    }
+
+    /**
+     * Count a prediction against the row's known label
+     * Rows with an empty label are classified but not scored; labels that
+     * name no class are reported in the summary.
+     * @param {string} text - Label cell
+     * @param {Object} result - Prediction of the row
+     * @returns {number} Label index, or -1
+     */
+    scoreLabel(text, result) {
+        const trimmed = (text || '').trim();
+        const label = trimmed ? this.evaluator.labelIndex(trimmed) : -1;
+        if (label >= 0) {
+            this.evaluator.add(label, this.store.labelIndex.get(result.prediction));
+        } else if (trimmed) {
+            const unrecognized = this.state.unrecognizedLabels;
+            unrecognized.set(trimmed, (unrecognized.get(trimmed) || 0) + 1);
+        } else {
+            this.state.unlabeledRows++;
+        }
+        return label;
+    }
+
+    addError(message) {
+        this.state.errorCount++;
+        if (this.state.errors.length < this.maxErrors) {
+            this.state.errors.push(message);
+        }
+    }
+
+    postProgress(bytesRead, totalBytes) {
+        const elapsedMs = performance.now() - this.state.startTime;
+        this.post({
+            type: 'progress',
+            rows: this.store.length,
+            errorCount: this.state.errorCount,
+            bytesRead,
+            totalBytes,
+            elapsedMs,
+            rowsPerSecond: elapsedMs > 0 ? this.store.length / (elapsedMs / 1000) : 0
+        });
+    }
+
+    /**
+     * Aggregate every track with TrackClassifier
+     * Points are rebuilt one track at a time and only their row indices
+     * (in time order) are kept for the drill-down.
+     * @returns {Array} Track summaries with `rows` instead of `points`
+     */
+    summarizeTracks() {
+        return this.store.rowsByTrack().map((rows, index) => {
+            const points = rows.map(row => this.store.get(row));
+            const { points: ordered, ...summary } = this.trackClassifier.classifyTracks(points)[0];
+            return { ...summary, index, rows: ordered.map(point => point.index) };
+        });
+    }
+
+    buildSummary() {
+        const state = this.state;
+        const rows = this.store.length;
+        const elapsedMs = performance.now() - state.startTime;
+
+        return {
+            rows,
+            errorCount: state.errorCount,
+            errors: state.errors,
+            classCounts: state.classCounts,
+            avgConfidence: rows > 0 ? state.confidenceSum / rows : 0,
+            avgAltitude: rows > 0 ? state.altitudeSum / rows : 0,
+            trackCount: this.tracks ? this.tracks.length : 0,
+            flippedTracks: this.tracks ? this.tracks.filter(track => track.flipped).length : 0,
+            // A label column left empty (e.g. a re-uploaded export) scores nothing
+            evaluation: this.evaluator && (this.evaluator.count > 0 || this.state.unrecognizedLabels.size > 0)
+                ? this.evaluate()
+                : null,
+            // Merged into the page's PerformanceMonitor
+            drift: this.drift ? this.drift.snapshot() : null,
+            elapsedMs,
+            rowsPerSecond: elapsedMs > 0 ? rows / (elapsedMs / 1000) : 0,
+            cancelled: this.cancelled
+        };
+    }
+
+    /**
+     * Score the labeled rows
+     * @returns {Object} ModelEvaluator metrics plus { curves, misclassified,
+     *                   unlabeled, unrecognizedLabels: [{ label, count }] }
+     */
+    evaluate() {
+        return {
+            ...this.evaluator.metrics(),
+            curves: this.evaluator.curves(this.store.label, this.store.probabilities, this.store.length),
+            misclassified: this.misclassified.length,
+            unlabeled: this.state.unlabeledRows,
+            unrecognizedLabels: [...this.state.unrecognizedLabels]
+                .map(([label, count]) => ({ label, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 20)
+        };
+    }
+
+    /**
+     * @param {number} offset - First misclassified row
+     * @param {number} limit - Maximum number of rows
+     * @returns {Object} { rows, total } in input order
+     */
+    getMisclassified(offset, limit) {
+        if (!this.misclassified) return { rows: [], total: 0 };
+        return {
+            rows: Array.from(this.misclassified.subarray(offset, offset + limit), row => this.store.get(row)),
+            total: this.misclassified.length
+        };
+    }
+
+    /**
+     * @param {number} offset - First track
+     * @param {number} limit - Maximum number of tracks
+     * @returns {Array} Track summaries without their row lists
+     */
+    getTracks(offset, limit) {
+        if (!this.tracks) return [];
+        return this.tracks.slice(offset, offset + limit).map(({ rows, ...track }) => track);
+    }
+
+    /**
+     * @param {number} trackIndex - Track index
+     * @param {number} limit - Maximum number of points
+     * @returns {Object} { points, total } in time order
+     */
+    getTrackPoints(trackIndex, limit) {
+        const track = this.tracks && this.tracks[trackIndex];
+        if (!track) return { points: [], total: 0 };
+        return {
+            points: track.rows.slice(0, limit).map(row => this.store.get(row)),
+            total: track.rows.length
+        };
+    }
+
+    /**
+     * Evenly spaced rows for the ground track map
+     * Each track is thinned on its own, so tracks interleaved in the file
+     * all stay on the map with their points in time order.
+     * @param {number} limit - About the maximum number of points
+     * @returns {Object} { points, total }
+     */
+    getMapPoints(limit) {
+        if (!this.store) return { points: [], total: 0 };
+        const total = this.store.length;
+        const stride = Math.max(1, Math.ceil(total / limit));
+        const rows = [];
+
+        if (this.tracks) {
+            for (const track of this.tracks) {
+                for (let i = 0; i < track.rows.length; i += stride) rows.push(track.rows[i]);
+            }
+        }
+        for (let row = 0; row < total; row += stride) {
+            if (!this.tracks || this.store.track[row] === -1) rows.push(row);
+        }
+        return { points: rows.map(row => this.store.get(row)), total };
+    }
+
+    /**
+     * Export every stored row in the InputSchema output format
+     * The text is built in blocks so no single string holds the whole file.
+     * @returns {Blob} CSV file
+     */
+    exportCSV() {
+        const parts = [InputSchema.csvHeader(this.store.extraNames) + '\n'];
+        const blockSize = 10000;
+        for (let start = 0; start < this.store.length; start += blockSize) {
+            const lines = this.store.slice(start, blockSize).map(row => {
+                const track = this.tracks ? this.tracks[this.store.track[row.index]] : undefined;
+                const record = InputSchema.outputRecord(row, row, { line: row.lineNumber, track });
+                return InputSchema.csvRow(record, row.extra ? Object.values(row.extra) : []);
+            });
+            parts.push(lines.join('\n') + '\n');
+        }
+        return new Blob(parts, { type: 'text/csv;charset=utf-8;' });
+    }
+
+    /**
+     * Parse a numeric cell
+     * The whole cell must be a number ("12abc" is rejected, not read as 12).
+     * Files that are not comma-delimited may use a decimal comma.
+     * @param {string} text - Cell text
+     * @param {string} delimiter - File delimiter
+     * @returns {number} Finite value, or NaN for empty or non-numeric cells
+     */
+    static parseNumber(text, delimiter) {
+        const trimmed = (text || '').trim();
+        if (trimmed === '') return NaN;
+        const value = Number(delimiter === ',' ? trimmed : trimmed.replace(',', '.'));
+        return Number.isFinite(value) ? value : NaN;
+    }
+}
+
+// Bytes read per chunk
+BatchProcessor.CHUNK_SIZE = 256 * 1024;
+
+// Bytes inspected for the delimiter and header when no mapping is given
+BatchProcessor.SAMPLE_SIZE = 64 * 1024;
+
+// Classifier inputs
+BatchProcessor.INPUT_FIELDS = InputSchema.INPUT_NAMES;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchProcessor;
+}
@@ -0,0 +1,211 @@
+// js/batch_result_store.js
+// ============================================================
+// Compact Batch Result Storage
+// Column-oriented typed arrays so millions of predictions fit in
+// memory; rows are only turned back into objects page by page
+// ============================================================
+
+class BatchResultStore {
+    /**
+     * @param {Array} labels - Class labels, including the unknown class
+     * @param {Array} extraNames - Pass-through input columns kept as text
+     * @param {number} initialCapacity - Rows allocated up front
+     */
+    constructor(labels, extraNames = [], initialCapacity = 4096) {
+        this.labels = labels;
+        this.extraNames = extraNames;
+        this.extra = extraNames.map(() => []);
+        this.labelIndex = new Map(labels.map((label, idx) => [label, idx]));
+        this.length = 0;
+        this.capacity = 0;
+
+        // Track ids are interned; -1 means the row has no track
+        this.trackIds = [];
+        this.trackIndex = new Map();
+
+        this.columns = {
+            lineNumber: Int32Array,
+            track: Int32Array,
+            time: Float64Array,
+            latitude: Float32Array,
+            longitude: Float32Array,
+            x_eci_km: Float32Array,
+            y_eci_km: Float32Array,
+            z_eci_km: Float32Array,
+            velocity_x: Float32Array,
+            velocity_y: Float32Array,
+            velocity_z: Float32Array,
+            altitude: Float32Array,
+            totalVelocity: Float32Array,
+            confidence: Float32Array,
+            classDistance: Float32Array,
+            prediction: Uint8Array,
+            nearestClass: Uint8Array,
+            // Index of the row's known label; -1 when it has none
+            label: Int8Array
+        };
+        this.grow(initialCapacity);
+    }
+
+    /**
+     * Reallocate every column with room for at least `capacity` rows
+     * @param {number} capacity - Minimum number of rows
+     */
+    grow(capacity) {
+        const size = Math.max(capacity, this.capacity * 2);
+        for (const [name, ArrayType] of Object.entries(this.columns)) {
+            const column = new ArrayType(size);
+            if (this[name]) column.set(this[name].subarray(0, this.length));
+            this[name] = column;
+        }
+        const probabilities = new Float32Array(size * this.labels.length);
+        if (this.probabilities) {
+            probabilities.set(this.probabilities.subarray(0, this.length * this.labels.length));
+        }
+        this.probabilities = probabilities;
+        this.capacity = size;
+    }
+
+    /**
+     * Intern a track id
+     * @param {string} trackId - Track id from the input
+     * @returns {number} Track index
+     */
+    internTrack(trackId) {
+        let index = this.trackIndex.get(trackId);
+        if (index === undefined) {
+            index = this.trackIds.length;
+            this.trackIds.push(trackId);
+            this.trackIndex.set(trackId, index);
+        }
+        return index;
+    }
+
+    /**
+     * Append one prediction
+     * @param {Object} result - SatelliteClassifier.predict output
+     * @param {Object} meta - { lineNumber, trackId, time (ms or NaN), label (index, -1 or omitted),
+     *                          extra (pass-through values) }
+     */
+    add(result, meta) {
+        if (this.length === this.capacity) {
+            this.grow(this.capacity * 2);
+        }
+        const row = this.length++;
+        const nearestClass = result.openSet.nearestClass;
+
+        this.lineNumber[row] = meta.lineNumber;
+        this.track[row] = meta.trackId === undefined ? -1 : this.internTrack(meta.trackId);
+        this.time[row] = meta.time;
+        for (const name of InputSchema.INPUT_NAMES) {
+            this[name][row] = result.rawFeatures[name];
+        }
+        this.altitude[row] = result.rawFeatures.altitude;
+        this.totalVelocity[row] = result.rawFeatures.totalVelocity;
+        this.confidence[row] = result.confidence;
+        this.classDistance[row] = result.openSet.distances[nearestClass];
+        this.prediction[row] = this.labelIndex.get(result.prediction);
+        this.nearestClass[row] = this.labelIndex.get(nearestClass);
+        this.label[row] = meta.label ?? -1;
+
+        const offset = row * this.labels.length;
+        this.labels.forEach((label, idx) => {
+            this.probabilities[offset + idx] = result.probabilities[label] || 0;
+        });
+
+        this.extra.forEach((column, idx) => {
+            column[row] = meta.extra[idx];
+        });
+    }
+
+    /**
+     * Rebuild one row in the shape of the app's batch results
+     * The canonical input fields are included, so a row can be fed back
+     * through InputSchema like any other input.
+     * @param {number} row - Row index
+     * @returns {Object} Row object
+     */
+    get(row) {
+        const probabilities = {};
+        const offset = row * this.labels.length;
+        this.labels.forEach((label, idx) => {
+            probabilities[label] = this.probabilities[offset + idx];
+        });
+        const time = this.time[row];
+        let extra;
+        if (this.extraNames.length > 0) {
+            extra = {};
+            this.extraNames.forEach((name, idx) => {
+                extra[name] = this.extra[idx][row];
+            });
+        }
+
+        const input = {};
+        for (const name of InputSchema.INPUT_NAMES) {
+            // Drop the float32 noise (36.8945 is stored as 36.894500732…)
+            input[name] = Number(this[name][row].toPrecision(7));
+        }
+
+        return {
+            ...input,
+            index: row,
+            lineNumber: this.lineNumber[row],
+            track_id: this.track[row] === -1 ? undefined : this.trackIds[this.track[row]],
+            timestamp: isNaN(time) ? undefined : new Date(time).toISOString(),
+            label: this.label[row] === -1 ? undefined : this.labels[this.label[row]],
+            prediction: this.labels[this.prediction[row]],
+            confidence: this.confidence[row],
+            probabilities,
+            nearestClass: this.labels[this.nearestClass[row]],
+            classDistance: this.classDistance[row],
+            features: {
+                altitude: this.altitude[row].toFixed(2),
+                totalVelocity: this.totalVelocity[row].toFixed(4)
+            },
+            extra
+        };
+    }
+
+    /**
+     * @param {number} offset - First row
+     * @param {number} limit - Maximum number of rows
+     * @returns {Array} Row objects
+     */
+    slice(offset, limit) {
+        const rows = [];
+        const end = Math.min(this.length, offset + limit);
+        for (let row = Math.max(0, offset); row < end; row++) {
+            rows.push(this.get(row));
+        }
+        return rows;
+    }
+
+    /**
+     * Rows whose known label differs from the prediction
+     * @returns {Int32Array} Row indices, in input order
+     */
+    misclassifiedRows() {
+        const rows = [];
+        for (let row = 0; row < this.length; row++) {
+            if (this.label[row] !== -1 && this.label[row] !== this.prediction[row]) rows.push(row);
+        }
+        return Int32Array.from(rows);
+    }
+
+    /**
+     * Row indices of every track, in input order
+     * @returns {Array<Array<number>>} Indexed by track index
+     */
+    rowsByTrack() {
+        const groups = this.trackIds.map(() => []);
+        for (let row = 0; row < this.length; row++) {
+            if (this.track[row] !== -1) groups[this.track[row]].push(row);
+        }
+        return groups;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchResultStore;
+}
@@ -0,0 +1,46 @@
+// js/batch_worker.js
+// ============================================================
+// Web Worker for streaming CSV batches
+// Keeps parsing, prediction and result storage off the main thread.
+// Message protocol: see BatchProcessor.handleMessage
+// ============================================================
+
+importScripts(
+    'model_config.js',
+    'input_schema.js',
+    'prediction_engine.js',
+    'random_forest.js',
+    'pmml_model.js',
+    'track_classifier.js',
+    'csv_parser.js',
+    'column_mapper.js',
+    'batch_result_store.js',
+    'model_evaluator.js',
+    'drift_detector.js',
+    'batch_processor.js'
+);
+
+const classifier = new SatelliteClassifier(MODEL_CONFIG, SCALER_PARAMS, CONSTANTS);
+
+/**
+ * Score with the page's model: `start` carries the file it was loaded
+ * from (see batchModelSource in assets/js/app.js), or null for the rules
+ * @param {Object|null} source - { url, method }
+ */
+async function useModel(source) {
+    if (!source) {
+        classifier.setModel(null);
+        return;
+    }
+    classifier.setModel(source.method === 'pmml'
+        ? await PMMLModel.load(source.url, MODEL_CONFIG)
+        : await RandomForestModel.load(source.url, MODEL_CONFIG));
+}
+
+const processor = new BatchProcessor(classifier, message => self.postMessage(message), {
+    prepare: message => useModel(message.model).catch(error => {
+        throw new Error(`Could not load the model: ${error.message}`);
+    })
+});
+
+self.onmessage = event => processor.handleMessage(event.data);
@@ -0,0 +1,151 @@
+// js/column_mapper.js
+// ============================================================
+// Batch CSV Column Mapping
+// Matches CSV headers to classifier inputs by name and alias;
+// columns that match nothing are passed through to the results
+// ============================================================
+
+class ColumnMapper {
+    /**
+     * Normalize a header cell for alias matching
+     * "Velocity X (km/s)" → "velocity_x", "X ECI [km]" → "x_eci"
+     * @param {string} name - Header cell
+     * @returns {string} Normalized name
+     */
+    static normalize(name) {
+        return InputSchema.normalizeName(name);
+    }
+
+    /**
+     * @param {string} normalized - Normalized header cell
+     * @returns {Object|undefined} The field whose aliases include it
+     */
+    static fieldFor(normalized) {
+        return InputSchema.fieldFor(normalized);
+    }
+
+    /**
+     * Decide whether a record is a header row
+     * It is when any cell is a known column name, or when no cell is numeric.
+     * @param {Array} fields - First record of the file
+     * @returns {boolean}
+     */
+    static isHeader(fields) {
+        if (fields.some(cell => ColumnMapper.fieldFor(ColumnMapper.normalize(cell)))) {
+            return true;
+        }
+        return fields.every(cell => cell.trim() === '' || isNaN(Number(cell.trim().replace(',', '.'))));
+    }
+
+    /**
+     * Propose a column for every field
+     * With a header, columns are matched by name; without one the required
+     * fields take the first columns in their documented order
+     * (lat, lon, x, y, z, vx, vy, vz).
+     * @param {Array|null} header - Header cells, or null
+     * @param {number} width - Number of columns
+     * @returns {Object} Field name → column index (-1 if unmapped)
+     */
+    static propose(header, width) {
+        const columns = {};
+        ColumnMapper.FIELDS.forEach((field, position) => {
+            if (header) {
+                columns[field.name] = header.findIndex(cell =>
+                    field.aliases.includes(ColumnMapper.normalize(cell)));
+            } else {
+                columns[field.name] = field.required && position < width ? position : -1;
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Columns that are not mapped to any field
+     * @param {Array|null} header - Header cells, or null
+     * @param {number} width - Number of columns
+     * @param {Object} columns - Field name → column index
+     * @returns {Array} { name, index } for each passed-through column
+     */
+    static passThrough(header, width, columns) {
+        const mapped = new Set(Object.values(columns));
+        // Re-uploaded exports must not repeat the output columns
+        const names = new Set(InputSchema.OUTPUT_COLUMNS);
+        const extra = [];
+        for (let index = 0; index < width; index++) {
+            if (mapped.has(index)) continue;
+            let name = header && header[index] ? header[index] : `column_${index + 1}`;
+            if (names.has(name)) name = `${name}_${index + 1}`;
+            names.add(name);
+            extra.push({ name, index });
+        }
+        return extra;
+    }
+
+    /**
+     * Problems with a mapping
+     * @param {Object} columns - Field name → column index
+     * @returns {Array} Error messages (empty when the mapping is usable)
+     */
+    static validate(columns) {
+        const errors = [];
+        const missing = ColumnMapper.FIELDS
+            .filter(field => field.required && !(columns[field.name] >= 0))
+            .map(field => field.name);
+        if (missing.length > 0) {
+            errors.push(`Missing CSV columns: ${missing.join(', ')}`);
+        }
+
+        const used = new Map();
+        for (const [name, index] of Object.entries(columns)) {
+            if (index < 0) continue;
+            if (used.has(index)) {
+                errors.push(`Column ${index + 1} is mapped to both ${used.get(index)} and ${name}`);
+            }
+            used.set(index, name);
+        }
+        return errors;
+    }
+
+    /**
+     * Work out delimiter, header and mapping from the start of a file
+     * @param {string} sample - First part of the file
+     * @param {Object} overrides - { delimiter, hasHeader } chosen by the user
+     * @returns {Object} { delimiter, hasHeader, header, width, columns, passThrough, preview }
+     */
+    static inspect(sample, overrides = {}) {
+        const delimiter = overrides.delimiter || CSVParser.detectDelimiter(sample);
+        // The sample may end mid-record, so flush() is not called
+        const records = new CSVParser({ delimiter }).push(sample);
+        if (records.length === 0) {
+            records.push(...CSVParser.parse(sample, { delimiter }));
+        }
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const first = records[0].fields;
+        const hasHeader = overrides.hasHeader ?? ColumnMapper.isHeader(first);
+        const header = hasHeader ? first.map(cell => cell.trim()) : null;
+        const rows = hasHeader ? records.slice(1) : records;
+        const width = Math.max(first.length, ...rows.slice(0, 20).map(record => record.fields.length));
+        const columns = ColumnMapper.propose(header, width);
+
+        return {
+            delimiter,
+            hasHeader,
+            header,
+            width,
+            columns,
+            passThrough: ColumnMapper.passThrough(header, width, columns),
+            preview: rows.slice(0, 5).map(record => record.fields)
+        };
+    }
+}
+
+// Fields and aliases come from the shared input schema
+ColumnMapper.FIELDS = InputSchema.FIELDS;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColumnMapper;
+}
@@ -0,0 +1,171 @@
+// js/csv_parser.js
+// ============================================================
+// RFC 4180 CSV Parser
+// Incremental: text can be pushed in arbitrary chunks (quoted
+// fields and CRLF pairs may span chunk boundaries)
+// ============================================================
+
+class CSVParser {
+    /**
+     * @param {Object} options - { delimiter } (default ',')
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.state = CSVParser.FIELD_START;
+        this.field = '';
+        this.record = [];
+        this.quoted = false;      // the current record has a quoted field
+        this.line = 1;            // physical line of the next character
+        this.recordLine = 1;      // physical line the current record started on
+        this.skipLineFeed = false;
+        this.afterCarriageReturn = false;
+    }
+
+    /**
+     * Pick the delimiter of a sample
+     * Tab, semicolon and pipe win over comma when every sampled record
+     * splits into the same number (> 1) of fields: semicolon files
+     * usually contain decimal commas, comma files rarely contain the others.
+     * @param {string} sample - Start of the file
+     * @returns {string} Delimiter
+     */
+    static detectDelimiter(sample) {
+        for (const delimiter of ['\t', ';', '|']) {
+            const records = new CSVParser({ delimiter }).push(sample).slice(0, 10);
+            const width = records.length > 0 ? records[0].fields.length : 0;
+            if (width > 1 && records.every(record => record.fields.length === width)) {
+                return delimiter;
+            }
+        }
+        return ',';
+    }
+
+    /**
+     * Parse a complete document
+     * @param {string} text - CSV text
+     * @param {Object} options - { delimiter }; detected when omitted
+     * @returns {Array} Records ({ fields, line })
+     */
+    static parse(text, options = {}) {
+        const parser = new CSVParser({
+            delimiter: options.delimiter || CSVParser.detectDelimiter(text)
+        });
+        return parser.push(text).concat(parser.flush());
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} text - Chunk
+     * @returns {Array} Records completed by this chunk ({ fields, line });
+     *                  blank lines are skipped
+     */
+    push(text) {
+        const records = [];
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (ch === '\n') continue;
+            }
+
+            switch (this.state) {
+                case CSVParser.QUOTED:
+                    if (ch === '"') {
+                        this.state = CSVParser.QUOTE_IN_QUOTED;
+                    } else {
+                        // Line breaks inside quotes are kept; CRLF counts once
+                        if (ch === '\r' || (ch === '\n' && !this.afterCarriageReturn)) this.line++;
+                        this.afterCarriageReturn = ch === '\r';
+                        this.field += ch;
+                    }
+                    continue;
+
+                case CSVParser.QUOTE_IN_QUOTED:
+                    if (ch === '"') {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = CSVParser.QUOTED;
+                        continue;
+                    }
+                    // Closing quote; anything before the next delimiter is
+                    // appended as-is rather than rejected
+                    this.state = CSVParser.UNQUOTED;
+                    break;
+
+                case CSVParser.FIELD_START:
+                    if (ch === '"') {
+                        this.state = CSVParser.QUOTED;
+                        this.quoted = true;
+                        this.afterCarriageReturn = false;
+                        continue;
+                    }
+                    this.state = CSVParser.UNQUOTED;
+                    break;
+            }
+
+            // Unquoted content
+            if (ch === delimiter) {
+                this.endField();
+            } else if (ch === '\n' || ch === '\r') {
+                this.endField();
+                const record = this.endRecord();
+                if (record) records.push(record);
+                this.newLine(ch);
+                this.recordLine = this.line;
+            } else {
+                this.field += ch;
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Finish the document
+     * @returns {Array} The last record if the text did not end with a newline
+     */
+    flush() {
+        if (this.state === CSVParser.FIELD_START && this.record.length === 0) {
+            return [];
+        }
+        this.endField();
+        const record = this.endRecord();
+        return record ? [record] : [];
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.state = CSVParser.FIELD_START;
+    }
+
+    endRecord() {
+        const fields = this.record;
+        const quoted = this.quoted;
+        this.record = [];
+        this.quoted = false;
+        // Blank lines are skipped; a lone "" is a record with one empty field
+        if (fields.length === 1 && !quoted && fields[0].trim() === '') {
+            return null;
+        }
+        return { fields, line: this.recordLine };
+    }
+
+    newLine(ch) {
+        this.line++;
+        if (ch === '\r') this.skipLineFeed = true;
+    }
+}
+
+// Parser states
+CSVParser.FIELD_START = 0;
+CSVParser.UNQUOTED = 1;
+CSVParser.QUOTED = 2;
+CSVParser.QUOTE_IN_QUOTED = 3;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVParser;
+}
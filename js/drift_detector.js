@@ -0,0 +1,234 @@
+// js/drift_detector.js
+// ============================================================
+// Input Drift Detection
+// Keeps a running histogram of every model feature and compares it
+// with the training reference: Population Stability Index (PSI),
+// Kolmogorov-Smirnov distance (KS) and the share of inputs outside
+// the training range
+// ============================================================
+
+class DriftDetector {
+    /**
+     * @param {Object} reference - { source, features: { name: { quantiles } } };
+     *                             101 quantiles per feature (0th…100th percentile).
+     *                             See models/drift_reference.js or DriftDetector.scalerReference()
+     * @param {Object} options - Overrides of DriftDetector.THRESHOLDS
+     */
+    constructor(reference, options = {}) {
+        this.reference = reference;
+        this.featureNames = Object.keys(reference.features);
+        this.thresholds = { ...DriftDetector.THRESHOLDS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Reference built from StandardScaler parameters
+     * Each feature is taken as normal with the scaler's mean and std;
+     * the training range is mean ± 4 std.
+     * @param {Array} featureNames - MODEL_CONFIG.featureNames
+     * @param {Object} scalerParams - SCALER_PARAMS
+     * @returns {Object} Reference for the constructor
+     */
+    static scalerReference(featureNames, scalerParams) {
+        const features = {};
+        featureNames.forEach((name, idx) => {
+            const mean = scalerParams.mean[idx];
+            const std = scalerParams.std[idx];
+            features[name] = {
+                quantiles: Array.from({ length: 101 }, (_, k) => {
+                    if (k === 0) return mean - 4 * std;
+                    if (k === 100) return mean + 4 * std;
+                    return mean + std * DriftDetector.normalQuantile(k / 100);
+                })
+            };
+        });
+        return { source: 'SCALER_PARAMS (normal approximation)', features };
+    }
+
+    /**
+     * Inverse of the standard normal CDF (Acklam's rational approximation,
+     * relative error below 1.2e-9)
+     * @param {number} p - Probability in (0, 1)
+     * @returns {number} z such that P(Z <= z) = p
+     */
+    static normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+        if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+        if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Model features of one prediction
+     * @param {Object} rawFeatures - SatelliteClassifier.predict(...).rawFeatures
+     * @returns {Object} Feature name → value (snake_case names read their camelCase derived value)
+     */
+    static featureValues(rawFeatures) {
+        const values = {};
+        for (const [name, value] of Object.entries(rawFeatures)) {
+            values[name] = value;
+            values[name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = value;
+        }
+        return values;
+    }
+
+    /**
+     * Forget everything observed so far
+     */
+    reset() {
+        this.count = 0;
+        // Bin 0: below the 0th percentile; bin k: between percentiles k-1 and k;
+        // bin 101: above the 100th percentile
+        this.bins = Object.fromEntries(this.featureNames.map(name => [name, new Array(102).fill(0)]));
+    }
+
+    /**
+     * Add one prediction's inputs to the running histograms
+     * @param {Object} rawFeatures - SatelliteClassifier.predict(...).rawFeatures
+     */
+    observe(rawFeatures) {
+        const values = DriftDetector.featureValues(rawFeatures);
+        for (const name of this.featureNames) {
+            const value = values[name];
+            if (typeof value !== 'number' || isNaN(value)) continue;
+            this.bins[name][DriftDetector.binIndex(this.reference.features[name].quantiles, value)]++;
+        }
+        this.count++;
+    }
+
+    /**
+     * @param {Array} quantiles - 101 ascending reference quantiles
+     * @param {number} value - Observed value
+     * @returns {number} Histogram bin (0–101)
+     */
+    static binIndex(quantiles, value) {
+        // First quantile above the value
+        let low = 0;
+        let high = quantiles.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (quantiles[mid] > value) high = mid; else low = mid + 1;
+        }
+        // The maximum itself is still in range
+        return low === quantiles.length && value === quantiles[quantiles.length - 1] ? low - 1 : low;
+    }
+
+    /**
+     * Counts for merging into another detector (e.g. a batch run in a worker)
+     * @returns {Object} { count, bins }
+     */
+    snapshot() {
+        return { count: this.count, bins: this.bins };
+    }
+
+    /**
+     * Add another detector's counts; both must use the same reference
+     * @param {Object} snapshot - Output of snapshot()
+     */
+    merge(snapshot) {
+        for (const name of this.featureNames) {
+            const bins = snapshot.bins[name];
+            if (!bins) continue;
+            bins.forEach((count, idx) => {
+                this.bins[name][idx] += count;
+            });
+        }
+        this.count += snapshot.count;
+    }
+
+    /**
+     * Compare every feature with the reference
+     * PSI uses ten reference deciles (values outside the range count in the
+     * first or last); KS is the largest gap between the observed CDF and the
+     * reference CDF at the 101 reference quantiles.
+     * @returns {Object} { count, source, status, features: [{ name, count, psi, ks,
+     *                   ksCritical, outOfRange, range, status, reasons }], warnings }
+     */
+    report() {
+        const t = this.thresholds;
+        const features = this.featureNames.map(name => {
+            const bins = this.bins[name];
+            const quantiles = this.reference.features[name].quantiles;
+            const count = bins.reduce((sum, value) => sum + value, 0);
+            const range = [quantiles[0], quantiles[quantiles.length - 1]];
+            if (count < t.minSamples) {
+                return { name, count, psi: null, ks: null, ksCritical: null, outOfRange: null, range, status: 'collecting', reasons: [] };
+            }
+
+            let psi = 0;
+            for (let decile = 0; decile < 10; decile++) {
+                let observed = 0;
+                for (let bin = decile * 10 + 1; bin <= decile * 10 + 10; bin++) observed += bins[bin];
+                if (decile === 0) observed += bins[0];
+                if (decile === 9) observed += bins[101];
+                const actual = Math.max(observed / count, DriftDetector.EPSILON);
+                psi += (actual - 0.1) * Math.log(actual / 0.1);
+            }
+
+            let ks = 0;
+            let below = 0;
+            for (let k = 0; k <= 100; k++) {
+                below += bins[k];
+                ks = Math.max(ks, Math.abs(below / count - k / 100));
+            }
+            // One-sample KS critical value at the 5% level
+            const ksCritical = 1.36 / Math.sqrt(count);
+            const outOfRange = (bins[0] + bins[101]) / count;
+
+            const reasons = [];
+            let status = 'ok';
+            const raise = (level, reason) => {
+                reasons.push(reason);
+                if (level === 'alert' || status === 'ok') status = level;
+            };
+            if (outOfRange >= t.outOfRangeAlert) raise('alert', 'out_of_range');
+            else if (outOfRange >= t.outOfRangeWarning) raise('warning', 'out_of_range');
+            if (psi >= t.psiAlert) raise('alert', 'psi');
+            else if (psi >= t.psiWarning) raise('warning', 'psi');
+            if (ks > Math.max(ksCritical, t.ksMinimum)) raise('warning', 'ks');
+
+            return { name, count, psi, ks, ksCritical, outOfRange, range, status, reasons };
+        });
+
+        const rank = { collecting: 0, ok: 1, warning: 2, alert: 3 };
+        const status = features.reduce((worst, feature) =>
+            rank[feature.status] > rank[worst] ? feature.status : worst, features.length > 0 ? 'collecting' : 'ok');
+
+        return {
+            count: this.count,
+            source: this.reference.source,
+            status,
+            features,
+            warnings: features.filter(feature => feature.status === 'warning' || feature.status === 'alert')
+        };
+    }
+}
+
+// PSI: < 0.1 stable, 0.1–0.25 moderate shift, > 0.25 significant shift.
+// KS is only flagged above both its 5% critical value and ksMinimum, so
+// large samples do not flag differences too small to matter.
+DriftDetector.THRESHOLDS = {
+    minSamples: 30,
+    psiWarning: 0.1,
+    psiAlert: 0.25,
+    ksMinimum: 0.1,
+    outOfRangeWarning: 0.01,
+    outOfRangeAlert: 0.05
+};
+
+// Floor for empty bins in the PSI logarithm
+DriftDetector.EPSILON = 1e-4;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DriftDetector;
+}
@@ -1,17 +1,27 @@
 // js/explainability.js
 // ============================================================
-// STEP 6 ENHANCEMENT: Model Explainability
-// Provides feature contribution analysis and prediction explanations
+// Model Explainability
+// Shapley attributions of single predictions against background
+// points, counterfactual searches for the smallest change that flips
+// a label, and the text and rule-check formatting the UI shows
 // ============================================================
 
 class ModelExplainer {
-    constructor(modelConfig) {
+    /**
+     * @param {Object} modelConfig - MODEL_CONFIG
+     * @param {SatelliteClassifier} classifier - Classifier whose predictions
+     *                                           explainInstance() attributes
+     */
+    constructor(modelConfig, classifier = null) {
         this.config = modelConfig;
+        this.classifier = classifier;
     }
 
     /**
-     * Explain a prediction by showing feature contributions
-     * @param {Object} features - Input and derived features
+     * Explain a prediction by showing the model's global feature importance
+     * The importances are the same for every input; see explainInstance()
+     * for attributions of one particular prediction.
+     * @param {Object} features - Canonical input and derived features (result.rawFeatures)
      * @param {string} prediction - Predicted class
      * @param {number} confidence - Prediction confidence
      * @returns {Array} Top contributing features
@@ -23,14 +33,22 @@ class ModelExplainer {
         const featureValues = {
             'latitude': features.latitude,
             'longitude': features.longitude,
-            'x_eci_km': features.x_eci,
-            'y_eci_km': features.y_eci,
-            'z_eci_km': features.z_eci,
-            'velocity_x': features.velocity_x || features.vel_x,
-            'velocity_y': features.velocity_y || features.vel_y,
-            'velocity_z': features.velocity_z || features.vel_z,
+            'x_eci_km': features.x_eci_km,
+            'y_eci_km': features.y_eci_km,
+            'z_eci_km': features.z_eci_km,
+            'velocity_x': features.velocity_x,
+            'velocity_y': features.velocity_y,
+            'velocity_z': features.velocity_z,
             'total_velocity': features.totalVelocity,
-            'radial_distance': features.radialDistance
+            'radial_distance': features.radialDistance,
+            'semi_major_axis': features.semiMajorAxis,
+            'eccentricity': features.eccentricity,
+            'inclination': features.inclination,
+            'raan': features.raan,
+            'argument_of_perigee': features.argumentOfPerigee,
+            'true_anomaly': features.trueAnomaly,
+            'specific_energy': features.specificEnergy,
+            'orbital_period': features.orbitalPeriod
         };
         
         // Get top N contributing features
@@ -49,6 +67,265 @@ class ModelExplainer {
         return topFeatures;
     }
 
+    /**
+     * Attribute one prediction to its input features with Shapley values
+     * Every subset of the inputs is scored with the classifier: inputs in
+     * the subset keep this point's value, the rest take a background point's
+     * value. A feature's attribution to a class is its weighted average
+     * effect on that class's probability over all subsets (exact: 2^8
+     * predictions per background point), so for every class the
+     * attributions add up to output - baseline.
+     * Subsets that are not a valid state (e.g. a position inside the Earth)
+     * are rejected by the classifier and scored as the unknown class.
+     * @param {Object} input - Input in any spelling InputSchema accepts
+     * @param {Object} options - { background: Array of inputs (default: every class's sample) }
+     * @returns {Object} { prediction, labels, baseline, output, features, evaluations };
+     *                   features are sorted by the size of their attribution to the prediction
+     */
+    explainInstance(input, options = {}) {
+        if (!this.classifier) {
+            throw new Error('ModelExplainer needs a classifier to explain single predictions');
+        }
+
+        const instance = InputSchema.normalize(input);
+        const result = this.classifier.predict(instance);
+        const background = (options.background || this.config.classes.map(cls => cls.sample))
+            .filter(Boolean)
+            .map(point => InputSchema.normalize(point));
+        if (background.length === 0) {
+            throw new Error('Shapley attribution needs at least one background point');
+        }
+
+        const names = InputSchema.INPUT_NAMES;
+        const labels = [...this.classifier.classIds, this.config.unknownClass];
+        const count = names.length;
+        const subsets = 1 << count;
+
+        const score = point => {
+            try {
+                const probabilities = this.classifier.predict(point).probabilities;
+                return labels.map(label => probabilities[label] || 0);
+            } catch (error) {
+                return labels.map(label => label === this.config.unknownClass ? 1 : 0);
+            }
+        };
+
+        // Shapley weight of a subset of `size` other features: size! (n - size - 1)! / n!
+        const factorial = [1];
+        for (let k = 1; k <= count; k++) factorial[k] = factorial[k - 1] * k;
+        const weights = factorial.slice(0, count).map((_, size) =>
+            factorial[size] * factorial[count - size - 1] / factorial[count] / background.length);
+        const subsetSize = mask => {
+            let size = 0;
+            for (; mask; mask &= mask - 1) size++;
+            return size;
+        };
+
+        const attributions = names.map(() => labels.map(() => 0));
+        const baseline = labels.map(() => 0);
+        for (const reference of background) {
+            // Scores of every subset; bit j set = feature j from the instance
+            const scores = new Array(subsets);
+            for (let mask = 0; mask < subsets; mask++) {
+                const point = {};
+                names.forEach((name, j) => {
+                    point[name] = mask & (1 << j) ? instance[name] : reference[name];
+                });
+                scores[mask] = score(point);
+            }
+
+            scores[0].forEach((p, k) => { baseline[k] += p / background.length; });
+            names.forEach((name, j) => {
+                const bit = 1 << j;
+                for (let mask = 0; mask < subsets; mask++) {
+                    if (mask & bit) continue;
+                    const weight = weights[subsetSize(mask)];
+                    const without = scores[mask];
+                    const withFeature = scores[mask | bit];
+                    labels.forEach((label, k) => {
+                        attributions[j][k] += weight * (withFeature[k] - without[k]);
+                    });
+                }
+            });
+        }
+
+        const byLabel = values => Object.fromEntries(labels.map((label, k) => [label, values[k]]));
+        const features = names
+            .map((name, j) => ({
+                feature: this.formatFeatureName(name),
+                featureKey: name,
+                value: this.formatFeatureValue(name, instance[name]),
+                rawValue: instance[name],
+                contributions: byLabel(attributions[j])
+            }))
+            .sort((a, b) => Math.abs(b.contributions[result.prediction]) - Math.abs(a.contributions[result.prediction]));
+
+        return {
+            prediction: result.prediction,
+            labels,
+            baseline: byLabel(baseline),
+            output: byLabel(labels.map(label => result.probabilities[label] || 0)),
+            features,
+            evaluations: subsets * background.length
+        };
+    }
+
+    /**
+     * Find the smallest physically consistent change that gives another class
+     * The point is moved along three physical parameters instead of raw
+     * inputs, so latitude/longitude stay consistent with the position:
+     * altitude (position scaled radially), speed (velocity scaled) and
+     * heading (velocity rotated about the radial axis, which turns the
+     * orbit plane). Changes are measured in COUNTERFACTUAL_STEPS units and
+     * searched in order of total size; candidates the classifier rejects
+     * (outside the InputSchema ranges) are skipped. The first hit is then
+     * shrunk parameter by parameter while it keeps the target class.
+     * @param {Object} input - Input in any spelling InputSchema accepts
+     * @param {string} target - Class the point should move to
+     * @param {Object} options - { maxSteps: largest total change in steps }
+     * @returns {Object} { found, target, input, result, changes, limits, evaluations };
+     *                   limits is the largest change searched per parameter
+     */
+    findCounterfactual(input, target, options = {}) {
+        if (!this.classifier) {
+            throw new Error('ModelExplainer needs a classifier to search for counterfactuals');
+        }
+
+        const original = InputSchema.normalize(input);
+        const before = this.classifier.predict(original);
+        const params = Object.keys(ModelExplainer.COUNTERFACTUAL_STEPS);
+        const maxSteps = options.maxSteps || ModelExplainer.COUNTERFACTUAL_MAX_STEPS;
+        const limits = Object.fromEntries(params.map(param =>
+            [param, Number((ModelExplainer.COUNTERFACTUAL_STEPS[param] * maxSteps).toFixed(6))]));
+        let evaluations = 0;
+
+        // Classify the point moved by `steps` (one entry per parameter)
+        const tryChange = steps => {
+            evaluations++;
+            const candidate = ModelExplainer.applyChange(original, params.reduce((change, param, idx) => {
+                change[param] = steps[idx] * ModelExplainer.COUNTERFACTUAL_STEPS[param];
+                return change;
+            }, {}));
+            try {
+                const result = this.classifier.predict(candidate);
+                return result.prediction === target ? { candidate, result } : null;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (before.prediction === target) {
+            return { found: true, target, input: original, result: before, changes: [], limits, evaluations };
+        }
+
+        // Grid points in order of total size (L1 norm, in steps)
+        let hit = null;
+        let hitSteps = null;
+        for (let level = 1; level <= maxSteps && !hit; level++) {
+            for (const steps of ModelExplainer.latticeShell(params.length, level)) {
+                hit = tryChange(steps);
+                if (hit) {
+                    hitSteps = steps;
+                    break;
+                }
+            }
+        }
+        if (!hit) {
+            return { found: false, target, input: original, result: before, changes: [], limits, evaluations };
+        }
+
+        // Shrink each parameter toward zero while the target class holds
+        const steps = hitSteps.slice();
+        params.forEach((param, idx) => {
+            let keep = steps[idx];
+            let drop = 0;
+            for (let i = 0; i < 12 && keep !== 0; i++) {
+                const mid = (keep + drop) / 2;
+                const trial = steps.slice();
+                trial[idx] = mid;
+                const found = tryChange(trial);
+                if (found) {
+                    keep = mid;
+                    hit = found;
+                } else {
+                    drop = mid;
+                }
+            }
+            steps[idx] = keep;
+        });
+        hit = tryChange(steps) || hit;
+
+        const derivedBefore = before.rawFeatures;
+        const derivedAfter = hit.result.rawFeatures;
+        const changes = [
+            { name: 'altitude', label: 'Altitude', unit: 'km', from: derivedBefore.altitude, to: derivedAfter.altitude },
+            { name: 'speed', label: 'Speed', unit: 'km/s', from: derivedBefore.totalVelocity, to: derivedAfter.totalVelocity },
+            { name: 'inclination', label: 'Inclination', unit: '°', from: derivedBefore.inclination, to: derivedAfter.inclination }
+        ]
+            .map(change => ({ ...change, delta: change.to - change.from }))
+            .filter(change => Math.abs(change.delta) > 1e-6);
+
+        return { found: true, target, input: hit.candidate, result: hit.result, changes, limits, evaluations };
+    }
+
+    /**
+     * Move a state vector by physical parameters
+     * @param {Object} input - Canonical input
+     * @param {Object} change - { altitude (km), speed (km/s), heading (°) }
+     * @returns {Object} Canonical input with the new position and velocity
+     */
+    static applyChange(input, change) {
+        const r = [input.x_eci_km, input.y_eci_km, input.z_eci_km];
+        const v = [input.velocity_x, input.velocity_y, input.velocity_z];
+        const norm = a => Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+        const radius = norm(r);
+        const speed = norm(v);
+        const k = r.map(c => c / radius);
+
+        // Rodrigues rotation of v about the radial unit vector k
+        const theta = (change.heading || 0) * Math.PI / 180;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        const kDotV = k[0] * v[0] + k[1] * v[1] + k[2] * v[2];
+        const kCrossV = [
+            k[1] * v[2] - k[2] * v[1],
+            k[2] * v[0] - k[0] * v[2],
+            k[0] * v[1] - k[1] * v[0]
+        ];
+        const rotated = v.map((c, i) => c * cos + kCrossV[i] * sin + k[i] * kDotV * (1 - cos));
+
+        const positionScale = (radius + (change.altitude || 0)) / radius;
+        const speedScale = speed > 0 ? (speed + (change.speed || 0)) / speed : 1;
+        return {
+            ...input,
+            x_eci_km: r[0] * positionScale,
+            y_eci_km: r[1] * positionScale,
+            z_eci_km: r[2] * positionScale,
+            velocity_x: rotated[0] * speedScale,
+            velocity_y: rotated[1] * speedScale,
+            velocity_z: rotated[2] * speedScale
+        };
+    }
+
+    /**
+     * Integer points with |p1| + … + |pn| = level
+     * @param {number} dimensions - Number of coordinates
+     * @param {number} level - L1 norm
+     * @returns {Array<Array<number>>} Points
+     */
+    static latticeShell(dimensions, level) {
+        if (dimensions === 1) {
+            return level === 0 ? [[0]] : [[level], [-level]];
+        }
+        const points = [];
+        for (let first = -level; first <= level; first++) {
+            for (const rest of ModelExplainer.latticeShell(dimensions - 1, level - Math.abs(first))) {
+                points.push([first, ...rest]);
+            }
+        }
+        return points;
+    }
+
     /**
      * Format feature name for display
      * @param {string} featureName - Raw feature name
@@ -65,7 +342,15 @@ class ModelExplainer {
             'velocity_y': 'Y Velocity',
             'velocity_z': 'Z Velocity',
             'total_velocity': 'Total Velocity',
-            'radial_distance': 'Radial Distance'
+            'radial_distance': 'Radial Distance',
+            'semi_major_axis': 'Semi-Major Axis',
+            'eccentricity': 'Eccentricity',
+            'inclination': 'Inclination',
+            'raan': 'RAAN',
+            'argument_of_perigee': 'Argument of Perigee',
+            'true_anomaly': 'True Anomaly',
+            'specific_energy': 'Specific Energy',
+            'orbital_period': 'Orbital Period'
         };
         
         return nameMap[featureName] || featureName.replace(/_/g, ' ').toUpperCase();
@@ -90,36 +375,87 @@ class ModelExplainer {
             'velocity_y': `${value.toFixed(4)} km/s`,
             'velocity_z': `${value.toFixed(4)} km/s`,
             'total_velocity': `${value.toFixed(4)} km/s`,
-            'radial_distance': `${value.toFixed(2)} km`
+            'radial_distance': `${value.toFixed(2)} km`,
+            'semi_major_axis': `${value.toFixed(2)} km`,
+            'eccentricity': value.toFixed(5),
+            'inclination': `${value.toFixed(2)}°`,
+            'raan': `${value.toFixed(2)}°`,
+            'argument_of_perigee': `${value.toFixed(2)}°`,
+            'true_anomaly': `${value.toFixed(2)}°`,
+            'specific_energy': `${value.toFixed(4)} km²/s²`,
+            'orbital_period': `${value.toFixed(2)} min`
         };
         
         return unitMap[featureName] || value.toFixed(4);
     }
 
     /**
-     * Generate textual explanation of prediction
+     * Describe one rule check for display
+     * @param {Object} check - Entry of result.trace.classes[].checks
+     * @returns {Object} { label, range, value, margin } as text
+     */
+    formatRuleCheck(check) {
+        const [label, unit, digits] = ModelExplainer.RULE_LABELS[check.rule] || [check.rule, '', 2];
+        const withUnit = value => value.toFixed(digits) + (unit === '°' ? unit : ` ${unit}`);
+        const [min, max] = check.range;
+        let margin;
+        if (check.pass) {
+            margin = `${withUnit(check.margin)} inside`;
+        } else {
+            margin = `${withUnit(-check.margin)} ${check.value < min ? 'below' : 'above'}`;
+        }
+
+        return {
+            label,
+            range: `${min}–${max}${unit === '°' ? unit : ` ${unit}`}`,
+            value: withUnit(check.value),
+            margin
+        };
+    }
+
+    /**
+     * Generate textual explanation of prediction from its rule trace
      * @param {Object} predictionResult - Full prediction result
      * @returns {string} Human-readable explanation
      */
     generateTextExplanation(predictionResult) {
-        const { prediction, confidence, features } = predictionResult;
+        const { prediction, confidence, trace, openSet } = predictionResult;
         const confidencePercent = (confidence * 100).toFixed(1);
+        const classInfo = this.config.classes.find(cls => cls.id === prediction);
         
-        let explanation = `The model predicts this is <strong>${prediction}</strong> `;
+        let explanation = `The model predicts this is <strong>${classInfo ? classInfo.displayName : prediction}</strong> `;
         explanation += `with <strong>${confidencePercent}%</strong> confidence.\n\n`;
-        
-        explanation += `Key orbital parameters:\n`;
-        explanation += `• Altitude: ${features.altitude} km above Earth\n`;
-        explanation += `• Velocity: ${features.totalVelocity} km/s\n`;
-        explanation += `• Position: ${features.latitude}° lat, ${features.longitude}° lon\n\n`;
-        
-        // Add satellite-specific context
-        if (prediction === 'ISS') {
-            explanation += `The International Space Station operates in Low Earth Orbit (LEO) `;
-            explanation += `at approximately 408 km altitude with an inclination of 51.6°.`;
-        } else if (prediction === 'Sentinel1A') {
-            explanation += `Sentinel-1A is a polar-orbiting satellite in a sun-synchronous orbit `;
-            explanation += `at approximately 693 km altitude with an inclination near 98°.`;
+        explanation += `${SatelliteClassifier.BRANCHES[trace.branch]}.\n`;
+
+        // Cite the checks of the predicted class, or of the nearest class
+        // when the point was rejected
+        const cited = trace.classes.find(entry => entry.className === prediction) ||
+            trace.classes.find(entry => entry.className === openSet.nearestClass);
+        if (cited) {
+            const failed = cited.checks.filter(check => !check.pass);
+            explanation += `\n${cited.className}: ${cited.checks.length - failed.length} of ${cited.checks.length} rules pass\n`;
+            for (const check of cited.checks) {
+                const text = this.formatRuleCheck(check);
+                explanation += `${check.pass ? '✓' : '✗'} ${text.label} ${text.value} `;
+                explanation += `(expected ${text.range}; ${text.margin})\n`;
+            }
+
+            // The tightest passing check (relative to its range width) is
+            // what a small change would break first
+            const relative = check => check.margin / (check.range[1] - check.range[0]);
+            const closest = cited.checks
+                .filter(check => check.pass)
+                .sort((a, b) => relative(a) - relative(b))[0];
+            if (closest && failed.length === 0) {
+                const text = this.formatRuleCheck(closest);
+                explanation += `\nTightest margin: ${text.label.toLowerCase()}, ${text.margin} its range.`;
+            }
+        }
+
+        if (prediction === this.config.unknownClass && openSet) {
+            const { nearestClass, distances, threshold } = openSet;
+            explanation += `\nThe nearest class, ${nearestClass}, is at distance `;
+            explanation += `${distances[nearestClass].toFixed(2)} (rejection threshold: ${threshold}).`;
         }
         
         return explanation;
@@ -160,20 +496,53 @@ class ModelExplainer {
             analysis.velocityClassification = 'Lower velocity (higher altitude orbit)';
         }
         
-        // Orbital type inference
-        const lat = parseFloat(features.latitude);
-        if (Math.abs(lat) > 80) {
-            analysis.orbitalType = 'Polar orbit';
-        } else if (Math.abs(lat) < 10) {
-            analysis.orbitalType = 'Equatorial orbit';
+        // Orbital type inference, from the orbit plane when available
+        if (features.inclination !== undefined) {
+            const inclination = parseFloat(features.inclination);
+            const period = parseFloat(features.orbitalPeriod);
+            if (inclination >= 96 && inclination <= 100 && period < 120) {
+                analysis.orbitalType = 'Sun-synchronous orbit';
+            } else if (inclination >= 80 && inclination <= 100) {
+                analysis.orbitalType = 'Polar orbit';
+            } else if (inclination < 10 || inclination > 170) {
+                analysis.orbitalType = 'Equatorial orbit';
+            } else {
+                analysis.orbitalType = inclination > 90 ? 'Retrograde inclined orbit' : 'Inclined orbit';
+            }
         } else {
-            analysis.orbitalType = 'Inclined orbit';
+            const lat = parseFloat(features.latitude);
+            if (Math.abs(lat) > 80) {
+                analysis.orbitalType = 'Polar orbit';
+            } else if (Math.abs(lat) < 10) {
+                analysis.orbitalType = 'Equatorial orbit';
+            } else {
+                analysis.orbitalType = 'Inclined orbit';
+            }
         }
         
         return analysis;
     }
 }
 
+// Rule name → [label, unit, decimals] for rule traces
+ModelExplainer.RULE_LABELS = {
+    altitude_range: ['Altitude', 'km', 2],
+    velocity_range: ['Velocity', 'km/s', 4],
+    radial_distance: ['Radial distance', 'km', 2],
+    inclination_range: ['Inclination', '°', 2],
+    orbital_period: ['Orbital period', 'min', 2]
+};
+
+// Size of one search step for each counterfactual parameter
+ModelExplainer.COUNTERFACTUAL_STEPS = {
+    altitude: 50,     // km
+    speed: 0.1,       // km/s
+    heading: 5        // degrees
+};
+
+// Largest total change searched, in steps (30 → up to 1500 km, 3 km/s or 150°)
+ModelExplainer.COUNTERFACTUAL_MAX_STEPS = 30;
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ModelExplainer;
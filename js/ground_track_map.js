@@ -0,0 +1,446 @@
+// js/ground_track_map.js
+// ============================================================
+// Ground Track Map
+// Plots predictions on an equirectangular world map drawn from the
+// bundled outlines in data/coastline.js (no tile server). Points are
+// colored by predicted class with opacity following confidence;
+// points with timestamps are joined into ground tracks per track_id.
+// Hovering shows the full prediction, clicking hands the point to
+// options.onSelect
+// ============================================================
+
+class GroundTrackMap {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface; its height follows its width
+     * @param {Object} options - { classes, unknownColor (MODEL_CONFIG),
+     *                             coastline (COASTLINE), tooltip (element), onSelect(point),
+     *                             onChange() after points are added or removed }
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.coastline = options.coastline || { land: [], lakes: [] };
+        this.tooltip = options.tooltip || null;
+        this.onSelect = options.onSelect || null;
+        this.onChange = options.onChange || null;
+
+        this.classes = new Map((options.classes || []).map(cls => [cls.id, cls]));
+        this.unknownColor = options.unknownColor || GroundTrackMap.COLORS.unknown;
+
+        // Layer name → points, drawn in insertion order
+        this.layers = new Map();
+        this.hover = null;
+        this.hitGrid = new Map();
+        this.width = 0;
+        this.height = 0;
+        this.drawPending = false;
+
+        canvas.addEventListener('mousemove', event => this.handleHover(event.offsetX, event.offsetY));
+        canvas.addEventListener('mouseleave', () => this.setHover(null));
+        canvas.addEventListener('click', event => {
+            const point = this.pointAt(event.offsetX, event.offsetY);
+            if (point && this.onSelect) this.onSelect(point);
+        });
+        if (typeof window !== 'undefined') {
+            window.addEventListener('resize', () => this.resize());
+        }
+        this.resize();
+    }
+
+    /**
+     * Replace the points of a layer
+     * @param {string} name - e.g. 'batch' or 'single'
+     * @param {Array} points - Prediction records with latitude and longitude
+     *                         (batch rows, TLE results, or input plus result)
+     */
+    setLayer(name, points) {
+        this.layers.set(name, points.filter(GroundTrackMap.isPlottable));
+        this.setHover(null);
+        this.changed();
+    }
+
+    /**
+     * @param {string} name - Layer
+     * @param {Object} point - Prediction record
+     */
+    addPoint(name, point) {
+        if (!GroundTrackMap.isPlottable(point)) return;
+        if (!this.layers.has(name)) this.layers.set(name, []);
+        this.layers.get(name).push(point);
+        this.changed();
+    }
+
+    /**
+     * @param {string} name - Layer to empty; all layers when omitted
+     */
+    clear(name) {
+        if (name === undefined) {
+            this.layers.clear();
+        } else {
+            this.layers.delete(name);
+        }
+        this.setHover(null);
+        this.changed();
+    }
+
+    changed() {
+        this.scheduleDraw();
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Match the backing store to the canvas's CSS width and the screen's
+     * pixel ratio
+     */
+    resize() {
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = Math.round(width / 2);
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.height = `${height}px`;
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.draw();
+    }
+
+    // Coalesce redraws while points are being added
+    scheduleDraw() {
+        if (this.drawPending) return;
+        if (typeof requestAnimationFrame === 'undefined') {
+            this.draw();
+            return;
+        }
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * @param {number} longitude - Degrees, -180…180
+     * @param {number} latitude - Degrees, -90…90
+     * @returns {number[]} [x, y] in CSS pixels
+     */
+    project(longitude, latitude) {
+        return [(longitude + 180) / 360 * this.width, (90 - latitude) / 180 * this.height];
+    }
+
+    draw() {
+        const ctx = this.context;
+        const colors = GroundTrackMap.COLORS;
+
+        ctx.fillStyle = colors.ocean;
+        ctx.fillRect(0, 0, this.width, this.height);
+        this.drawGraticule();
+        this.fillRings(this.coastline.land, colors.land, colors.coast);
+        this.fillRings(this.coastline.lakes, colors.ocean, colors.coast);
+
+        this.hitGrid = new Map();
+        this.layers.forEach((points, name) => {
+            this.drawTracks(points);
+            this.drawPoints(points, name);
+        });
+
+        if (this.hover) {
+            const [x, y] = this.project(Number(this.hover.longitude), Number(this.hover.latitude));
+            ctx.beginPath();
+            ctx.arc(x, y, GroundTrackMap.HIT_RADIUS + 2, 0, 2 * Math.PI);
+            ctx.strokeStyle = colors.highlight;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+    }
+
+    drawGraticule() {
+        const ctx = this.context;
+        ctx.beginPath();
+        for (let longitude = -180; longitude <= 180; longitude += GroundTrackMap.GRATICULE_STEP) {
+            const [x] = this.project(longitude, 0);
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.height);
+        }
+        for (let latitude = -90; latitude <= 90; latitude += GroundTrackMap.GRATICULE_STEP) {
+            const [, y] = this.project(0, latitude);
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.width, y);
+        }
+        ctx.strokeStyle = GroundTrackMap.COLORS.graticule;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    /**
+     * @param {Array} rings - Flat [lon, lat, lon, lat, …] rings
+     * @param {string} fill
+     * @param {string} stroke
+     */
+    fillRings(rings, fill, stroke) {
+        const ctx = this.context;
+        ctx.beginPath();
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i += 2) {
+                const [x, y] = this.project(ring[i], ring[i + 1]);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.closePath();
+        }
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 0.75;
+        ctx.stroke();
+    }
+
+    /**
+     * Join timestamped points into ground tracks; each leg takes the
+     * color of the point it starts from, so class flips show on the line
+     * @param {Array} points
+     */
+    drawTracks(points) {
+        const ctx = this.context;
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.6;
+
+        for (const segment of GroundTrackMap.buildTracks(points)) {
+            for (let i = 1; i < segment.length; i++) {
+                const from = segment[i - 1];
+                const to = segment[i];
+                const fromLon = Number(from.longitude);
+                const toLon = Number(to.longitude);
+                // Legs across the antimeridian take the short way round and are
+                // drawn from both edges; the canvas clips what falls outside
+                const wrap = toLon - fromLon > 180 ? -360 : fromLon - toLon > 180 ? 360 : 0;
+
+                ctx.strokeStyle = this.colorOf(from.prediction);
+                ctx.beginPath();
+                ctx.moveTo(...this.project(fromLon, Number(from.latitude)));
+                ctx.lineTo(...this.project(toLon + wrap, Number(to.latitude)));
+                if (wrap) {
+                    ctx.moveTo(...this.project(fromLon - wrap, Number(from.latitude)));
+                    ctx.lineTo(...this.project(toLon, Number(to.latitude)));
+                }
+                ctx.stroke();
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * @param {Array} points
+     * @param {string} layer - Points of the 'single' layer are drawn larger and outlined
+     */
+    drawPoints(points, layer) {
+        const ctx = this.context;
+        const single = layer === 'single';
+        const radius = single ? 5 : 3;
+
+        for (const point of points) {
+            const [x, y] = this.project(Number(point.longitude), Number(point.latitude));
+            const confidence = Math.min(1, Math.max(0, Number(point.confidence) || 0));
+
+            ctx.globalAlpha = GroundTrackMap.MIN_ALPHA + (1 - GroundTrackMap.MIN_ALPHA) * confidence;
+            ctx.fillStyle = this.colorOf(point.prediction);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fill();
+            if (single) {
+                ctx.globalAlpha = 1;
+                ctx.strokeStyle = GroundTrackMap.COLORS.highlight;
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+            this.index(x, y, point);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    colorOf(classId) {
+        const cls = this.classes.get(classId);
+        return cls ? cls.color : this.unknownColor;
+    }
+
+    // Hit testing: points are bucketed by screen cell so hovering stays
+    // cheap with thousands of points
+    index(x, y, point) {
+        const size = GroundTrackMap.HIT_RADIUS * 2;
+        const key = `${Math.floor(x / size)},${Math.floor(y / size)}`;
+        if (!this.hitGrid.has(key)) this.hitGrid.set(key, []);
+        this.hitGrid.get(key).push({ x, y, point });
+    }
+
+    /**
+     * @param {number} x - CSS pixels from the canvas's left edge
+     * @param {number} y - CSS pixels from the canvas's top edge
+     * @returns {Object|null} Nearest point within HIT_RADIUS; later layers win ties
+     */
+    pointAt(x, y) {
+        const size = GroundTrackMap.HIT_RADIUS * 2;
+        const column = Math.floor(x / size);
+        const row = Math.floor(y / size);
+        let nearest = null;
+        let best = GroundTrackMap.HIT_RADIUS * GroundTrackMap.HIT_RADIUS;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const entry of this.hitGrid.get(`${column + dx},${row + dy}`) || []) {
+                    const distance = (entry.x - x) ** 2 + (entry.y - y) ** 2;
+                    if (distance <= best) {
+                        best = distance;
+                        nearest = entry.point;
+                    }
+                }
+            }
+        }
+        return nearest;
+    }
+
+    handleHover(x, y) {
+        const point = this.pointAt(x, y);
+        this.setHover(point);
+        this.canvas.style.cursor = point && this.onSelect ? 'pointer' : '';
+        if (point && this.tooltip) {
+            // Keep the tooltip inside the map
+            const flipX = x > this.width * 0.6;
+            const flipY = y > this.height * 0.5;
+            this.tooltip.style.left = flipX ? '' : `${x + 14}px`;
+            this.tooltip.style.right = flipX ? `${this.width - x + 14}px` : '';
+            this.tooltip.style.top = flipY ? '' : `${y + 14}px`;
+            this.tooltip.style.bottom = flipY ? `${this.height - y + 14}px` : '';
+        }
+    }
+
+    setHover(point) {
+        if (point === this.hover) return;
+        this.hover = point;
+        if (this.tooltip) {
+            this.tooltip.innerHTML = point ? this.tooltipHTML(point) : '';
+            this.tooltip.classList.toggle('show', Boolean(point));
+        }
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {Object} point - Prediction record
+     * @returns {string} Tooltip HTML
+     */
+    tooltipHTML(point) {
+        const escape = GroundTrackMap.escape;
+        const cls = this.classes.get(point.prediction);
+        const name = cls ? cls.displayName : point.prediction;
+        const percent = value => `${(Number(value) * 100).toFixed(1)}%`;
+        const rows = [
+            ['Latitude', `${Number(point.latitude).toFixed(4)}°`],
+            ['Longitude', `${Number(point.longitude).toFixed(4)}°`],
+            point.features && ['Altitude', `${point.features.altitude} km`],
+            point.features && ['Velocity', `${point.features.totalVelocity} km/s`],
+            point.timestamp && ['Time', String(point.timestamp).replace('T', ' ').slice(0, 19) + ' UTC'],
+            point.track_id !== undefined && ['Track', point.track_id],
+            point.label !== undefined && ['Label', point.label],
+            point.nearestClass && ['Nearest Class', point.nearestClass],
+            point.source && ['Source', point.source]
+        ].filter(Boolean);
+        const probabilities = Object.entries(point.probabilities || {})
+            .sort((a, b) => b[1] - a[1]);
+
+        return `
+            <div class="map-tooltip-title" style="color: ${this.colorOf(point.prediction)};">
+                ${escape(name)} · ${percent(point.confidence)}
+            </div>
+            <table>
+                ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+            </table>
+            ${probabilities.length ? `
+                <div class="map-tooltip-probabilities">
+                    ${probabilities.map(([label, value]) => `
+                        <span style="color: ${this.colorOf(label)};">${escape(label)} ${percent(value)}</span>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${this.onSelect ? '<div class="map-tooltip-hint">Click to explain</div>' : ''}
+        `;
+    }
+
+    /**
+     * Split timestamped points into track segments
+     * Points are grouped by track_id (points without one form a single
+     * track), ordered by time, and broken where the time step jumps to more
+     * than GAP_FACTOR times the track's median step.
+     * @param {Array} points - Prediction records
+     * @returns {Array<Array>} Segments of two or more points in time order
+     */
+    static buildTracks(points) {
+        const tracks = new Map();
+        for (const point of points) {
+            const time = point.timestamp ? Date.parse(point.timestamp) : NaN;
+            if (isNaN(time)) continue;
+            const key = point.track_id ?? '';
+            if (!tracks.has(key)) tracks.set(key, []);
+            tracks.get(key).push({ time, point });
+        }
+
+        const segments = [];
+        tracks.forEach(entries => {
+            if (entries.length < 2) return;
+            entries.sort((a, b) => a.time - b.time);
+
+            const steps = entries.slice(1).map((entry, i) => entry.time - entries[i].time).sort((a, b) => a - b);
+            const maxStep = steps[Math.floor(steps.length / 2)] * GroundTrackMap.GAP_FACTOR;
+
+            let segment = [entries[0].point];
+            for (let i = 1; i < entries.length; i++) {
+                if (entries[i].time - entries[i - 1].time > maxStep) {
+                    if (segment.length > 1) segments.push(segment);
+                    segment = [];
+                }
+                segment.push(entries[i].point);
+            }
+            if (segment.length > 1) segments.push(segment);
+        });
+        return segments;
+    }
+
+    static isPlottable(point) {
+        const latitude = Number(point && point.latitude);
+        const longitude = Number(point && point.longitude);
+        return point != null && point.latitude !== '' && point.longitude !== '' &&
+            latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+}
+
+GroundTrackMap.COLORS = {
+    ocean: '#0b1a3a',
+    land: '#1f3b2c',
+    coast: '#3f6f55',
+    graticule: 'rgba(136, 204, 255, 0.12)',
+    highlight: '#ffffff',
+    unknown: '#888888'
+};
+
+// Degrees between grid lines
+GroundTrackMap.GRATICULE_STEP = 30;
+
+// Hover and click distance in CSS pixels
+GroundTrackMap.HIT_RADIUS = 6;
+
+// Opacity of a point with confidence 0; confidence 1 is opaque
+GroundTrackMap.MIN_ALPHA = 0.25;
+
+// A time step this many times the track's median starts a new segment
+GroundTrackMap.GAP_FACTOR = 3;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GroundTrackMap;
+}
@@ -0,0 +1,284 @@
+// js/history_store.js
+// ============================================================
+// Prediction History Persistence
+// Keeps PerformanceMonitor's log and metrics in IndexedDB so a
+// reload does not lose the session. Entries past the retention
+// limits (count and age) are removed; when the browser's quota is
+// reached the oldest entries make room for new ones.
+// ============================================================
+
+class HistoryStore {
+    /**
+     * @param {Object} options - { dbName, retention: { maxEntries, maxAgeDays } }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || HistoryStore.DB_NAME;
+        this.retention = { ...HistoryStore.RETENTION, ...options.retention };
+        this.db = null;
+        this.addsSincePrune = 0;
+        // Set when the quota could not be freed; entries then stay in memory only
+        this.full = false;
+    }
+
+    /**
+     * Open (or create) the database, load the saved retention and prune
+     * @returns {Promise<HistoryStore>}
+     * @throws {Error} When IndexedDB is unavailable (e.g. some private windows)
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = indexedDB.open(this.dbName, HistoryStore.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('entries')) {
+                db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+        };
+        this.db = await HistoryStore.request(request);
+
+        const saved = await this.getMeta('retention');
+        if (saved) {
+            this.retention = { ...this.retention, ...saved.value };
+        }
+        await this.prune();
+        return this;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>} The request's result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} transaction
+     * @returns {Promise}
+     */
+    static done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    static isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+    }
+
+    /**
+     * Store a log entry
+     * On a quota error the oldest quarter of the log is removed and the
+     * write retried once.
+     * @param {Object} entry - PerformanceMonitor log entry
+     * @returns {Promise<number|null>} The entry's id, or null when storage is full
+     */
+    async add(entry) {
+        if (this.full) return null;
+
+        const write = async () => {
+            const transaction = this.db.transaction('entries', 'readwrite');
+            const request = transaction.objectStore('entries').add(entry);
+            await HistoryStore.done(transaction);
+            return request.result;
+        };
+
+        let id;
+        try {
+            id = await write();
+        } catch (error) {
+            if (!HistoryStore.isQuotaError(error)) throw error;
+            await this.removeOldest(Math.max(1, Math.ceil((await this.count()) / 4)));
+            try {
+                id = await write();
+            } catch (retryError) {
+                if (!HistoryStore.isQuotaError(retryError)) throw retryError;
+                this.full = true;
+                console.warn('⚠️ Browser storage is full; new predictions are no longer saved');
+                return null;
+            }
+        }
+
+        if (++this.addsSincePrune >= HistoryStore.PRUNE_INTERVAL) {
+            await this.prune();
+        }
+        return id;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of stored entries
+     */
+    count() {
+        return HistoryStore.request(this.db.transaction('entries').objectStore('entries').count());
+    }
+
+    /**
+     * One page of the log, newest first
+     * @param {number} offset - Entries to skip from the newest
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>} Entries with their `id`
+     */
+    page(offset, limit) {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = this.db.transaction('entries').objectStore('entries').openCursor(null, 'prev');
+            let skipped = offset === 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(entries);
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+                entries.push(cursor.value);
+                if (entries.length >= limit) return resolve(entries);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Visit every entry, oldest first
+     * @param {Function} callback - Called with each entry
+     * @returns {Promise}
+     */
+    forEach(callback) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('entries').objectStore('entries').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                callback(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remove the log and the saved monitor state (the retention setting stays)
+     * @returns {Promise}
+     */
+    async clear() {
+        const transaction = this.db.transaction(['entries', 'meta'], 'readwrite');
+        transaction.objectStore('entries').clear();
+        transaction.objectStore('meta').delete('state');
+        await HistoryStore.done(transaction);
+        this.full = false;
+    }
+
+    /**
+     * Delete entries older than maxAgeDays and all but the newest maxEntries
+     * @returns {Promise<number>} Entries removed
+     */
+    async prune() {
+        this.addsSincePrune = 0;
+        const excess = Math.max(0, (await this.count()) - this.retention.maxEntries);
+        const cutoff = new Date(Date.now() - this.retention.maxAgeDays * 86400000).toISOString();
+        return this.removeOldest(excess, cutoff);
+    }
+
+    /**
+     * Delete from the oldest end of the log
+     * @param {number} count - Entries to delete regardless of age
+     * @param {string} cutoff - ISO timestamp; older entries are deleted as well
+     * @returns {Promise<number>} Entries removed
+     */
+    removeOldest(count, cutoff = '') {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('entries', 'readwrite');
+            const request = transaction.objectStore('entries').openCursor();
+            let removed = 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || (removed >= count && cursor.value.timestamp >= cutoff)) return;
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Change and save the retention limits, then prune
+     * @param {Object} retention - { maxEntries, maxAgeDays }
+     * @returns {Promise<number>} Entries removed
+     */
+    async setRetention(retention) {
+        this.retention = { ...this.retention, ...retention };
+        await this.putMeta('retention', this.retention);
+        return this.prune();
+    }
+
+    /**
+     * @returns {Promise<Object|undefined>} The last saved monitor state
+     */
+    async loadState() {
+        const record = await this.getMeta('state');
+        return record && record.value;
+    }
+
+    /**
+     * @param {Object} state - PerformanceMonitor.saveState() output
+     * @returns {Promise}
+     */
+    saveState(state) {
+        return this.putMeta('state', state);
+    }
+
+    getMeta(key) {
+        return HistoryStore.request(this.db.transaction('meta').objectStore('meta').get(key));
+    }
+
+    async putMeta(key, value) {
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').put({ key, value });
+        await HistoryStore.done(transaction);
+    }
+
+    /**
+     * Storage used by this origin and the browser's quota for it
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null when unknown
+     */
+    static async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+HistoryStore.DB_NAME = 'satellite-classifier-history';
+HistoryStore.DB_VERSION = 1;
+
+// Defaults until changed from the History modal
+HistoryStore.RETENTION = {
+    maxEntries: 10000,
+    maxAgeDays: 30
+};
+
+// Retention is enforced on open and after this many adds
+HistoryStore.PRUNE_INTERVAL = 100;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStore;
+}
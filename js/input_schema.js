@@ -0,0 +1,268 @@
+// js/input_schema.js
+// ============================================================
+// Canonical Input / Output Schema
+// Every entry point (form, CSV, TLE tracks, history, explainer,
+// exports) goes through InputSchema, so a point gets the same
+// field names, checks and result columns whichever way it arrives
+// ============================================================
+
+class InputSchema {
+    /**
+     * Normalize a field or header name for alias matching
+     * "Velocity X (km/s)" → "velocity_x", "X ECI [km]" → "x_eci"
+     * @param {string} name - Field name or header cell
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        return String(name)
+            .replace(/^\uFEFF/, '')
+            .toLowerCase()
+            .replace(/[([{].*?[)\]}]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * @param {string} normalized - Normalized name
+     * @returns {Object|undefined} The field whose aliases include it
+     */
+    static fieldFor(normalized) {
+        return InputSchema.FIELDS.find(field => field.aliases.includes(normalized));
+    }
+
+    /**
+     * Convert any accepted spelling of an input record to canonical form
+     * Keys are matched by name or alias (`x_eci`, `vel_x`, `X ECI (km)`, …);
+     * numeric strings are converted, empty values are left out and
+     * unrecognised keys are dropped.
+     * @param {Object} record - Input in any accepted spelling
+     * @returns {Object} Input keyed by canonical field names
+     */
+    static normalize(record) {
+        const input = {};
+        for (const [key, value] of Object.entries(record || {})) {
+            const name = InputSchema.canonicalName(key);
+            // The canonical spelling wins over an alias of the same field
+            if (!name || (name in input && key !== name)) continue;
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (text === undefined || text === null || text === '') continue;
+
+            input[name] = InputSchema.NUMERIC.has(name) ? Number(text) : String(text);
+        }
+        return input;
+    }
+
+    /**
+     * Canonical field name of a key (memoized; called for every batch row)
+     * @param {string} key - Key in any accepted spelling
+     * @returns {string|null} Canonical name, or null if the key is not a field
+     */
+    static canonicalName(key) {
+        let name = InputSchema.keyCache.get(key);
+        if (name === undefined) {
+            const field = InputSchema.fieldFor(InputSchema.normalizeName(key));
+            name = field ? field.name : null;
+            InputSchema.keyCache.set(key, name);
+        }
+        return name;
+    }
+
+    /**
+     * Check a canonical input
+     * @param {Object} input - Output of normalize()
+     * @param {number} earthRadiusKm - Smallest allowed distance from Earth's center
+     * @returns {Array} Error messages (empty when the input is valid)
+     */
+    static validate(input, earthRadiusKm = InputSchema.EARTH_RADIUS_KM) {
+        const errors = [];
+        for (const field of InputSchema.FIELDS) {
+            if (!field.required) continue;
+            const value = input[field.name];
+            if (value === undefined || value === null) {
+                errors.push(`Missing required field: ${field.name}`);
+            } else if (typeof value !== 'number' || isNaN(value)) {
+                errors.push(`Invalid value for field: ${field.name}`);
+            } else if (value < field.min || value > field.max) {
+                errors.push(`${field.name} must be between ${field.min} and ${field.max} ${field.unit}`);
+            }
+        }
+        if (errors.length > 0) return errors;
+
+        // Physical plausibility of the position vector
+        const radius = Math.sqrt(input.x_eci_km ** 2 + input.y_eci_km ** 2 + input.z_eci_km ** 2);
+        if (radius < earthRadiusKm || radius > InputSchema.MAX_RADIUS_KM) {
+            errors.push(`ECI position must be between ${earthRadiusKm} and ${InputSchema.MAX_RADIUS_KM} km ` +
+                `from Earth's center (got ${radius.toFixed(2)} km)`);
+        }
+        return errors;
+    }
+
+    /**
+     * Read the prediction form
+     * @param {Document} doc - Document holding the form fields
+     * @returns {Object} Canonical input
+     */
+    static fromForm(doc = document) {
+        const record = {};
+        for (const field of InputSchema.FIELDS) {
+            const element = field.formId && doc.getElementById(field.formId);
+            if (element) record[field.name] = element.value;
+        }
+        return InputSchema.normalize(record);
+    }
+
+    /**
+     * Fill the prediction form
+     * @param {Object} record - Input in any accepted spelling
+     * @param {Document} doc - Document holding the form fields
+     */
+    static toForm(record, doc = document) {
+        const input = InputSchema.normalize(record);
+        for (const field of InputSchema.FIELDS) {
+            const element = field.formId && doc.getElementById(field.formId);
+            if (element) element.value = input[field.name] ?? '';
+        }
+    }
+
+    /**
+     * Build one result record in the output schema
+     * @param {Object} input - Input in any accepted spelling
+     * @param {Object} result - Prediction (SatelliteClassifier.predict output,
+     *                          a batch row, or {} for a failed prediction)
+     * @param {Object} meta - { line, track, predictedAt, processingTime, error }
+     * @returns {Object} Record keyed by InputSchema.OUTPUT_COLUMNS
+     */
+    static outputRecord(input, result = {}, meta = {}) {
+        const canonical = InputSchema.normalize(input);
+        const nearestClass = result.nearestClass ?? result.openSet?.nearestClass;
+        const classDistance = result.classDistance ?? result.openSet?.distances[nearestClass];
+        const record = {
+            schema_version: InputSchema.VERSION,
+            line: meta.line,
+            track_id: canonical.track_id,
+            timestamp: canonical.timestamp
+        };
+        for (const name of InputSchema.INPUT_NAMES) {
+            record[name] = canonical[name];
+        }
+        return Object.assign(record, {
+            label: canonical.label,
+            prediction: result.prediction,
+            confidence: result.confidence,
+            nearest_class: nearestClass,
+            class_distance: classDistance,
+            altitude_km: result.features ? Number(result.features.altitude) : undefined,
+            total_velocity_km_s: result.features ? Number(result.features.totalVelocity) : undefined,
+            track_prediction: meta.track?.prediction,
+            track_confidence: meta.track?.confidence,
+            track_flipped: meta.track?.flipped,
+            predicted_at: meta.predictedAt,
+            processing_time_ms: meta.processingTime !== undefined ? Number(meta.processingTime) : undefined,
+            error: meta.error
+        });
+    }
+
+    /**
+     * @param {Array} extraNames - Pass-through column names appended after the schema columns
+     * @returns {string} CSV header line
+     */
+    static csvHeader(extraNames = []) {
+        return [...InputSchema.OUTPUT_COLUMNS, ...extraNames].map(InputSchema.csvField).join(',');
+    }
+
+    /**
+     * @param {Object} record - Output of outputRecord()
+     * @param {Array} extraValues - Pass-through values, in csvHeader() order
+     * @returns {string} CSV line
+     */
+    static csvRow(record, extraValues = []) {
+        const fields = InputSchema.OUTPUT_COLUMNS.map(name => {
+            const value = record[name];
+            if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) {
+                return '';
+            }
+            const digits = InputSchema.OUTPUT_DIGITS[name];
+            return typeof value === 'number' && digits !== undefined
+                ? value.toFixed(digits)
+                : InputSchema.csvField(value);
+        });
+        return fields.concat(extraValues.map(InputSchema.csvField)).join(',');
+    }
+
+    static csvField(value) {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Bump when a field or output column is added, renamed or removed
+InputSchema.VERSION = '1.1';
+
+// Classifier inputs first, in the positional (headerless CSV) order,
+// then the optional trajectory fields and the known class of a labeled
+// dataset (see ModelEvaluator). `formId` is the dashboard input
+// that holds the field.
+InputSchema.FIELDS = [
+    { name: 'latitude', label: 'Latitude (°)', unit: 'degrees', required: true, min: -90, max: 90,
+      formId: 'latitude', aliases: ['latitude', 'lat'] },
+    { name: 'longitude', label: 'Longitude (°)', unit: 'degrees', required: true, min: -180, max: 180,
+      formId: 'longitude', aliases: ['longitude', 'lon', 'lng', 'long'] },
+    { name: 'x_eci_km', label: 'X ECI (km)', unit: 'km', required: true, min: -100000, max: 100000,
+      formId: 'x_eci', aliases: ['x_eci_km', 'x_eci', 'eci_x', 'x'] },
+    { name: 'y_eci_km', label: 'Y ECI (km)', unit: 'km', required: true, min: -100000, max: 100000,
+      formId: 'y_eci', aliases: ['y_eci_km', 'y_eci', 'eci_y', 'y'] },
+    { name: 'z_eci_km', label: 'Z ECI (km)', unit: 'km', required: true, min: -100000, max: 100000,
+      formId: 'z_eci', aliases: ['z_eci_km', 'z_eci', 'eci_z', 'z'] },
+    { name: 'velocity_x', label: 'Velocity X (km/s)', unit: 'km/s', required: true, min: -20, max: 20,
+      formId: 'vel_x', aliases: ['velocity_x', 'vel_x', 'vx', 'v_x'] },
+    { name: 'velocity_y', label: 'Velocity Y (km/s)', unit: 'km/s', required: true, min: -20, max: 20,
+      formId: 'vel_y', aliases: ['velocity_y', 'vel_y', 'vy', 'v_y'] },
+    { name: 'velocity_z', label: 'Velocity Z (km/s)', unit: 'km/s', required: true, min: -20, max: 20,
+      formId: 'vel_z', aliases: ['velocity_z', 'vel_z', 'vz', 'v_z'] },
+    { name: 'track_id', label: 'Track ID', required: false,
+      aliases: ['track_id', 'track', 'object_id', 'norad_id'] },
+    { name: 'timestamp', label: 'Timestamp', required: false,
+      aliases: ['timestamp', 'time', 'epoch', 'datetime', 'utc'] },
+    { name: 'label', label: 'True Label', required: false,
+      aliases: ['label', 'true_label', 'actual', 'ground_truth', 'truth', 'class', 'target'] }
+];
+
+// Classifier inputs, in feature order
+InputSchema.INPUT_NAMES = InputSchema.FIELDS
+    .filter(field => field.required)
+    .map(field => field.name);
+
+InputSchema.NUMERIC = new Set(InputSchema.INPUT_NAMES);
+
+// Position bounds (km from Earth's center); the lower bound defaults to
+// CONSTANTS.EARTH_RADIUS_KM and is passed in by the classifier
+InputSchema.EARTH_RADIUS_KM = 6371;
+InputSchema.MAX_RADIUS_KM = 100000;
+
+// Columns of every exported result, in order. Inputs use the canonical
+// field names, so an export can be fed back in as a batch CSV.
+InputSchema.OUTPUT_COLUMNS = [
+    'schema_version', 'line', 'track_id', 'timestamp',
+    ...InputSchema.INPUT_NAMES,
+    'label', 'prediction', 'confidence', 'nearest_class', 'class_distance',
+    'altitude_km', 'total_velocity_km_s',
+    'track_prediction', 'track_confidence', 'track_flipped',
+    'predicted_at', 'processing_time_ms', 'error'
+];
+
+// Decimal places of the computed output columns; inputs are written as given
+InputSchema.OUTPUT_DIGITS = {
+    confidence: 4,
+    class_distance: 3,
+    altitude_km: 2,
+    total_velocity_km_s: 4,
+    track_confidence: 4,
+    processing_time_ms: 2
+};
+
+InputSchema.keyCache = new Map();
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputSchema;
+}
@@ -15,10 +15,55 @@ const MODEL_CONFIG = {
     numTrees: 100,
     maxDepth: 10,
     minInstancesPerNode: 1,
+
+    // Trained model the dashboard scores with: a forest dump (.json, see
+    // js/random_forest.js) or a PMML document (.pmml), e.g.
+    // 'models/random_forest.json'. The classificationRules below are used
+    // while this is null or when the file is missing or unreadable.
+    modelFile: null,
     
     // Classes
-    classes: ['ISS', 'Sentinel1A'],
-    numClasses: 2,
+    // Everything class-specific comes from here: a new spacecraft needs an
+    // entry below and a matching entry in classificationRules.
+    // `sample` is a representative input used by "Load Sample Data".
+    classes: [
+        {
+            id: 'ISS',
+            displayName: 'International Space Station',
+            description: 'The International Space Station operates in Low Earth Orbit (LEO) ' +
+                'at approximately 408 km altitude with an inclination of 51.6°.',
+            color: '#00ff88',
+            // 51.6° orbit, ~92.5 min period
+            sample: {
+                latitude: 36.8945,
+                longitude: 66.5109,
+                x_eci_km: 2159.9,
+                y_eci_km: 4970.0,
+                z_eci_km: 4067.9,
+                velocity_x: -6.62,
+                velocity_y: -0.29,
+                velocity_z: 3.86
+            }
+        },
+        {
+            id: 'Sentinel1A',
+            displayName: 'Sentinel-1A',
+            description: 'Sentinel-1A is a polar-orbiting satellite in a sun-synchronous orbit ' +
+                'at approximately 693 km altitude with an inclination near 98°.',
+            color: '#9d4edd',
+            // 98.2° sun-synchronous orbit, ~98.4 min period
+            sample: {
+                latitude: 68.4481,
+                longitude: 78.6013,
+                x_eci_km: 513.6,
+                y_eci_km: 2547.7,
+                z_eci_km: 6580.4,
+                velocity_x: 1.58,
+                velocity_y: -6.87,
+                velocity_z: 2.54
+            }
+        }
+    ],
     
     // Feature names (must match training order)
     featureNames: [
@@ -49,8 +94,9 @@ const MODEL_CONFIG = {
         'latitude': 0.08
     },
     
-    // Classification decision rules
-    // Extracted from trained model analysis
+    // Classification decision rules, keyed by class id
+    // Extracted from trained model analysis. Every rule is optional;
+    // see SatelliteClassifier.RULE_FEATURES for the supported names.
     classificationRules: {
         ISS: {
             altitude_range: [400, 410],        // km above Earth surface
@@ -67,7 +113,23 @@ const MODEL_CONFIG = {
             orbital_period: [98, 99]
         }
     },
-    
+
+    // Open-set rejection
+    // Inputs too far from every class envelope are reported as
+    // `unknownClass` instead of being forced into the nearest class
+    unknownClass: 'Unknown',
+    unknownColor: '#ff4444',
+    openSet: {
+        rejectionThreshold: 3.0,       // max distance to the nearest class
+        // Distance of one unit outside a rule range, per rule
+        tolerances: {
+            altitude_range: 50,        // km
+            velocity_range: 0.05,      // km/s
+            inclination_range: 2.0,    // degrees
+            orbital_period: 1.0        // minutes
+        }
+    },
+
     // Model performance metrics
     performance: {
         accuracy: 1.0000,
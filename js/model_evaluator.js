@@ -0,0 +1,195 @@
+// js/model_evaluator.js
+// ============================================================
+// Labeled-Dataset Evaluation
+// Compares predictions with known labels: accuracy, per-class
+// precision / recall / F1, confusion matrix and one-vs-rest
+// ROC and precision-recall curves from the class probabilities
+// ============================================================
+
+class ModelEvaluator {
+    /**
+     * @param {Array} labels - Class labels, including the unknown class
+     * @param {Array} classes - MODEL_CONFIG.classes; display names are accepted as labels
+     */
+    constructor(labels, classes = []) {
+        this.labels = labels;
+        this.confusionMatrix = labels.map(() => labels.map(() => 0));
+        this.count = 0;
+        this.correct = 0;
+
+        // "ISS", "iss" and "International Space Station" all name the same class
+        this.labelNames = new Map();
+        labels.forEach((label, idx) => this.labelNames.set(ModelEvaluator.normalizeLabel(label), idx));
+        for (const cls of classes) {
+            const idx = labels.indexOf(cls.id);
+            if (idx >= 0) this.labelNames.set(ModelEvaluator.normalizeLabel(cls.displayName), idx);
+        }
+    }
+
+    /**
+     * @param {string} text - Label as written in the input
+     * @returns {string} Lower case letters and digits only
+     */
+    static normalizeLabel(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+    }
+
+    /**
+     * @param {string} text - Label as written in the input
+     * @returns {number} Label index, or -1 if it names no class
+     */
+    labelIndex(text) {
+        return this.labelNames.get(ModelEvaluator.normalizeLabel(text)) ?? -1;
+    }
+
+    /**
+     * Count one labeled prediction
+     * @param {number} actual - Index of the true label
+     * @param {number} predicted - Index of the predicted label
+     */
+    add(actual, predicted) {
+        this.confusionMatrix[actual][predicted]++;
+        this.count++;
+        if (actual === predicted) this.correct++;
+    }
+
+    /**
+     * Metrics of every prediction counted so far
+     * Precision is null for a class that was never predicted and recall
+     * is null for a class with no labeled rows; the macro averages skip
+     * classes with no labeled rows.
+     * @returns {Object} { labeled, correct, accuracy, confusionMatrix, perClass, macro }
+     */
+    metrics() {
+        const matrix = this.confusionMatrix;
+        const perClass = this.labels.map((label, idx) => {
+            const truePositives = matrix[idx][idx];
+            const support = matrix[idx].reduce((sum, value) => sum + value, 0);
+            const predicted = matrix.reduce((sum, row) => sum + row[idx], 0);
+            const precision = predicted > 0 ? truePositives / predicted : null;
+            const recall = support > 0 ? truePositives / support : null;
+            const f1 = precision !== null && recall !== null
+                ? (precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0)
+                : null;
+            return { label, support, predicted, precision, recall, f1 };
+        });
+
+        const present = perClass.filter(entry => entry.support > 0);
+        const average = key => present.length > 0
+            ? present.reduce((sum, entry) => sum + (entry[key] ?? 0), 0) / present.length
+            : null;
+
+        return {
+            labeled: this.count,
+            correct: this.correct,
+            accuracy: this.count > 0 ? this.correct / this.count : null,
+            confusionMatrix: matrix.map(row => row.slice()),
+            perClass,
+            macro: {
+                precision: average('precision'),
+                recall: average('recall'),
+                f1: average('f1')
+            }
+        };
+    }
+
+    /**
+     * One-vs-rest ROC and precision-recall curves for every class
+     * @param {ArrayLike} actual - Label index per row (-1 = unlabeled)
+     * @param {Float32Array} probabilities - Row-major, one value per label per row
+     * @param {number} rows - Number of rows
+     * @returns {Object} Label → ModelEvaluator.curve output
+     */
+    curves(actual, probabilities, rows) {
+        const labeled = [];
+        for (let row = 0; row < rows; row++) {
+            if (actual[row] >= 0) labeled.push(row);
+        }
+
+        const width = this.labels.length;
+        const curves = {};
+        this.labels.forEach((label, idx) => {
+            const scores = new Float32Array(labeled.length);
+            const positives = new Uint8Array(labeled.length);
+            labeled.forEach((row, position) => {
+                scores[position] = probabilities[row * width + idx];
+                positives[position] = actual[row] === idx ? 1 : 0;
+            });
+            curves[label] = ModelEvaluator.curve(scores, positives);
+        });
+        return curves;
+    }
+
+    /**
+     * ROC and precision-recall curve of one score against binary labels
+     * Every distinct score is a threshold; rows with equal scores move the
+     * curve together. AUC is the trapezoidal area under the ROC curve and
+     * average precision the recall-weighted mean of precision. Both are
+     * null when the labels are all positive or all negative.
+     * @param {Float32Array} scores - Score per row (higher = more likely positive)
+     * @param {Uint8Array} positives - 1 for positive rows
+     * @returns {Object} { positives, negatives, auc, averagePrecision, roc: [{fpr, tpr}], pr: [{recall, precision}] }
+     */
+    static curve(scores, positives) {
+        const order = new Uint32Array(scores.length).map((_, idx) => idx)
+            .sort((a, b) => scores[b] - scores[a]);
+        const totalPositives = positives.reduce((sum, value) => sum + value, 0);
+        const totalNegatives = scores.length - totalPositives;
+        if (totalPositives === 0 || totalNegatives === 0) {
+            return { positives: totalPositives, negatives: totalNegatives, auc: null, averagePrecision: null, roc: [], pr: [] };
+        }
+
+        const roc = [{ fpr: 0, tpr: 0 }];
+        const pr = [{ recall: 0, precision: 1 }];
+        let truePositives = 0;
+        let falsePositives = 0;
+        let auc = 0;
+        let averagePrecision = 0;
+
+        for (let position = 0; position < order.length; position++) {
+            const row = order[position];
+            if (positives[row]) truePositives++; else falsePositives++;
+            // Close the threshold only after the last row with this score
+            if (position + 1 < order.length && scores[order[position + 1]] === scores[row]) continue;
+
+            const fpr = falsePositives / totalNegatives;
+            const tpr = truePositives / totalPositives;
+            const previous = roc[roc.length - 1];
+            auc += (fpr - previous.fpr) * (tpr + previous.tpr) / 2;
+            roc.push({ fpr, tpr });
+
+            const precision = truePositives / (truePositives + falsePositives);
+            averagePrecision += (tpr - pr[pr.length - 1].recall) * precision;
+            pr.push({ recall: tpr, precision });
+        }
+
+        return {
+            positives: totalPositives,
+            negatives: totalNegatives,
+            auc,
+            averagePrecision,
+            roc: ModelEvaluator.downsample(roc),
+            pr: ModelEvaluator.downsample(pr)
+        };
+    }
+
+    /**
+     * Thin a curve for drawing, keeping its first and last points
+     * @param {Array} points - Curve points in order
+     * @param {number} max - Maximum number of points
+     * @returns {Array} At most `max` points
+     */
+    static downsample(points, max = ModelEvaluator.CURVE_POINTS) {
+        if (points.length <= max) return points;
+        const step = (points.length - 1) / (max - 1);
+        return Array.from({ length: max }, (_, idx) => points[Math.round(idx * step)]);
+    }
+}
+
+// Points kept per curve; the metrics use every threshold
+ModelEvaluator.CURVE_POINTS = 200;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelEvaluator;
+}
@@ -0,0 +1,734 @@
+// js/orbit_view.js
+// ============================================================
+// 3D Orbit View
+// Draws ECI positions around an Earth sphere on a 2D canvas with a
+// perspective camera (no WebGL or external assets). Points are colored
+// by predicted class; velocity vectors and the osculating orbit of the
+// selected point can be shown. Drag to orbit, shift- or right-drag to
+// pan, wheel to zoom, double-click to fit; arrow keys and +/- work when
+// the canvas has focus.
+// Axes are the ECI frame's: Z toward the north pole, X toward the vernal
+// equinox. The Earth's rotation angle is not known for every point, so
+// the globe shows the equator and a graticule but no coastlines.
+// ============================================================
+
+class OrbitView {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface
+     * @param {Object} options - { classes, unknownColor (MODEL_CONFIG),
+     *                             earthRadius, mu (CONSTANTS), tooltip (element),
+     *                             onSelect(point or null), onChange() after points change }
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.earthRadius = options.earthRadius || 6371;
+        this.mu = options.mu || 398600.4418;
+        this.tooltip = options.tooltip || null;
+        this.onSelect = options.onSelect || null;
+        this.onChange = options.onChange || null;
+
+        this.classes = new Map((options.classes || []).map(cls => [cls.id, cls]));
+        this.unknownColor = options.unknownColor || OrbitView.COLORS.unknown;
+
+        this.layers = new Map();
+        this.selected = null;
+        this.hover = null;
+        this.showVelocities = false;
+        this.showOrbit = true;
+
+        // Camera: looks at `target` from `distance` km, at `yaw` around the
+        // Z axis and `pitch` above the equatorial plane (radians)
+        this.target = [0, 0, 0];
+        this.distance = this.earthRadius * 4;
+        this.yaw = Math.PI / 4;
+        this.pitch = Math.PI / 6;
+
+        this.projected = [];
+        this.width = 0;
+        this.height = 0;
+        this.drawPending = false;
+
+        this.attachControls();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('resize', () => this.resize());
+        }
+        this.resize();
+    }
+
+    /**
+     * Replace the points of a layer and fit the camera to everything shown
+     * @param {string} name - e.g. 'batch' or 'single'
+     * @param {Array} points - Prediction records with ECI position and velocity
+     */
+    setLayer(name, points) {
+        this.layers.set(name, points.filter(OrbitView.isPlottable));
+        if (this.selected && ![...this.layers.values()].some(layer => layer.includes(this.selected))) {
+            this.select(null);
+        }
+        this.fit();
+        this.changed();
+    }
+
+    /**
+     * @param {string} name - Layer
+     * @param {Object} point - Prediction record
+     */
+    addPoint(name, point) {
+        if (!OrbitView.isPlottable(point)) return;
+        if (!this.layers.has(name)) this.layers.set(name, []);
+        this.layers.get(name).push(point);
+        this.changed();
+    }
+
+    /**
+     * @param {string} name - Layer to empty; all layers when omitted
+     */
+    clear(name) {
+        if (name === undefined) {
+            this.layers.clear();
+        } else {
+            this.layers.delete(name);
+        }
+        this.select(null);
+        this.setHover(null);
+        this.fit();
+        this.changed();
+    }
+
+    changed() {
+        this.scheduleDraw();
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * @param {Object|null} point - Point whose orbit and velocity to highlight
+     */
+    select(point) {
+        if (point === this.selected) return;
+        this.selected = point;
+        this.scheduleDraw();
+        if (this.onSelect) this.onSelect(point);
+    }
+
+    /**
+     * Turn velocity vectors or the selected point's orbit on or off
+     * @param {string} name - 'showVelocities' or 'showOrbit'
+     * @param {boolean} value
+     */
+    setOption(name, value) {
+        if (name !== 'showVelocities' && name !== 'showOrbit') return;
+        this[name] = Boolean(value);
+        this.scheduleDraw();
+    }
+
+    /**
+     * Aim at the Earth's center from far enough to see every point
+     */
+    fit() {
+        let radius = this.earthRadius * 1.5;
+        this.layers.forEach(points => {
+            for (const point of points) {
+                radius = Math.max(radius, OrbitView.norm(OrbitView.position(point)));
+            }
+        });
+        this.target = [0, 0, 0];
+        this.distance = radius * OrbitView.FIT_MARGIN / Math.tan(OrbitView.FIELD_OF_VIEW / 2);
+        this.scheduleDraw();
+    }
+
+    resize() {
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = Math.round(width * OrbitView.ASPECT);
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.height = `${height}px`;
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.draw();
+    }
+
+    scheduleDraw() {
+        if (this.drawPending) return;
+        if (typeof requestAnimationFrame === 'undefined') {
+            this.draw();
+            return;
+        }
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    // ============================================================
+    // CAMERA & PROJECTION
+    // ============================================================
+
+    /**
+     * Camera position and orthonormal basis for the current frame
+     * @returns {Object} { eye, forward, right, up, focal }
+     */
+    camera() {
+        const { cross, normalize } = OrbitView;
+        const offset = [
+            Math.cos(this.pitch) * Math.cos(this.yaw),
+            Math.cos(this.pitch) * Math.sin(this.yaw),
+            Math.sin(this.pitch)
+        ];
+        const eye = this.target.map((value, i) => value + offset[i] * this.distance);
+        const forward = offset.map(value => -value);
+        const right = normalize(cross(forward, [0, 0, 1]));
+        const up = cross(right, forward);
+        return { eye, forward, right, up, focal: this.height / 2 / Math.tan(OrbitView.FIELD_OF_VIEW / 2) };
+    }
+
+    /**
+     * @param {number[]} point - ECI position in km
+     * @param {Object} camera - camera() output
+     * @returns {Object|null} { x, y, depth } in CSS pixels; null behind the camera
+     */
+    project(point, camera) {
+        const relative = point.map((value, i) => value - camera.eye[i]);
+        const depth = OrbitView.dot(relative, camera.forward);
+        if (depth <= OrbitView.NEAR_KM) return null;
+        return {
+            x: this.width / 2 + camera.focal * OrbitView.dot(relative, camera.right) / depth,
+            y: this.height / 2 - camera.focal * OrbitView.dot(relative, camera.up) / depth,
+            depth
+        };
+    }
+
+    /**
+     * Whether the Earth hides a point from the camera
+     * @param {number[]} point - ECI position in km
+     * @param {Object} camera
+     * @returns {boolean}
+     */
+    occluded(point, camera) {
+        // First intersection of the eye→point segment with the sphere
+        const direction = point.map((value, i) => value - camera.eye[i]);
+        const a = OrbitView.dot(direction, direction);
+        const b = 2 * OrbitView.dot(camera.eye, direction);
+        const c = OrbitView.dot(camera.eye, camera.eye) - this.earthRadius * this.earthRadius;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant <= 0) return false;
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t > 0 && t < 1 - 1e-9;
+    }
+
+    // ============================================================
+    // DRAWING
+    // ============================================================
+
+    draw() {
+        const ctx = this.context;
+        const camera = this.camera();
+
+        ctx.fillStyle = OrbitView.COLORS.space;
+        ctx.fillRect(0, 0, this.width, this.height);
+        this.drawEarth(camera);
+        this.drawAxes(camera);
+
+        if (this.selected && this.showOrbit) this.drawOrbit(this.selected, camera);
+        this.drawPoints(camera);
+    }
+
+    drawEarth(camera) {
+        const ctx = this.context;
+        const center = this.project([0, 0, 0], camera);
+        const eyeDistance = OrbitView.norm(camera.eye);
+        if (!center || eyeDistance <= this.earthRadius) return;
+
+        // Apparent radius of the sphere's silhouette, scaled up when panned off-axis
+        const radius = camera.focal * Math.tan(Math.asin(this.earthRadius / eyeDistance)) * eyeDistance / center.depth;
+        const light = radius * 0.35;
+        const gradient = ctx.createRadialGradient(center.x - light, center.y - light, radius * 0.1, center.x, center.y, radius);
+        gradient.addColorStop(0, OrbitView.COLORS.earthLight);
+        gradient.addColorStop(1, OrbitView.COLORS.earthDark);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+        ctx.fill();
+
+        // Graticule on the near hemisphere, with the equator highlighted
+        const surface = (latitude, longitude) => [
+            this.earthRadius * Math.cos(latitude) * Math.cos(longitude),
+            this.earthRadius * Math.cos(latitude) * Math.sin(longitude),
+            this.earthRadius * Math.sin(latitude)
+        ];
+        const step = OrbitView.GRATICULE_STEP * Math.PI / 180;
+        const samples = 72;
+        const lines = [];
+        for (let latitude = -Math.PI / 2 + step; latitude < Math.PI / 2 - 1e-9; latitude += step) {
+            lines.push({
+                equator: Math.abs(latitude) < 1e-9,
+                points: Array.from({ length: samples + 1 }, (_, i) => surface(latitude, 2 * Math.PI * i / samples))
+            });
+        }
+        for (let longitude = 0; longitude < 2 * Math.PI - 1e-9; longitude += step) {
+            lines.push({
+                equator: false,
+                points: Array.from({ length: samples / 2 + 1 }, (_, i) => surface(-Math.PI / 2 + Math.PI * i / (samples / 2), longitude))
+            });
+        }
+
+        for (const line of lines) {
+            ctx.beginPath();
+            let drawing = false;
+            for (const point of line.points) {
+                // A surface point faces the camera when its normal points at the eye
+                const facing = OrbitView.dot(point, point.map((value, i) => camera.eye[i] - value)) > 0;
+                const screen = facing && this.project(point, camera);
+                if (!screen) {
+                    drawing = false;
+                    continue;
+                }
+                if (drawing) ctx.lineTo(screen.x, screen.y);
+                else ctx.moveTo(screen.x, screen.y);
+                drawing = true;
+            }
+            ctx.strokeStyle = line.equator ? OrbitView.COLORS.equator : OrbitView.COLORS.graticule;
+            ctx.lineWidth = line.equator ? 1.5 : 0.75;
+            ctx.stroke();
+        }
+    }
+
+    // North pole (Z) and vernal equinox (X) directions
+    drawAxes(camera) {
+        const ctx = this.context;
+        const axes = [
+            { direction: [0, 0, 1], label: 'N' },
+            { direction: [0, 0, -1], label: 'S' },
+            { direction: [1, 0, 0], label: '♈ X' }
+        ];
+        ctx.lineWidth = 1.5;
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = ctx.strokeStyle = OrbitView.COLORS.axis;
+
+        for (const { direction, label } of axes) {
+            const from = direction.map(value => value * this.earthRadius);
+            const to = direction.map(value => value * this.earthRadius * OrbitView.AXIS_LENGTH);
+            const start = this.project(from, camera);
+            const end = this.project(to, camera);
+            if (!start || !end || this.occluded(to, camera)) continue;
+            ctx.globalAlpha = this.occluded(from, camera) ? 0.4 : 1;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            ctx.fillText(label, end.x + 4, end.y - 4);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Plot every point far to near, so nearer points cover farther ones;
+     * points behind the Earth are left out
+     * @param {Object} camera
+     */
+    drawPoints(camera) {
+        const ctx = this.context;
+        const visible = [];
+        this.layers.forEach((points, layer) => {
+            for (const point of points) {
+                const position = OrbitView.position(point);
+                const screen = this.project(position, camera);
+                if (!screen || this.occluded(position, camera)) continue;
+                visible.push({ point, position, screen, single: layer === 'single' });
+            }
+        });
+        visible.sort((a, b) => b.screen.depth - a.screen.depth);
+
+        for (const entry of visible) {
+            const { point, position, screen, single } = entry;
+            const color = this.colorOf(point.prediction);
+            const confidence = Math.min(1, Math.max(0, Number(point.confidence) || 0));
+
+            if (this.showVelocities || point === this.selected) {
+                this.drawVelocity(position, OrbitView.velocity(point), color, camera);
+            }
+
+            ctx.globalAlpha = OrbitView.MIN_ALPHA + (1 - OrbitView.MIN_ALPHA) * confidence;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, single ? 5 : 3, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            if (single || point === this.selected || point === this.hover) {
+                ctx.strokeStyle = OrbitView.COLORS.highlight;
+                ctx.lineWidth = point === this.selected ? 2.5 : 1.5;
+                ctx.stroke();
+            }
+        }
+        // Hit testing uses the nearest points first
+        this.projected = visible.reverse();
+    }
+
+    /**
+     * Arrow along the velocity, VELOCITY_SECONDS of flight long
+     * @param {number[]} position - km
+     * @param {number[]} velocity - km/s
+     * @param {string} color
+     * @param {Object} camera
+     */
+    drawVelocity(position, velocity, color, camera) {
+        const tip = position.map((value, i) => value + velocity[i] * OrbitView.VELOCITY_SECONDS);
+        const start = this.project(position, camera);
+        const end = this.project(tip, camera);
+        if (!start || !end) return;
+
+        const ctx = this.context;
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const head = 6;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.25;
+        ctx.globalAlpha = 0.8;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.moveTo(end.x - head * Math.cos(angle - 0.4), end.y - head * Math.sin(angle - 0.4));
+        ctx.lineTo(end.x, end.y);
+        ctx.lineTo(end.x - head * Math.cos(angle + 0.4), end.y - head * Math.sin(angle + 0.4));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Osculating orbit of a point: the Keplerian conic through its position
+     * and velocity. Parts hidden by the Earth are drawn faint.
+     * @param {Object} point
+     * @param {Object} camera
+     */
+    drawOrbit(point, camera) {
+        const path = OrbitView.orbitPath(OrbitView.position(point), OrbitView.velocity(point), this.mu, this.earthRadius);
+        if (path.length < 2) return;
+
+        const ctx = this.context;
+        ctx.strokeStyle = this.colorOf(point.prediction);
+        ctx.lineWidth = 1.5;
+        for (let i = 1; i < path.length; i++) {
+            const from = this.project(path[i - 1], camera);
+            const to = this.project(path[i], camera);
+            if (!from || !to) continue;
+            ctx.globalAlpha = this.occluded(path[i], camera) ? 0.15 : 0.9;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    colorOf(classId) {
+        const cls = this.classes.get(classId);
+        return cls ? cls.color : this.unknownColor;
+    }
+
+    // ============================================================
+    // INTERACTION
+    // ============================================================
+
+    attachControls() {
+        const canvas = this.canvas;
+        let drag = null;
+
+        canvas.addEventListener('pointerdown', event => {
+            drag = {
+                x: event.offsetX,
+                y: event.offsetY,
+                moved: 0,
+                pan: event.shiftKey || event.button === 2
+            };
+            canvas.setPointerCapture?.(event.pointerId);
+        });
+        canvas.addEventListener('pointermove', event => {
+            if (!drag) {
+                this.handleHover(event.offsetX, event.offsetY);
+                return;
+            }
+            const dx = event.offsetX - drag.x;
+            const dy = event.offsetY - drag.y;
+            drag.x = event.offsetX;
+            drag.y = event.offsetY;
+            drag.moved += Math.abs(dx) + Math.abs(dy);
+            if (drag.pan) this.pan(dx, dy);
+            else this.rotate(dx, dy);
+        });
+        canvas.addEventListener('pointerup', event => {
+            // A press that barely moved is a click
+            if (drag && drag.moved < 4 && event.button === 0) {
+                const hit = this.pointAt(event.offsetX, event.offsetY);
+                this.select(hit === this.selected ? null : hit);
+            }
+            drag = null;
+        });
+        canvas.addEventListener('pointercancel', () => {
+            drag = null;
+        });
+        canvas.addEventListener('pointerleave', () => this.setHover(null));
+        canvas.addEventListener('contextmenu', event => event.preventDefault());
+        canvas.addEventListener('dblclick', () => this.fit());
+        canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom(Math.exp(event.deltaY * 0.001));
+        }, { passive: false });
+        canvas.addEventListener('keydown', event => {
+            const actions = {
+                ArrowLeft: () => this.rotate(-20, 0),
+                ArrowRight: () => this.rotate(20, 0),
+                ArrowUp: () => this.rotate(0, -20),
+                ArrowDown: () => this.rotate(0, 20),
+                '+': () => this.zoom(1 / 1.2),
+                '=': () => this.zoom(1 / 1.2),
+                '-': () => this.zoom(1.2),
+                '0': () => this.fit(),
+                Escape: () => this.select(null)
+            };
+            if (actions[event.key]) {
+                event.preventDefault();
+                actions[event.key]();
+            }
+        });
+    }
+
+    /**
+     * @param {number} dx - Pixels dragged right
+     * @param {number} dy - Pixels dragged down
+     */
+    rotate(dx, dy) {
+        const limit = Math.PI / 2 - 0.01;
+        this.yaw -= dx * OrbitView.ROTATE_SPEED;
+        this.pitch = Math.min(limit, Math.max(-limit, this.pitch + dy * OrbitView.ROTATE_SPEED));
+        this.scheduleDraw();
+    }
+
+    // Move the scene with the pointer, at the depth of the target
+    pan(dx, dy) {
+        const camera = this.camera();
+        const scale = this.distance / camera.focal;
+        this.target = this.target.map((value, i) => value - camera.right[i] * dx * scale + camera.up[i] * dy * scale);
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {number} factor - Distance multiplier; below 1 moves closer
+     */
+    zoom(factor) {
+        const minimum = this.earthRadius * 1.1;
+        this.distance = Math.min(OrbitView.MAX_DISTANCE_KM, Math.max(minimum, this.distance * factor));
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {number} x - CSS pixels
+     * @param {number} y - CSS pixels
+     * @returns {Object|null} Nearest visible point within HIT_RADIUS, nearer points first
+     */
+    pointAt(x, y) {
+        const radius = OrbitView.HIT_RADIUS * OrbitView.HIT_RADIUS;
+        let nearest = null;
+        let best = radius;
+        for (const { point, screen } of this.projected) {
+            const distance = (screen.x - x) ** 2 + (screen.y - y) ** 2;
+            if (distance < best) {
+                best = distance;
+                nearest = point;
+            }
+        }
+        return nearest;
+    }
+
+    handleHover(x, y) {
+        const point = this.pointAt(x, y);
+        this.setHover(point);
+        this.canvas.style.cursor = point ? 'pointer' : '';
+        if (point && this.tooltip) {
+            const flipX = x > this.width * 0.6;
+            const flipY = y > this.height * 0.5;
+            this.tooltip.style.left = flipX ? '' : `${x + 14}px`;
+            this.tooltip.style.right = flipX ? `${this.width - x + 14}px` : '';
+            this.tooltip.style.top = flipY ? '' : `${y + 14}px`;
+            this.tooltip.style.bottom = flipY ? `${this.height - y + 14}px` : '';
+        }
+    }
+
+    setHover(point) {
+        if (point === this.hover) return;
+        this.hover = point;
+        if (this.tooltip) {
+            this.tooltip.innerHTML = point ? this.tooltipHTML(point) : '';
+            this.tooltip.classList.toggle('show', Boolean(point));
+        }
+        this.scheduleDraw();
+    }
+
+    /**
+     * @param {Object} point - Prediction record
+     * @returns {string} Tooltip HTML
+     */
+    tooltipHTML(point) {
+        const escape = OrbitView.escape;
+        const cls = this.classes.get(point.prediction);
+        const position = OrbitView.position(point);
+        const velocity = OrbitView.velocity(point);
+        const radius = OrbitView.norm(position);
+        const rows = [
+            ['Position', `${position.map(value => value.toFixed(1)).join(', ')} km`],
+            ['Velocity', `${velocity.map(value => value.toFixed(3)).join(', ')} km/s`],
+            ['Altitude', `${(radius - this.earthRadius).toFixed(1)} km`],
+            ['Speed', `${OrbitView.norm(velocity).toFixed(3)} km/s`],
+            point.timestamp && ['Time', String(point.timestamp).replace('T', ' ').slice(0, 19) + ' UTC'],
+            point.track_id !== undefined && ['Track', point.track_id],
+            point.label !== undefined && ['Label', point.label]
+        ].filter(Boolean);
+
+        return `
+            <div class="map-tooltip-title" style="color: ${this.colorOf(point.prediction)};">
+                ${escape(cls ? cls.displayName : point.prediction)} · ${(Number(point.confidence) * 100).toFixed(1)}%
+            </div>
+            <table>
+                ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`).join('')}
+            </table>
+            <div class="map-tooltip-hint">Click to select${this.showOrbit ? ' and show its orbit' : ''}</div>
+        `;
+    }
+
+    // ============================================================
+    // GEOMETRY
+    // ============================================================
+
+    /**
+     * Points along the osculating conic, one revolution for bound orbits;
+     * escape trajectories stop at ESCAPE_RADII Earth radii
+     * @param {number[]} r - ECI position in km
+     * @param {number[]} v - ECI velocity in km/s
+     * @param {number} mu - Gravitational parameter in km³/s²
+     * @param {number} earthRadius - km
+     * @returns {Array<number[]>} ECI positions
+     */
+    static orbitPath(r, v, mu, earthRadius) {
+        const { cross, norm, normalize } = OrbitView;
+        const h = cross(r, v);
+        const hMag = norm(h);
+        if (hMag < 1e-9) return [];
+
+        // Eccentricity vector points at perigee
+        const rMag = norm(r);
+        const vCrossH = cross(v, h);
+        const eVec = vCrossH.map((value, i) => value / mu - r[i] / rMag);
+        const e = norm(eVec);
+        const p = hMag * hMag / mu;
+
+        // Perifocal basis; a circular orbit starts at the current position
+        const axisP = e > 1e-8 ? eVec.map(value => value / e) : normalize(r);
+        const axisQ = normalize(cross(h, axisP));
+
+        let maxAnomaly = Math.PI;
+        if (e >= 1) {
+            const maxRadius = earthRadius * OrbitView.ESCAPE_RADII;
+            // r(ν) = p / (1 + e cos ν) reaches maxRadius at cos ν = (p / maxRadius - 1) / e
+            maxAnomaly = Math.acos(Math.max(-1, Math.min(1, (p / maxRadius - 1) / e)));
+        }
+
+        const samples = OrbitView.ORBIT_SAMPLES;
+        const path = [];
+        for (let i = 0; i <= samples; i++) {
+            const anomaly = -maxAnomaly + 2 * maxAnomaly * i / samples;
+            const radius = p / (1 + e * Math.cos(anomaly));
+            if (!(radius > 0) || !isFinite(radius)) continue;
+            const [cos, sin] = [Math.cos(anomaly), Math.sin(anomaly)];
+            path.push(axisP.map((value, k) => radius * (cos * value + sin * axisQ[k])));
+        }
+        return path;
+    }
+
+    static position(point) {
+        return [Number(point.x_eci_km), Number(point.y_eci_km), Number(point.z_eci_km)];
+    }
+
+    static velocity(point) {
+        return [Number(point.velocity_x) || 0, Number(point.velocity_y) || 0, Number(point.velocity_z) || 0];
+    }
+
+    static isPlottable(point) {
+        return point != null && OrbitView.position(point).every(value => isFinite(value)) &&
+            ['x_eci_km', 'y_eci_km', 'z_eci_km'].every(name => point[name] !== '' && point[name] !== undefined);
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    static norm(a) {
+        return Math.sqrt(OrbitView.dot(a, a));
+    }
+
+    static normalize(a) {
+        const length = OrbitView.norm(a);
+        return length > 0 ? a.map(value => value / length) : [0, 0, 0];
+    }
+}
+
+OrbitView.COLORS = {
+    space: '#05081a',
+    earthLight: '#2a6fb0',
+    earthDark: '#0a2548',
+    graticule: 'rgba(136, 204, 255, 0.25)',
+    equator: 'rgba(255, 204, 136, 0.8)',
+    axis: '#88ccff',
+    highlight: '#ffffff',
+    unknown: '#888888'
+};
+
+// Vertical field of view (radians) and canvas height per unit of width
+OrbitView.FIELD_OF_VIEW = Math.PI / 4;
+OrbitView.ASPECT = 0.6;
+
+// fit() leaves this much room around the farthest point
+OrbitView.FIT_MARGIN = 1.3;
+
+OrbitView.NEAR_KM = 1;
+OrbitView.MAX_DISTANCE_KM = 2000000;
+
+// Radians per dragged pixel
+OrbitView.ROTATE_SPEED = 0.01;
+
+// Degrees between grid lines on the globe
+OrbitView.GRATICULE_STEP = 30;
+
+// Axis length in Earth radii from the center
+OrbitView.AXIS_LENGTH = 1.5;
+
+// Velocity arrows show this many seconds of flight (LEO: about 4,500 km)
+OrbitView.VELOCITY_SECONDS = 600;
+
+// Segments of a drawn orbit, and where escape trajectories are cut off
+OrbitView.ORBIT_SAMPLES = 180;
+OrbitView.ESCAPE_RADII = 20;
+
+OrbitView.HIT_RADIUS = 6;
+OrbitView.MIN_ALPHA = 0.25;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrbitView;
+}
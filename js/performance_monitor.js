@@ -5,20 +5,50 @@
 // ============================================================
 
 class PerformanceMonitor {
-    constructor() {
+    /**
+     * @param {Array} classes - Labels to report in predictionsByClass even
+     *                          before they are predicted (e.g. the unknown class)
+     * @param {Object} options - { driftReference }: training distributions to
+     *                           check inputs against (see DriftDetector); no drift
+     *                           checks without one
+     */
+    constructor(classes = [], options = {}) {
+        this.classes = classes;
+        this.drift = options.driftReference ? new DriftDetector(options.driftReference) : null;
+        // Log and metrics are kept in memory until attachStore()
+        this.store = null;
+        this.memoryLimit = Infinity;
+        this.pending = null;
+        this.saveTimer = null;
         this.predictionLog = [];
         this.sessionStartTime = Date.now();
-        this.metrics = {
+        this.metrics = this.emptyMetrics();
+        // Constant-time streaming statistics (js/streaming_stats.js)
+        this.latency = new LatencyHistogram();
+        this.rolling = new RollingWindow(classes);
+    }
+
+    emptyMetrics() {
+        return {
             totalPredictions: 0,
             successfulPredictions: 0,
             failedPredictions: 0,
             avgProcessingTime: 0,
             minProcessingTime: Infinity,
             maxProcessingTime: 0,
-            predictionsByClass: {}
+            avgConfidence: 0,
+            predictionsByClass: this.emptyClassCounts()
         };
     }
 
+    /**
+     * Zeroed per-class counters
+     * @returns {Object} Count of 0 for every configured class
+     */
+    emptyClassCounts() {
+        return Object.fromEntries(this.classes.map(label => [label, 0]));
+    }
+
     /**
      * Log a prediction for analytics
      * @param {Object} input - Input data
@@ -26,16 +56,22 @@ class PerformanceMonitor {
      * @param {number} processingTime - Time taken in ms
      */
     logPrediction(input, output, processingTime) {
+        const now = Date.now();
         const logEntry = {
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(now).toISOString(),
             input,
             output,
             processingTime: processingTime.toFixed(2),
             success: true
         };
         
-        this.predictionLog.push(logEntry);
         this.updateMetrics(logEntry);
+        this.latency.add(processingTime);
+        this.rolling.add(now, { label: output.prediction, latency: processingTime });
+        if (this.drift && output.rawFeatures) {
+            this.drift.observe(output.rawFeatures);
+        }
+        this.record(logEntry);
         
         return logEntry;
     }
@@ -46,20 +82,62 @@ class PerformanceMonitor {
      * @param {Error} error - Error that occurred
      */
     logError(input, error) {
+        const now = Date.now();
         const logEntry = {
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(now).toISOString(),
             input,
             error: error.message,
             success: false
         };
         
-        this.predictionLog.push(logEntry);
         this.metrics.failedPredictions++;
         this.metrics.totalPredictions++;
+        this.rolling.add(now, { error: true });
+        this.record(logEntry);
         
         return logEntry;
     }
 
+    /**
+     * Keep a log entry in memory and, with a store, persist it with the metrics
+     * A failed write is reported on the console; the session goes on in memory.
+     * @param {Object} logEntry - Entry from logPrediction or logError
+     */
+    record(logEntry) {
+        this.predictionLog.push(logEntry);
+        if (this.predictionLog.length > this.memoryLimit) {
+            this.predictionLog.shift();
+        }
+        if (this.store) {
+            this.pending = this.store.add(logEntry).catch(error => {
+                console.warn('⚠️ Could not save prediction history:', error.message);
+            });
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Save the metrics shortly after the last prediction of a burst rather
+     * than after every one
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), PerformanceMonitor.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Save the metrics now (e.g. when the page is being hidden or unloaded)
+     * @returns {Promise}
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.store) return Promise.resolve();
+        return this.store.saveState(this.saveState()).catch(error => {
+            console.warn('⚠️ Could not save prediction history:', error.message);
+        });
+    }
+
     /**
      * Update performance metrics
      * @param {Object} logEntry - Log entry to process
@@ -72,11 +150,10 @@ class PerformanceMonitor {
         this.metrics.minProcessingTime = Math.min(this.metrics.minProcessingTime, time);
         this.metrics.maxProcessingTime = Math.max(this.metrics.maxProcessingTime, time);
         
-        // Calculate running average
-        const totalTime = this.predictionLog
-            .filter(e => e.success)
-            .reduce((sum, e) => sum + parseFloat(e.processingTime), 0);
-        this.metrics.avgProcessingTime = totalTime / this.metrics.successfulPredictions;
+        // Running averages; the log itself may no longer be in memory
+        const count = this.metrics.successfulPredictions;
+        this.metrics.avgProcessingTime += (time - this.metrics.avgProcessingTime) / count;
+        this.metrics.avgConfidence += ((logEntry.output.confidence || 0) - this.metrics.avgConfidence) / count;
         
         // Track predictions by class
         if (logEntry.output && logEntry.output.prediction) {
@@ -91,10 +168,25 @@ class PerformanceMonitor {
      * @returns {Object} Performance metrics
      */
     getStats() {
-        const sessionDuration = Math.floor((Date.now() - this.sessionStartTime) / 1000);
+        const now = Date.now();
+        const sessionDuration = Math.floor((now - this.sessionStartTime) / 1000);
+        const windows = {};
+        for (const [name, seconds] of Object.entries(PerformanceMonitor.WINDOWS)) {
+            windows[name] = this.windowStats(this.rolling.totals(seconds, now), Math.min(seconds, sessionDuration));
+        }
+        windows.session = this.windowStats({
+            count: this.metrics.totalPredictions,
+            errors: this.metrics.failedPredictions,
+            latencySum: this.metrics.avgProcessingTime * this.metrics.successfulPredictions,
+            classCounts: this.metrics.predictionsByClass
+        }, sessionDuration);
         
         return {
             ...this.metrics,
+            latency: Object.fromEntries(PerformanceMonitor.PERCENTILES.map(p =>
+                [`p${Math.round(p * 100)}`, this.latency.percentile(p)])),
+            latencyHistogram: this.latency.bins(),
+            windows,
             sessionDuration,
             sessionDurationFormatted: this.formatDuration(sessionDuration),
             predictionsPerMinute: sessionDuration > 0 
@@ -106,6 +198,98 @@ class PerformanceMonitor {
         };
     }
 
+    /**
+     * Rates over one window
+     * @param {Object} totals - RollingWindow.totals() output (or the session's)
+     * @param {number} seconds - Time the window covers (shorter early in the session)
+     * @returns {Object} { count, errors, errorRate, throughput (per minute),
+     *                   avgLatency (ms, null without successes), classMix (share of successes) }
+     */
+    windowStats(totals, seconds) {
+        const successes = totals.count - totals.errors;
+        return {
+            count: totals.count,
+            errors: totals.errors,
+            errorRate: totals.count > 0 ? totals.errors / totals.count : 0,
+            throughput: totals.count / Math.max(1, seconds) * 60,
+            avgLatency: successes > 0 ? totals.latencySum / successes : null,
+            classMix: Object.fromEntries(Object.entries(totals.classCounts).map(([label, count]) =>
+                [label, successes > 0 ? count / successes : 0]))
+        };
+    }
+
+    /**
+     * Add inputs classified elsewhere (e.g. a streamed batch) to the drift check
+     * @param {Object} snapshot - DriftDetector.snapshot() built on the same reference
+     */
+    mergeDrift(snapshot) {
+        if (this.drift && snapshot) {
+            this.drift.merge(snapshot);
+            if (this.store) this.scheduleSave();
+        }
+    }
+
+    /**
+     * Metrics, session start, streaming statistics and drift counts, for HistoryStore
+     * @returns {Object} Structured-cloneable state
+     */
+    saveState() {
+        return {
+            sessionStartTime: this.sessionStartTime,
+            metrics: { ...this.metrics, predictionsByClass: { ...this.metrics.predictionsByClass } },
+            latency: this.latency.toJSON(),
+            rolling: this.rolling.toJSON(),
+            drift: this.drift ? this.drift.snapshot() : null
+        };
+    }
+
+    /**
+     * Persist the log and metrics from now on and continue the session saved
+     * in the store (e.g. before a reload)
+     * Predictions logged before the store was ready are saved instead.
+     * With a store the full log lives there; only recent entries stay in memory.
+     * @param {HistoryStore} store - Opened store
+     * @returns {Promise<boolean>} Whether a saved session was restored
+     */
+    async attachStore(store) {
+        this.store = store;
+        this.memoryLimit = PerformanceMonitor.RECENT_ENTRIES;
+        if (this.metrics.totalPredictions > 0) {
+            for (const logEntry of this.predictionLog) {
+                await store.add(logEntry);
+            }
+            await store.saveState(this.saveState());
+            this.predictionLog = this.predictionLog.slice(-this.memoryLimit);
+            return false;
+        }
+
+        const state = await store.loadState();
+        if (!state) return false;
+
+        this.sessionStartTime = state.sessionStartTime;
+        this.metrics = {
+            ...this.emptyMetrics(),
+            ...state.metrics,
+            predictionsByClass: { ...this.emptyClassCounts(), ...state.metrics.predictionsByClass }
+        };
+        this.latency = LatencyHistogram.from(state.latency);
+        this.rolling = RollingWindow.from(this.classes, state.rolling);
+        if (this.drift && state.drift) {
+            this.drift.reset();
+            this.drift.merge(state.drift);
+        }
+        this.predictionLog = (await this.store.page(0, this.memoryLimit)).reverse();
+        return true;
+    }
+
+    /**
+     * Compare the inputs seen this session with the training distributions
+     * @returns {Object|null} DriftDetector.report(), or null without a reference
+     */
+    getDriftReport() {
+        return this.drift ? this.drift.report() : null;
+    }
+
     /**
      * Get prediction history
      * @param {number} limit - Maximum number of entries to return
@@ -115,55 +299,69 @@ class PerformanceMonitor {
         return this.predictionLog.slice(-limit);
     }
 
+    /**
+     * One page of the whole log, newest first
+     * @param {number} offset - Entries to skip from the newest
+     * @param {number} limit - Page size
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async getHistoryPage(offset, limit) {
+        if (!this.store) {
+            const end = this.predictionLog.length - offset;
+            return {
+                entries: this.predictionLog.slice(Math.max(0, end - limit), Math.max(0, end)).reverse(),
+                total: this.predictionLog.length
+            };
+        }
+        await this.pending;
+        const [entries, total] = await Promise.all([this.store.page(offset, limit), this.store.count()]);
+        return { entries, total };
+    }
+
     /**
      * Clear all logs and reset metrics
+     * @returns {Promise} Resolves once the stored log is removed as well
      */
-    clearHistory() {
+    async clearHistory() {
         this.predictionLog = [];
         this.sessionStartTime = Date.now();
-        this.metrics = {
-            totalPredictions: 0,
-            successfulPredictions: 0,
-            failedPredictions: 0,
-            avgProcessingTime: 0,
-            minProcessingTime: Infinity,
-            maxProcessingTime: 0,
-            predictionsByClass: {}
-        };
+        if (this.drift) {
+            this.drift.reset();
+        }
+        this.metrics = this.emptyMetrics();
+        this.latency = new LatencyHistogram();
+        this.rolling = new RollingWindow(this.classes);
+        if (this.store) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this.pending;
+            await this.store.clear();
+        }
     }
 
     /**
-     * Export prediction history as CSV
-     * @returns {string} CSV formatted data
+     * Export prediction history as CSV in the InputSchema output format
+     * Failed predictions keep their input and carry the error message.
+     * With a store, every stored entry is exported.
+     * @returns {Promise<string>} CSV formatted data
      */
-    exportToCSV() {
-        const headers = [
-            'Timestamp',
-            'Prediction',
-            'Confidence',
-            'Latitude',
-            'Longitude',
-            'Altitude',
-            'Velocity',
-            'Processing Time (ms)',
-            'Success'
-        ];
-        
-        const rows = this.predictionLog.map(log => [
-            log.timestamp,
-            log.output?.prediction || 'N/A',
-            log.output?.confidence?.toFixed(4) || 'N/A',
-            log.input?.latitude || 'N/A',
-            log.input?.longitude || 'N/A',
-            log.output?.features?.altitude || 'N/A',
-            log.output?.features?.totalVelocity || 'N/A',
-            log.processingTime || 'N/A',
-            log.success ? 'Yes' : 'No'
-        ]);
-        
-        return [headers, ...rows]
-            .map(row => row.join(','))
-            .join('\n');
+    async exportToCSV() {
+        const row = log => InputSchema.csvRow(
+            InputSchema.outputRecord(log.input, log.output, {
+                predictedAt: log.timestamp,
+                processingTime: log.processingTime,
+                error: log.error
+            })
+        );
+
+        const rows = [];
+        if (this.store) {
+            await this.pending;
+            await this.store.forEach(log => rows.push(row(log)));
+        } else {
+            rows.push(...this.predictionLog.map(row));
+        }
+        return [InputSchema.csvHeader(), ...rows].join('\n');
     }
 
     /**
@@ -184,6 +382,8 @@ class PerformanceMonitor {
      */
     getSummary() {
         const stats = this.getStats();
+        const time = ms => `${ms === null ? 0 : ms.toFixed(2)}ms`;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
         
         return {
             total: stats.totalPredictions,
@@ -195,11 +395,31 @@ class PerformanceMonitor {
             sessionTime: stats.sessionDurationFormatted,
             predictionsByClass: stats.predictionsByClass,
             successRate: `${stats.successRate}%`,
-            predictionsPerMinute: stats.predictionsPerMinute
+            predictionsPerMinute: stats.predictionsPerMinute,
+            ...Object.fromEntries(Object.entries(stats.latency).map(([name, ms]) => [`${name}Time`, time(ms)])),
+            windows: Object.fromEntries(Object.entries(stats.windows).map(([name, rates]) => [name, {
+                predictions: rates.count,
+                throughput: `${rates.throughput.toFixed(1)}/min`,
+                errorRate: percent(rates.errorRate),
+                avgTime: time(rates.avgLatency),
+                classMix: Object.fromEntries(Object.entries(rates.classMix).map(([label, share]) => [label, percent(share)]))
+            }]))
         };
     }
 }
 
+// Entries kept in memory when the log is persisted
+PerformanceMonitor.RECENT_ENTRIES = 100;
+
+// Delay between the last prediction and saving the metrics
+PerformanceMonitor.SAVE_DELAY_MS = 500;
+
+// Rolling windows reported by getStats, in seconds (RollingWindow.SECONDS at most)
+PerformanceMonitor.WINDOWS = { '1m': 60, '15m': 900 };
+
+// Latency percentiles reported by getStats
+PerformanceMonitor.PERCENTILES = [0.5, 0.9, 0.95, 0.99];
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PerformanceMonitor;
@@ -0,0 +1,498 @@
+// js/pmml_model.js
+// ============================================================
+// PMML Model Loader
+// Scores MiningModel / TreeModel documents exported from Spark
+// with jpmml-sparkml
+// ============================================================
+
+class PMMLModel {
+    constructor(document, modelConfig) {
+        this.config = modelConfig;
+        this.expectsScaledFeatures = false;
+        this.method = 'pmml';
+
+        const pmml = document.name === 'PMML' ? document : PMMLModel.child(document, 'PMML');
+        if (!pmml) {
+            throw new Error('Not a PMML document: missing <PMML> root element');
+        }
+
+        this.version = pmml.attributes.version || 'unknown';
+        this.dataFields = this.parseDataDictionary(PMMLModel.child(pmml, 'DataDictionary'));
+        this.transformations = this.parseDerivedFields(PMMLModel.child(pmml, 'TransformationDictionary'));
+
+        const modelElement = pmml.children.find(c => c.name === 'MiningModel' || c.name === 'TreeModel');
+        if (!modelElement) {
+            throw new Error('PMML document has no MiningModel or TreeModel');
+        }
+        this.root = this.compileModel(modelElement);
+
+        const target = this.dataFields.find(f => f.name === this.root.targetField);
+        if (!target || target.values.length === 0) {
+            throw new Error('PMML target field must list its class values');
+        }
+        this.classes = target.values;
+        for (const label of this.classes) {
+            if (!modelConfig.classes.some(cls => cls.id === label)) {
+                throw new Error(`PMML class "${label}" is not in MODEL_CONFIG.classes`);
+            }
+        }
+
+        this.mapInputFields();
+    }
+
+    /**
+     * Build a model from PMML XML text
+     * @param {string} xmlText - PMML document
+     * @param {Object} modelConfig - MODEL_CONFIG
+     * @returns {PMMLModel} Ready-to-use model
+     */
+    static fromXML(xmlText, modelConfig) {
+        return new PMMLModel(PMMLModel.parseXML(xmlText), modelConfig);
+    }
+
+    /**
+     * Fetch and build a model from a PMML file
+     * @param {string} url - Location of the .pmml file
+     * @param {Object} modelConfig - MODEL_CONFIG
+     * @returns {Promise<PMMLModel>} Loaded model, with its `source` url
+     */
+    static async load(url, modelConfig) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load PMML from ${url} (HTTP ${response.status})`);
+        }
+        const model = PMMLModel.fromXML(await response.text(), modelConfig);
+        model.source = url;
+        return model;
+    }
+
+    // ============================================================
+    // XML PARSING
+    // ============================================================
+
+    /**
+     * Minimal XML parser covering what PMML needs (elements, attributes,
+     * text, comments, CDATA). Works the same in the browser and in Node.
+     * @param {string} text - XML source
+     * @returns {Object} Document node ({ name, attributes, children, text })
+     */
+    static parseXML(text) {
+        const decode = value => value
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCharCode(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [documentNode];
+        const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        const localName = name => name.includes(':') ? name.split(':').pop() : name;
+
+        let lastIndex = 0;
+        let match;
+        while ((match = tagPattern.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            current.text += decode(text.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                current.text += match[1];
+            } else if (match[2]) {
+                const closing = localName(match[2]);
+                if (stack.length === 1 || current.name !== closing) {
+                    throw new Error(`Malformed XML: unexpected </${closing}>`);
+                }
+                current.text = current.text.trim();
+                stack.pop();
+            } else if (match[3]) {
+                const attributes = {};
+                let attr;
+                attrPattern.lastIndex = 0;
+                while ((attr = attrPattern.exec(match[4])) !== null) {
+                    attributes[localName(attr[1])] = decode(attr[2] ?? attr[3]);
+                }
+                const element = { name: localName(match[3]), attributes, children: [], text: '' };
+                current.children.push(element);
+                if (!match[5]) stack.push(element);
+            }
+        }
+
+        if (stack.length !== 1) {
+            throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+        }
+        return documentNode;
+    }
+
+    static child(element, name) {
+        return element ? element.children.find(c => c.name === name) : undefined;
+    }
+
+    static childrenNamed(element, name) {
+        return element ? element.children.filter(c => c.name === name) : [];
+    }
+
+    // ============================================================
+    // MODEL COMPILATION
+    // ============================================================
+
+    /**
+     * Read field definitions and class values
+     * @param {Object} dictionary - <DataDictionary> element
+     * @returns {Array} Data fields ({ name, optype, values })
+     */
+    parseDataDictionary(dictionary) {
+        if (!dictionary) {
+            throw new Error('PMML document has no DataDictionary');
+        }
+        return PMMLModel.childrenNamed(dictionary, 'DataField').map(field => ({
+            name: field.attributes.name,
+            optype: field.attributes.optype,
+            values: PMMLModel.childrenNamed(field, 'Value').map(v => v.attributes.value)
+        }));
+    }
+
+    /**
+     * Collect <DerivedField> expressions by name
+     * @param {Object} container - TransformationDictionary or LocalTransformations
+     * @returns {Map} Field name → expression element
+     */
+    parseDerivedFields(container) {
+        const fields = new Map();
+        for (const field of PMMLModel.childrenNamed(container, 'DerivedField')) {
+            const expression = field.children.find(c => c.name !== 'Extension');
+            if (!expression) {
+                throw new Error(`DerivedField "${field.attributes.name}" has no expression`);
+            }
+            fields.set(field.attributes.name, expression);
+        }
+        return fields;
+    }
+
+    /**
+     * Turn a MiningModel/TreeModel element into a scoring structure
+     * @param {Object} element - Model element
+     * @returns {Object} Compiled model
+     */
+    compileModel(element) {
+        const schema = PMMLModel.child(element, 'MiningSchema');
+        const miningFields = PMMLModel.childrenNamed(schema, 'MiningField');
+        const target = miningFields.find(f => ['target', 'predicted'].includes(f.attributes.usageType));
+        const compiled = {
+            type: element.name,
+            targetField: target ? target.attributes.name : null,
+            activeFields: miningFields
+                .filter(f => !f.attributes.usageType || f.attributes.usageType === 'active')
+                .map(f => f.attributes.name),
+            transformations: this.parseDerivedFields(PMMLModel.child(element, 'LocalTransformations'))
+        };
+
+        if (element.name === 'TreeModel') {
+            compiled.noTrueChildStrategy = element.attributes.noTrueChildStrategy || 'returnNullPrediction';
+            compiled.rootNode = PMMLModel.child(element, 'Node');
+            if (!compiled.rootNode) {
+                throw new Error('TreeModel has no root Node');
+            }
+            return compiled;
+        }
+
+        if (element.name !== 'MiningModel') {
+            throw new Error(`Unsupported PMML model type: ${element.name}`);
+        }
+
+        const segmentation = PMMLModel.child(element, 'Segmentation');
+        if (!segmentation) {
+            throw new Error('MiningModel has no Segmentation');
+        }
+        compiled.multipleModelMethod = segmentation.attributes.multipleModelMethod;
+        if (!['average', 'weightedAverage', 'majorityVote', 'weightedMajorityVote']
+            .includes(compiled.multipleModelMethod)) {
+            throw new Error(`Unsupported multipleModelMethod: ${compiled.multipleModelMethod}`);
+        }
+        compiled.segments = PMMLModel.childrenNamed(segmentation, 'Segment').map(segment => {
+            const modelElement = segment.children.find(c => c.name === 'TreeModel' || c.name === 'MiningModel');
+            if (!modelElement) {
+                throw new Error(`Segment ${segment.attributes.id || ''} has no TreeModel`);
+            }
+            return {
+                weight: parseFloat(segment.attributes.weight || '1'),
+                predicate: segment.children.find(c => PMMLModel.PREDICATES.includes(c.name)),
+                model: this.compileModel(modelElement)
+            };
+        });
+        if (compiled.segments.length === 0) {
+            throw new Error('MiningModel Segmentation has no segments');
+        }
+        return compiled;
+    }
+
+    /**
+     * Map active DataFields onto MODEL_CONFIG.featureNames
+     * @throws {Error} If the PMML expects an input the classifier does not produce
+     */
+    mapInputFields() {
+        const featureNames = this.config.featureNames;
+        const inputs = this.dataFields
+            .filter(f => f.name !== this.root.targetField)
+            .filter(f => this.root.activeFields.length === 0 || this.root.activeFields.includes(f.name));
+
+        this.fieldIndex = {};
+        for (const field of inputs) {
+            const idx = featureNames.indexOf(field.name);
+            if (idx === -1) {
+                throw new Error(
+                    `PMML input "${field.name}" does not match any of MODEL_CONFIG.featureNames (${featureNames.join(', ')})`
+                );
+            }
+            this.fieldIndex[field.name] = idx;
+        }
+    }
+
+    // ============================================================
+    // EVALUATION
+    // ============================================================
+
+    /**
+     * Score a raw (unscaled) feature vector
+     * @param {Array} features - Values in MODEL_CONFIG.featureNames order
+     * @returns {Object} { probabilities, votes } keyed by class label
+     */
+    predictProbabilities(features) {
+        const values = {};
+        for (const [name, idx] of Object.entries(this.fieldIndex)) {
+            values[name] = features[idx];
+        }
+        const context = this.createContext(values, this.transformations, null);
+        const result = this.evaluateModel(this.root, context);
+
+        if (!result) {
+            throw new Error('PMML model returned no prediction for this input');
+        }
+
+        const probabilities = {};
+        for (const label of this.classes) {
+            probabilities[label] = result.distribution[label] || 0;
+        }
+        return { probabilities, votes: result.votes || null };
+    }
+
+    /**
+     * Field lookup scope; derived fields are evaluated lazily and cached
+     */
+    createContext(values, derivedFields, parent) {
+        const cache = {};
+        const context = {
+            get: name => {
+                if (name in values) return values[name];
+                if (name in cache) return cache[name];
+                if (derivedFields.has(name)) {
+                    cache[name] = this.evaluateExpression(derivedFields.get(name), context);
+                    return cache[name];
+                }
+                if (parent) return parent.get(name);
+                throw new Error(`PMML references unknown field "${name}"`);
+            }
+        };
+        return context;
+    }
+
+    evaluateModel(model, parentContext) {
+        const context = this.createContext({}, model.transformations, parentContext);
+
+        if (model.type === 'TreeModel') {
+            return this.evaluateTree(model, context);
+        }
+
+        const totals = {};
+        const votes = {};
+        let totalWeight = 0;
+
+        for (const segment of model.segments) {
+            if (segment.predicate && !this.evaluatePredicate(segment.predicate, context)) continue;
+
+            const result = this.evaluateModel(segment.model, context);
+            if (!result) continue;
+
+            const weight = model.multipleModelMethod.startsWith('weighted') ? segment.weight : 1;
+            totalWeight += weight;
+
+            if (/average$/i.test(model.multipleModelMethod)) {
+                for (const [label, p] of Object.entries(result.distribution)) {
+                    totals[label] = (totals[label] || 0) + p * weight;
+                }
+            } else {
+                totals[result.label] = (totals[result.label] || 0) + weight;
+            }
+            votes[result.label] = (votes[result.label] || 0) + 1;
+        }
+
+        if (totalWeight === 0) return null;
+
+        const distribution = {};
+        for (const [label, value] of Object.entries(totals)) {
+            distribution[label] = value / totalWeight;
+        }
+        const label = Object.keys(distribution)
+            .reduce((best, key) => distribution[key] > distribution[best] ? key : best);
+        return { label, distribution, votes };
+    }
+
+    evaluateTree(model, context) {
+        let node = model.rootNode;
+        const rootPredicate = node.children.find(c => PMMLModel.PREDICATES.includes(c.name));
+        if (rootPredicate && !this.evaluatePredicate(rootPredicate, context)) {
+            return null;
+        }
+
+        for (;;) {
+            const children = PMMLModel.childrenNamed(node, 'Node');
+            if (children.length === 0) break;
+
+            const next = children.find(childNode => {
+                const predicate = childNode.children.find(c => PMMLModel.PREDICATES.includes(c.name));
+                return this.evaluatePredicate(predicate, context);
+            });
+
+            if (!next) {
+                if (model.noTrueChildStrategy === 'returnLastPrediction') break;
+                return null;
+            }
+            node = next;
+        }
+
+        return this.nodeDistribution(node);
+    }
+
+    nodeDistribution(node) {
+        const scores = PMMLModel.childrenNamed(node, 'ScoreDistribution');
+        const distribution = {};
+
+        if (scores.length > 0) {
+            const hasProbabilities = scores.every(s => s.attributes.probability !== undefined);
+            const total = scores.reduce((sum, s) => sum + parseFloat(s.attributes.recordCount || '0'), 0);
+            for (const score of scores) {
+                distribution[score.attributes.value] = hasProbabilities
+                    ? parseFloat(score.attributes.probability)
+                    : (total > 0 ? parseFloat(score.attributes.recordCount) / total : 0);
+            }
+        } else if (node.attributes.score !== undefined) {
+            distribution[node.attributes.score] = 1;
+        } else {
+            return null;
+        }
+
+        const label = node.attributes.score !== undefined
+            ? node.attributes.score
+            : Object.keys(distribution).reduce((best, key) => distribution[key] > distribution[best] ? key : best);
+        return { label, distribution };
+    }
+
+    evaluatePredicate(predicate, context) {
+        if (!predicate) return false;
+
+        switch (predicate.name) {
+            case 'True':
+                return true;
+            case 'False':
+                return false;
+            case 'SimplePredicate': {
+                const { field, operator, value } = predicate.attributes;
+                const actual = context.get(field);
+                const missing = actual === undefined || actual === null || Number.isNaN(actual);
+                if (operator === 'isMissing') return missing;
+                if (operator === 'isNotMissing') return !missing;
+                if (missing) return false;
+
+                const expected = parseFloat(value);
+                switch (operator) {
+                    case 'equal': return actual === expected;
+                    case 'notEqual': return actual !== expected;
+                    case 'lessThan': return actual < expected;
+                    case 'lessOrEqual': return actual <= expected;
+                    case 'greaterThan': return actual > expected;
+                    case 'greaterOrEqual': return actual >= expected;
+                    default: throw new Error(`Unsupported SimplePredicate operator: ${operator}`);
+                }
+            }
+            case 'CompoundPredicate': {
+                const parts = predicate.children.filter(c => PMMLModel.PREDICATES.includes(c.name));
+                switch (predicate.attributes.booleanOperator) {
+                    case 'and': return parts.every(p => this.evaluatePredicate(p, context));
+                    case 'or': return parts.some(p => this.evaluatePredicate(p, context));
+                    case 'xor': return parts.filter(p => this.evaluatePredicate(p, context)).length % 2 === 1;
+                    case 'surrogate': return this.evaluatePredicate(parts[0], context);
+                    default: throw new Error(`Unsupported booleanOperator: ${predicate.attributes.booleanOperator}`);
+                }
+            }
+            default:
+                throw new Error(`Unsupported PMML predicate: ${predicate.name}`);
+        }
+    }
+
+    evaluateExpression(expression, context) {
+        switch (expression.name) {
+            case 'Constant':
+                return parseFloat(expression.text);
+            case 'FieldRef':
+                return context.get(expression.attributes.field);
+            case 'NormContinuous':
+                return this.evaluateNormContinuous(expression, context);
+            case 'Apply': {
+                const args = expression.children
+                    .filter(c => c.name !== 'Extension')
+                    .map(c => this.evaluateExpression(c, context));
+                const fn = PMMLModel.FUNCTIONS[expression.attributes.function];
+                if (!fn) {
+                    throw new Error(`Unsupported PMML function: ${expression.attributes.function}`);
+                }
+                return fn(...args);
+            }
+            default:
+                throw new Error(`Unsupported PMML expression: ${expression.name}`);
+        }
+    }
+
+    /**
+     * Piecewise linear normalization (used for StandardScaler in older exports)
+     */
+    evaluateNormContinuous(expression, context) {
+        const x = context.get(expression.attributes.field);
+        const points = PMMLModel.childrenNamed(expression, 'LinearNorm')
+            .map(p => ({ orig: parseFloat(p.attributes.orig), norm: parseFloat(p.attributes.norm) }))
+            .sort((a, b) => a.orig - b.orig);
+        if (points.length < 2) {
+            throw new Error('NormContinuous needs at least two LinearNorm points');
+        }
+
+        let i = 0;
+        while (i < points.length - 2 && x > points[i + 1].orig) i++;
+        const a = points[i];
+        const b = points[i + 1];
+        return a.norm + (x - a.orig) * (b.norm - a.norm) / (b.orig - a.orig);
+    }
+}
+
+PMMLModel.PREDICATES = ['True', 'False', 'SimplePredicate', 'CompoundPredicate'];
+
+PMMLModel.FUNCTIONS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    'sqrt': a => Math.sqrt(a),
+    'pow': (a, b) => Math.pow(a, b),
+    'abs': a => Math.abs(a),
+    'exp': a => Math.exp(a),
+    'ln': a => Math.log(a),
+    'log10': a => Math.log10(a),
+    'min': (...args) => Math.min(...args),
+    'max': (...args) => Math.max(...args),
+    'sum': (...args) => args.reduce((s, v) => s + v, 0),
+    'avg': (...args) => args.reduce((s, v) => s + v, 0) / args.length
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PMMLModel;
+}
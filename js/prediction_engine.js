@@ -8,6 +8,22 @@ class SatelliteClassifier {
         this.config = modelConfig;
         this.scaler = scalerParams;
         this.constants = constants;
+        this.model = null;
+        this.classIds = modelConfig.classes.map(cls => cls.id);
+
+        for (const id of this.classIds) {
+            if (!modelConfig.classificationRules[id]) {
+                throw new Error(`MODEL_CONFIG.classificationRules has no entry for class "${id}"`);
+            }
+        }
+    }
+
+    /**
+     * Use a trained model for predictions instead of the rule set
+     * @param {RandomForestModel|PMMLModel|null} model - Loaded model, or null to go back to the rules
+     */
+    setModel(model) {
+        this.model = model;
     }
 
     /**
@@ -38,11 +54,109 @@ class SatelliteClassifier {
             this.constants.GRAVITATIONAL_CONSTANT / radialDistance
         );
         
+        // Classical orbital elements from the ECI state vector
+        const elements = this.calculateOrbitalElements(
+            [data.x_eci_km, data.y_eci_km, data.z_eci_km],
+            [data.velocity_x, data.velocity_y, data.velocity_z]
+        );
+        
         return {
             totalVelocity,
             radialDistance,
             altitude,
-            orbitalVelocity
+            orbitalVelocity,
+            ...elements
+        };
+    }
+
+    /**
+     * Compute Keplerian elements from position and velocity
+     * Angles are in degrees, distances in km, period in minutes.
+     * Undefined angles (RAAN of an equatorial orbit, argument of perigee
+     * of a circular one) are reported as 0 and folded into the next angle.
+     * @param {Array} r - ECI position [x, y, z] in km
+     * @param {Array} v - ECI velocity [vx, vy, vz] in km/s
+     * @returns {Object} Orbital elements
+     */
+    calculateOrbitalElements(r, v) {
+        const mu = this.constants.GRAVITATIONAL_CONSTANT;
+        const EPS = 1e-8;
+        const toDeg = rad => rad * 180 / Math.PI;
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        const norm = a => Math.sqrt(dot(a, a));
+        const cross = (a, b) => [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+        // Angle between two vectors, clamped against rounding
+        const angle = (a, b) => Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (norm(a) * norm(b)))));
+
+        const rMag = norm(r);
+        const vMag = norm(v);
+        const rDotV = dot(r, v);
+
+        // Specific angular momentum and node vector
+        const h = cross(r, v);
+        const hMag = norm(h);
+        const n = [-h[1], h[0], 0];
+        const nMag = norm(n);
+
+        // Eccentricity vector
+        const eVec = r.map((ri, idx) =>
+            ((vMag * vMag - mu / rMag) * ri - rDotV * v[idx]) / mu
+        );
+        const eccentricity = norm(eVec);
+
+        // Specific orbital energy and semi-major axis
+        const specificEnergy = vMag * vMag / 2 - mu / rMag;
+        const semiMajorAxis = Math.abs(specificEnergy) > EPS ? -mu / (2 * specificEnergy) : Infinity;
+
+        const inclination = hMag > EPS ? toDeg(Math.acos(Math.max(-1, Math.min(1, h[2] / hMag)))) : 0;
+
+        let raan = 0;
+        if (nMag > EPS) {
+            raan = toDeg(Math.acos(Math.max(-1, Math.min(1, n[0] / nMag))));
+            if (n[1] < 0) raan = 360 - raan;
+        }
+
+        let argumentOfPerigee = 0;
+        let trueAnomaly;
+        if (eccentricity > EPS) {
+            if (nMag > EPS) {
+                argumentOfPerigee = toDeg(angle(n, eVec));
+                if (eVec[2] < 0) argumentOfPerigee = 360 - argumentOfPerigee;
+            } else {
+                // Equatorial: measure perigee from the x axis
+                argumentOfPerigee = toDeg(Math.atan2(eVec[1], eVec[0]));
+                if (h[2] < 0) argumentOfPerigee = -argumentOfPerigee;
+                argumentOfPerigee = (argumentOfPerigee + 360) % 360;
+            }
+            trueAnomaly = toDeg(angle(eVec, r));
+            if (rDotV < 0) trueAnomaly = 360 - trueAnomaly;
+        } else if (nMag > EPS) {
+            // Circular inclined: argument of latitude
+            trueAnomaly = toDeg(angle(n, r));
+            if (r[2] < 0) trueAnomaly = 360 - trueAnomaly;
+        } else {
+            // Circular equatorial: true longitude
+            trueAnomaly = (toDeg(Math.atan2(r[1], r[0])) + 360) % 360;
+        }
+
+        // Period only exists for bound (elliptical) orbits
+        const orbitalPeriod = semiMajorAxis > 0 && eccentricity < 1
+            ? 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / mu) / 60
+            : Infinity;
+
+        return {
+            semiMajorAxis,
+            eccentricity,
+            inclination,
+            raan,
+            argumentOfPerigee,
+            trueAnomaly,
+            specificEnergy,
+            orbitalPeriod
         };
     }
 
@@ -57,6 +171,27 @@ class SatelliteClassifier {
         );
     }
 
+    /**
+     * Check every rule a class defines (altitude, velocity, radial
+     * distance, inclination, period)
+     * @param {Object} derived - Derived features
+     * @param {string} satelliteName - Name of satellite to check
+     * @returns {Array} { rule, feature, range, value, pass, margin } per rule; margin is
+     *                  the signed distance to the nearest bound (negative outside the range)
+     */
+    ruleChecks(derived, satelliteName) {
+        const rules = this.config.classificationRules[satelliteName];
+
+        return Object.entries(SatelliteClassifier.RULE_FEATURES)
+            .filter(([rule]) => rules[rule])
+            .map(([rule, feature]) => {
+                const [min, max] = rules[rule];
+                const value = derived[feature];
+                const margin = Math.min(value - min, max - value);
+                return { rule, feature, range: [min, max], value, pass: margin >= 0, margin };
+            });
+    }
+
     /**
      * Check if data matches satellite classification rules
      * @param {Object} data - Input data
@@ -65,27 +200,25 @@ class SatelliteClassifier {
      * @returns {boolean} Whether data matches rules
      */
     matchesRules(data, derived, satelliteName) {
-        const rules = this.config.classificationRules[satelliteName];
-        
-        // Check altitude range
-        const altitudeMatch = (
-            derived.altitude >= rules.altitude_range[0] &&
-            derived.altitude <= rules.altitude_range[1]
-        );
-        
-        // Check velocity range
-        const velocityMatch = (
-            derived.totalVelocity >= rules.velocity_range[0] &&
-            derived.totalVelocity <= rules.velocity_range[1]
-        );
-        
-        // Check radial distance range
-        const radialMatch = (
-            derived.radialDistance >= rules.radial_distance[0] &&
-            derived.radialDistance <= rules.radial_distance[1]
-        );
-        
-        return altitudeMatch && velocityMatch && radialMatch;
+        return this.ruleChecks(derived, satelliteName).every(check => check.pass);
+    }
+
+    /**
+     * Rule checks of every class
+     * @param {Object} derived - Derived features
+     * @param {Object} distances - Output of classDistances
+     * @returns {Array} { className, matched, distance, checks } per class
+     */
+    traceRules(derived, distances) {
+        return this.classIds.map(label => {
+            const checks = this.ruleChecks(derived, label);
+            return {
+                className: label,
+                matched: checks.every(check => check.pass),
+                distance: distances[label],
+                checks
+            };
+        });
     }
 
     /**
@@ -99,22 +232,18 @@ class SatelliteClassifier {
         const rules = this.config.classificationRules[prediction];
         
         // Calculate how well features match expected ranges
-        const altitudeCenter = (rules.altitude_range[0] + rules.altitude_range[1]) / 2;
-        const altitudeRange = rules.altitude_range[1] - rules.altitude_range[0];
-        const altitudeScore = 1 - Math.min(
-            Math.abs(derived.altitude - altitudeCenter) / altitudeRange,
-            1
-        );
-        
-        const velocityCenter = (rules.velocity_range[0] + rules.velocity_range[1]) / 2;
-        const velocityRange = rules.velocity_range[1] - rules.velocity_range[0];
-        const velocityScore = 1 - Math.min(
-            Math.abs(derived.totalVelocity - velocityCenter) / velocityRange,
-            1
-        );
+        const altitudeScore = this.rangeScore(derived.altitude, rules.altitude_range);
+        const velocityScore = this.rangeScore(derived.totalVelocity, rules.velocity_range);
+        const inclinationScore = this.rangeScore(derived.inclination, rules.inclination_range);
+        const periodScore = this.rangeScore(derived.orbitalPeriod, rules.orbital_period);
         
         // Weighted average (can be tuned)
-        const confidence = (altitudeScore * 0.6 + velocityScore * 0.4);
+        const confidence = (
+            altitudeScore * 0.35 +
+            velocityScore * 0.25 +
+            inclinationScore * 0.25 +
+            periodScore * 0.15
+        );
         
         // Boost confidence if strongly matches
         if (this.matchesRules(data, derived, prediction)) {
@@ -124,13 +253,112 @@ class SatelliteClassifier {
         return Math.max(confidence, 0.50);
     }
 
+    /**
+     * Score how close a value is to the center of a rule range
+     * @param {number} value - Observed value
+     * @param {Array} range - [min, max] from the classification rules
+     * @returns {number} 1 at the center, falling to 0 one range-width away
+     */
+    rangeScore(value, range) {
+        if (!range) return 1;
+        const center = (range[0] + range[1]) / 2;
+        const width = range[1] - range[0];
+        return 1 - Math.min(Math.abs(value - center) / width, 1);
+    }
+
+    /**
+     * Distance from the input to a class envelope
+     * Each rule contributes how far its feature lies outside the range,
+     * in units of the configured tolerance; the result is the RMS over
+     * rules. 0 means every range is satisfied.
+     * @param {Object} derived - Derived features
+     * @param {string} className - Class to measure against
+     * @returns {number} Distance (Infinity for an unbound orbit)
+     */
+    classDistance(derived, className) {
+        const rules = this.config.classificationRules[className];
+        const tolerances = this.config.openSet.tolerances;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (const [rule, tolerance] of Object.entries(tolerances)) {
+            if (!rules[rule]) continue;
+            const value = derived[SatelliteClassifier.RULE_FEATURES[rule]];
+            const [min, max] = rules[rule];
+            const excess = value < min ? min - value : (value > max ? value - max : 0);
+            sumSquares += Math.pow(excess / tolerance, 2);
+            count++;
+        }
+
+        return count > 0 ? Math.sqrt(sumSquares / count) : 0;
+    }
+
+    /**
+     * Distance to every known class
+     * @param {Object} derived - Derived features
+     * @returns {Object} Distances keyed by class label
+     */
+    classDistances(derived) {
+        const distances = {};
+        for (const label of this.classIds) {
+            distances[label] = this.classDistance(derived, label);
+        }
+        return distances;
+    }
+
+    /**
+     * Turn class distances into probabilities that include the unknown class
+     * Each class scores exp(-d²/2); the unknown class scores as if it sat at
+     * the rejection threshold, so it wins exactly when every class is
+     * farther away than the threshold.
+     * @param {Object} distances - Distances keyed by class label
+     * @returns {Object} Probabilities keyed by class label, plus the unknown class
+     */
+    openSetProbabilities(distances) {
+        const threshold = this.config.openSet.rejectionThreshold;
+        const scores = {};
+        for (const [label, distance] of Object.entries(distances)) {
+            scores[label] = Math.exp(-distance * distance / 2);
+        }
+        scores[this.config.unknownClass] = Math.exp(-threshold * threshold / 2);
+
+        const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+        const probabilities = {};
+        for (const [label, score] of Object.entries(scores)) {
+            probabilities[label] = score / total;
+        }
+        return probabilities;
+    }
+
+    /**
+     * Give the predicted class its confidence and share the remainder among
+     * the other labels in proportion to their open-set probabilities
+     * @param {string} prediction - Predicted class
+     * @param {number} confidence - Prediction confidence
+     * @param {Object} openSet - Output of openSetProbabilities
+     * @returns {Object} Probabilities keyed by class label, plus the unknown class
+     */
+    distributeProbabilities(prediction, confidence, openSet) {
+        const others = Object.keys(openSet).filter(label => label !== prediction);
+        const otherMass = others.reduce((sum, label) => sum + openSet[label], 0);
+        const probabilities = { [prediction]: confidence };
+        for (const label of others) {
+            probabilities[label] = otherMass > 0
+                ? (1 - confidence) * openSet[label] / otherMass
+                : (1 - confidence) / others.length;
+        }
+        return probabilities;
+    }
+
     /**
      * Main prediction method
-     * @param {Object} inputData - Raw input features
-     * @returns {Object} Prediction results
+     * @param {Object} data - Raw input features, in any spelling InputSchema accepts
+     * @returns {Object} Prediction results; rawFeatures holds the canonical input and
+     *                   trace every rule check plus the branch taken (BRANCHES)
      */
-    predict(inputData) {
-        // Validate input
+    predict(data) {
+        // Normalize and validate input
+        const inputData = InputSchema.normalize(data);
         this.validateInput(inputData);
         
         // Calculate derived features
@@ -153,48 +381,122 @@ class SatelliteClassifier {
         // Normalize features
         const normalizedFeatures = this.normalizeFeatures(features);
 
-        // Classification logic
+        // Out-of-distribution check against the class envelopes
+        const unknownClass = this.config.unknownClass;
+        const distances = this.classDistances(derived);
+        const openSet = this.openSetProbabilities(distances);
+        const nearestClass = Object.keys(distances)
+            .reduce((best, label) => distances[label] < distances[best] ? label : best);
+        const rejected = distances[nearestClass] > this.config.openSet.rejectionThreshold;
+        const openSetInfo = {
+            distances,
+            nearestClass,
+            threshold: this.config.openSet.rejectionThreshold
+        };
+        const ruleTrace = this.traceRules(derived, distances);
+
+        // Score with the trained model when one is loaded. PMML documents
+        // carry their own scaler, so they get the raw vector. The model only
+        // knows the trained classes, so the unknown share comes from the
+        // open-set check.
+        if (this.model) {
+            const scored = this.model.predictProbabilities(
+                this.model.expectsScaledFeatures ? normalizedFeatures : features
+            );
+            const unknownShare = openSet[unknownClass];
+            const probabilities = {};
+            for (const label of this.classIds) {
+                probabilities[label] = (scored.probabilities[label] || 0) * (1 - unknownShare);
+            }
+            probabilities[unknownClass] = unknownShare;
+
+            const prediction = rejected
+                ? unknownClass
+                : this.classIds.reduce((best, label) =>
+                    probabilities[label] > probabilities[best] ? label : best);
+
+            return this.buildResult(inputData, derived, prediction, probabilities[prediction], probabilities, {
+                method: this.model.method,
+                votes: scored.votes,
+                openSet: openSetInfo,
+                trace: { branch: rejected ? 'open_set_rejection' : 'model', classes: ruleTrace }
+            });
+        }
+
+        // Rule-based classification logic: the best-scoring class among
+        // those whose rules all match
         let prediction = null;
         let confidence = 0.0;
+        let probabilities;
+        let branch = 'rule_match';
 
-        // Check ISS rules
-        if (this.matchesRules(inputData, derived, 'ISS')) {
-            prediction = 'ISS';
-            confidence = this.calculateConfidence(inputData, derived, 'ISS');
-        }
-        // Check Sentinel1A rules
-        else if (this.matchesRules(inputData, derived, 'Sentinel1A')) {
-            prediction = 'Sentinel1A';
-            confidence = this.calculateConfidence(inputData, derived, 'Sentinel1A');
+        for (const { className, matched } of ruleTrace) {
+            if (!matched) continue;
+            const score = this.calculateConfidence(inputData, derived, className);
+            if (score > confidence) {
+                prediction = className;
+                confidence = score;
+            }
         }
-        // Fallback classification based on altitude
-        else {
-            if (derived.altitude < 500) {
-                prediction = 'ISS';
-                confidence = 0.70;
+
+        if (!prediction) {
+            if (rejected) {
+                // Too far from every class: reject instead of forcing a label
+                branch = 'open_set_rejection';
+                prediction = unknownClass;
+                confidence = openSet[unknownClass];
+                probabilities = openSet;
             } else {
-                prediction = 'Sentinel1A';
-                confidence = 0.70;
+                // Close to a class without matching all of its rules
+                branch = 'nearest_class';
+                prediction = nearestClass;
+                confidence = this.calculateConfidence(inputData, derived, nearestClass);
             }
         }
 
         // Calculate class probabilities
-        const probabilities = {
-            'ISS': prediction === 'ISS' ? confidence : (1 - confidence),
-            'Sentinel1A': prediction === 'Sentinel1A' ? confidence : (1 - confidence)
-        };
+        if (!probabilities) {
+            probabilities = this.distributeProbabilities(prediction, confidence, openSet);
+        }
+
+        return this.buildResult(inputData, derived, prediction, confidence, probabilities, {
+            method: 'rules',
+            openSet: openSetInfo,
+            trace: { branch, classes: ruleTrace }
+        });
+    }
 
+    /**
+     * Assemble the prediction result object
+     * @param {Object} inputData - Raw input features
+     * @param {Object} derived - Derived features
+     * @param {string} prediction - Predicted class
+     * @param {number} confidence - Prediction confidence
+     * @param {Object} probabilities - Class probabilities
+     * @param {Object} extra - Method-specific fields (method, votes, openSet, trace)
+     * @returns {Object} Prediction results
+     */
+    buildResult(inputData, derived, prediction, confidence, probabilities, extra) {
         return {
             prediction,
             confidence,
             probabilities,
+            ...extra,
             features: {
                 latitude: inputData.latitude.toFixed(4),
                 longitude: inputData.longitude.toFixed(4),
                 altitude: derived.altitude.toFixed(2),
                 totalVelocity: derived.totalVelocity.toFixed(4),
                 radialDistance: derived.radialDistance.toFixed(2),
-                orbitalVelocity: derived.orbitalVelocity.toFixed(4)
+                orbitalVelocity: derived.orbitalVelocity.toFixed(4),
+                semiMajorAxis: derived.semiMajorAxis.toFixed(2),
+                eccentricity: derived.eccentricity.toFixed(5),
+                inclination: derived.inclination.toFixed(2),
+                raan: derived.raan.toFixed(2),
+                argumentOfPerigee: derived.argumentOfPerigee.toFixed(2),
+                trueAnomaly: derived.trueAnomaly.toFixed(2),
+                specificEnergy: derived.specificEnergy.toFixed(4),
+                orbitalPeriod: derived.orbitalPeriod.toFixed(2)
             },
             rawFeatures: {
                 ...inputData,
@@ -205,28 +507,13 @@ class SatelliteClassifier {
 
     /**
      * Validate input data
-     * @param {Object} data - Input data to validate
+     * @param {Object} data - Canonical input (see InputSchema)
      * @throws {Error} If validation fails
      */
     validateInput(data) {
-        const required = ['latitude', 'longitude', 'x_eci_km', 'y_eci_km', 
-                         'z_eci_km', 'velocity_x', 'velocity_y', 'velocity_z'];
-        
-        for (const field of required) {
-            if (data[field] === undefined || data[field] === null) {
-                throw new Error(`Missing required field: ${field}`);
-            }
-            if (typeof data[field] !== 'number' || isNaN(data[field])) {
-                throw new Error(`Invalid value for field: ${field}`);
-            }
-        }
-        
-        // Range validation
-        if (data.latitude < -90 || data.latitude > 90) {
-            throw new Error('Latitude must be between -90 and 90');
-        }
-        if (data.longitude < -180 || data.longitude > 180) {
-            throw new Error('Longitude must be between -180 and 180');
+        const errors = InputSchema.validate(data, this.constants.EARTH_RADIUS_KM);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
         }
     }
 
@@ -256,6 +543,23 @@ class SatelliteClassifier {
     }
 }
 
+// Branches of predict() reported in result.trace.branch
+SatelliteClassifier.BRANCHES = {
+    rule_match: 'Every rule of the predicted class passed',
+    nearest_class: 'No class passed every rule; fell back to the nearest class',
+    open_set_rejection: 'Every class is farther than the rejection threshold; reported as unknown',
+    model: 'Scored by the loaded model; rules are shown for reference'
+};
+
+// Rule name → derived feature it constrains
+SatelliteClassifier.RULE_FEATURES = {
+    altitude_range: 'altitude',
+    velocity_range: 'totalVelocity',
+    radial_distance: 'radialDistance',
+    inclination_range: 'inclination',
+    orbital_period: 'orbitalPeriod'
+};
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SatelliteClassifier;
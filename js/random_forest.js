@@ -0,0 +1,207 @@
+// js/random_forest.js
+// ============================================================
+// Random Forest Inference
+// Walks the tree ensemble exported from the PySpark
+// RandomForestClassificationModel
+// ============================================================
+
+/*
+ * Expected JSON dump (one entry per tree in rf_model.trees):
+ *
+ * {
+ *   "numFeatures": 10,
+ *   "numClasses": 2,
+ *   "classes": ["ISS", "Sentinel1A"],
+ *   "trees": [
+ *     {
+ *       "weight": 1.0,
+ *       "nodes": [
+ *         { "id": 0, "featureIndex": 9, "threshold": 0.85, "leftChild": 1, "rightChild": 2 },
+ *         { "id": 1, "classCounts": [812, 3] },
+ *         { "id": 2, "classCounts": [0, 1650] }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Internal nodes carry the ContinuousSplit (featureIndex, threshold) and
+ * send a sample left when value <= threshold, as Spark does. Leaf nodes
+ * carry the impurity stats (class counts) of the training rows they hold.
+ */
+
+class RandomForestModel {
+    constructor(trees, numFeatures, numClasses, classes) {
+        this.trees = trees;
+        this.numFeatures = numFeatures;
+        this.numClasses = numClasses;
+        this.classes = classes;
+        this.expectsScaledFeatures = true;
+        this.method = 'random_forest';
+    }
+
+    /**
+     * Build a model from a parsed JSON dump
+     * @param {Object} dump - Parsed tree ensemble dump
+     * @param {Object} modelConfig - MODEL_CONFIG, used to check the dump matches
+     * @returns {RandomForestModel} Ready-to-use model
+     * @throws {Error} If the dump is malformed or does not match the config
+     */
+    static fromJSON(dump, modelConfig) {
+        if (!dump || !Array.isArray(dump.trees) || dump.trees.length === 0) {
+            throw new Error('Forest dump must contain a non-empty "trees" array');
+        }
+
+        const classIds = modelConfig.classes.map(cls => cls.id);
+        const numFeatures = dump.numFeatures ?? modelConfig.featureNames.length;
+        const classes = dump.classes || classIds;
+        const numClasses = dump.numClasses ?? classes.length;
+
+        if (numFeatures !== modelConfig.featureNames.length) {
+            throw new Error(
+                `Forest expects ${numFeatures} features but MODEL_CONFIG defines ${modelConfig.featureNames.length}`
+            );
+        }
+        if (classes.length !== numClasses) {
+            throw new Error(`Forest declares ${numClasses} classes but lists ${classes.length} labels`);
+        }
+        for (const label of classes) {
+            if (!classIds.includes(label)) {
+                throw new Error(`Forest class "${label}" is not in MODEL_CONFIG.classes`);
+            }
+        }
+
+        const trees = dump.trees.map((tree, treeIdx) =>
+            RandomForestModel.compileTree(tree, treeIdx, numFeatures, numClasses)
+        );
+
+        return new RandomForestModel(trees, numFeatures, numClasses, classes);
+    }
+
+    /**
+     * Fetch and build a model from a JSON file
+     * @param {string} url - Location of the forest dump
+     * @param {Object} modelConfig - MODEL_CONFIG
+     * @returns {Promise<RandomForestModel>} Loaded model, with its `source` url
+     */
+    static async load(url, modelConfig) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load forest from ${url} (HTTP ${response.status})`);
+        }
+        const model = RandomForestModel.fromJSON(await response.json(), modelConfig);
+        model.source = url;
+        return model;
+    }
+
+    /**
+     * Index a tree's node list by id and validate its structure
+     * @param {Object} tree - Tree entry from the dump
+     * @param {number} treeIdx - Position of the tree, for error messages
+     * @param {number} numFeatures - Expected feature vector length
+     * @param {number} numClasses - Expected leaf class count length
+     * @returns {Object} Compiled tree ({ weight, root, nodes })
+     */
+    static compileTree(tree, treeIdx, numFeatures, numClasses) {
+        if (!Array.isArray(tree.nodes) || tree.nodes.length === 0) {
+            throw new Error(`Tree ${treeIdx} has no nodes`);
+        }
+
+        const nodes = new Map();
+        tree.nodes.forEach((node, position) => {
+            const id = node.id ?? position;
+            const isLeaf = Array.isArray(node.classCounts);
+
+            if (isLeaf) {
+                if (node.classCounts.length !== numClasses) {
+                    throw new Error(`Tree ${treeIdx}, node ${id}: expected ${numClasses} class counts`);
+                }
+                const total = node.classCounts.reduce((sum, count) => sum + count, 0);
+                nodes.set(id, {
+                    leaf: true,
+                    distribution: node.classCounts.map(count => total > 0 ? count / total : 1 / numClasses)
+                });
+            } else {
+                if (!(node.featureIndex >= 0 && node.featureIndex < numFeatures)) {
+                    throw new Error(`Tree ${treeIdx}, node ${id}: invalid featureIndex ${node.featureIndex}`);
+                }
+                if (typeof node.threshold !== 'number') {
+                    throw new Error(`Tree ${treeIdx}, node ${id}: missing numeric threshold`);
+                }
+                nodes.set(id, {
+                    leaf: false,
+                    featureIndex: node.featureIndex,
+                    threshold: node.threshold,
+                    leftChild: node.leftChild,
+                    rightChild: node.rightChild
+                });
+            }
+        });
+
+        for (const [id, node] of nodes) {
+            if (!node.leaf && (!nodes.has(node.leftChild) || !nodes.has(node.rightChild))) {
+                throw new Error(`Tree ${treeIdx}, node ${id}: child node not found`);
+            }
+        }
+
+        const rootId = tree.rootId ?? (tree.nodes[0].id ?? 0);
+        return { weight: tree.weight ?? 1.0, root: nodes.get(rootId), nodes };
+    }
+
+    /**
+     * Walk one tree down to its leaf
+     * @param {Object} tree - Compiled tree
+     * @param {Array} features - Scaled feature vector
+     * @returns {Array} Normalized class distribution at the leaf
+     */
+    predictTree(tree, features) {
+        let node = tree.root;
+        while (!node.leaf) {
+            const childId = features[node.featureIndex] <= node.threshold
+                ? node.leftChild
+                : node.rightChild;
+            node = tree.nodes.get(childId);
+        }
+        return node.distribution;
+    }
+
+    /**
+     * Score a feature vector with every tree
+     * Matches Spark's raw2probability: each tree contributes its leaf
+     * distribution, the sum is normalized into class probabilities.
+     * @param {Array} features - Scaled feature vector
+     * @returns {Object} { probabilities, votes } keyed by class label
+     */
+    predictProbabilities(features) {
+        if (features.length !== this.numFeatures) {
+            throw new Error(`Expected ${this.numFeatures} features, got ${features.length}`);
+        }
+
+        const raw = new Array(this.numClasses).fill(0);
+        const votes = new Array(this.numClasses).fill(0);
+
+        for (const tree of this.trees) {
+            const distribution = this.predictTree(tree, features);
+            let best = 0;
+            distribution.forEach((p, idx) => {
+                raw[idx] += p * tree.weight;
+                if (p > distribution[best]) best = idx;
+            });
+            votes[best]++;
+        }
+
+        const total = raw.reduce((sum, value) => sum + value, 0);
+        const probabilities = {};
+        const voteCounts = {};
+        this.classes.forEach((label, idx) => {
+            probabilities[label] = total > 0 ? raw[idx] / total : 1 / this.numClasses;
+            voteCounts[label] = votes[idx];
+        });
+
+        return { probabilities, votes: voteCounts };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RandomForestModel;
+}
@@ -0,0 +1,1049 @@
+// js/sgp4_propagator.js
+// ============================================================
+// SGP4/SDP4 Orbit Propagator
+// Implementation of the Vallado et al. (2006) "Revisiting
+// Spacetrack Report #3" algorithm with WGS-72 constants.
+// Output positions are in the TEME frame, treated as ECI.
+// ============================================================
+
+const SGP4_CONSTANTS = {
+    MU: 398600.8,                   // km³/s² (WGS-72)
+    EARTH_RADIUS_KM: 6378.135,      // km (WGS-72)
+    J2: 0.001082616,
+    J3: -0.00000253881,
+    J4: -0.00000165597,
+    TWO_PI: 2 * Math.PI,
+    DEG2RAD: Math.PI / 180,
+    MINUTES_PER_DAY: 1440
+};
+
+SGP4_CONSTANTS.XKE = 60.0 / Math.sqrt(
+    Math.pow(SGP4_CONSTANTS.EARTH_RADIUS_KM, 3) / SGP4_CONSTANTS.MU
+);
+SGP4_CONSTANTS.J3OJ2 = SGP4_CONSTANTS.J3 / SGP4_CONSTANTS.J2;
+
+const SGP4_ERRORS = {
+    1: 'Mean eccentricity out of range (0 <= e < 1)',
+    2: 'Mean motion is negative',
+    3: 'Perturbed eccentricity out of range',
+    4: 'Semi-latus rectum is negative',
+    6: 'Satellite has decayed'
+};
+
+class SGP4Propagator {
+    /**
+     * @param {Object} tle - Element set from TLEParser.parseTLE
+     */
+    constructor(tle) {
+        this.tle = tle;
+        this.satrec = this.initialize(tle);
+    }
+
+    // ============================================================
+    // TIME HELPERS
+    // ============================================================
+
+    /**
+     * Julian date of a JavaScript Date
+     */
+    static julianDate(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    /**
+     * Greenwich mean sidereal time (IAU-82) in radians
+     * @param {number} jdut1 - Julian date (UT1)
+     */
+    static gstime(jdut1) {
+        const tut1 = (jdut1 - 2451545.0) / 36525.0;
+        let temp = -6.2e-6 * tut1 * tut1 * tut1 +
+            0.093104 * tut1 * tut1 +
+            (876600.0 * 3600 + 8640184.812866) * tut1 +
+            67310.54841;
+        temp = ((temp * SGP4_CONSTANTS.DEG2RAD) / 240.0) % SGP4_CONSTANTS.TWO_PI;
+        return temp < 0 ? temp + SGP4_CONSTANTS.TWO_PI : temp;
+    }
+
+    // ============================================================
+    // INITIALIZATION (sgp4init)
+    // ============================================================
+
+    initialize(tle) {
+        const { XKE, J2, J3OJ2, J4, EARTH_RADIUS_KM, TWO_PI, DEG2RAD } = SGP4_CONSTANTS;
+        const x2o3 = 2.0 / 3.0;
+        const temp4 = 1.5e-12;
+
+        const s = {
+            error: 0,
+            method: 'n',
+            bstar: tle.bstar,
+            ecco: tle.eccentricity,
+            inclo: tle.inclination * DEG2RAD,
+            nodeo: tle.raan * DEG2RAD,
+            argpo: tle.argumentOfPerigee * DEG2RAD,
+            mo: tle.meanAnomaly * DEG2RAD,
+            no: tle.meanMotion / (SGP4_CONSTANTS.MINUTES_PER_DAY / TWO_PI),
+            jdsatepoch: SGP4Propagator.julianDate(tle.epoch),
+            isimp: 0,
+            irez: 0,
+            atime: 0, xli: 0, xni: 0
+        };
+
+        if (s.ecco < 0 || s.ecco >= 1) {
+            throw new Error(`${tle.name}: ${SGP4_ERRORS[1]}`);
+        }
+
+        // ---------------- initl: recover original mean motion ----------------
+        const eccsq = s.ecco * s.ecco;
+        const omeosq = 1.0 - eccsq;
+        const rteosq = Math.sqrt(omeosq);
+        const cosio = Math.cos(s.inclo);
+        const cosio2 = cosio * cosio;
+
+        const ak = Math.pow(XKE / s.no, x2o3);
+        const d1 = 0.75 * J2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+        let del = d1 / (ak * ak);
+        const adel = ak * (1.0 - del * del - del * (1.0 / 3.0 + 134.0 * del * del / 81.0));
+        del = d1 / (adel * adel);
+        s.no = s.no / (1.0 + del);
+
+        const ao = Math.pow(XKE / s.no, x2o3);
+        const sinio = Math.sin(s.inclo);
+        const po = ao * omeosq;
+        const con42 = 1.0 - 5.0 * cosio2;
+        s.con41 = -con42 - cosio2 - cosio2;
+        const posq = po * po;
+        const rp = ao * (1.0 - s.ecco);
+        s.gsto = SGP4Propagator.gstime(s.jdsatepoch);
+
+        // ---------------- drag and secular coefficients ----------------
+        const ss = 78.0 / EARTH_RADIUS_KM + 1.0;
+        const qzms2t = Math.pow((120.0 - 78.0) / EARTH_RADIUS_KM, 4);
+
+        if (rp < 220.0 / EARTH_RADIUS_KM + 1.0) {
+            s.isimp = 1;
+        }
+
+        let sfour = ss;
+        let qzms24 = qzms2t;
+        const perige = (rp - 1.0) * EARTH_RADIUS_KM;
+
+        // For perigees below 156 km, s and qoms2t are altered
+        if (perige < 156.0) {
+            sfour = perige - 78.0;
+            if (perige < 98.0) {
+                sfour = 20.0;
+            }
+            qzms24 = Math.pow((120.0 - sfour) / EARTH_RADIUS_KM, 4);
+            sfour = sfour / EARTH_RADIUS_KM + 1.0;
+        }
+
+        const pinvsq = 1.0 / posq;
+        const tsi = 1.0 / (ao - sfour);
+        s.eta = ao * s.ecco * tsi;
+        const etasq = s.eta * s.eta;
+        const eeta = s.ecco * s.eta;
+        const psisq = Math.abs(1.0 - etasq);
+        const coef = qzms24 * Math.pow(tsi, 4);
+        const coef1 = coef / Math.pow(psisq, 3.5);
+        const cc2 = coef1 * s.no * (ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq)) +
+            0.375 * J2 * tsi / psisq * s.con41 * (8.0 + 3.0 * etasq * (8.0 + etasq)));
+        s.cc1 = s.bstar * cc2;
+        let cc3 = 0.0;
+        if (s.ecco > 1.0e-4) {
+            cc3 = -2.0 * coef * tsi * J3OJ2 * s.no * sinio / s.ecco;
+        }
+        s.x1mth2 = 1.0 - cosio2;
+        s.cc4 = 2.0 * s.no * coef1 * ao * omeosq * (s.eta * (2.0 + 0.5 * etasq) + s.ecco * (0.5 + 2.0 * etasq) -
+            J2 * tsi / (ao * psisq) * (-3.0 * s.con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+            0.75 * s.x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * s.argpo)));
+        s.cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+        const cosio4 = cosio2 * cosio2;
+        const temp1 = 1.5 * J2 * pinvsq * s.no;
+        const temp2 = 0.5 * temp1 * J2 * pinvsq;
+        const temp3 = -0.46875 * J4 * pinvsq * pinvsq * s.no;
+        s.mdot = s.no + 0.5 * temp1 * rteosq * s.con41 +
+            0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+        s.argpdot = -0.5 * temp1 * con42 +
+            0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+            temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+        const xhdot1 = -temp1 * cosio;
+        s.nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+        const xpidot = s.argpdot + s.nodedot;
+        s.omgcof = s.bstar * cc3 * Math.cos(s.argpo);
+        s.xmcof = 0.0;
+        if (s.ecco > 1.0e-4) {
+            s.xmcof = -x2o3 * coef * s.bstar / eeta;
+        }
+        s.nodecf = 3.5 * omeosq * xhdot1 * s.cc1;
+        s.t2cof = 1.5 * s.cc1;
+        const cosioPlus1 = Math.abs(cosio + 1.0) > 1.5e-12 ? 1.0 + cosio : temp4;
+        s.xlcof = -0.25 * J3OJ2 * sinio * (3.0 + 5.0 * cosio) / cosioPlus1;
+        s.aycof = -0.5 * J3OJ2 * sinio;
+        s.delmo = Math.pow(1.0 + s.eta * Math.cos(s.mo), 3);
+        s.sinmao = Math.sin(s.mo);
+        s.x7thm1 = 7.0 * cosio2 - 1.0;
+
+        // ---------------- deep space (SDP4) for periods >= 225 min ----------------
+        if (TWO_PI / s.no >= 225.0) {
+            s.method = 'd';
+            s.isimp = 1;
+            const tc = 0.0;
+            const inclm = s.inclo;
+
+            const ds = this.dscom(s.jdsatepoch - 2433281.5, s.ecco, s.argpo, tc, s.inclo, s.nodeo, s.no);
+            Object.assign(s, {
+                e3: ds.e3, ee2: ds.ee2, peo: ds.peo, pgho: ds.pgho, pho: ds.pho, pinco: ds.pinco, plo: ds.plo,
+                se2: ds.se2, se3: ds.se3, sgh2: ds.sgh2, sgh3: ds.sgh3, sgh4: ds.sgh4, sh2: ds.sh2, sh3: ds.sh3,
+                si2: ds.si2, si3: ds.si3, sl2: ds.sl2, sl3: ds.sl3, sl4: ds.sl4,
+                xgh2: ds.xgh2, xgh3: ds.xgh3, xgh4: ds.xgh4, xh2: ds.xh2, xh3: ds.xh3,
+                xi2: ds.xi2, xi3: ds.xi3, xl2: ds.xl2, xl3: ds.xl3, xl4: ds.xl4,
+                zmol: ds.zmol, zmos: ds.zmos
+            });
+
+            this.dsinit(s, ds, xpidot, eccsq, inclm, tc);
+        }
+
+        // ---------------- higher-order drag terms ----------------
+        if (s.isimp !== 1) {
+            const cc1sq = s.cc1 * s.cc1;
+            s.d2 = 4.0 * ao * tsi * cc1sq;
+            const temp = s.d2 * tsi * s.cc1 / 3.0;
+            s.d3 = (17.0 * ao + sfour) * temp;
+            s.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * s.cc1;
+            s.t3cof = s.d2 + 2.0 * cc1sq;
+            s.t4cof = 0.25 * (3.0 * s.d3 + s.cc1 * (12.0 * s.d2 + 10.0 * cc1sq));
+            s.t5cof = 0.2 * (3.0 * s.d4 + 12.0 * s.cc1 * s.d3 + 6.0 * s.d2 * s.d2 +
+                15.0 * cc1sq * (2.0 * s.d2 + cc1sq));
+        }
+
+        return s;
+    }
+
+    // ============================================================
+    // PROPAGATION (sgp4)
+    // ============================================================
+
+    /**
+     * Propagate to a time offset from the TLE epoch
+     * @param {number} tsince - Minutes since epoch (may be negative)
+     * @returns {Object} { position: [x, y, z] km, velocity: [vx, vy, vz] km/s } in TEME
+     * @throws {Error} If the orbit becomes invalid or the satellite has decayed
+     */
+    propagate(tsince) {
+        const { XKE, J2, J3OJ2, EARTH_RADIUS_KM, TWO_PI } = SGP4_CONSTANTS;
+        const s = this.satrec;
+        const x2o3 = 2.0 / 3.0;
+        const temp4 = 1.5e-12;
+        const vkmpersec = EARTH_RADIUS_KM * XKE / 60.0;
+        const fail = code => {
+            throw new Error(`${this.tle.name} at t=${tsince.toFixed(1)} min: ${SGP4_ERRORS[code]}`);
+        };
+
+        const t = tsince;
+
+        // Secular gravity and atmospheric drag
+        const xmdf = s.mo + s.mdot * t;
+        const argpdf = s.argpo + s.argpdot * t;
+        const nodedf = s.nodeo + s.nodedot * t;
+        let argpm = argpdf;
+        let mm = xmdf;
+        const t2 = t * t;
+        let nodem = nodedf + s.nodecf * t2;
+        let tempa = 1.0 - s.cc1 * t;
+        let tempe = s.bstar * s.cc4 * t;
+        let templ = s.t2cof * t2;
+
+        if (s.isimp !== 1) {
+            const delomg = s.omgcof * t;
+            const delmtemp = 1.0 + s.eta * Math.cos(xmdf);
+            const delm = s.xmcof * (delmtemp * delmtemp * delmtemp - s.delmo);
+            const temp = delomg + delm;
+            mm = xmdf + temp;
+            argpm = argpdf - temp;
+            const t3 = t2 * t;
+            const t4 = t3 * t;
+            tempa = tempa - s.d2 * t2 - s.d3 * t3 - s.d4 * t4;
+            tempe = tempe + s.bstar * s.cc5 * (Math.sin(mm) - s.sinmao);
+            templ = templ + s.t3cof * t3 + t4 * (s.t4cof + t * s.t5cof);
+        }
+
+        let nm = s.no;
+        let em = s.ecco;
+        let inclm = s.inclo;
+
+        if (s.method === 'd') {
+            const ds = this.dspace(s, t, em, argpm, inclm, mm, nodem, nm);
+            em = ds.em;
+            argpm = ds.argpm;
+            inclm = ds.inclm;
+            mm = ds.mm;
+            nodem = ds.nodem;
+            nm = ds.nm;
+        }
+
+        if (nm <= 0.0) fail(2);
+
+        const am = Math.pow(XKE / nm, x2o3) * tempa * tempa;
+        nm = XKE / Math.pow(am, 1.5);
+        em = em - tempe;
+
+        if (em >= 1.0 || em < -0.001) fail(1);
+        if (em < 1.0e-6) em = 1.0e-6;
+
+        mm = mm + s.no * templ;
+        let xlm = mm + argpm + nodem;
+
+        nodem = nodem % TWO_PI;
+        argpm = argpm % TWO_PI;
+        xlm = xlm % TWO_PI;
+        mm = (xlm - argpm - nodem) % TWO_PI;
+
+        // Lunar-solar periodics
+        let ep = em;
+        let xincp = inclm;
+        let argpp = argpm;
+        let nodep = nodem;
+        let mp = mm;
+        let sinip = Math.sin(inclm);
+        let cosip = Math.cos(inclm);
+
+        let aycof = s.aycof;
+        let xlcof = s.xlcof;
+        let con41 = s.con41;
+        let x1mth2 = s.x1mth2;
+        let x7thm1 = s.x7thm1;
+
+        if (s.method === 'd') {
+            const dp = this.dpper(s, t, ep, xincp, nodep, argpp, mp);
+            ep = dp.ep;
+            xincp = dp.inclp;
+            nodep = dp.nodep;
+            argpp = dp.argpp;
+            mp = dp.mp;
+
+            if (xincp < 0.0) {
+                xincp = -xincp;
+                nodep = nodep + Math.PI;
+                argpp = argpp - Math.PI;
+            }
+            if (ep < 0.0 || ep > 1.0) fail(3);
+
+            sinip = Math.sin(xincp);
+            cosip = Math.cos(xincp);
+            aycof = -0.5 * J3OJ2 * sinip;
+            const cosipPlus1 = Math.abs(cosip + 1.0) > 1.5e-12 ? 1.0 + cosip : temp4;
+            xlcof = -0.25 * J3OJ2 * sinip * (3.0 + 5.0 * cosip) / cosipPlus1;
+        }
+
+        // Long period periodics
+        const axnl = ep * Math.cos(argpp);
+        let temp = 1.0 / (am * (1.0 - ep * ep));
+        const aynl = ep * Math.sin(argpp) + temp * aycof;
+        const xl = mp + argpp + nodep + temp * xlcof * axnl;
+
+        // Solve Kepler's equation
+        const u = (xl - nodep) % TWO_PI;
+        let eo1 = u;
+        let tem5 = 9999.9;
+        let ktr = 1;
+        let sineo1 = 0;
+        let coseo1 = 0;
+        while (Math.abs(tem5) >= 1.0e-12 && ktr <= 10) {
+            sineo1 = Math.sin(eo1);
+            coseo1 = Math.cos(eo1);
+            tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+            tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+            if (Math.abs(tem5) >= 0.95) {
+                tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+            }
+            eo1 = eo1 + tem5;
+            ktr++;
+        }
+
+        // Short period preliminary quantities
+        const ecose = axnl * coseo1 + aynl * sineo1;
+        const esine = axnl * sineo1 - aynl * coseo1;
+        const el2 = axnl * axnl + aynl * aynl;
+        const pl = am * (1.0 - el2);
+        if (pl < 0.0) fail(4);
+
+        const rl = am * (1.0 - ecose);
+        const rdotl = Math.sqrt(am) * esine / rl;
+        const rvdotl = Math.sqrt(pl) / rl;
+        const betal = Math.sqrt(1.0 - el2);
+        temp = esine / (1.0 + betal);
+        const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+        const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+        let su = Math.atan2(sinu, cosu);
+        const sin2u = (cosu + cosu) * sinu;
+        const cos2u = 1.0 - 2.0 * sinu * sinu;
+        temp = 1.0 / pl;
+        const temp1 = 0.5 * J2 * temp;
+        const temp2 = temp1 * temp;
+
+        if (s.method === 'd') {
+            const cosisq = cosip * cosip;
+            con41 = 3.0 * cosisq - 1.0;
+            x1mth2 = 1.0 - cosisq;
+            x7thm1 = 7.0 * cosisq - 1.0;
+        }
+
+        // Update for short period periodics
+        const mrt = rl * (1.0 - 1.5 * temp2 * betal * con41) + 0.5 * temp1 * x1mth2 * cos2u;
+        su = su - 0.25 * temp2 * x7thm1 * sin2u;
+        const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+        const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+        const mvt = rdotl - nm * temp1 * x1mth2 * sin2u / XKE;
+        const rvdot = rvdotl + nm * temp1 * (x1mth2 * cos2u + 1.5 * con41) / XKE;
+
+        // Orientation vectors
+        const sinsu = Math.sin(su);
+        const cossu = Math.cos(su);
+        const snod = Math.sin(xnode);
+        const cnod = Math.cos(xnode);
+        const sini = Math.sin(xinc);
+        const cosi = Math.cos(xinc);
+        const xmx = -snod * cosi;
+        const xmy = cnod * cosi;
+        const ux = xmx * sinsu + cnod * cossu;
+        const uy = xmy * sinsu + snod * cossu;
+        const uz = sini * sinsu;
+        const vx = xmx * cossu - cnod * sinsu;
+        const vy = xmy * cossu - snod * sinsu;
+        const vz = sini * cossu;
+
+        if (mrt < 1.0) fail(6);
+
+        return {
+            position: [
+                mrt * ux * EARTH_RADIUS_KM,
+                mrt * uy * EARTH_RADIUS_KM,
+                mrt * uz * EARTH_RADIUS_KM
+            ],
+            velocity: [
+                (mvt * ux + rvdot * vx) * vkmpersec,
+                (mvt * uy + rvdot * vy) * vkmpersec,
+                (mvt * uz + rvdot * vz) * vkmpersec
+            ]
+        };
+    }
+
+    /**
+     * Propagate to an absolute time
+     * @param {Date} date - Target time (UTC)
+     */
+    propagateToDate(date) {
+        const tsince = (SGP4Propagator.julianDate(date) - this.satrec.jdsatepoch) * SGP4_CONSTANTS.MINUTES_PER_DAY;
+        return this.propagate(tsince);
+    }
+
+    // ============================================================
+    // DEEP SPACE ROUTINES
+    // ============================================================
+
+    /**
+     * Lunar-solar terms used by both dsinit and dpper
+     * @param {number} epoch - Days since 1950 Jan 0.0
+     */
+    dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+        const { TWO_PI } = SGP4_CONSTANTS;
+        const zes = 0.01675;
+        const zel = 0.05490;
+        const c1ss = 2.9864797e-6;
+        const c1l = 4.7968065e-7;
+        const zsinis = 0.39785416;
+        const zcosis = 0.91744867;
+        const zcosgs = 0.1945905;
+        const zsings = -0.98088458;
+
+        const nm = np;
+        const em = ep;
+        const snodm = Math.sin(nodep);
+        const cnodm = Math.cos(nodep);
+        const sinomm = Math.sin(argpp);
+        const cosomm = Math.cos(argpp);
+        const sinim = Math.sin(inclp);
+        const cosim = Math.cos(inclp);
+        const emsq = em * em;
+        const betasq = 1.0 - emsq;
+        const rtemsq = Math.sqrt(betasq);
+
+        // Initialize lunar-solar terms
+        const day = epoch + 18261.5 + tc / 1440.0;
+        const xnodce = (4.5236020 - 9.2422029e-4 * day) % TWO_PI;
+        const stem = Math.sin(xnodce);
+        const ctem = Math.cos(xnodce);
+        const zcosil = 0.91375164 - 0.03568096 * ctem;
+        const zsinil = Math.sqrt(1.0 - zcosil * zcosil);
+        const zsinhl = 0.089683511 * stem / zsinil;
+        const zcoshl = Math.sqrt(1.0 - zsinhl * zsinhl);
+        const gam = 5.8351514 + 0.0019443680 * day;
+        let zx = 0.39785416 * stem / zsinil;
+        const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+        zx = Math.atan2(zx, zy);
+        zx = gam + zx - xnodce;
+        const zcosgl = Math.cos(zx);
+        const zsingl = Math.sin(zx);
+
+        // Do solar terms, then lunar terms
+        let zcosg = zcosgs;
+        let zsing = zsings;
+        let zcosi = zcosis;
+        let zsini = zsinis;
+        let zcosh = cnodm;
+        let zsinh = snodm;
+        let cc = c1ss;
+        const xnoi = 1.0 / nm;
+
+        const solar = {};
+        let lunar = {};
+
+        for (let lsflg = 1; lsflg <= 2; lsflg++) {
+            const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+            const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+            const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+            const a8 = zsing * zsini;
+            const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+            const a10 = zcosg * zsini;
+            const a2 = cosim * a7 + sinim * a8;
+            const a4 = cosim * a9 + sinim * a10;
+            const a5 = -sinim * a7 + cosim * a8;
+            const a6 = -sinim * a9 + cosim * a10;
+
+            const x1 = a1 * cosomm + a2 * sinomm;
+            const x2 = a3 * cosomm + a4 * sinomm;
+            const x3 = -a1 * sinomm + a2 * cosomm;
+            const x4 = -a3 * sinomm + a4 * cosomm;
+            const x5 = a5 * sinomm;
+            const x6 = a6 * sinomm;
+            const x7 = a5 * cosomm;
+            const x8 = a6 * cosomm;
+
+            const z31 = 12.0 * x1 * x1 - 3.0 * x3 * x3;
+            const z32 = 24.0 * x1 * x2 - 6.0 * x3 * x4;
+            const z33 = 12.0 * x2 * x2 - 3.0 * x4 * x4;
+            let z1 = 3.0 * (a1 * a1 + a2 * a2) + z31 * emsq;
+            let z2 = 6.0 * (a1 * a3 + a2 * a4) + z32 * emsq;
+            let z3 = 3.0 * (a3 * a3 + a4 * a4) + z33 * emsq;
+            const z11 = -6.0 * a1 * a5 + emsq * (-24.0 * x1 * x7 - 6.0 * x3 * x5);
+            const z12 = -6.0 * (a1 * a6 + a3 * a5) +
+                emsq * (-24.0 * (x2 * x7 + x1 * x8) - 6.0 * (x3 * x6 + x4 * x5));
+            const z13 = -6.0 * a3 * a6 + emsq * (-24.0 * x2 * x8 - 6.0 * x4 * x6);
+            const z21 = 6.0 * a2 * a5 + emsq * (24.0 * x1 * x5 - 6.0 * x3 * x7);
+            const z22 = 6.0 * (a4 * a5 + a2 * a6) +
+                emsq * (24.0 * (x2 * x5 + x1 * x6) - 6.0 * (x4 * x7 + x3 * x8));
+            const z23 = 6.0 * a4 * a6 + emsq * (24.0 * x2 * x6 - 6.0 * x4 * x8);
+            z1 = z1 + z1 + betasq * z31;
+            z2 = z2 + z2 + betasq * z32;
+            z3 = z3 + z3 + betasq * z33;
+
+            const s3 = cc * xnoi;
+            const s2 = -0.5 * s3 / rtemsq;
+            const s4 = s3 * rtemsq;
+            const s1 = -15.0 * em * s4;
+            const s5 = x1 * x3 + x2 * x4;
+            const s6 = x2 * x3 + x1 * x4;
+            const s7 = x2 * x4 - x1 * x3;
+
+            const terms = {
+                s1, s2, s3, s4, s5, s6, s7,
+                z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33
+            };
+
+            if (lsflg === 1) {
+                Object.assign(solar, terms);
+                zcosg = zcosgl;
+                zsing = zsingl;
+                zcosi = zcosil;
+                zsini = zsinil;
+                zcosh = zcoshl * cnodm + zsinhl * snodm;
+                zsinh = snodm * zcoshl - cnodm * zsinhl;
+                cc = c1l;
+            } else {
+                lunar = terms;
+            }
+        }
+
+        const zmol = (4.7199672 + (0.22997150 * day - gam)) % TWO_PI;
+        const zmos = (6.2565837 + 0.017201977 * day) % TWO_PI;
+
+        return {
+            snodm, cnodm, sinim, cosim, sinomm, cosomm, day, emsq, em, nm, rtemsq,
+            peo: 0, pinco: 0, plo: 0, pgho: 0, pho: 0,
+            // Solar terms
+            se2: 2.0 * solar.s1 * solar.s6,
+            se3: 2.0 * solar.s1 * solar.s7,
+            si2: 2.0 * solar.s2 * solar.z12,
+            si3: 2.0 * solar.s2 * (solar.z13 - solar.z11),
+            sl2: -2.0 * solar.s3 * solar.z2,
+            sl3: -2.0 * solar.s3 * (solar.z3 - solar.z1),
+            sl4: -2.0 * solar.s3 * (-21.0 - 9.0 * emsq) * zes,
+            sgh2: 2.0 * solar.s4 * solar.z32,
+            sgh3: 2.0 * solar.s4 * (solar.z33 - solar.z31),
+            sgh4: -18.0 * solar.s4 * zes,
+            sh2: -2.0 * solar.s2 * solar.z22,
+            sh3: -2.0 * solar.s2 * (solar.z23 - solar.z21),
+            // Lunar terms
+            ee2: 2.0 * lunar.s1 * lunar.s6,
+            e3: 2.0 * lunar.s1 * lunar.s7,
+            xi2: 2.0 * lunar.s2 * lunar.z12,
+            xi3: 2.0 * lunar.s2 * (lunar.z13 - lunar.z11),
+            xl2: -2.0 * lunar.s3 * lunar.z2,
+            xl3: -2.0 * lunar.s3 * (lunar.z3 - lunar.z1),
+            xl4: -2.0 * lunar.s3 * (-21.0 - 9.0 * emsq) * zel,
+            xgh2: 2.0 * lunar.s4 * lunar.z32,
+            xgh3: 2.0 * lunar.s4 * (lunar.z33 - lunar.z31),
+            xgh4: -18.0 * lunar.s4 * zel,
+            xh2: -2.0 * lunar.s2 * lunar.z22,
+            xh3: -2.0 * lunar.s2 * (lunar.z23 - lunar.z21),
+            zmol,
+            zmos,
+            solar,
+            lunar
+        };
+    }
+
+    /**
+     * Deep space initialization: secular rates and resonance terms
+     */
+    dsinit(s, ds, xpidot, eccsq, inclm, tc) {
+        const { XKE, TWO_PI } = SGP4_CONSTANTS;
+        const q22 = 1.7891679e-6;
+        const q31 = 2.1460748e-6;
+        const q33 = 2.2123015e-7;
+        const root22 = 1.7891679e-6;
+        const root44 = 7.3636953e-9;
+        const root54 = 2.1765803e-9;
+        const rptim = 4.37526908801129966e-3;
+        const root32 = 3.7393792e-7;
+        const root52 = 1.1428639e-7;
+        const znl = 1.5835218e-4;
+        const zns = 1.19459e-5;
+
+        const { solar, lunar, cosim, sinim } = ds;
+        let em = ds.em;
+        let emsq = ds.emsq;
+        const nm = ds.nm;
+
+        // Resonance flags: 1 = one-day (geosynchronous), 2 = half-day (Molniya)
+        s.irez = 0;
+        if (nm < 0.0052359877 && nm > 0.0034906585) {
+            s.irez = 1;
+        }
+        if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) {
+            s.irez = 2;
+        }
+
+        // Solar terms
+        const ses = solar.s1 * zns * solar.s5;
+        const sis = solar.s2 * zns * (solar.z11 + solar.z13);
+        const sls = -zns * solar.s3 * (solar.z1 + solar.z3 - 14.0 - 6.0 * emsq);
+        const sghs = solar.s4 * zns * (solar.z31 + solar.z33 - 6.0);
+        let shs = -zns * solar.s2 * (solar.z21 + solar.z23);
+        if (inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2) {
+            shs = 0.0;
+        }
+        if (sinim !== 0.0) {
+            shs = shs / sinim;
+        }
+        const sgs = sghs - cosim * shs;
+
+        // Lunar terms
+        s.dedt = ses + lunar.s1 * znl * lunar.s5;
+        s.didt = sis + lunar.s2 * znl * (lunar.z11 + lunar.z13);
+        s.dmdt = sls - znl * lunar.s3 * (lunar.z1 + lunar.z3 - 14.0 - 6.0 * emsq);
+        const sghl = lunar.s4 * znl * (lunar.z31 + lunar.z33 - 6.0);
+        let shll = -znl * lunar.s2 * (lunar.z21 + lunar.z23);
+        if (inclm < 5.2359877e-2 || inclm > Math.PI - 5.2359877e-2) {
+            shll = 0.0;
+        }
+        s.domdt = sgs + sghl;
+        s.dnodt = shs;
+        if (sinim !== 0.0) {
+            s.domdt = s.domdt - cosim / sinim * shll;
+            s.dnodt = s.dnodt + shll / sinim;
+        }
+
+        // Deep space resonance effects
+        const theta = (s.gsto + tc * rptim) % TWO_PI;
+
+        if (s.irez === 0) return;
+
+        const aonv = Math.pow(nm / XKE, 2.0 / 3.0);
+
+        // Geopotential resonance for 12-hour orbits
+        if (s.irez === 2) {
+            const cosisq = cosim * cosim;
+            const emo = em;
+            em = s.ecco;
+            const emsqo = emsq;
+            emsq = eccsq;
+            const eoc = em * emsq;
+            const g201 = -0.306 - (em - 0.64) * 0.440;
+            let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+
+            if (em <= 0.65) {
+                g211 = 3.616 - 13.2470 * em + 16.2900 * emsq;
+                g310 = -19.302 + 117.3900 * em - 228.4190 * emsq + 156.5910 * eoc;
+                g322 = -18.9068 + 109.7927 * em - 214.6334 * emsq + 146.5816 * eoc;
+                g410 = -41.122 + 242.6940 * em - 471.0940 * emsq + 313.9530 * eoc;
+                g422 = -146.407 + 841.8800 * em - 1629.014 * emsq + 1083.4350 * eoc;
+                g520 = -532.114 + 3017.977 * em - 5740.032 * emsq + 3708.2760 * eoc;
+            } else {
+                g211 = -72.099 + 331.819 * em - 508.738 * emsq + 266.724 * eoc;
+                g310 = -346.844 + 1582.851 * em - 2415.925 * emsq + 1246.113 * eoc;
+                g322 = -342.585 + 1554.908 * em - 2366.899 * emsq + 1215.972 * eoc;
+                g410 = -1052.797 + 4758.686 * em - 7193.992 * emsq + 3651.957 * eoc;
+                g422 = -3581.690 + 16178.110 * em - 24462.770 * emsq + 12422.520 * eoc;
+                if (em > 0.715) {
+                    g520 = -5149.66 + 29936.92 * em - 54087.36 * emsq + 31324.56 * eoc;
+                } else {
+                    g520 = 1464.74 - 4664.75 * em + 3763.64 * emsq;
+                }
+            }
+            if (em < 0.7) {
+                g533 = -919.22770 + 4988.6100 * em - 9064.7700 * emsq + 5542.21 * eoc;
+                g521 = -822.71072 + 4568.6173 * em - 8491.4146 * emsq + 5337.524 * eoc;
+                g532 = -853.66600 + 4690.2500 * em - 8624.7700 * emsq + 5341.4 * eoc;
+            } else {
+                g533 = -37995.780 + 161616.52 * em - 229838.20 * emsq + 109377.94 * eoc;
+                g521 = -51752.104 + 218913.95 * em - 309468.16 * emsq + 146349.42 * eoc;
+                g532 = -40023.880 + 170470.89 * em - 242699.48 * emsq + 115605.82 * eoc;
+            }
+
+            const sini2 = sinim * sinim;
+            const f220 = 0.75 * (1.0 + 2.0 * cosim + cosisq);
+            const f221 = 1.5 * sini2;
+            const f321 = 1.875 * sinim * (1.0 - 2.0 * cosim - 3.0 * cosisq);
+            const f322 = -1.875 * sinim * (1.0 + 2.0 * cosim - 3.0 * cosisq);
+            const f441 = 35.0 * sini2 * f220;
+            const f442 = 39.3750 * sini2 * sini2;
+            const f522 = 9.84375 * sinim * (sini2 * (1.0 - 2.0 * cosim - 5.0 * cosisq) +
+                0.33333333 * (-2.0 + 4.0 * cosim + 6.0 * cosisq));
+            const f523 = sinim * (4.92187512 * sini2 * (-2.0 - 4.0 * cosim + 10.0 * cosisq) +
+                6.56250012 * (1.0 + 2.0 * cosim - 3.0 * cosisq));
+            const f542 = 29.53125 * sinim * (2.0 - 8.0 * cosim + cosisq * (-12.0 + 8.0 * cosim + 10.0 * cosisq));
+            const f543 = 29.53125 * sinim * (-2.0 - 8.0 * cosim + cosisq * (12.0 + 8.0 * cosim - 10.0 * cosisq));
+
+            const xno2 = nm * nm;
+            const ainv2 = aonv * aonv;
+            let temp1 = 3.0 * xno2 * ainv2;
+            let temp = temp1 * root22;
+            s.d2201 = temp * f220 * g201;
+            s.d2211 = temp * f221 * g211;
+            temp1 = temp1 * aonv;
+            temp = temp1 * root32;
+            s.d3210 = temp * f321 * g310;
+            s.d3222 = temp * f322 * g322;
+            temp1 = temp1 * aonv;
+            temp = 2.0 * temp1 * root44;
+            s.d4410 = temp * f441 * g410;
+            s.d4422 = temp * f442 * g422;
+            temp1 = temp1 * aonv;
+            temp = temp1 * root52;
+            s.d5220 = temp * f522 * g520;
+            s.d5232 = temp * f523 * g532;
+            temp = 2.0 * temp1 * root54;
+            s.d5421 = temp * f542 * g521;
+            s.d5433 = temp * f543 * g533;
+            s.xlamo = (s.mo + s.nodeo + s.nodeo - theta - theta) % TWO_PI;
+            s.xfact = s.mdot + s.dmdt + 2.0 * (s.nodedot + s.dnodt - rptim) - s.no;
+            em = emo;
+            emsq = emsqo;
+        }
+
+        // Synchronous resonance terms
+        if (s.irez === 1) {
+            const g200 = 1.0 + emsq * (-2.5 + 0.8125 * emsq);
+            const g310 = 1.0 + 2.0 * emsq;
+            const g300 = 1.0 + emsq * (-6.0 + 6.60937 * emsq);
+            const f220 = 0.75 * (1.0 + cosim) * (1.0 + cosim);
+            const f311 = 0.9375 * sinim * sinim * (1.0 + 3.0 * cosim) - 0.75 * (1.0 + cosim);
+            let f330 = 1.0 + cosim;
+            f330 = 1.875 * f330 * f330 * f330;
+            const del1 = 3.0 * nm * nm * aonv * aonv;
+            s.del2 = 2.0 * del1 * f220 * g200 * q22;
+            s.del3 = 3.0 * del1 * f330 * g300 * q33 * aonv;
+            s.del1 = del1 * f311 * g310 * q31 * aonv;
+            s.xlamo = (s.mo + s.nodeo + s.argpo - theta) % TWO_PI;
+            s.xfact = s.mdot + xpidot - rptim + s.dmdt + s.domdt + s.dnodt - s.no;
+        }
+
+        // Initialize the integrator
+        s.xli = s.xlamo;
+        s.xni = s.no;
+        s.atime = 0.0;
+    }
+
+    /**
+     * Deep space secular effects and resonance integration
+     */
+    dspace(s, t, em, argpm, inclm, mm, nodem, nm) {
+        const { TWO_PI } = SGP4_CONSTANTS;
+        const fasx2 = 0.13130908;
+        const fasx4 = 2.8843198;
+        const fasx6 = 0.37448087;
+        const g22 = 5.7686396;
+        const g32 = 0.95240898;
+        const g44 = 1.8014998;
+        const g52 = 1.0508330;
+        const g54 = 4.4108898;
+        const rptim = 4.37526908801129966e-3;
+        const stepp = 720.0;
+        const stepn = -720.0;
+        const step2 = 259200.0;
+
+        const theta = (s.gsto + t * rptim) % TWO_PI;
+        em = em + s.dedt * t;
+        inclm = inclm + s.didt * t;
+        argpm = argpm + s.domdt * t;
+        nodem = nodem + s.dnodt * t;
+        mm = mm + s.dmdt * t;
+
+        if (s.irez !== 0) {
+            // Restart the integrator when moving backwards or across epoch
+            if (s.atime === 0.0 || t * s.atime <= 0.0 || Math.abs(t) < Math.abs(s.atime)) {
+                s.atime = 0.0;
+                s.xni = s.no;
+                s.xli = s.xlamo;
+            }
+
+            const delt = t > 0.0 ? stepp : stepn;
+            let ft = 0.0;
+            let xndt = 0;
+            let xldot = 0;
+            let xnddt = 0;
+
+            for (;;) {
+                if (s.irez !== 2) {
+                    // Near-synchronous resonance terms
+                    xndt = s.del1 * Math.sin(s.xli - fasx2) +
+                        s.del2 * Math.sin(2.0 * (s.xli - fasx4)) +
+                        s.del3 * Math.sin(3.0 * (s.xli - fasx6));
+                    xldot = s.xni + s.xfact;
+                    xnddt = s.del1 * Math.cos(s.xli - fasx2) +
+                        2.0 * s.del2 * Math.cos(2.0 * (s.xli - fasx4)) +
+                        3.0 * s.del3 * Math.cos(3.0 * (s.xli - fasx6));
+                    xnddt = xnddt * xldot;
+                } else {
+                    // Near half-day resonance terms
+                    const xomi = s.argpo + s.argpdot * s.atime;
+                    const x2omi = xomi + xomi;
+                    const x2li = s.xli + s.xli;
+                    xndt = s.d2201 * Math.sin(x2omi + s.xli - g22) +
+                        s.d2211 * Math.sin(s.xli - g22) +
+                        s.d3210 * Math.sin(xomi + s.xli - g32) +
+                        s.d3222 * Math.sin(-xomi + s.xli - g32) +
+                        s.d4410 * Math.sin(x2omi + x2li - g44) +
+                        s.d4422 * Math.sin(x2li - g44) +
+                        s.d5220 * Math.sin(xomi + s.xli - g52) +
+                        s.d5232 * Math.sin(-xomi + s.xli - g52) +
+                        s.d5421 * Math.sin(xomi + x2li - g54) +
+                        s.d5433 * Math.sin(-xomi + x2li - g54);
+                    xldot = s.xni + s.xfact;
+                    xnddt = s.d2201 * Math.cos(x2omi + s.xli - g22) +
+                        s.d2211 * Math.cos(s.xli - g22) +
+                        s.d3210 * Math.cos(xomi + s.xli - g32) +
+                        s.d3222 * Math.cos(-xomi + s.xli - g32) +
+                        s.d5220 * Math.cos(xomi + s.xli - g52) +
+                        s.d5232 * Math.cos(-xomi + s.xli - g52) +
+                        2.0 * (s.d4410 * Math.cos(x2omi + x2li - g44) +
+                            s.d4422 * Math.cos(x2li - g44) +
+                            s.d5421 * Math.cos(xomi + x2li - g54) +
+                            s.d5433 * Math.cos(-xomi + x2li - g54));
+                    xnddt = xnddt * xldot;
+                }
+
+                if (Math.abs(t - s.atime) < stepp) {
+                    ft = t - s.atime;
+                    break;
+                }
+
+                s.xli = s.xli + xldot * delt + xndt * step2;
+                s.xni = s.xni + xndt * delt + xnddt * step2;
+                s.atime = s.atime + delt;
+            }
+
+            nm = s.xni + xndt * ft + xnddt * ft * ft * 0.5;
+            const xl = s.xli + xldot * ft + xndt * ft * ft * 0.5;
+            if (s.irez !== 1) {
+                mm = xl - 2.0 * nodem + 2.0 * theta;
+            } else {
+                mm = xl - nodem - argpm + theta;
+            }
+        }
+
+        return { em, argpm, inclm, mm, nodem, nm };
+    }
+
+    /**
+     * Deep space long-period periodic contributions
+     */
+    dpper(s, t, ep, inclp, nodep, argpp, mp) {
+        const { TWO_PI } = SGP4_CONSTANTS;
+        const zns = 1.19459e-5;
+        const zes = 0.01675;
+        const znl = 1.5835218e-4;
+        const zel = 0.05490;
+
+        // Solar terms
+        let zm = s.zmos + zns * t;
+        let zf = zm + 2.0 * zes * Math.sin(zm);
+        let sinzf = Math.sin(zf);
+        let f2 = 0.5 * sinzf * sinzf - 0.25;
+        let f3 = -0.5 * sinzf * Math.cos(zf);
+        const ses = s.se2 * f2 + s.se3 * f3;
+        const sis = s.si2 * f2 + s.si3 * f3;
+        const sls = s.sl2 * f2 + s.sl3 * f3 + s.sl4 * sinzf;
+        const sghs = s.sgh2 * f2 + s.sgh3 * f3 + s.sgh4 * sinzf;
+        const shs = s.sh2 * f2 + s.sh3 * f3;
+
+        // Lunar terms
+        zm = s.zmol + znl * t;
+        zf = zm + 2.0 * zel * Math.sin(zm);
+        sinzf = Math.sin(zf);
+        f2 = 0.5 * sinzf * sinzf - 0.25;
+        f3 = -0.5 * sinzf * Math.cos(zf);
+        const sel = s.ee2 * f2 + s.e3 * f3;
+        const sil = s.xi2 * f2 + s.xi3 * f3;
+        const sll = s.xl2 * f2 + s.xl3 * f3 + s.xl4 * sinzf;
+        const sghl = s.xgh2 * f2 + s.xgh3 * f3 + s.xgh4 * sinzf;
+        const shll = s.xh2 * f2 + s.xh3 * f3;
+
+        const pe = ses + sel - s.peo;
+        const pinc = sis + sil - s.pinco;
+        const pl = sls + sll - s.plo;
+        let pgh = sghs + sghl - s.pgho;
+        let ph = shs + shll - s.pho;
+
+        inclp = inclp + pinc;
+        ep = ep + pe;
+        const sinip = Math.sin(inclp);
+        const cosip = Math.cos(inclp);
+
+        if (inclp >= 0.2) {
+            // Apply periodics directly
+            ph = ph / sinip;
+            pgh = pgh - cosip * ph;
+            argpp = argpp + pgh;
+            nodep = nodep + ph;
+            mp = mp + pl;
+        } else {
+            // Apply periodics with the Lyddane modification
+            const sinop = Math.sin(nodep);
+            const cosop = Math.cos(nodep);
+            let alfdp = sinip * sinop;
+            let betdp = sinip * cosop;
+            const dalf = ph * cosop + pinc * cosip * sinop;
+            const dbet = -ph * sinop + pinc * cosip * cosop;
+            alfdp = alfdp + dalf;
+            betdp = betdp + dbet;
+            nodep = nodep % TWO_PI;
+            if (nodep < 0.0) {
+                nodep += TWO_PI;
+            }
+            let xls = mp + argpp + cosip * nodep;
+            const dls = pl + pgh - pinc * nodep * sinip;
+            xls = xls + dls;
+            const xnoh = nodep;
+            nodep = Math.atan2(alfdp, betdp);
+            if (nodep < 0.0) {
+                nodep += TWO_PI;
+            }
+            if (Math.abs(xnoh - nodep) > Math.PI) {
+                if (nodep < xnoh) {
+                    nodep = nodep + TWO_PI;
+                } else {
+                    nodep = nodep - TWO_PI;
+                }
+            }
+            mp = mp + pl;
+            argpp = xls - mp - cosip * nodep;
+        }
+
+        return { ep, inclp, nodep, argpp, mp };
+    }
+
+    // ============================================================
+    // CLASSIFIER INPUT GENERATION
+    // ============================================================
+
+    /**
+     * Geodetic latitude/longitude (WGS-84) of an ECI position
+     * @param {Array} position - [x, y, z] in km
+     * @param {number} gmst - Greenwich mean sidereal time in radians
+     * @returns {Object} { latitude, longitude } in degrees
+     */
+    static eciToGeodetic(position, gmst) {
+        const a = 6378.137;
+        const f = 1 / 298.257223563;
+        const e2 = (2 - f) * f;
+        const [x, y, z] = position;
+
+        let longitude = Math.atan2(y, x) - gmst;
+        longitude = ((longitude + Math.PI) % SGP4_CONSTANTS.TWO_PI + SGP4_CONSTANTS.TWO_PI) % SGP4_CONSTANTS.TWO_PI - Math.PI;
+
+        const r = Math.sqrt(x * x + y * y);
+        let latitude = Math.atan2(z, r);
+        for (let k = 0; k < 20; k++) {
+            const previous = latitude;
+            const sinLat = Math.sin(latitude);
+            const c = 1 / Math.sqrt(1 - e2 * sinLat * sinLat);
+            latitude = Math.atan2(z + a * c * e2 * sinLat, r);
+            if (Math.abs(latitude - previous) < 1e-12) break;
+        }
+
+        return {
+            latitude: latitude / SGP4_CONSTANTS.DEG2RAD,
+            longitude: longitude / SGP4_CONSTANTS.DEG2RAD
+        };
+    }
+
+    /**
+     * Sample the orbit into rows the batch classifier accepts
+     * @param {Object} options - { start: Date (default: TLE epoch), spanMinutes, stepMinutes }
+     * @returns {Array} Rows in InputSchema field names (timestamp, latitude, longitude,
+     *                  x_eci_km..z_eci_km, velocity_x..velocity_z)
+     */
+    generateTrack(options = {}) {
+        const start = options.start || this.tle.epoch;
+        const spanMinutes = options.spanMinutes ?? 90;
+        const stepMinutes = options.stepMinutes ?? 1;
+
+        if (!(stepMinutes > 0)) {
+            throw new Error('Step must be a positive number of minutes');
+        }
+        if (!(spanMinutes >= 0)) {
+            throw new Error('Span must be zero or more minutes');
+        }
+
+        const rows = [];
+        const steps = Math.floor(spanMinutes / stepMinutes + 1e-9);
+        for (let i = 0; i <= steps; i++) {
+            const time = new Date(start.getTime() + i * stepMinutes * 60000);
+            const jd = SGP4Propagator.julianDate(time);
+            const state = this.propagate((jd - this.satrec.jdsatepoch) * SGP4_CONSTANTS.MINUTES_PER_DAY);
+            const geodetic = SGP4Propagator.eciToGeodetic(state.position, SGP4Propagator.gstime(jd));
+
+            rows.push({
+                timestamp: time.toISOString(),
+                latitude: geodetic.latitude,
+                longitude: geodetic.longitude,
+                x_eci_km: state.position[0],
+                y_eci_km: state.position[1],
+                z_eci_km: state.position[2],
+                velocity_x: state.velocity[0],
+                velocity_y: state.velocity[1],
+                velocity_z: state.velocity[2]
+            });
+        }
+        return rows;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SGP4Propagator;
+}
@@ -0,0 +1,215 @@
+// js/streaming_stats.js
+// ============================================================
+// Streaming Statistics for PerformanceMonitor
+// Fixed-size structures updated in constant time per prediction:
+// a log-scale latency histogram for percentiles and a per-second
+// ring buffer for rolling throughput, error rate and class mix
+// ============================================================
+
+class LatencyHistogram {
+    /**
+     * Buckets are log-spaced between MIN_MS and MAX_MS, so a percentile is
+     * off by at most half a bucket (about 6%) whatever the latency scale
+     */
+    constructor() {
+        const decades = Math.log10(LatencyHistogram.MAX_MS / LatencyHistogram.MIN_MS);
+        // Bucket 0: below MIN_MS; last bucket: above MAX_MS
+        this.counts = new Array(Math.ceil(decades * LatencyHistogram.BUCKETS_PER_DECADE) + 2).fill(0);
+        this.count = 0;
+        this.min = Infinity;
+        this.max = 0;
+    }
+
+    /**
+     * @param {number} ms - Latency in milliseconds
+     * @returns {number} Bucket index
+     */
+    bucket(ms) {
+        if (!(ms >= LatencyHistogram.MIN_MS)) return 0;
+        const idx = Math.floor(Math.log10(ms / LatencyHistogram.MIN_MS) * LatencyHistogram.BUCKETS_PER_DECADE) + 1;
+        return Math.min(idx, this.counts.length - 1);
+    }
+
+    /**
+     * @param {number} idx - Bucket index
+     * @returns {number} Lower edge of the bucket in milliseconds
+     */
+    static edge(idx) {
+        return LatencyHistogram.MIN_MS * Math.pow(10, (idx - 1) / LatencyHistogram.BUCKETS_PER_DECADE);
+    }
+
+    add(ms) {
+        this.counts[this.bucket(ms)]++;
+        this.count++;
+        this.min = Math.min(this.min, ms);
+        this.max = Math.max(this.max, ms);
+    }
+
+    /**
+     * @param {number} p - Percentile as a fraction (0.95 = p95)
+     * @returns {number|null} Latency in ms (bucket midpoint, within the observed
+     *                        min and max), or null before the first sample
+     */
+    percentile(p) {
+        if (this.count === 0) return null;
+        const rank = Math.max(1, Math.ceil(p * this.count));
+        let seen = 0;
+        for (let idx = 0; idx < this.counts.length; idx++) {
+            seen += this.counts[idx];
+            if (seen >= rank) {
+                const middle = Math.sqrt(LatencyHistogram.edge(idx) * LatencyHistogram.edge(idx + 1));
+                return Math.min(this.max, Math.max(this.min, middle));
+            }
+        }
+        return this.max;
+    }
+
+    /**
+     * Coarse histogram for display
+     * @param {number} perDecade - Display bins per decade (must divide BUCKETS_PER_DECADE)
+     * @returns {Array} [{ from, to, count }] from the first to the last non-empty bin
+     */
+    bins(perDecade = 2) {
+        const group = LatencyHistogram.BUCKETS_PER_DECADE / perDecade;
+        const bins = [];
+        // Buckets 1…n map to display bins; the under/overflow buckets join the first/last
+        for (let idx = 0; idx < this.counts.length; idx++) {
+            const bin = Math.floor(Math.max(0, idx - 1) / group);
+            if (!bins[bin]) {
+                bins[bin] = { from: LatencyHistogram.edge(bin * group + 1), to: LatencyHistogram.edge((bin + 1) * group + 1), count: 0 };
+            }
+            bins[bin].count += this.counts[idx];
+        }
+        const first = bins.findIndex(bin => bin.count > 0);
+        const last = bins.length - 1 - [...bins].reverse().findIndex(bin => bin.count > 0);
+        return first < 0 ? [] : bins.slice(first, last + 1);
+    }
+
+    toJSON() {
+        return { counts: this.counts.slice(), count: this.count, min: this.min, max: this.max };
+    }
+
+    /**
+     * @param {Object} saved - toJSON() output
+     * @returns {LatencyHistogram}
+     */
+    static from(saved) {
+        const histogram = new LatencyHistogram();
+        if (saved && saved.counts.length === histogram.counts.length) {
+            Object.assign(histogram, { ...saved, counts: saved.counts.slice() });
+        }
+        return histogram;
+    }
+}
+
+LatencyHistogram.MIN_MS = 0.001;
+LatencyHistogram.MAX_MS = 100000;
+LatencyHistogram.BUCKETS_PER_DECADE = 20;
+
+class RollingWindow {
+    /**
+     * @param {Array} labels - Class labels to count
+     * @param {number} seconds - Longest window that can be queried
+     */
+    constructor(labels, seconds = RollingWindow.SECONDS) {
+        this.labels = labels;
+        this.size = seconds;
+        // Slot i holds the second stamps[i] (epoch seconds); stale slots are reset on reuse
+        this.stamps = new Array(seconds).fill(-1);
+        this.counts = new Array(seconds).fill(0);
+        this.errors = new Array(seconds).fill(0);
+        this.latency = new Array(seconds).fill(0);
+        this.classCounts = Array.from({ length: seconds }, () => ({}));
+    }
+
+    /**
+     * Slot of a second, emptied when it still holds an older second
+     * @param {number} second - Epoch seconds
+     * @returns {number} Slot index
+     */
+    slot(second) {
+        const idx = second % this.size;
+        if (this.stamps[idx] !== second) {
+            this.stamps[idx] = second;
+            this.counts[idx] = 0;
+            this.errors[idx] = 0;
+            this.latency[idx] = 0;
+            this.classCounts[idx] = {};
+        }
+        return idx;
+    }
+
+    /**
+     * @param {number} time - Epoch milliseconds
+     * @param {Object} outcome - { error, label, latency }; latency and label for successes only
+     */
+    add(time, outcome) {
+        const idx = this.slot(Math.floor(time / 1000));
+        this.counts[idx]++;
+        if (outcome.error) {
+            this.errors[idx]++;
+        } else {
+            this.latency[idx] += outcome.latency;
+            this.classCounts[idx][outcome.label] = (this.classCounts[idx][outcome.label] || 0) + 1;
+        }
+    }
+
+    /**
+     * Totals over the last `seconds` seconds
+     * @param {number} seconds - Window length (at most the buffer size)
+     * @param {number} now - Epoch milliseconds
+     * @returns {Object} { count, errors, latencySum, classCounts }
+     */
+    totals(seconds, now = Date.now()) {
+        const newest = Math.floor(now / 1000);
+        const oldest = newest - Math.min(seconds, this.size) + 1;
+        const totals = {
+            count: 0,
+            errors: 0,
+            latencySum: 0,
+            classCounts: Object.fromEntries(this.labels.map(label => [label, 0]))
+        };
+        for (let idx = 0; idx < this.size; idx++) {
+            const stamp = this.stamps[idx];
+            if (stamp < oldest || stamp > newest) continue;
+            totals.count += this.counts[idx];
+            totals.errors += this.errors[idx];
+            totals.latencySum += this.latency[idx];
+            for (const [label, count] of Object.entries(this.classCounts[idx])) {
+                totals.classCounts[label] = (totals.classCounts[label] || 0) + count;
+            }
+        }
+        return totals;
+    }
+
+    toJSON() {
+        return {
+            stamps: this.stamps.slice(),
+            counts: this.counts.slice(),
+            errors: this.errors.slice(),
+            latency: this.latency.slice(),
+            classCounts: this.classCounts.map(counts => ({ ...counts }))
+        };
+    }
+
+    /**
+     * @param {Array} labels - Class labels to count
+     * @param {Object} saved - toJSON() output
+     * @returns {RollingWindow}
+     */
+    static from(labels, saved) {
+        const rolling = new RollingWindow(labels);
+        if (saved && saved.stamps.length === rolling.size) {
+            Object.assign(rolling, RollingWindow.prototype.toJSON.call(saved));
+        }
+        return rolling;
+    }
+}
+
+// 15 minutes, the longest rolling window on the dashboard
+RollingWindow.SECONDS = 900;
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LatencyHistogram, RollingWindow };
+}
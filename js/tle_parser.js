@@ -0,0 +1,149 @@
+// js/tle_parser.js
+// ============================================================
+// NORAD Two-Line Element Set Parser
+// Reads Celestrak-format files (optional name line + 2 lines)
+// ============================================================
+
+class TLEParser {
+    /**
+     * Compute the modulo-10 checksum of a TLE line
+     * Digits count their value, minus signs count 1, everything else 0.
+     * @param {string} line - TLE line (checksum digit excluded from the sum)
+     * @returns {number} Expected checksum digit
+     */
+    static checksum(line) {
+        let sum = 0;
+        for (const char of line.slice(0, 68)) {
+            if (char >= '0' && char <= '9') {
+                sum += char.charCodeAt(0) - 48;
+            } else if (char === '-') {
+                sum += 1;
+            }
+        }
+        return sum % 10;
+    }
+
+    /**
+     * Parse a file holding any number of element sets
+     * Invalid sets are reported in `errors` instead of aborting the file.
+     * @param {string} text - File contents
+     * @returns {Object} { records, errors }
+     */
+    static parse(text) {
+        const lines = text
+            .replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+            .split('\n')
+            .map(line => line.trimEnd())
+            .filter(line => line.trim().length > 0);
+
+        const records = [];
+        const errors = [];
+        let name = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.startsWith('1 ') && lines[i + 1] && lines[i + 1].startsWith('2 ')) {
+                try {
+                    records.push(TLEParser.parseTLE(line, lines[i + 1], name));
+                } catch (error) {
+                    errors.push(`Line ${i + 1}: ${error.message}`);
+                }
+                name = null;
+                i++;
+            } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+                errors.push(`Line ${i + 1}: TLE line ${line[0]} without its matching line`);
+                name = null;
+            } else {
+                // Title line (Celestrak 3LE format); a leading "0 " is optional
+                name = line.replace(/^0\s+/, '').trim();
+            }
+        }
+
+        return { records, errors };
+    }
+
+    /**
+     * Parse one element set
+     * @param {string} line1 - First TLE line
+     * @param {string} line2 - Second TLE line
+     * @param {string|null} name - Satellite name from the title line
+     * @returns {Object} Parsed element set (angles in degrees, mean motion in rev/day)
+     * @throws {Error} If the lines are malformed or fail checksum validation
+     */
+    static parseTLE(line1, line2, name = null) {
+        for (const [lineNumber, line] of [[1, line1], [2, line2]]) {
+            if (line.length < 69) {
+                throw new Error(`TLE line ${lineNumber} is ${line.length} characters long (expected 69)`);
+            }
+            const expected = TLEParser.checksum(line);
+            const actual = parseInt(line[68], 10);
+            if (expected !== actual) {
+                throw new Error(`TLE line ${lineNumber} checksum mismatch (expected ${expected}, found ${line[68]})`);
+            }
+        }
+
+        const satelliteNumber = line1.slice(2, 7).trim();
+        if (line2.slice(2, 7).trim() !== satelliteNumber) {
+            throw new Error(`Catalog numbers differ between lines (${satelliteNumber} vs ${line2.slice(2, 7).trim()})`);
+        }
+
+        const twoDigitYear = TLEParser.number(line1.slice(18, 20), 'epoch year');
+        const epochYear = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+        const epochDay = TLEParser.number(line1.slice(20, 32), 'epoch day');
+
+        // Epoch day 1.0 is January 1st, 00:00 UTC
+        const epoch = new Date(Date.UTC(epochYear, 0, 1) + (epochDay - 1) * 86400000);
+
+        return {
+            name: name || `NORAD ${satelliteNumber}`,
+            satelliteNumber,
+            classification: line1[7],
+            internationalDesignator: line1.slice(9, 17).trim(),
+            epochYear,
+            epochDay,
+            epoch,
+            meanMotionDot: TLEParser.number(line1.slice(33, 43), 'first derivative of mean motion'),
+            meanMotionDdot: TLEParser.impliedDecimal(line1.slice(44, 52), 'second derivative of mean motion'),
+            bstar: TLEParser.impliedDecimal(line1.slice(53, 61), 'BSTAR drag term'),
+            elementSetNumber: parseInt(line1.slice(64, 68), 10) || 0,
+            inclination: TLEParser.number(line2.slice(8, 16), 'inclination'),
+            raan: TLEParser.number(line2.slice(17, 25), 'right ascension of ascending node'),
+            eccentricity: TLEParser.number('0.' + line2.slice(26, 33).trim(), 'eccentricity'),
+            argumentOfPerigee: TLEParser.number(line2.slice(34, 42), 'argument of perigee'),
+            meanAnomaly: TLEParser.number(line2.slice(43, 51), 'mean anomaly'),
+            meanMotion: TLEParser.number(line2.slice(52, 63), 'mean motion'),
+            revolutionNumber: parseInt(line2.slice(63, 68), 10) || 0,
+            line1,
+            line2
+        };
+    }
+
+    static number(text, fieldName) {
+        const value = parseFloat(text.trim());
+        if (isNaN(value)) {
+            throw new Error(`Invalid ${fieldName}: "${text.trim()}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Decode the "assumed decimal point" exponent format, e.g. " 12345-3" → 0.12345e-3
+     */
+    static impliedDecimal(text, fieldName) {
+        const trimmed = text.trim();
+        if (trimmed === '' || /^[+-]?0+[+-]?0*$/.test(trimmed)) return 0;
+
+        const match = trimmed.match(/^([+-]?)(\d+)([+-]\d)$/);
+        if (!match) {
+            throw new Error(`Invalid ${fieldName}: "${trimmed}"`);
+        }
+        const mantissa = parseFloat(`${match[1]}0.${match[2]}`);
+        return mantissa * Math.pow(10, parseInt(match[3], 10));
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TLEParser;
+}
@@ -0,0 +1,143 @@
+// js/track_classifier.js
+// ============================================================
+// Trajectory-Level Classification
+// Groups per-point predictions into time-ordered tracks and
+// combines them into one label per track
+// ============================================================
+
+class TrackClassifier {
+    /**
+     * Parse a timestamp column value
+     * Accepts ISO 8601 strings and Unix epochs in seconds or milliseconds.
+     * @param {string|number} value - Raw timestamp
+     * @returns {number} Milliseconds since epoch, or NaN if missing/unparseable
+     */
+    static parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return NaN;
+
+        const text = String(value).trim();
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            const number = parseFloat(text);
+            // Anything below ~1973 in milliseconds is taken as seconds
+            return Math.abs(number) < 1e11 ? number * 1000 : number;
+        }
+        return Date.parse(text);
+    }
+
+    /**
+     * Group points by track_id and sort each track by timestamp
+     * Points without a parseable timestamp keep their input order.
+     * @param {Array} points - Per-point results carrying `track_id` and optional `timestamp`
+     * @returns {Array} Tracks ({ trackId, points }) in order of first appearance
+     */
+    groupTracks(points) {
+        const tracks = new Map();
+
+        points.forEach((point, order) => {
+            const trackId = String(point.track_id);
+            if (!tracks.has(trackId)) {
+                tracks.set(trackId, []);
+            }
+            tracks.get(trackId).push({
+                point,
+                order,
+                time: TrackClassifier.parseTimestamp(point.timestamp)
+            });
+        });
+
+        return Array.from(tracks, ([trackId, entries]) => {
+            const timed = entries.every(entry => !isNaN(entry.time));
+            if (timed) {
+                entries.sort((a, b) => a.time - b.time || a.order - b.order);
+            }
+            return {
+                trackId,
+                timed,
+                points: entries.map(entry => entry.point),
+                times: entries.map(entry => entry.time)
+            };
+        });
+    }
+
+    /**
+     * Combine the per-point predictions of one track
+     * The track label is the class with the highest mean probability over
+     * the track's points (soft voting); its mean probability is the
+     * combined confidence.
+     * @param {Object} track - Output entry of groupTracks
+     * @returns {Object} Track summary with the points kept for drill-down
+     */
+    aggregateTrack(track) {
+        const { trackId, points, times, timed } = track;
+        const sums = {};
+        const classCounts = {};
+        let flips = 0;
+
+        points.forEach((point, idx) => {
+            const probabilities = point.probabilities || { [point.prediction]: point.confidence };
+            for (const [label, probability] of Object.entries(probabilities)) {
+                sums[label] = (sums[label] || 0) + probability;
+            }
+            classCounts[point.prediction] = (classCounts[point.prediction] || 0) + 1;
+
+            if (idx > 0 && point.prediction !== points[idx - 1].prediction) {
+                flips++;
+            }
+        });
+
+        const probabilities = {};
+        for (const [label, sum] of Object.entries(sums)) {
+            probabilities[label] = sum / points.length;
+        }
+        const prediction = Object.keys(probabilities)
+            .reduce((best, label) => probabilities[label] > probabilities[best] ? label : best);
+
+        return {
+            trackId,
+            prediction,
+            confidence: probabilities[prediction],
+            probabilities,
+            pointCount: points.length,
+            startTime: timed ? new Date(times[0]).toISOString() : null,
+            endTime: timed ? new Date(times[times.length - 1]).toISOString() : null,
+            classCounts,
+            agreement: (classCounts[prediction] || 0) / points.length,
+            flips,
+            flipped: flips > 0,
+            points
+        };
+    }
+
+    /**
+     * Group and aggregate per-point results into track summaries
+     * @param {Array} points - Per-point results with `track_id`, `timestamp`,
+     *                         `prediction`, `confidence` and `probabilities`
+     * @returns {Array} Track summaries
+     */
+    classifyTracks(points) {
+        return this.groupTracks(points).map(track => this.aggregateTrack(track));
+    }
+
+    /**
+     * Aggregate the output of SatelliteClassifier.predictBatch
+     * Rows that failed to predict are left out of their track.
+     * @param {Array} batchResults - predictBatch output ({ input, result, success })
+     * @returns {Array} Track summaries
+     */
+    classifyBatch(batchResults) {
+        const points = batchResults
+            .filter(item => item.success)
+            .map(item => ({
+                ...item.result,
+                index: item.index,
+                track_id: item.input.track_id,
+                timestamp: item.input.timestamp
+            }));
+        return this.classifyTracks(points);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackClassifier;
+}
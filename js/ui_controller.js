@@ -1,13 +1,23 @@
 // js/ui_controller.js
 // ============================================================
 // UI Controller - Manages all user interface interactions
+// Wires SatelliteClassifier, ModelExplainer and PerformanceMonitor
+// into the dashboard; the batch panels live in assets/js/app.js
 // ============================================================
 
 class UIController {
-    constructor(classifier, explainer, monitor) {
+    /**
+     * @param {SatelliteClassifier} classifier - Classifier used for every prediction
+     * @param {ModelExplainer} explainer - Explains single predictions
+     * @param {PerformanceMonitor} monitor - Prediction history and timing
+     * @param {Array} views - Plots single predictions are added to
+     *                         (GroundTrackMap, OrbitView)
+     */
+    constructor(classifier, explainer, monitor, views = []) {
         this.classifier = classifier;
         this.explainer = explainer;
         this.monitor = monitor;
+        this.views = views;
         this.initializeEventListeners();
     }
 
@@ -26,22 +36,452 @@ class UIController {
         });
 
         // Update performance stats every second
+        this.updatePerformanceDisplay();
         setInterval(() => this.updatePerformanceDisplay(), 1000);
     }
 
+    /**
+     * Classify one point
+     * @param {Object} data - Input in any spelling InputSchema accepts
+     * @returns {Object} Prediction with nearestClass and classDistance;
+     *                   rawFeatures holds the canonical input
+     */
+    predict(data) {
+        const result = this.classifier.predict(data);
+        const nearestClass = result.openSet.nearestClass;
+
+        return {
+            ...result,
+            nearestClass,
+            classDistance: result.openSet.distances[nearestClass]
+        };
+    }
+
     /**
      * Handle single prediction submission
      * @param {Event} event - Form submit event
      */
     async handleSinglePrediction(event) {
         event.preventDefault();
-        
-        const startTime = performance.now();
-        
+
         // Collect input data
-        const data = {
-            latitude: parseFloat(document.getElementById('latitude').value),
-            longitude: parseFloat(document.getElementById('longitude').value),
-            x_eci: parseFloat(document.getElementById('x_eci').value),
-            y_eci: parseFloat(document.getElementById('y_eci').value),
-            z_eci: parseFloat(
+        const data = InputSchema.fromForm(document);
+        console.log('Form submitted with data:', data);
+
+        // Check HTML5 validation
+        if (!event.target.checkValidity()) {
+            console.error('❌ Form validation failed');
+            alert('Please check your input values. Make sure all fields are within valid ranges.');
+            return;
+        }
+
+        const loading = document.getElementById('loading');
+        const resultPanel = document.getElementById('resultPanel');
+        loading.classList.add('show');
+        resultPanel.classList.remove('show');
+
+        // Let the spinner paint before classifying
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const startTime = performance.now();
+        try {
+            const result = this.predict(data);
+            this.monitor.logPrediction(data, result, performance.now() - startTime);
+
+            this.displayResults(result);
+            this.views.forEach(view => view.addPoint('single', { ...data, ...result }));
+            resultPanel.classList.add('show');
+            console.log('✅ Prediction completed successfully');
+        } catch (error) {
+            this.monitor.logError(data, error);
+            console.error('❌ Prediction error:', error);
+            alert('❌ Prediction Failed\n\n' + error.message + '\n\nPlease check your input values and try again.');
+        } finally {
+            loading.classList.remove('show');
+            this.updatePerformanceDisplay();
+        }
+    }
+
+    /**
+     * Handle a CSV file upload
+     * The file goes to the column mapping step of the batch panel.
+     * @param {Event} event - File input change event
+     */
+    handleBatchPrediction(event) {
+        const file = event.target.files[0];
+
+        console.log('=== CSV UPLOAD STARTED ===');
+        console.log('File selected:', file?.name);
+
+        if (!file) {
+            console.error('❌ No file selected!');
+            alert('No file selected. Please try again.');
+            return;
+        }
+
+        inspectCSVFile(file);
+        event.target.value = '';
+    }
+
+    /**
+     * Show a single prediction in the result panel
+     * @param {Object} result - Output of predict()
+     * @param {Object} options - { keepBatch: leave batch results below the
+     *                             explanation, e.g. for a point picked on the map }
+     */
+    displayResults(result, options = {}) {
+        const classInfo = this.classifier.config.classes.find(cls => cls.id === result.prediction);
+        document.getElementById('satelliteName').textContent = classInfo ? classInfo.displayName : result.prediction;
+
+        const confidencePercent = (result.confidence * 100).toFixed(2);
+        const confidenceBar = document.getElementById('confidenceBar');
+        confidenceBar.style.width = confidencePercent + '%';
+        confidenceBar.textContent = confidencePercent + '%';
+
+        const features = [
+            ['Latitude', `${result.features.latitude}°`],
+            ['Longitude', `${result.features.longitude}°`],
+            ['Altitude', `${result.features.altitude} km`],
+            ['Total Velocity', `${result.features.totalVelocity} km/s`],
+            ['Radial Distance', `${result.features.radialDistance} km`],
+            ['Nearest Class', `${result.nearestClass} (distance ${result.classDistance.toFixed(2)})`]
+        ];
+        document.getElementById('featureValues').innerHTML = features.map(([name, value]) => `
+            <div class="feature-item">
+                <div class="feature-name">${name}</div>
+                <div class="feature-value">${value}</div>
+            </div>
+        `).join('');
+        if (!options.keepBatch) {
+            document.getElementById('batchResults').innerHTML = '';
+        }
+        // Hidden while batch results were on screen
+        document.querySelectorAll('.explainability-section').forEach(section => {
+            section.style.display = '';
+        });
+
+        this.displayExplanation(this.explainer.explainInstance(result.rawFeatures));
+        this.displayRuleTrace(result);
+        this.displayCounterfactualTargets(result);
+    }
+
+    /**
+     * Draw the Shapley attributions of one class as a waterfall
+     * Starts at the class's average probability over the background points,
+     * adds each feature's signed contribution and ends at the prediction.
+     * @param {Object} explanation - ModelExplainer.explainInstance output
+     * @param {string} label - Class to show (default: the predicted class)
+     */
+    displayExplanation(explanation, label = explanation.prediction) {
+        const container = document.getElementById('contributionBars');
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const signed = value => `${value >= 0 ? '+' : '−'}${Math.abs(value * 100).toFixed(1)} pp`;
+        const clamp = value => Math.min(100, Math.max(0, value * 100));
+        const bar = (from, to, kind) => {
+            const left = clamp(Math.min(from, to));
+            // Keep zero contributions visible as a tick
+            const width = Math.max(clamp(Math.max(from, to)) - left, 0.5);
+            return `
+                <div class="waterfall-track">
+                    <div class="waterfall-bar ${kind}" style="left: ${left}%; width: ${width}%"></div>
+                </div>`;
+        };
+
+        let running = explanation.baseline[label];
+        const rows = explanation.features
+            .slice()
+            .sort((a, b) => Math.abs(b.contributions[label]) - Math.abs(a.contributions[label]))
+            .map(feature => {
+                const contribution = feature.contributions[label];
+                const from = running;
+                running += contribution;
+                return `
+                    <div class="waterfall-row">
+                        <div class="waterfall-label"><strong>${feature.feature}</strong>: ${feature.value}</div>
+                        ${bar(from, running, contribution >= 0 ? 'positive' : 'negative')}
+                        <div class="waterfall-value">${signed(contribution)}</div>
+                    </div>`;
+            }).join('');
+
+        container.innerHTML = `
+            <div class="waterfall-classes">
+                ${explanation.labels.map(cls => `
+                    <button type="button" class="waterfall-class${cls === label ? ' active' : ''}" data-class="${cls}">
+                        ${cls}${cls === explanation.prediction ? ' ✓' : ''}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="waterfall-row waterfall-total">
+                <div class="waterfall-label">Background average</div>
+                ${bar(0, explanation.baseline[label], 'total')}
+                <div class="waterfall-value">${percent(explanation.baseline[label])}</div>
+            </div>
+            ${rows}
+            <div class="waterfall-row waterfall-total">
+                <div class="waterfall-label">P(${label})</div>
+                ${bar(0, explanation.output[label], 'total')}
+                <div class="waterfall-value">${percent(explanation.output[label])}</div>
+            </div>
+        `;
+
+        container.querySelectorAll('.waterfall-class').forEach(button => {
+            button.addEventListener('click', () => this.displayExplanation(explanation, button.dataset.class));
+        });
+    }
+
+    /**
+     * Show every rule check of every class and the branch predict() took
+     * @param {Object} result - Output of predict()
+     */
+    displayRuleTrace(result) {
+        const rows = result.trace.classes.map(entry => `
+            <tr class="rule-trace-class">
+                <td colspan="5">
+                    <strong>${entry.className}</strong>
+                    ${entry.matched ? '✓ all rules pass' : `✗ ${entry.checks.filter(check => !check.pass).length} failed`}
+                    · distance ${entry.distance.toFixed(2)}
+                </td>
+            </tr>
+            ${entry.checks.map(check => {
+                const text = this.explainer.formatRuleCheck(check);
+                return `
+                    <tr class="${check.pass ? 'rule-pass' : 'rule-fail'}">
+                        <td>${check.pass ? '✓' : '✗'}</td>
+                        <td>${text.label}</td>
+                        <td>${text.range}</td>
+                        <td>${text.value}</td>
+                        <td>${text.margin}</td>
+                    </tr>`;
+            }).join('')}
+        `).join('');
+
+        document.getElementById('ruleTrace').innerHTML = `
+            <p class="rule-trace-text">${this.explainer.generateTextExplanation(result)}</p>
+            <table class="rule-trace-table">
+                <thead>
+                    <tr><th></th><th>Rule</th><th>Expected</th><th>Observed</th><th>Margin</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Offer a counterfactual search towards every other class
+     * The search can take a second, so it only runs when a target is picked.
+     * @param {Object} result - Output of predict()
+     */
+    displayCounterfactualTargets(result) {
+        const container = document.getElementById('counterfactual');
+        const labels = [...this.classifier.classIds, this.classifier.config.unknownClass]
+            .filter(label => label !== result.prediction);
+
+        container.innerHTML = `
+            <div class="waterfall-classes">
+                ${labels.map(label => `
+                    <button type="button" class="waterfall-class" data-target="${label}">→ ${label}</button>
+                `).join('')}
+            </div>
+            <div class="counterfactual-result"></div>
+        `;
+
+        container.querySelectorAll('[data-target]').forEach(button => {
+            button.addEventListener('click', () => {
+                container.querySelectorAll('[data-target]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                const output = container.querySelector('.counterfactual-result');
+                output.innerHTML = '<p class="counterfactual-note">Searching…</p>';
+                // Let the message paint before the search blocks the page
+                setTimeout(() => {
+                    const counterfactual = this.explainer.findCounterfactual(result.rawFeatures, button.dataset.target);
+                    output.innerHTML = this.counterfactualHTML(counterfactual);
+                    output.querySelector('.counterfactual-load')?.addEventListener('click', () => {
+                        InputSchema.toForm(counterfactual.input);
+                    });
+                }, 0);
+            });
+        });
+    }
+
+    /**
+     * @param {Object} counterfactual - ModelExplainer.findCounterfactual output
+     * @returns {string} HTML
+     */
+    counterfactualHTML(counterfactual) {
+        if (!counterfactual.found) {
+            const limits = counterfactual.limits;
+            return `
+                <p class="counterfactual-note">
+                    No valid change of up to ${limits.altitude} km altitude, ${limits.speed} km/s speed
+                    and ${limits.heading}° heading makes this ${counterfactual.target}
+                    (${counterfactual.evaluations} points tried).
+                </p>`;
+        }
+
+        const format = (value, unit) =>
+            value.toFixed(Math.abs(value) < 10 ? 3 : 2) + (unit === '°' ? unit : ` ${unit}`);
+        const classInfo = this.classifier.config.classes.find(cls => cls.id === counterfactual.target);
+        return `
+            <table class="counterfactual-table">
+                <tbody>
+                    ${counterfactual.changes.map(change => `
+                        <tr>
+                            <td>${change.label}</td>
+                            <td>${format(change.from, change.unit)} → ${format(change.to, change.unit)}</td>
+                            <td class="${change.delta >= 0 ? 'positive' : 'negative'}">
+                                ${change.delta >= 0 ? '+' : '−'}${format(Math.abs(change.delta), change.unit)}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="counterfactual-note">
+                Classified as <strong>${classInfo ? classInfo.displayName : counterfactual.target}</strong>
+                with ${(counterfactual.result.confidence * 100).toFixed(1)}% confidence.
+            </p>
+            <button type="button" class="counterfactual-load">Load into form</button>
+        `;
+    }
+
+    /**
+     * Refresh the session statistics cards
+     */
+    updatePerformanceDisplay() {
+        const stats = this.monitor.getStats();
+
+        document.getElementById('totalPredictions').textContent = stats.totalPredictions;
+        document.getElementById('avgProcessingTime').textContent = stats.avgProcessingTime.toFixed(2) + 'ms';
+        document.getElementById('sessionDuration').textContent = stats.sessionDuration + 's';
+        this.updatePerformanceDetails(stats);
+        this.updateDriftDisplay();
+    }
+
+    /**
+     * Latency percentiles and histogram, and the rolling 1-minute,
+     * 15-minute and session rates below the statistics cards
+     * @param {Object} stats - PerformanceMonitor.getStats() output
+     */
+    updatePerformanceDetails(stats) {
+        const container = document.getElementById('performanceDetails');
+        if (!container) return;
+        if (stats.totalPredictions === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const ms = value => value === null ? '—'
+            : value.toFixed(value < 1 ? 3 : value < 100 ? 2 : 0) + ' ms';
+        const edge = value => Number(value.toPrecision(2)).toString();
+        const percent = value => (value * 100).toFixed(1) + '%';
+        const peak = Math.max(...stats.latencyHistogram.map(bin => bin.count));
+        const windows = [['1m', 'Last 1 min'], ['15m', 'Last 15 min'], ['session', 'Session']];
+        const labels = Object.keys(stats.windows.session.classMix);
+        const row = (title, cell) => `
+            <tr><td>${title}</td>${windows.map(([name]) => `<td>${cell(stats.windows[name])}</td>`).join('')}</tr>`;
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="latency-percentiles">
+                ${Object.entries(stats.latency).map(([name, value]) => `
+                    <div><span class="stat-label">${name}</span><strong>${ms(value)}</strong></div>
+                `).join('')}
+            </div>
+            <div class="latency-histogram" title="Processing time distribution">
+                ${stats.latencyHistogram.map(bin => `
+                    <div class="latency-bin" title="${edge(bin.from)}–${edge(bin.to)} ms: ${bin.count}">
+                        <div class="latency-bar" style="height: ${peak > 0 ? (bin.count / peak * 100).toFixed(1) : 0}%;"></div>
+                        <span>${edge(bin.from)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <table class="window-table">
+                <thead>
+                    <tr><th></th>${windows.map(([, title]) => `<th>${title}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${row('Predictions/min', rates => rates.throughput.toFixed(1))}
+                    ${row('Error rate', rates => percent(rates.errorRate))}
+                    ${row('Avg time', rates => ms(rates.avgLatency))}
+                    ${labels.map(label => row(label, rates => percent(rates.classMix[label] || 0))).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Refresh the input drift panel
+     * Only redrawn when new inputs arrive, so an open feature table stays open.
+     */
+    updateDriftDisplay() {
+        const container = document.getElementById('driftStatus');
+        // The report bins every feature, so only build it for new inputs
+        const drift = this.monitor.drift;
+        if (!container || !drift || drift.count === this.driftCount) return;
+        const report = this.monitor.getDriftReport();
+        this.driftCount = report.count;
+
+        if (report.count === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        if (report.status !== this.driftStatus && (report.status === 'warning' || report.status === 'alert')) {
+            console.warn(`⚠️ Input drift ${report.status}:`, report.warnings.map(feature => feature.name).join(', '));
+        }
+        this.driftStatus = report.status;
+
+        const minSamples = DriftDetector.THRESHOLDS.minSamples;
+        const headlines = {
+            collecting: `⏳ Collecting inputs for the drift check (${report.count}/${minSamples})`,
+            ok: '🟢 Inputs match the training data',
+            warning: `⚠️ Input drift in ${report.warnings.length} feature(s)`,
+            alert: `🛑 Inputs differ from the training data in ${report.warnings.length} feature(s)`
+        };
+        const percent = value => value === null ? '—' : (value * 100).toFixed(1) + '%';
+        const number = value => value === null ? '—' : value.toFixed(3);
+        const range = feature => feature.range.map(value => value.toFixed(2)).join(' to ');
+
+        container.style.display = 'block';
+        container.className = `drift-status drift-${report.status}`;
+        container.innerHTML = `
+            <div class="drift-headline">${headlines[report.status]}</div>
+            ${report.warnings.length > 0 ? `
+                <ul class="drift-warnings">
+                    ${report.warnings.map(feature => `
+                        <li>
+                            <strong>${this.explainer.formatFeatureName(feature.name)}</strong>:
+                            ${feature.reasons.map(reason => ({
+                                psi: `PSI ${number(feature.psi)}`,
+                                ks: `KS ${number(feature.ks)}`,
+                                out_of_range: `${percent(feature.outOfRange)} outside ${range(feature)}`
+                            })[reason]).join(', ')}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <details class="drift-details">
+                <summary>Per-feature drift (${report.count} inputs vs ${report.source})</summary>
+                <table class="drift-table">
+                    <thead>
+                        <tr><th>Feature</th><th>PSI</th><th>KS</th><th>Out of range</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.features.map(feature => `
+                            <tr class="drift-${feature.status}">
+                                <td>${this.explainer.formatFeatureName(feature.name)}</td>
+                                <td>${number(feature.psi)}</td>
+                                <td>${number(feature.ks)}</td>
+                                <td>${percent(feature.outOfRange)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UIController;
+}
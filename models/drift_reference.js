@@ -0,0 +1,169 @@
+// models/drift_reference.js
+// ============================================================
+// Training reference distributions for DriftDetector: the 0th to
+// 100th percentile of every model feature.
+// Generated by tools/build_drift_reference.js; do not edit by hand.
+// ============================================================
+
+const DRIFT_REFERENCE = {
+    source: 'Simulated training orbits (ISS, Sentinel1A)',
+    modelVersion: '1.0.0',
+    sampleSize: 30000,
+    features: {
+        latitude: {
+            quantiles: [
+                -81.9867, -81.3262, -80.1807, -78.4661, -76.4734, -74.2682, -72.0058, -69.7322, -67.2176, -64.5001,
+                -62.0331, -59.2823, -56.8643, -54.4099, -51.6841, -51.3511, -50.7217, -49.8612, -49.0104, -47.9453,
+                -46.8449, -45.5932, -44.3845, -42.9393, -41.6868, -40.1934, -38.6333, -37.2554, -35.788, -34.3431,
+                -32.8177, -31.4016, -29.7634, -28.2671, -26.7065, -25.0463, -23.5269, -21.859, -19.9586, -18.3186,
+                -16.7528, -15.1166, -13.6145, -12.0048, -10.5266, -8.8573, -7.2131, -5.4156, -3.6855, -2.0282,
+                -0.3495, 1.2214, 2.9247, 4.653, 6.4118, 8.1024, 9.6473, 11.2665, 12.8979, 14.6085,
+                16.3355, 17.9298, 19.5341, 21.1355, 22.8246, 24.4716, 26.0582, 27.6826, 29.2819, 30.9186,
+                32.4207, 33.8785, 35.4117, 36.9075, 38.3048, 39.8352, 41.1209, 42.5609, 43.902, 45.2291,
+                46.4939, 47.7128, 48.8932, 49.889, 50.7041, 51.334, 51.6822, 54.2797, 56.8162, 59.4136,
+                61.7714, 64.4199, 66.6185, 69.4761, 71.9326, 74.1588, 76.4174, 78.3732, 80.1597, 81.2904,
+                81.9681
+            ]
+        },
+        longitude: {
+            quantiles: [
+                -179.9878, -176.4869, -172.9978, -169.4538, -165.9584, -162.351, -158.5111, -154.9437, -151.3083, -147.98,
+                -144.6994, -141.0174, -137.4649, -133.7987, -130.1586, -126.8292, -122.9928, -119.6161, -116.0987, -112.5214,
+                -109.2033, -105.4973, -101.8713, -98.3555, -94.6841, -91.2516, -87.7746, -84.309, -80.4314, -76.6415,
+                -72.9225, -69.3241, -65.1763, -61.6238, -57.9459, -54.0234, -50.3287, -46.6715, -43.0412, -39.5728,
+                -36.0317, -32.4132, -28.9021, -25.1784, -21.4384, -17.783, -14.5075, -10.8084, -6.9883, -3.7412,
+                -0.3305, 3.207, 6.9297, 10.787, 14.4862, 17.8869, 21.6156, 25.5428, 29.2426, 32.667,
+                36.3094, 40.2777, 43.6327, 47.3634, 50.6758, 54.0567, 57.2494, 60.9132, 64.3322, 67.7295,
+                70.9258, 74.5865, 77.85, 81.6059, 85.0925, 88.7279, 92.1423, 95.9585, 99.6495, 102.9576,
+                106.6591, 110.3251, 114.0898, 117.4278, 121.229, 124.7731, 128.3559, 132.0457, 135.6761, 139.0495,
+                142.8285, 146.7938, 150.3878, 153.6023, 157.2886, 161.2504, 165.0752, 168.5724, 172.556, 176.1247,
+                179.9964
+            ]
+        },
+        x_eci_km: {
+            quantiles: [
+                -7075.5, -6749.6, -6550.9, -6365.2, -6171, -5985.7, -5815.6, -5632.1, -5473, -5309.3,
+                -5143.5, -4979.5, -4832.2, -4679, -4531.9, -4406, -4274, -4158.2, -4047.7, -3916.3,
+                -3766.4, -3630.5, -3486, -3349.1, -3191.7, -3041, -2898.9, -2759.2, -2622.8, -2497.9,
+                -2342.9, -2193.2, -2052.7, -1927.8, -1796.4, -1668.9, -1545.3, -1420.9, -1305.2, -1185.3,
+                -1095.9, -1008, -919.9, -819.4, -709.6, -603.1, -490.1, -375.3, -260.6, -137.1,
+                -23, 95.7, 218.5, 339.9, 458.7, 576.4, 695.6, 801.5, 908.1, 1000.7,
+                1091, 1194.2, 1312.2, 1424.5, 1543.9, 1668.5, 1794.4, 1923.2, 2062.4, 2198.1,
+                2345.7, 2478.1, 2624.7, 2780.4, 2912.5, 3058.7, 3194, 3336.3, 3465, 3608.9,
+                3746, 3886.8, 4015.6, 4142.1, 4243, 4371.4, 4504.7, 4641.7, 4777.8, 4929.8,
+                5094.6, 5267.6, 5436.3, 5603.7, 5778.7, 5947.7, 6124.8, 6334.3, 6540.3, 6752,
+                7075.2
+            ]
+        },
+        y_eci_km: {
+            quantiles: [
+                -7075.6, -6751.4, -6536.6, -6348.1, -6162, -5955.9, -5796.3, -5626, -5466.5, -5311.6,
+                -5151.4, -4983.2, -4831.2, -4685.6, -4545.5, -4408.8, -4277.4, -4158.9, -4034.8, -3900.6,
+                -3758.8, -3619.5, -3482.3, -3337.7, -3202.1, -3058.2, -2920.4, -2777.7, -2622.5, -2487.4,
+                -2352.1, -2216.5, -2089.6, -1963.7, -1839.7, -1725.8, -1593.9, -1468, -1358.3, -1244.1,
+                -1143.5, -1047.1, -956.7, -849.3, -745.5, -631.7, -521.1, -393.6, -282.5, -158.3,
+                -43.7, 71, 201.8, 316.9, 428, 541.8, 655.5, 767.6, 879.7, 967.4,
+                1053.1, 1147, 1252.3, 1381, 1508, 1637.2, 1765, 1885.1, 2021.3, 2146,
+                2297.1, 2435.3, 2569.3, 2704, 2851.5, 2982.6, 3128.6, 3296.7, 3431.3, 3577.3,
+                3716, 3861, 3992.4, 4115.1, 4243.5, 4366.9, 4497, 4647.7, 4812.5, 4979.2,
+                5133.2, 5310.1, 5471.8, 5636.6, 5797.3, 5972.1, 6153.3, 6349, 6544.6, 6751.7,
+                7074.3
+            ]
+        },
+        z_eci_km: {
+            quantiles: [
+                -7009.7, -6988.5, -6965.8, -6928.7, -6875, -6805.5, -6723.7, -6635.4, -6520.8, -6381.9,
+                -6246, -6076.5, -5921.4, -5752.4, -5546.8, -5353.2, -5295, -5256.1, -5189.5, -5119.1,
+                -5032.8, -4947, -4836.7, -4726.1, -4603.4, -4472.1, -4333.5, -4197.5, -4051.8, -3909.6,
+                -3764.3, -3607.1, -3444.3, -3291.8, -3120.5, -2949.6, -2764.2, -2578, -2366.2, -2180.4,
+                -2005.1, -1817.1, -1640.4, -1445.3, -1271.8, -1068.7, -875.8, -656.5, -446.4, -242.7,
+                -43, 150.1, 356.8, 565.4, 779.4, 973.4, 1165.7, 1356.7, 1550.3, 1746.7,
+                1956.1, 2139.2, 2329.4, 2505.7, 2699.7, 2883.8, 3046.6, 3233.2, 3392.2, 3564.5,
+                3725.4, 3874.6, 4022.1, 4169.8, 4309.3, 4427.3, 4566.7, 4685.1, 4795.6, 4904.2,
+                5010.8, 5107.7, 5187.4, 5245.3, 5293.9, 5330.2, 5542.2, 5742.4, 5917, 6086.4,
+                6231.3, 6378.3, 6491.3, 6622.4, 6721.8, 6803, 6873.3, 6926.9, 6966.5, 6988.4,
+                7009.3
+            ]
+        },
+        velocity_x: {
+            quantiles: [
+                -7.67, -7.35, -7.14, -6.93, -6.73, -6.53, -6.34, -6.13, -5.95, -5.78,
+                -5.59, -5.42, -5.26, -5.11, -4.95, -4.82, -4.71, -4.55, -4.41, -4.26,
+                -4.1, -3.93, -3.77, -3.62, -3.44, -3.28, -3.13, -2.99, -2.85, -2.69,
+                -2.54, -2.39, -2.25, -2.11, -1.97, -1.84, -1.69, -1.57, -1.45, -1.31,
+                -1.19, -1.09, -0.99, -0.88, -0.75, -0.62, -0.5, -0.37, -0.25, -0.13,
+                0, 0.14, 0.26, 0.39, 0.52, 0.64, 0.75, 0.86, 0.98, 1.08,
+                1.18, 1.3, 1.42, 1.56, 1.7, 1.82, 1.96, 2.1, 2.26, 2.4,
+                2.55, 2.71, 2.86, 3.02, 3.16, 3.32, 3.47, 3.64, 3.81, 3.97,
+                4.12, 4.26, 4.42, 4.58, 4.72, 4.85, 5, 5.14, 5.31, 5.47,
+                5.65, 5.82, 5.99, 6.18, 6.36, 6.55, 6.74, 6.95, 7.15, 7.37,
+                7.67
+            ]
+        },
+        velocity_y: {
+            quantiles: [
+                -7.66, -7.36, -7.15, -6.97, -6.77, -6.55, -6.38, -6.19, -5.99, -5.8,
+                -5.63, -5.46, -5.29, -5.12, -4.96, -4.83, -4.72, -4.57, -4.43, -4.29,
+                -4.13, -3.99, -3.85, -3.68, -3.53, -3.38, -3.22, -3.06, -2.89, -2.73,
+                -2.57, -2.43, -2.29, -2.14, -1.99, -1.87, -1.73, -1.61, -1.48, -1.35,
+                -1.23, -1.12, -1.03, -0.93, -0.82, -0.69, -0.57, -0.43, -0.31, -0.19,
+                -0.06, 0.06, 0.2, 0.32, 0.45, 0.58, 0.7, 0.81, 0.92, 1.03,
+                1.12, 1.23, 1.34, 1.48, 1.62, 1.74, 1.89, 2.02, 2.16, 2.31,
+                2.46, 2.6, 2.75, 2.91, 3.09, 3.24, 3.39, 3.56, 3.72, 3.88,
+                4.03, 4.2, 4.35, 4.51, 4.66, 4.78, 4.93, 5.09, 5.25, 5.42,
+                5.61, 5.79, 5.99, 6.17, 6.35, 6.53, 6.74, 6.93, 7.15, 7.36,
+                7.67
+            ]
+        },
+        velocity_z: {
+            quantiles: [
+                -7.44, -7.42, -7.4, -7.35, -7.3, -7.22, -7.13, -7.02, -6.88, -6.73,
+                -6.57, -6.4, -6.22, -6.02, -5.99, -5.94, -5.86, -5.79, -5.7, -5.59,
+                -5.49, -5.37, -5.25, -5.11, -4.96, -4.81, -4.67, -4.51, -4.34, -4.17,
+                -4, -3.84, -3.67, -3.48, -3.3, -3.11, -2.91, -2.72, -2.51, -2.31,
+                -2.11, -1.91, -1.7, -1.47, -1.28, -1.06, -0.85, -0.63, -0.41, -0.2,
+                0.01, 0.22, 0.46, 0.66, 0.88, 1.09, 1.31, 1.51, 1.72, 1.92,
+                2.1, 2.3, 2.52, 2.73, 2.91, 3.11, 3.31, 3.51, 3.69, 3.87,
+                4.05, 4.21, 4.37, 4.54, 4.7, 4.86, 5, 5.12, 5.25, 5.38,
+                5.51, 5.61, 5.72, 5.81, 5.89, 5.95, 6, 6.08, 6.26, 6.44,
+                6.59, 6.75, 6.89, 7.02, 7.13, 7.22, 7.3, 7.35, 7.4, 7.42,
+                7.44
+            ]
+        },
+        total_velocity: {
+            quantiles: [
+                7.495392, 7.4994, 7.500313, 7.5009, 7.501427, 7.501853, 7.502273, 7.502626, 7.502973, 7.503226,
+                7.503526, 7.503792, 7.504046, 7.504292, 7.504519, 7.504739, 7.504952, 7.505118, 7.505325, 7.505531,
+                7.505711, 7.505891, 7.506071, 7.506271, 7.506457, 7.506624, 7.506804, 7.50699, 7.50715, 7.507336,
+                7.507496, 7.507669, 7.507816, 7.508002, 7.508162, 7.508329, 7.508509, 7.508668, 7.508855, 7.509035,
+                7.509221, 7.509414, 7.509581, 7.509734, 7.509927, 7.510107, 7.510313, 7.510486, 7.510666, 7.510885,
+                7.511098, 7.511311, 7.511524, 7.511751, 7.51199, 7.51225, 7.512483, 7.512769, 7.513042, 7.513381,
+                7.513727, 7.51408, 7.514446, 7.514879, 7.515358, 7.515976, 7.516934, 7.661736, 7.663857, 7.664724,
+                7.665351, 7.665899, 7.666309, 7.666688, 7.667092, 7.667425, 7.667731, 7.668044, 7.668337, 7.668618,
+                7.668885, 7.669146, 7.669452, 7.669739, 7.67002, 7.670267, 7.670554, 7.670847, 7.671147, 7.671421,
+                7.671721, 7.672034, 7.672346, 7.672672, 7.673037, 7.673448, 7.673884, 7.674432, 7.675083, 7.676021,
+                7.679642
+            ]
+        },
+        radial_distance: {
+            quantiles: [
+                6770.96, 6771.297, 6771.573, 6771.892, 6772.193, 6772.501, 6772.791, 6773.079, 6773.408, 6773.707,
+                6774.005, 6774.286, 6774.607, 6774.906, 6775.187, 6775.517, 6775.815, 6776.129, 6776.431, 6776.734,
+                6777.042, 6777.33, 6777.618, 6777.897, 6778.189, 6778.463, 6778.801, 6779.134, 6779.416, 6779.724,
+                6780.025, 6780.32, 6780.627, 6780.952, 7061.278, 7061.587, 7061.875, 7062.175, 7062.479, 7062.783,
+                7063.073, 7063.356, 7063.665, 7063.933, 7064.221, 7064.531, 7064.85, 7065.156, 7065.486, 7065.767,
+                7066.087, 7066.389, 7066.668, 7066.951, 7067.266, 7067.555, 7067.852, 7068.166, 7068.449, 7068.773,
+                7069.069, 7069.377, 7069.706, 7069.996, 7070.27, 7070.58, 7070.884, 7071.162, 7071.455, 7071.763,
+                7072.012, 7072.294, 7072.571, 7072.887, 7073.188, 7073.481, 7073.758, 7074.06, 7074.366, 7074.674,
+                7074.94, 7075.243, 7075.559, 7075.854, 7076.165, 7076.489, 7076.809, 7077.118, 7077.425, 7077.733,
+                7078.029, 7078.345, 7078.65, 7078.94, 7079.254, 7079.542, 7079.853, 7080.143, 7080.43, 7080.712,
+                7081.047
+            ]
+        }
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DRIFT_REFERENCE;
+}
@@ -0,0 +1,302 @@
+// server/inference_server.js
+// ============================================================
+// Local REST Inference Server
+// Serves SatelliteClassifier and ModelExplainer over HTTP with the
+// contract in server/openapi.js. Node built-ins only; listens on
+// 127.0.0.1 unless told otherwise and never calls out.
+//
+//   node server/inference_server.js [--port 8080] [--host 127.0.0.1]
+// ============================================================
+
+const http = require('http');
+
+// The browser modules refer to each other as globals
+const { MODEL_CONFIG, SCALER_PARAMS, CONSTANTS } = require('../js/model_config.js');
+global.InputSchema = require('../js/input_schema.js');
+global.SatelliteClassifier = require('../js/prediction_engine.js');
+const ModelExplainer = require('../js/explainability.js');
+const OpenAPIDocument = require('./openapi.js');
+const SchemaValidator = require('./schema_validator.js');
+
+class InferenceServer {
+    /**
+     * @param {Object} options - { classifier, maxBodyBytes, maxBatchSize, serverUrl }
+     */
+    constructor(options = {}) {
+        this.classifier = options.classifier || new SatelliteClassifier(MODEL_CONFIG, SCALER_PARAMS, CONSTANTS);
+        this.explainer = new ModelExplainer(this.classifier.config, this.classifier);
+        this.maxBodyBytes = options.maxBodyBytes || InferenceServer.MAX_BODY_BYTES;
+        this.document = OpenAPIDocument.build(this.classifier.config, {
+            maxBatchSize: options.maxBatchSize || InferenceServer.MAX_BATCH_SIZE,
+            serverUrl: options.serverUrl
+        });
+        this.validator = new SchemaValidator(this.document);
+        this.startTime = Date.now();
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - TCP port (0 = any free port)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<Object>} Resolves with the bound { address, port }
+     */
+    listen(port = 8080, host = '127.0.0.1') {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    /**
+     * @returns {Promise} Resolves once open connections have finished
+     */
+    close() {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+
+    /**
+     * Answer one HTTP request
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    async handle(request, response) {
+        let reply;
+        try {
+            const path = new URL(request.url, 'http://localhost').pathname;
+            const body = request.method === 'POST' ? await this.readBody(request) : undefined;
+            reply = this.route(request.method, path, body);
+        } catch (error) {
+            reply = error.status
+                ? InferenceServer.error(error.status, error.code, [error.message])
+                : InferenceServer.error(500, 'internal_error', [error.message]);
+        }
+
+        const text = JSON.stringify(reply.body);
+        response.writeHead(reply.status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(text),
+            ...reply.headers
+        });
+        response.end(text);
+    }
+
+    /**
+     * Read and decode a JSON request body
+     * @param {http.IncomingMessage} request
+     * @returns {Promise<*>} Decoded body
+     * @throws {Error} With `status` and `code` for oversized, non-JSON or malformed bodies
+     */
+    async readBody(request) {
+        const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (type !== 'application/json') {
+            request.resume();
+            throw InferenceServer.failure(415, 'unsupported_media_type', 'Content-Type must be application/json');
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > this.maxBodyBytes) {
+                request.resume();
+                throw InferenceServer.failure(413, 'payload_too_large',
+                    `Request body exceeds ${this.maxBodyBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            throw InferenceServer.failure(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Dispatch a decoded request
+     * @param {string} method - HTTP method
+     * @param {string} path - URL path
+     * @param {*} body - Decoded JSON body (POST only)
+     * @returns {Object} { status, body, headers }
+     */
+    route(method, path, body) {
+        const routes = {
+            '/v1/predict': { POST: () => this.predict(body) },
+            '/v1/predict/batch': { POST: () => this.predictBatch(body) },
+            '/v1/explain': { POST: () => this.explain(body) },
+            '/v1/model': { GET: () => InferenceServer.ok(this.modelInfo()) },
+            '/healthz': {
+                GET: () => InferenceServer.ok({ status: 'ok', uptimeSeconds: (Date.now() - this.startTime) / 1000 })
+            },
+            '/openapi.json': { GET: () => InferenceServer.ok(this.document) }
+        };
+
+        const handlers = routes[path];
+        if (!handlers) {
+            return InferenceServer.error(404, 'not_found', [`No route for ${path}`]);
+        }
+        if (!handlers[method]) {
+            return {
+                ...InferenceServer.error(405, 'method_not_allowed', [`${method} is not allowed on ${path}`]),
+                headers: { Allow: Object.keys(handlers).join(', ') }
+            };
+        }
+        return handlers[method]();
+    }
+
+    /**
+     * Errors of one input point: the OpenAPI schema first, then the
+     * checks predict() itself runs (e.g. the position's distance from
+     * Earth's center)
+     * @param {*} point - Decoded point
+     * @param {string} path - Location of the point, for messages ('' = the body itself)
+     * @returns {Array} Error messages
+     */
+    checkPoint(point, path = '') {
+        const errors = this.validator.validate({ $ref: '#/components/schemas/Point' }, point, path);
+        return errors.length > 0
+            ? errors
+            : InputSchema.validate(InputSchema.normalize(point), this.classifier.constants.EARTH_RADIUS_KM);
+    }
+
+    predict(body) {
+        const errors = this.checkPoint(body);
+        if (errors.length > 0) {
+            return InferenceServer.error(400, 'invalid_input', errors);
+        }
+        return InferenceServer.ok(InferenceServer.withLabel(body, this.classifier.predict(body)));
+    }
+
+    predictBatch(body) {
+        const errors = this.validator.validate({ $ref: '#/components/schemas/BatchRequest' }, body);
+        if (errors.length > 0) {
+            return InferenceServer.error(400, 'invalid_input', errors);
+        }
+
+        // Invalid points get an error in place of a result; the rest go to predictBatch
+        const checked = body.points.map((point, index) => this.checkPoint(point, `points[${index}]`));
+        const valid = body.points.filter((point, idx) => checked[idx].length === 0);
+        const outcomes = this.classifier.predictBatch(valid);
+
+        let next = 0;
+        const results = body.points.map((point, index) => {
+            if (checked[index].length > 0) {
+                return { index, success: false, error: InferenceServer.errorDetail('invalid_input', checked[index]) };
+            }
+            const outcome = outcomes[next++];
+            return outcome.success
+                ? { index, success: true, result: InferenceServer.withLabel(point, outcome.result) }
+                : { index, success: false, error: InferenceServer.errorDetail('invalid_input', outcome.error.split('; ')) };
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+        return InferenceServer.ok({ results, succeeded, failed: results.length - succeeded });
+    }
+
+    explain(body) {
+        const errors = this.checkPoint(body);
+        if (errors.length > 0) {
+            return InferenceServer.error(400, 'invalid_input', errors);
+        }
+
+        const result = this.classifier.predict(body);
+        const shapley = this.explainer.explainInstance(result.rawFeatures);
+        return InferenceServer.ok({
+            prediction: result.prediction,
+            confidence: result.confidence,
+            text: this.explainer.generateTextExplanation(result).replace(/<[^>]+>/g, '').trim(),
+            trace: result.trace,
+            baseline: shapley.baseline,
+            output: shapley.output,
+            features: shapley.features.map(feature => ({
+                feature: feature.featureKey,
+                value: feature.rawValue,
+                contributions: feature.contributions
+            }))
+        });
+    }
+
+    /**
+     * @returns {Object} Model metadata (no samples or colors)
+     */
+    modelInfo() {
+        const config = this.classifier.config;
+        return {
+            modelType: config.modelType,
+            version: config.version,
+            trainedDate: config.trainedDate,
+            framework: config.framework,
+            scoring: this.classifier.model ? 'model' : 'rules',
+            inputSchemaVersion: InputSchema.VERSION,
+            classes: config.classes.map(cls => ({ id: cls.id, displayName: cls.displayName, description: cls.description })),
+            unknownClass: config.unknownClass,
+            featureNames: config.featureNames,
+            classificationRules: config.classificationRules,
+            openSet: config.openSet,
+            performance: config.performance
+        };
+    }
+
+    /**
+     * Echo the point's label, which predict() does not use
+     * @param {Object} point - Valid input point
+     * @param {Object} result - Its prediction
+     * @returns {Object} The prediction, with `label` when the point has one
+     */
+    static withLabel(point, result) {
+        return point.label !== undefined && point.label !== null ? { ...result, label: point.label } : result;
+    }
+
+    static ok(body) {
+        return { status: 200, body };
+    }
+
+    /**
+     * @param {string} code - Error code (see ErrorDetail in the OpenAPI document)
+     * @param {Array} details - Messages
+     * @returns {Object} { code, message, details }; `message` joins the
+     *                   details the way validateInput does
+     */
+    static errorDetail(code, details) {
+        return { code, message: details.join('; '), details };
+    }
+
+    static error(status, code, details) {
+        return { status, body: { error: InferenceServer.errorDetail(code, details) } };
+    }
+
+    static failure(status, code, message) {
+        return Object.assign(new Error(message), { status, code });
+    }
+}
+
+// Request bodies above this are refused with 413
+InferenceServer.MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Points per /v1/predict/batch request
+InferenceServer.MAX_BATCH_SIZE = 10000;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const idx = args.indexOf(name);
+        return idx >= 0 && args[idx + 1] !== undefined ? args[idx + 1] : fallback;
+    };
+    const port = parseInt(option('--port', process.env.PORT || '8080'), 10);
+    const host = option('--host', '127.0.0.1');
+
+    const server = new InferenceServer({ serverUrl: `http://${host}:${port}` });
+    server.listen(port, host).then(address => {
+        console.log(`🛰️ Satellite classifier listening on http://${address.address}:${address.port}`);
+        console.log('   OpenAPI document: /openapi.json');
+    }).catch(error => {
+        console.error(`❌ Could not start the server: ${error.message}`);
+        process.exitCode = 1;
+    });
+    process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+    process.on('SIGTERM', () => server.close().then(() => process.exit(0)));
+}
+
+module.exports = InferenceServer;
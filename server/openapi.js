@@ -0,0 +1,209 @@
+// server/openapi.js
+// ============================================================
+// OpenAPI Contract of the Inference Server
+// Built from InputSchema.FIELDS and MODEL_CONFIG, so the published
+// document, the request validation and the classifier agree on
+// field names, ranges and class labels
+// ============================================================
+
+class OpenAPIDocument {
+    /**
+     * @param {Object} modelConfig - MODEL_CONFIG
+     * @param {Object} options - { maxBatchSize, serverUrl }
+     * @returns {Object} OpenAPI 3.0 document
+     */
+    static build(modelConfig, options = {}) {
+        const labels = [...modelConfig.classes.map(cls => cls.id), modelConfig.unknownClass];
+        const json = schema => ({ content: { 'application/json': { schema } } });
+        const ref = name => ({ $ref: `#/components/schemas/${name}` });
+        const errorResponses = {
+            400: { description: 'Malformed JSON or invalid input', ...json(ref('Error')) },
+            413: { description: 'Request body too large', ...json(ref('Error')) },
+            415: { description: 'Request body is not JSON', ...json(ref('Error')) }
+        };
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: 'Satellite Classifier Inference API',
+                version: modelConfig.version,
+                description: 'Classifies one orbital state vector (ECI position and velocity) as one of ' +
+                    `${labels.join(', ')}. Runs offline; nothing is sent to other hosts.`
+            },
+            servers: [{ url: options.serverUrl || 'http://127.0.0.1:8080' }],
+            paths: {
+                '/v1/predict': {
+                    post: {
+                        summary: 'Classify one point',
+                        operationId: 'predict',
+                        requestBody: { required: true, ...json(ref('Point')) },
+                        responses: { 200: { description: 'Prediction', ...json(ref('Prediction')) }, ...errorResponses }
+                    }
+                },
+                '/v1/predict/batch': {
+                    post: {
+                        summary: 'Classify many points; invalid points fail on their own',
+                        operationId: 'predictBatch',
+                        requestBody: { required: true, ...json(ref('BatchRequest')) },
+                        responses: { 200: { description: 'One outcome per point', ...json(ref('BatchResponse')) }, ...errorResponses }
+                    }
+                },
+                '/v1/explain': {
+                    post: {
+                        summary: 'Explain the prediction of one point',
+                        operationId: 'explain',
+                        requestBody: { required: true, ...json(ref('Point')) },
+                        responses: { 200: { description: 'Rule trace and Shapley values', ...json(ref('Explanation')) }, ...errorResponses }
+                    }
+                },
+                '/v1/model': {
+                    get: {
+                        summary: 'Model metadata from MODEL_CONFIG',
+                        operationId: 'model',
+                        responses: { 200: { description: 'Model metadata', ...json(ref('Model')) } }
+                    }
+                },
+                '/healthz': {
+                    get: {
+                        summary: 'Liveness check',
+                        operationId: 'health',
+                        responses: { 200: { description: 'Server is up', ...json(ref('Health')) } }
+                    }
+                },
+                '/openapi.json': {
+                    get: {
+                        summary: 'This document',
+                        operationId: 'openapi',
+                        responses: { 200: { description: 'OpenAPI document', ...json({ type: 'object' }) } }
+                    }
+                }
+            },
+            components: {
+                schemas: {
+                    Point: OpenAPIDocument.pointSchema(labels),
+                    BatchRequest: {
+                        type: 'object',
+                        required: ['points'],
+                        additionalProperties: false,
+                        properties: {
+                            // Points are checked one by one so a bad point does not fail the batch
+                            points: { type: 'array', minItems: 1, maxItems: options.maxBatchSize || 10000, items: {} }
+                        }
+                    },
+                    Prediction: {
+                        type: 'object',
+                        required: ['prediction', 'confidence', 'probabilities'],
+                        properties: {
+                            prediction: { type: 'string', enum: labels },
+                            confidence: { type: 'number', minimum: 0, maximum: 1 },
+                            probabilities: { type: 'object', additionalProperties: { type: 'number' } },
+                            method: { type: 'string' },
+                            label: { type: 'string', description: 'The point\'s label, when it has one' },
+                            openSet: { type: 'object' },
+                            trace: { type: 'object', description: 'Branch taken and every rule check with its margin' },
+                            features: { type: 'object', description: 'Derived features, formatted' },
+                            rawFeatures: { type: 'object', description: 'Canonical input and derived features' }
+                        }
+                    },
+                    BatchResponse: {
+                        type: 'object',
+                        required: ['results', 'succeeded', 'failed'],
+                        properties: {
+                            results: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['index', 'success'],
+                                    properties: {
+                                        index: { type: 'integer' },
+                                        success: { type: 'boolean' },
+                                        result: ref('Prediction'),
+                                        error: ref('ErrorDetail')
+                                    }
+                                }
+                            },
+                            succeeded: { type: 'integer' },
+                            failed: { type: 'integer' }
+                        }
+                    },
+                    Explanation: {
+                        type: 'object',
+                        required: ['prediction', 'confidence', 'text', 'baseline', 'output', 'features'],
+                        properties: {
+                            prediction: { type: 'string', enum: labels },
+                            confidence: { type: 'number' },
+                            text: { type: 'string', description: 'Plain-text explanation citing the rule trace' },
+                            trace: { type: 'object' },
+                            baseline: { type: 'object', description: 'Average probability of each class over the background points' },
+                            output: { type: 'object', description: 'Probability of each class for this point' },
+                            features: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        feature: { type: 'string' },
+                                        value: { type: 'number' },
+                                        contributions: { type: 'object', description: 'Shapley value per class' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    Model: { type: 'object', required: ['version', 'classes', 'featureNames'] },
+                    Health: {
+                        type: 'object',
+                        required: ['status'],
+                        properties: { status: { type: 'string', enum: ['ok'] }, uptimeSeconds: { type: 'number' } }
+                    },
+                    ErrorDetail: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: {
+                                type: 'string',
+                                enum: ['invalid_json', 'invalid_input', 'payload_too_large', 'unsupported_media_type',
+                                    'not_found', 'method_not_allowed', 'internal_error']
+                            },
+                            message: { type: 'string', description: 'Every detail joined with "; ", as thrown by validateInput' },
+                            details: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    Error: {
+                        type: 'object',
+                        required: ['error'],
+                        properties: { error: ref('ErrorDetail') }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Input point schema from InputSchema.FIELDS (canonical names only)
+     * @param {Array} labels - Class labels, for the optional `label` field
+     * @returns {Object} JSON Schema
+     */
+    static pointSchema(labels) {
+        const properties = {};
+        for (const field of InputSchema.FIELDS) {
+            properties[field.name] = field.required
+                ? { type: 'number', minimum: field.min, maximum: field.max, 'x-unit': field.unit, description: field.label }
+                : { type: 'string', description: field.label };
+        }
+        properties.label.description += ` (one of ${labels.join(', ')}; echoed in the prediction, not used for it)`;
+
+        return {
+            type: 'object',
+            description: 'One state vector. The position must also lie between the Earth\'s surface and ' +
+                `${InputSchema.MAX_RADIUS_KM} km from its center.`,
+            required: InputSchema.INPUT_NAMES,
+            additionalProperties: false,
+            properties
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenAPIDocument;
+}
@@ -0,0 +1,116 @@
+// server/schema_validator.js
+// ============================================================
+// Request Body Validation
+// Checks values against the JSON Schemas of the OpenAPI document
+// (the subset it uses: $ref, type, enum, required, properties,
+// additionalProperties, minimum/maximum, items, minItems/maxItems).
+// Messages use InputSchema.validate's wording, so a bad field reads
+// the same whichever layer rejects it.
+// ============================================================
+
+class SchemaValidator {
+    /**
+     * @param {Object} document - OpenAPI document holding components.schemas
+     */
+    constructor(document) {
+        this.document = document;
+    }
+
+    /**
+     * @param {Object} schema - Schema or { $ref: '#/components/schemas/Name' }
+     * @returns {Object} The referenced schema
+     */
+    resolve(schema) {
+        if (!schema.$ref) return schema;
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => node && node[key], this.document);
+        if (!target) {
+            throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+        }
+        return this.resolve(target);
+    }
+
+    /**
+     * Check a value against a schema
+     * @param {Object} schema - Schema or reference
+     * @param {*} value - Decoded JSON value
+     * @param {string} path - Location of the value, for messages ('' = the body itself)
+     * @returns {Array} Error messages (empty when the value is valid)
+     */
+    validate(schema, value, path = '') {
+        schema = this.resolve(schema);
+        const name = path || 'body';
+
+        if (!SchemaValidator.hasType(value, schema.type)) {
+            return [`Invalid value for field: ${name}`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [`${name} must be one of ${schema.enum.join(', ')}`];
+        }
+
+        if (typeof value === 'number') {
+            const tooLow = schema.minimum !== undefined && value < schema.minimum;
+            const tooHigh = schema.maximum !== undefined && value > schema.maximum;
+            if (tooLow || tooHigh) {
+                const unit = schema['x-unit'] ? ` ${schema['x-unit']}` : '';
+                return [`${name} must be between ${schema.minimum} and ${schema.maximum}${unit}`];
+            }
+            return [];
+        }
+
+        if (Array.isArray(value)) {
+            const items = count => `${count} ${count === 1 ? 'item' : 'items'}`;
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return [`${name} must have at least ${items(schema.minItems)}`];
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return [`${name} must have at most ${items(schema.maxItems)}`];
+            }
+            return schema.items
+                ? value.flatMap((item, idx) => this.validate(schema.items, item, `${name}[${idx}]`))
+                : [];
+        }
+
+        if (schema.type === 'object') {
+            const prefix = path ? `${path}.` : '';
+            const properties = schema.properties || {};
+            const errors = [];
+            for (const required of schema.required || []) {
+                if (value[required] === undefined || value[required] === null) {
+                    errors.push(`Missing required field: ${prefix}${required}`);
+                }
+            }
+            for (const [key, item] of Object.entries(value)) {
+                // Own properties only: 'constructor' or 'toString' are not fields
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    if (item !== null) errors.push(...this.validate(properties[key], item, prefix + key));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`Unknown field: ${prefix}${key}`);
+                }
+            }
+            return errors;
+        }
+        return [];
+    }
+
+    /**
+     * @param {*} value - Decoded JSON value
+     * @param {string} type - JSON Schema type, or undefined for any
+     * @returns {boolean}
+     */
+    static hasType(value, type) {
+        switch (type) {
+            case undefined: return true;
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            default: return typeof value === type;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+}
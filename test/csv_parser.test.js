@@ -0,0 +1,91 @@
+// test/csv_parser.test.js
+// ============================================================
+// CSVParser, ColumnMapper and BatchProcessor.parseNumber
+// Run with: node --test test/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser modules refer to each other as globals
+global.InputSchema = require('../js/input_schema.js');
+global.CSVParser = require('../js/csv_parser.js');
+const ColumnMapper = require('../js/column_mapper.js');
+const BatchProcessor = require('../js/batch_processor.js');
+
+const fields = records => records.map(record => record.fields);
+
+test('quoted fields keep delimiters, escaped quotes and line breaks', () => {
+    const records = CSVParser.parse('id,note\n1,"a, b"\n2,"say ""hi"""\n3,"two\nlines"\n', { delimiter: ',' });
+    assert.deepEqual(fields(records), [
+        ['id', 'note'],
+        ['1', 'a, b'],
+        ['2', 'say "hi"'],
+        ['3', 'two\nlines']
+    ]);
+    assert.deepEqual(records.map(record => record.line), [1, 2, 3, 4]);
+});
+
+test('blank lines are skipped but a lone quoted empty field is a record', () => {
+    const records = CSVParser.parse('a\n\n   \n""\nb', { delimiter: ',' });
+    assert.deepEqual(fields(records), [['a'], [''], ['b']]);
+    assert.deepEqual(records.map(record => record.line), [1, 4, 5]);
+});
+
+test('empty and quoted empty cells stay empty strings', () => {
+    assert.deepEqual(fields(CSVParser.parse('1,,""\r\n,"",\r\n', { delimiter: ',' })), [
+        ['1', '', ''],
+        ['', '', '']
+    ]);
+});
+
+test('pushing one character at a time gives the same records as one chunk', () => {
+    const text = 'x;"y"\r\n"1;5";"a ""q""\r\nb"\r\n""\r\n7;8';
+    const whole = CSVParser.parse(text, { delimiter: ';' });
+
+    const parser = new CSVParser({ delimiter: ';' });
+    const chunked = [];
+    for (const ch of text) chunked.push(...parser.push(ch));
+    chunked.push(...parser.flush());
+
+    assert.deepEqual(chunked, whole);
+    assert.deepEqual(fields(whole), [['x', 'y'], ['1;5', 'a "q"\r\nb'], [''], ['7', '8']]);
+});
+
+test('delimiter detection prefers consistent semicolons and tabs over commas', () => {
+    assert.equal(CSVParser.detectDelimiter('a;b;c\n1,5;2,5;3\n'), ';');
+    assert.equal(CSVParser.detectDelimiter('a\tb\n1\t2\n'), '\t');
+    assert.equal(CSVParser.detectDelimiter('a,b\n1,2\n'), ',');
+});
+
+test('ColumnMapper maps aliases and passes unknown columns through', () => {
+    const mapping = ColumnMapper.inspect(
+        'Lat,Lon,X ECI (km),y_eci,z_eci_km,vel_x,velocity_y,Velocity Z (km/s),norad,label\n' +
+        '36.9,66.5,2159.9,4970,4067.9,-6.62,-0.29,3.86,25544,ISS\n'
+    );
+    assert.equal(mapping.delimiter, ',');
+    assert.equal(mapping.hasHeader, true);
+    assert.deepEqual(ColumnMapper.validate(mapping.columns), []);
+    assert.equal(mapping.columns.x_eci_km, 2);
+    assert.equal(mapping.columns.velocity_z, 7);
+    assert.equal(mapping.columns.label, 9);
+    assert.deepEqual(mapping.passThrough.map(column => column.name), ['norad']);
+});
+
+test('ColumnMapper treats an all-numeric first row as data', () => {
+    const mapping = ColumnMapper.inspect('36.9,66.5,2159.9,4970,4067.9,-6.62,-0.29,3.86\n');
+    assert.equal(mapping.hasHeader, false);
+    assert.deepEqual(ColumnMapper.validate(mapping.columns), []);
+});
+
+test('parseNumber rejects empty and partly numeric cells', () => {
+    assert.equal(BatchProcessor.parseNumber(' -0.29 ', ','), -0.29);
+    assert.equal(BatchProcessor.parseNumber('1e3', ','), 1000);
+    assert.equal(BatchProcessor.parseNumber('1,5', ';'), 1.5);
+
+    for (const cell of ['', '   ', undefined, '12abc', '1.2.3', 'Infinity', 'NaN']) {
+        assert.ok(isNaN(BatchProcessor.parseNumber(cell, ',')), `${JSON.stringify(cell)} should be rejected`);
+    }
+    // A decimal comma is only read in files that do not split on commas
+    assert.ok(isNaN(BatchProcessor.parseNumber('1,5', ',')));
+});
@@ -0,0 +1,102 @@
+// test/explainability.test.js
+// ============================================================
+// ModelExplainer: Shapley attributions of single predictions and
+// counterfactual searches
+// Run with: node --test test/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser modules refer to each other as globals
+const { MODEL_CONFIG, SCALER_PARAMS, CONSTANTS } = require('../js/model_config.js');
+global.InputSchema = require('../js/input_schema.js');
+const SatelliteClassifier = require('../js/prediction_engine.js');
+const ModelExplainer = require('../js/explainability.js');
+
+const classifier = new SatelliteClassifier(MODEL_CONFIG, SCALER_PARAMS, CONSTANTS);
+const explainer = new ModelExplainer(MODEL_CONFIG, classifier);
+
+const samples = Object.fromEntries(MODEL_CONFIG.classes.map(cls => [cls.id, cls.sample]));
+const POINTS = {
+    ...samples,
+    'ISS raised 150 km': ModelExplainer.applyChange(InputSchema.normalize(samples.ISS), { altitude: 150 }),
+    'Sentinel1A turned 20°': ModelExplainer.applyChange(InputSchema.normalize(samples.Sentinel1A), { heading: 20 })
+};
+
+function assertAdditive(explanation, label) {
+    for (const cls of explanation.labels) {
+        const total = explanation.features.reduce((sum, feature) => sum + feature.contributions[cls], 0);
+        const expected = explanation.output[cls] - explanation.baseline[cls];
+        assert.ok(Math.abs(total - expected) < 1e-9,
+            `${label}, ${cls}: attributions add up to ${total}, output - baseline is ${expected}`);
+    }
+}
+
+for (const [label, point] of Object.entries(POINTS)) {
+    test(`Shapley values of ${label} add up to the prediction minus the baseline`, () => {
+        const explanation = explainer.explainInstance(point);
+        assertAdditive(explanation, label);
+
+        const result = classifier.predict(point);
+        assert.equal(explanation.prediction, result.prediction);
+        assert.deepEqual(explanation.features.map(feature => feature.featureKey).sort(),
+            [...InputSchema.INPUT_NAMES].sort());
+        for (const cls of classifier.classIds) {
+            assert.ok(Math.abs(explanation.output[cls] - result.probabilities[cls]) < 1e-12);
+        }
+    });
+}
+
+test('attributions stay additive against a custom background', () => {
+    const background = [samples.Sentinel1A, POINTS['ISS raised 150 km']];
+    const explanation = explainer.explainInstance(samples.ISS, { background });
+    assertAdditive(explanation, 'ISS against two points');
+    assert.equal(explanation.evaluations, 2 * 2 ** InputSchema.INPUT_NAMES.length);
+});
+
+test('a point explained against itself has no attributions', () => {
+    const explanation = explainer.explainInstance(samples.ISS, { background: [samples.ISS] });
+    for (const feature of explanation.features) {
+        for (const value of Object.values(feature.contributions)) {
+            assert.equal(value, 0);
+        }
+    }
+    assert.deepEqual(explanation.baseline, explanation.output);
+});
+
+test('explainInstance needs a classifier and a background', () => {
+    assert.throws(() => new ModelExplainer(MODEL_CONFIG).explainInstance(samples.ISS), /needs a classifier/);
+    assert.throws(() => explainer.explainInstance(samples.ISS, { background: [] }), /at least one background point/);
+});
+
+test('a counterfactual predicts its target and reports the physical changes', () => {
+    const counterfactual = explainer.findCounterfactual(samples.ISS, 'Sentinel1A');
+    assert.equal(counterfactual.found, true);
+    assert.equal(counterfactual.result.prediction, 'Sentinel1A');
+    assert.equal(classifier.predict(counterfactual.input).prediction, 'Sentinel1A');
+
+    const before = classifier.predict(samples.ISS).rawFeatures;
+    const after = classifier.predict(counterfactual.input).rawFeatures;
+    const names = { altitude: 'altitude', speed: 'totalVelocity', inclination: 'inclination' };
+    assert.ok(counterfactual.changes.length > 0);
+    for (const change of counterfactual.changes) {
+        assert.ok(Math.abs(change.from - before[names[change.name]]) < 1e-9, change.name);
+        assert.ok(Math.abs(change.to - after[names[change.name]]) < 1e-9, change.name);
+    }
+});
+
+test('a counterfactual to the predicted class changes nothing', () => {
+    const counterfactual = explainer.findCounterfactual(samples.Sentinel1A, 'Sentinel1A');
+    assert.equal(counterfactual.found, true);
+    assert.deepEqual(counterfactual.changes, []);
+    assert.deepEqual(counterfactual.input, InputSchema.normalize(samples.Sentinel1A));
+});
+
+test('a counterfactual search out of range reports what it covered', () => {
+    const counterfactual = explainer.findCounterfactual(samples.ISS, 'Sentinel1A', { maxSteps: 1 });
+    assert.equal(counterfactual.found, false);
+    assert.equal(counterfactual.result.prediction, 'ISS');
+    assert.deepEqual(counterfactual.limits, Object.fromEntries(
+        Object.entries(ModelExplainer.COUNTERFACTUAL_STEPS).map(([param, step]) => [param, step])));
+});
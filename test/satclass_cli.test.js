@@ -0,0 +1,143 @@
+// test/satclass_cli.test.js
+// ============================================================
+// bin/satclass.js run as a child process: exit codes, output
+// formats, --summary and --explain
+// Run with: node --test test/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'satclass.js');
+const SAMPLE_CSV = path.join(__dirname, '..', 'data', 'test_data.csv');
+const { MODEL_CONFIG } = require('../js/model_config.js');
+const InputSchema = require('../js/input_schema.js');
+
+const ISS = MODEL_CONFIG.classes.find(cls => cls.id === 'ISS').sample;
+const SENTINEL = MODEL_CONFIG.classes.find(cls => cls.id === 'Sentinel1A').sample;
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'satclass-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function writeFile(name, text) {
+    const file = path.join(tmp, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+function satclass(args, input) {
+    const run = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+const csvLine = point => InputSchema.INPUT_NAMES.map(name => point[name]).join(',');
+
+test('a valid CSV exits 0 and classifies every row', () => {
+    const run = satclass(['predict', SAMPLE_CSV, '--summary']);
+    assert.equal(run.status, 0, run.stderr);
+
+    const lines = run.stdout.trim().split('\n');
+    assert.equal(lines.length, 11);
+    assert.match(lines[0], /^schema_version,line,track_id,timestamp,latitude,/);
+
+    const summary = JSON.parse(run.stderr);
+    assert.equal(summary.rows, 10);
+    assert.equal(summary.succeeded, 10);
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(summary.classCounts, { ISS: 5, Sentinel1A: 5, Unknown: 0 });
+});
+
+test('rows that fail validation exit 1 and the rest are still written', () => {
+    const file = writeFile('mixed.csv', [
+        InputSchema.INPUT_NAMES.join(','),
+        csvLine(ISS),
+        csvLine({ ...ISS, x_eci_km: '12abc' }),
+        csvLine({ ...SENTINEL, velocity_z: '' }),
+        csvLine(SENTINEL)
+    ].join('\n') + '\n');
+    const run = satclass(['predict', file, '--format', 'ndjson', '--summary']);
+    assert.equal(run.status, 1, run.stderr);
+
+    const records = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(record => record.line), [2, 3, 4, 5]);
+    assert.equal(records[0].prediction, 'ISS');
+    assert.equal(records[3].prediction, 'Sentinel1A');
+    assert.equal(records[1].error, 'Invalid value for field: x_eci_km');
+    assert.equal(records[2].error, 'Missing required field: velocity_z');
+
+    assert.match(run.stderr, /Line 3: Invalid value for field: x_eci_km/);
+    const summary = JSON.parse(run.stderr.slice(run.stderr.indexOf('{')));
+    assert.equal(summary.succeeded, 2);
+    assert.equal(summary.failed, 2);
+});
+
+test('NDJSON from stdin keeps its own line numbers and reports bad JSON', () => {
+    const input = `${JSON.stringify(ISS)}\n\n{"latitude": \n${JSON.stringify({ ...SENTINEL, label: 'Sentinel1A' })}\n`;
+    const run = satclass(['predict', '-', '-i', 'ndjson', '-f', 'json', '-q'], input);
+    assert.equal(run.status, 1);
+    assert.equal(run.stderr, '');
+
+    const records = JSON.parse(run.stdout);
+    assert.deepEqual(records.map(record => record.line), [1, 3, 4]);
+    assert.match(records[1].error, /^Invalid JSON/);
+    assert.equal(records[2].label, 'Sentinel1A');
+    assert.equal(records[2].prediction, 'Sentinel1A');
+    assert.ok(Math.abs(Object.values(records[0].probabilities).reduce((a, b) => a + b, 0) - 1) < 1e-9);
+});
+
+test('--explain adds Shapley values that sum to the prediction minus the baseline', () => {
+    const file = writeFile('points.json', JSON.stringify([ISS, SENTINEL]));
+    const run = satclass(['predict', file, '--explain', '-f', 'json']);
+    assert.equal(run.status, 0, run.stderr);
+
+    for (const record of JSON.parse(run.stdout)) {
+        const { baseline, contributions, text } = record.explanation;
+        const total = Object.values(contributions).reduce((sum, value) => sum + value, 0);
+        assert.ok(Math.abs(baseline + total - record.probabilities[record.prediction]) < 1e-6);
+        assert.ok(text.length > 0);
+    }
+
+    const csv = satclass(['predict', file, '--explain']);
+    assert.equal(csv.status, 0, csv.stderr);
+    const header = csv.stdout.split('\n')[0].split(',');
+    assert.deepEqual(header.slice(-9), ['explanation', ...InputSchema.INPUT_NAMES.map(name => `shap_${name}`)]);
+});
+
+test('--output writes the file and picks the format from its extension', () => {
+    const output = path.join(tmp, 'out.ndjson');
+    const run = satclass(['predict', SAMPLE_CSV, '-o', output]);
+    assert.equal(run.status, 0, run.stderr);
+    assert.equal(run.stdout, '');
+    assert.equal(fs.readFileSync(output, 'utf8').trim().split('\n').length, 10);
+});
+
+test('usage, input and model errors exit 2', () => {
+    const cases = [
+        [],
+        ['predict', SAMPLE_CSV, '--bogus'],
+        ['classify', SAMPLE_CSV],
+        ['predict', SAMPLE_CSV, '--format', 'xml'],
+        ['predict', SAMPLE_CSV, '--format'],
+        ['predict', SAMPLE_CSV, SAMPLE_CSV],
+        ['predict', path.join(tmp, 'missing.csv')],
+        ['predict', writeFile('broken.json', '[{"latitude": 1,')],
+        ['predict', writeFile('unmapped.csv', 'a,b\n1,2\n')],
+        ['predict', SAMPLE_CSV, '--model', writeFile('forest.json', '{"trees": []}')]
+    ];
+    for (const args of cases) {
+        const run = satclass(args);
+        assert.equal(run.status, 2, `satclass ${args.join(' ')} exited ${run.status}`);
+        assert.equal(run.stdout, '', `satclass ${args.join(' ')} wrote output`);
+        assert.notEqual(run.stderr, '');
+    }
+});
+
+test('--help prints the usage to stdout and exits 0', () => {
+    const run = satclass(['--help']);
+    assert.equal(run.status, 0);
+    assert.match(run.stdout, /^Usage: satclass predict/);
+});
@@ -0,0 +1,142 @@
+// test/sgp4.test.js
+// ============================================================
+// TLEParser and SGP4Propagator against reference state vectors
+// The vectors are TEME positions (km) and velocities (km/s) with
+// WGS-72 constants, computed with satellite.js 5.0.0, a port of
+// Vallado's reference code. The element sets other than the ISS are
+// from Vallado's SGP4-VER.TLE; 00005 also matches its tcppver.out.
+// Run with: node --test test/
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TLEParser = require('../js/tle_parser.js');
+const SGP4Propagator = require('../js/sgp4_propagator.js');
+
+const CASES = [
+    {
+        name: '00005 (near Earth, e = 0.186)',
+        lines: [
+            '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+            '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'
+        ],
+        states: [
+            [0, [7022.46529266, -1400.08296755, 0.03995155], [1.893841015, 6.405893759, 4.534807250]],
+            [360, [-7154.03120202, -3783.17682504, -3536.19412294], [4.741887409, -4.151817765, -2.093935425]],
+            [720, [-7134.59340119, 6531.68641334, 3260.27186483], [-4.113793027, -2.911922039, -2.557327851]]
+        ]
+    },
+    {
+        name: '25544 (ISS)',
+        lines: [
+            '1 25544U 98067A   19343.69339541  .00001764  00000-0  38792-4 0  9991',
+            '2 25544  51.6439 211.2001 0007417  17.6667  85.6398 15.50103472202482'
+        ],
+        states: [
+            [0, [3469.94798445, -2690.38843037, 5175.83192465], [5.810229142, 4.802261185, -1.388280333]],
+            [360, [-1189.00001523, -4867.29651238, 4575.09581629], [6.926666194, 1.193250729, 3.067173328]],
+            [720, [-5211.66957327, -4119.06391049, 1398.85374392], [3.979530536, -3.051499001, 5.802448641]]
+        ]
+    },
+    {
+        name: '28057 (near Earth, sun-synchronous)',
+        lines: [
+            '1 28057U 03049A   06177.78615833  .00000060  00000-0  35940-4 0  1836',
+            '2 28057  98.4283 247.6961 0000884  88.1964 271.9322 14.35478080140550'
+        ],
+        states: [
+            [0, [-2715.28237486, -6619.26436889, -0.01341443], [-1.008587273, 0.422782003, 7.385272942]],
+            [360, [2801.25607157, 5455.03931333, -3692.12865694], [-0.595095864, -3.951923117, -6.298799125]],
+            [720, [-2090.79884266, -2723.22832193, 6266.13356576], [1.992640665, 6.337529519, 3.411803080]]
+        ]
+    },
+    {
+        name: '09880 (deep space, Molniya 12 h resonance)',
+        lines: [
+            '1 09880U 77021A   06176.56157475  .00000421  00000-0  10000-3 0  9814',
+            '2 09880  64.5968 349.3786 7069051 270.0229  16.3320  2.00813614112380'
+        ],
+        states: [
+            [0, [13020.06750784, -2449.07193500, 1.15896030], [4.247363935, 1.597178501, 4.956708611]],
+            [360, [328.74217398, 19554.92047380, 40558.26246145], [-1.593281066, 0.126772913, -0.359627307]],
+            [720, [13725.09398980, -2180.70877090, 863.29684523], [3.878478111, 1.656846496, 4.944867241]]
+        ]
+    },
+    {
+        name: '11801 (deep space, no designator, high drag)',
+        lines: [
+            '1 11801U          80230.29629788  .01431103  00000-0  14311-1 0    13',
+            '2 11801  46.7916 230.4354 7318036  47.4722  10.4117  2.28537848    13'
+        ],
+        states: [
+            [0, [7473.37102491, 428.94748312, 5828.74846783], [5.107155391, 6.444680305, -0.186133297]],
+            [360, [-3305.22148694, 32410.84323331, -24697.16974954], [-1.301137319, -1.151315600, -0.283335823]],
+            [720, [14271.29083858, 24110.44309009, -4725.76320143], [-0.320504528, 2.679841539, -2.084054355]]
+        ]
+    }
+];
+
+// Deep-space terms differ from the reference in the 8th significant digit at most
+const POSITION_TOLERANCE_KM = 1e-5;
+const VELOCITY_TOLERANCE_KM_S = 1e-7;
+
+function assertClose(actual, expected, tolerance, label) {
+    actual.forEach((value, axis) => {
+        const error = Math.abs(value - expected[axis]);
+        assert.ok(error <= tolerance, `${label}[${axis}] = ${value}, expected ${expected[axis]} (off by ${error})`);
+    });
+}
+
+for (const { name, lines, states } of CASES) {
+    test(`SGP4 matches the reference vectors of ${name}`, () => {
+        const propagator = new SGP4Propagator(TLEParser.parseTLE(lines[0], lines[1], null));
+        for (const [minutes, position, velocity] of states) {
+            const state = propagator.propagate(minutes);
+            assertClose(state.position, position, POSITION_TOLERANCE_KM, `r(${minutes} min)`);
+            assertClose(state.velocity, velocity, VELOCITY_TOLERANCE_KM_S, `v(${minutes} min)`);
+        }
+    });
+}
+
+test('TLEParser reads title lines, epochs and implied decimals', () => {
+    const { records, errors } = TLEParser.parse(['0 ISS (ZARYA)', ...CASES[1].lines, ...CASES[0].lines].join('\r\n'));
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 2);
+
+    const [iss, vanguard] = records;
+    assert.equal(iss.name, 'ISS (ZARYA)');
+    assert.equal(iss.satelliteNumber, '25544');
+    assert.equal(iss.epoch.toISOString(), '2019-12-09T16:38:29.363Z');
+    assert.equal(iss.bstar, 0.38792e-4);
+    assert.equal(iss.inclination, 51.6439);
+    assert.equal(iss.eccentricity, 0.0007417);
+    assert.equal(vanguard.name, 'NORAD 00005');
+    assert.equal(vanguard.epochYear, 2000);
+});
+
+test('TLEParser reports bad sets and keeps the good ones', () => {
+    const [line1, line2] = CASES[1].lines;
+    const corrupted = line1.slice(0, 68) + ((Number(line1[68]) + 1) % 10);
+    const { records, errors } = TLEParser.parse([corrupted, line2, line1, '', ...CASES[0].lines].join('\n'));
+
+    assert.deepEqual(records.map(record => record.satelliteNumber), ['00005']);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^Line 1: TLE line 1 checksum mismatch/);
+    assert.match(errors[1], /^Line 3: TLE line 1 without its matching line/);
+});
+
+test('generateTrack samples classifier rows from the epoch', () => {
+    const record = TLEParser.parseTLE(CASES[1].lines[0], CASES[1].lines[1], 'ISS');
+    const rows = new SGP4Propagator(record).generateTrack({ spanMinutes: 90, stepMinutes: 15 });
+
+    assert.equal(rows.length, 7);
+    assert.equal(rows[0].timestamp, record.epoch.toISOString());
+    assertClose([rows[0].x_eci_km, rows[0].y_eci_km, rows[0].z_eci_km], CASES[1].states[0][1], 1e-3, 'r(epoch)');
+    for (const row of rows) {
+        const altitude = Math.hypot(row.x_eci_km, row.y_eci_km, row.z_eci_km) - 6378.135;
+        assert.ok(altitude > 390 && altitude < 440, `ISS altitude ${altitude} km`);
+        // Geodetic latitude peaks slightly above the 51.64° inclination
+        assert.ok(Math.abs(row.latitude) <= 52, `ISS latitude ${row.latitude}`);
+    }
+});
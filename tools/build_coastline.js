@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// tools/build_coastline.js
+// ============================================================
+// Builds data/coastline.js, the land outlines GroundTrackMap draws
+// under the predictions, so the map needs no tile server.
+//
+// Input is GeoJSON polygons, e.g. Natural Earth's 1:110m physical
+// layers (ne_110m_land.geojson, ne_110m_lakes.geojson from
+// naturalearthdata.com, public domain). Rings are simplified with
+// Douglas-Peucker at --tolerance degrees and rounded to 0.01°.
+// Rings must not cross the antimeridian; split them at ±180.
+//
+//   node tools/build_coastline.js <land.geojson> [--lakes <lakes.geojson>]
+//        [--tolerance 0.1] [--source "Natural Earth 1:110m"]
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'coastline.js');
+
+/**
+ * Outer rings of every Polygon and MultiPolygon in a GeoJSON document
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array<Array<number[]>>} Rings of [lon, lat]
+ */
+function readRings(geojson) {
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return geojson.features.flatMap(readRings);
+        case 'Feature':
+            return geojson.geometry ? readRings(geojson.geometry) : [];
+        case 'GeometryCollection':
+            return geojson.geometries.flatMap(readRings);
+        case 'Polygon':
+            return [geojson.coordinates[0]];
+        case 'MultiPolygon':
+            return geojson.coordinates.map(polygon => polygon[0]);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Douglas-Peucker simplification of an open polyline
+ * @param {Array<number[]>} points - [lon, lat] pairs
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<number[]>}
+ */
+function simplify(points, tolerance) {
+    if (points.length < 3 || tolerance <= 0) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const length = Math.hypot(bx - ax, by - ay);
+        let farthest = -1;
+        let maxDistance = tolerance;
+
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            const distance = length > 0
+                ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length
+                : Math.hypot(px - ax, py - ay);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (farthest >= 0) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplified, rounded rings without the closing point, dropping
+ * rings that collapse below a triangle
+ * @param {Array<Array<number[]>>} rings
+ * @param {number} tolerance
+ * @returns {Array<number[]>} Flat [lon, lat, lon, lat, …] per ring
+ */
+function prepare(rings, tolerance) {
+    const round = value => Math.round(value * 100) / 100;
+    return rings
+        .map(ring => {
+            const [firstLon, firstLat] = ring[0];
+            const [lastLon, lastLat] = ring[ring.length - 1];
+            const open = firstLon === lastLon && firstLat === lastLat ? ring.slice(0, -1) : ring;
+            // Split the loop in two halves, so both ends stay fixed
+            const middle = Math.floor(open.length / 2);
+            const simplified = [
+                ...simplify(open.slice(0, middle + 1), tolerance).slice(0, -1),
+                ...simplify([...open.slice(middle), open[0]], tolerance).slice(0, -1)
+            ];
+            return simplified.flatMap(([lon, lat]) => [round(lon), round(lat)]);
+        })
+        .filter(ring => ring.length >= 6);
+}
+
+function main(argv) {
+    const option = (name, fallback) => {
+        const idx = argv.indexOf(name);
+        return idx >= 0 && argv[idx + 1] !== undefined ? argv[idx + 1] : fallback;
+    };
+    const landFile = argv[0];
+    if (!landFile || landFile.startsWith('-')) {
+        console.error('Usage: node tools/build_coastline.js <land.geojson> [--lakes <lakes.geojson>] [--tolerance 0.1] [--source "…"]');
+        return 2;
+    }
+    const lakesFile = option('--lakes', null);
+    const tolerance = parseFloat(option('--tolerance', '0.1'));
+    const source = option('--source', path.basename(landFile));
+
+    const read = file => readRings(JSON.parse(fs.readFileSync(file, 'utf8')));
+    const land = prepare(read(landFile), tolerance);
+    const lakes = lakesFile ? prepare(read(lakesFile), tolerance) : [];
+
+    const list = rings => rings.map(ring => `        [${ring.join(',')}]`).join(',\n');
+    const pointCount = [...land, ...lakes].reduce((sum, ring) => sum + ring.length / 2, 0);
+
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, `// data/coastline.js
+// ============================================================
+// Land and lake outlines for GroundTrackMap, as rings of
+// [lon, lat, lon, lat, …] in degrees. Lakes are drawn over the land.
+// Generated by tools/build_coastline.js from ${source.replace(/[\r\n]+/g, ' ')},
+// simplified to ${tolerance}°; regenerate it rather than editing by hand.
+// ============================================================
+
+const COASTLINE = {
+    source: '${source.replace(/'/g, "\\'")}',
+    tolerance: ${tolerance},
+    land: [
+${list(land)}
+    ],
+    lakes: [
+${list(lakes)}
+    ]
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = COASTLINE;
+}
+`);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)}: ${land.length} land and ${lakes.length} lake rings, ${pointCount} points`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { readRings, simplify };
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// tools/build_drift_reference.js
+// ============================================================
+// Builds models/drift_reference.js, the training-time feature
+// distributions DriftDetector compares live inputs with.
+//
+// The training set itself is not in the repository, so it is
+// re-created from MODEL_CONFIG: circular orbits of every class with
+// altitude and inclination drawn from its classificationRules,
+// random node and position along the orbit, mixed in the class
+// proportions of MODEL_CONFIG.performance.confusionMatrix and
+// rounded like the dashboard inputs. Re-run after changing a class.
+//
+//   node tools/build_drift_reference.js [--samples 30000]
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { MODEL_CONFIG, CONSTANTS } = require('../js/model_config.js');
+
+const OUTPUT = path.join(__dirname, '..', 'models', 'drift_reference.js');
+
+/**
+ * Deterministic PRNG (mulberry32), so rebuilding gives the same file
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Uniform numbers in [0, 1)
+ */
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * One state vector on a random circular orbit of a class
+ * @param {Object} rules - The class's classificationRules
+ * @param {Function} next - PRNG
+ * @returns {Object} Feature name → value
+ */
+function sampleState(rules, next) {
+    const between = ([min, max]) => min + (max - min) * next();
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const rad = Math.PI / 180;
+
+    const radius = CONSTANTS.EARTH_RADIUS_KM + between(rules.altitude_range);
+    const speed = Math.sqrt(CONSTANTS.GRAVITATIONAL_CONSTANT / radius);
+    const inclination = between(rules.inclination_range) * rad;
+    const node = 2 * Math.PI * next();
+    const argument = 2 * Math.PI * next();
+
+    const [cosO, sinO] = [Math.cos(node), Math.sin(node)];
+    const [cosU, sinU] = [Math.cos(argument), Math.sin(argument)];
+    const [cosI, sinI] = [Math.cos(inclination), Math.sin(inclination)];
+
+    const x = round(radius * (cosO * cosU - sinO * sinU * cosI), 1);
+    const y = round(radius * (sinO * cosU + cosO * sinU * cosI), 1);
+    const z = round(radius * sinU * sinI, 1);
+    const vx = round(speed * (-cosO * sinU - sinO * cosU * cosI), 2);
+    const vy = round(speed * (-sinO * sinU + cosO * cosU * cosI), 2);
+    const vz = round(speed * cosU * sinI, 2);
+    const radialDistance = Math.sqrt(x * x + y * y + z * z);
+
+    return {
+        latitude: round(Math.asin(z / radialDistance) / rad, 4),
+        // The Earth's rotation angle at the sample time is unknown
+        longitude: round(360 * next() - 180, 4),
+        x_eci_km: x,
+        y_eci_km: y,
+        z_eci_km: z,
+        velocity_x: vx,
+        velocity_y: vy,
+        velocity_z: vz,
+        total_velocity: Math.sqrt(vx * vx + vy * vy + vz * vz),
+        radial_distance: radialDistance
+    };
+}
+
+const USAGE = 'Usage: node tools/build_drift_reference.js [--samples 30000]';
+
+/**
+ * Read the command line; anything unrecognised is refused before the
+ * output file is touched
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { sampleSize } or { help }, or { error }
+ */
+function parseArgs(argv) {
+    let sampleSize = 30000;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--help' || argv[i] === '-h') return { help: true };
+        if (argv[i] !== '--samples') return { error: `Unknown argument: ${argv[i]}` };
+
+        const value = argv[++i];
+        sampleSize = /^\d+$/.test(value || '') ? parseInt(value, 10) : 0;
+        if (sampleSize < 1) return { error: '--samples needs a positive whole number' };
+    }
+    return { sampleSize };
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.error) {
+        console.error(`❌ ${args.error}\n${USAGE}`);
+        return 2;
+    }
+    const { sampleSize } = args;
+    const next = random(20251029);
+
+    const counts = MODEL_CONFIG.performance.confusionMatrix.map(row => row.reduce((sum, value) => sum + value, 0));
+    const total = counts.reduce((sum, value) => sum + value, 0);
+    const columns = Object.fromEntries(MODEL_CONFIG.featureNames.map(name => [name, []]));
+
+    MODEL_CONFIG.classes.forEach((cls, classIdx) => {
+        const share = Math.round(sampleSize * (counts[classIdx] || 0) / total);
+        for (let sample = 0; sample < share; sample++) {
+            const state = sampleState(MODEL_CONFIG.classificationRules[cls.id], next);
+            for (const name of MODEL_CONFIG.featureNames) columns[name].push(state[name]);
+        }
+    });
+
+    const features = {};
+    for (const [name, values] of Object.entries(columns)) {
+        values.sort((a, b) => a - b);
+        features[name] = {
+            quantiles: Array.from({ length: 101 }, (_, k) =>
+                Number(values[Math.round(k / 100 * (values.length - 1))].toPrecision(7)))
+        };
+    }
+
+    const reference = {
+        source: `Simulated training orbits (${MODEL_CONFIG.classes.map(cls => cls.id).join(', ')})`,
+        modelVersion: MODEL_CONFIG.version,
+        sampleSize: Object.values(columns)[0].length,
+        features
+    };
+
+    // Ten quantiles per line
+    const list = values => Array.from({ length: Math.ceil(values.length / 10) }, (_, line) =>
+        '                ' + values.slice(line * 10, line * 10 + 10).join(', ')).join(',\n');
+    const body = Object.entries(reference.features)
+        .map(([name, feature]) => `        ${name}: {\n            quantiles: [\n${list(feature.quantiles)}\n            ]\n        }`)
+        .join(',\n');
+
+    fs.writeFileSync(OUTPUT, `// models/drift_reference.js
+// ============================================================
+// Training reference distributions for DriftDetector: the 0th to
+// 100th percentile of every model feature.
+// Generated by tools/build_drift_reference.js; do not edit by hand.
+// ============================================================
+
+const DRIFT_REFERENCE = {
+    source: '${reference.source}',
+    modelVersion: '${reference.modelVersion}',
+    sampleSize: ${reference.sampleSize},
+    features: {
+${body}
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DRIFT_REFERENCE;
+}
+`);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)} from ${reference.sampleSize} simulated states`);
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
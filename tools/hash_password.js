@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// tools/hash_password.js
+// ============================================================
+// Manages config/users.js, the accounts of SatelliteAuth's local
+// provider. Passwords are stored as salted PBKDF2-SHA-256 hashes
+// with the parameters assets/js/auth.js verifies with WebCrypto.
+//
+//   node tools/hash_password.js <username> [--role <role>]   add or reset
+//   node tools/hash_password.js --set-role <username> <role>
+//   node tools/hash_password.js --remove <username>
+//   node tools/hash_password.js --list
+//
+// Roles are the ones in config/auth.js; new accounts get its
+// defaultRole unless --role is given.
+//
+// The password is prompted for (hidden) on a terminal, or read
+// from the first line of stdin when piped.
+// ============================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const USERS_FILE = path.join(__dirname, '..', 'config', 'users.js');
+const AUTH_CONFIG = require('../config/auth.js');
+
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA-256
+const ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * @param {string} password
+ * @param {Object} options - { salt (base64), iterations }; a new salt when omitted
+ * @returns {Object} { salt, iterations, hash } with base64 salt and hash
+ */
+function hashPassword(password, options = {}) {
+    const salt = options.salt ? Buffer.from(options.salt, 'base64') : crypto.randomBytes(SALT_BYTES);
+    const iterations = options.iterations || ITERATIONS;
+    const hash = crypto.pbkdf2Sync(password, salt, iterations, HASH_BYTES, 'sha256');
+    return { salt: salt.toString('base64'), iterations, hash: hash.toString('base64') };
+}
+
+/**
+ * @returns {Object} Username → account, as currently in config/users.js
+ */
+function loadUsers() {
+    if (!fs.existsSync(USERS_FILE)) return {};
+    delete require.cache[require.resolve(USERS_FILE)];
+    return require(USERS_FILE);
+}
+
+/**
+ * Rewrite config/users.js
+ * @param {Object} users - Username → account
+ */
+function saveUsers(users) {
+    const entries = Object.entries(users).map(([username, account]) => {
+        const fields = Object.entries(account).map(([key, value]) =>
+            `${key}: ${typeof value === 'string' ? `'${value}'` : value}`);
+        return `    '${username}': { ${fields.join(', ')} }`;
+    });
+
+    fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+    fs.writeFileSync(USERS_FILE, `// config/users.js
+// ============================================================
+// Accounts of SatelliteAuth's local provider. Passwords are stored
+// as salted PBKDF2-SHA-256 hashes, never in clear text.
+// Managed with tools/hash_password.js; do not edit by hand.
+// ============================================================
+
+const SATELLITE_USERS = {
+${entries.join(',\n')}
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SATELLITE_USERS;
+}
+`);
+}
+
+/**
+ * Read a password without echoing it on a terminal
+ * @param {string} prompt
+ * @returns {Promise<string>}
+ */
+function readPassword(prompt) {
+    if (!process.stdin.isTTY) {
+        return Promise.resolve(fs.readFileSync(0, 'utf8').split(/\r?\n/)[0]);
+    }
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl.stdoutMuted = false;
+        rl._writeToOutput = text => {
+            if (!rl.stdoutMuted) process.stdout.write(text);
+        };
+        rl.question(prompt, answer => {
+            process.stdout.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        rl.stdoutMuted = true;
+    });
+}
+
+function checkRole(role) {
+    if (!Object.prototype.hasOwnProperty.call(AUTH_CONFIG.roles, role)) {
+        console.error(`❌ Unknown role: ${role} (roles: ${Object.keys(AUTH_CONFIG.roles).join(', ')})`);
+        return false;
+    }
+    return true;
+}
+
+const USAGE = 'Usage: node tools/hash_password.js <username> [--role <role>] | --set-role <username> <role> | --remove <username> | --list';
+
+// Arguments each command takes after its name or username
+const ARITY = { '--list': 0, '--set-role': 2, '--remove': 1 };
+
+/**
+ * Refuse unknown flags and wrong argument counts before anything is written
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {string|null} Problem, or null when the command line is valid
+ */
+function checkArgs(argv) {
+    const [command, ...rest] = argv;
+    if (command === undefined) return 'Missing username or command';
+    if (Object.prototype.hasOwnProperty.call(ARITY, command)) {
+        return rest.length === ARITY[command] ? null : `${command} takes ${ARITY[command] || 'no'} argument${ARITY[command] === 1 ? '' : 's'}`;
+    }
+    if (command.startsWith('-')) return `Unknown option: ${command}`;
+    if (rest.length === 0) return null;
+    if (rest[0] !== '--role') return `Unknown option: ${rest[0]}`;
+    if (rest.length !== 2) return rest.length < 2 ? '--role needs a role name' : `Unknown option: ${rest[2]}`;
+    return null;
+}
+
+async function main(argv) {
+    if (argv[0] === '--help' || argv[0] === '-h') {
+        console.log(USAGE);
+        return 0;
+    }
+    const problem = checkArgs(argv);
+    if (problem) {
+        console.error(`❌ ${problem}\n${USAGE}`);
+        return 2;
+    }
+
+    const users = loadUsers();
+
+    if (argv[0] === '--list') {
+        Object.entries(users).forEach(([username, account]) =>
+            console.log(`${username}\t${account.role || AUTH_CONFIG.defaultRole}`));
+        return 0;
+    }
+    if (argv[0] === '--set-role') {
+        if (!users[argv[1]]) {
+            console.error(`❌ No such user: ${argv[1]}`);
+            return 2;
+        }
+        if (!checkRole(argv[2])) return 2;
+        users[argv[1]].role = argv[2];
+        saveUsers(users);
+        console.log(`✅ ${argv[1]} is now ${argv[2]}`);
+        return 0;
+    }
+    if (argv[0] === '--remove') {
+        if (!users[argv[1]]) {
+            console.error(`❌ No such user: ${argv[1]}`);
+            return 2;
+        }
+        delete users[argv[1]];
+        saveUsers(users);
+        console.log(`✅ Removed ${argv[1]} from ${path.relative(process.cwd(), USERS_FILE)}`);
+        return 0;
+    }
+
+    const username = argv[0];
+    if (!/^[\w.@-]+$/.test(username)) {
+        console.error(`❌ Usernames may only use letters, digits and . _ @ -\n${USAGE}`);
+        return 2;
+    }
+    const role = argv[1] === '--role' ? argv[2] : (users[username] && users[username].role) || AUTH_CONFIG.defaultRole;
+    if (!checkRole(role)) return 2;
+
+    const password = await readPassword(`Password for ${username}: `);
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`❌ Passwords must have at least ${MIN_PASSWORD_LENGTH} characters`);
+        return 2;
+    }
+    if (process.stdin.isTTY && await readPassword('Repeat password: ') !== password) {
+        console.error('❌ Passwords do not match');
+        return 2;
+    }
+
+    const existed = Boolean(users[username]);
+    users[username] = { role, ...hashPassword(password) };
+    saveUsers(users);
+    console.log(`✅ ${existed ? 'Reset' : 'Added'} ${username} (${role}) in ${path.relative(process.cwd(), USERS_FILE)}`);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { hashPassword, loadUsers, saveUsers, USERS_FILE };
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// tools/mock_idp.js
+// ============================================================
+// Mock OpenID Connect Provider
+// A local identity provider for trying SatelliteAuth's 'oidc'
+// provider: discovery, an authorization endpoint with a sign-in
+// form, a token endpoint that enforces PKCE (S256), JWKS and
+// end-session. Accounts are the ones in config/users.js; ID
+// tokens carry their role in the 'role' claim.
+// For development only: codes and keys live in memory.
+//
+//   node tools/mock_idp.js [--port 9400] [--host 127.0.0.1]
+//        [--redirect-uri http://localhost:8000/index.html ...]
+//
+// Serve the dashboard over HTTP (e.g. python3 -m http.server 8000)
+// and set provider: 'oidc' in config/auth.js; browsers do not
+// redirect back to file:// pages. Only the registered redirect URIs
+// are accepted (the index.html on port 8000 unless --redirect-uri is
+// given, once per URI).
+// ============================================================
+
+const crypto = require('crypto');
+const http = require('http');
+const { hashPassword, loadUsers } = require('./hash_password.js');
+
+class MockIdP {
+    /**
+     * @param {Object} options - { issuer, clients: { clientId: [registered redirect URIs] }, users }
+     */
+    constructor(options = {}) {
+        this.issuer = options.issuer || 'http://127.0.0.1:9400';
+        this.clients = options.clients || { 'satellite-dashboard': MockIdP.DEFAULT_REDIRECT_URIS };
+        this.users = options.users || loadUsers();
+        this.codes = new Map();
+        this.keyId = crypto.randomBytes(8).toString('hex');
+        this.keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        this.server = null;
+    }
+
+    /**
+     * @param {number} port - TCP port (0 = any free port)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<Object>} Resolves with the bound { address, port }
+     */
+    listen(port = 9400, host = '127.0.0.1') {
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                MockIdP.send(response, 500, { error: 'server_error', error_description: error.message });
+            });
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, this.issuer);
+        const route = `${request.method} ${url.pathname}`;
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            return response.end();
+        }
+
+        switch (route) {
+            case 'GET /.well-known/openid-configuration':
+                return MockIdP.send(response, 200, this.discovery());
+            case 'GET /jwks':
+                return MockIdP.send(response, 200, {
+                    keys: [{ ...this.keys.publicKey.export({ format: 'jwk' }), kid: this.keyId, alg: 'RS256', use: 'sig' }]
+                });
+            case 'GET /authorize':
+                return this.authorize(response, Object.fromEntries(url.searchParams));
+            case 'POST /authorize':
+                return this.signIn(response, await MockIdP.readForm(request));
+            case 'POST /token':
+                return this.token(response, await MockIdP.readForm(request));
+            case 'GET /logout': {
+                const target = url.searchParams.get('post_logout_redirect_uri');
+                if (target && this.allowedRedirect(url.searchParams.get('client_id'), target)) {
+                    response.writeHead(302, { Location: target });
+                    return response.end();
+                }
+                return MockIdP.page(response, 200, '<p>Signed out.</p>');
+            }
+            default:
+                return MockIdP.send(response, 404, { error: 'not_found', error_description: `No route for ${route}` });
+        }
+    }
+
+    discovery() {
+        return {
+            issuer: this.issuer,
+            authorization_endpoint: `${this.issuer}/authorize`,
+            token_endpoint: `${this.issuer}/token`,
+            jwks_uri: `${this.issuer}/jwks`,
+            end_session_endpoint: `${this.issuer}/logout`,
+            response_types_supported: ['code'],
+            grant_types_supported: ['authorization_code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['none'],
+            scopes_supported: ['openid', 'profile']
+        };
+    }
+
+    /**
+     * Whether a redirect URI is registered for the client
+     * Origin (scheme, host and port) and path must match exactly.
+     * @param {string} clientId
+     * @param {string} redirectUri - URI from the request
+     * @returns {boolean}
+     */
+    allowedRedirect(clientId, redirectUri) {
+        const registered = Object.prototype.hasOwnProperty.call(this.clients, clientId) ? this.clients[clientId] : null;
+        const target = MockIdP.parseURL(redirectUri);
+        if (!registered || !target) return false;
+        return registered.some(uri => {
+            const allowed = MockIdP.parseURL(uri);
+            return Boolean(allowed) && allowed.origin === target.origin && allowed.pathname === target.pathname;
+        });
+    }
+
+    // null for anything that is not an absolute URL
+    static parseURL(text) {
+        try {
+            return new URL(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Problems with an authorization request, checked before showing the form
+     * @param {Object} params - Query or form parameters
+     * @returns {string|null} Error description
+     */
+    checkAuthorizeRequest(params) {
+        if (!this.clients[params.client_id]) return `Unknown client_id: ${params.client_id}`;
+        if (!this.allowedRedirect(params.client_id, params.redirect_uri)) return `redirect_uri not allowed: ${params.redirect_uri}`;
+        if (params.response_type !== 'code') return 'response_type must be code';
+        if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with code_challenge_method S256 is required';
+        if (!(params.scope || '').split(' ').includes('openid')) return 'scope must include openid';
+        return null;
+    }
+
+    authorize(response, params, message = '') {
+        const problem = this.checkAuthorizeRequest(params);
+        if (problem) {
+            return MockIdP.page(response, 400, `<p class="error">${MockIdP.escape(problem)}</p>`);
+        }
+
+        const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+            .map(name => `<input type="hidden" name="${name}" value="${MockIdP.escape(params[name] || '')}">`)
+            .join('\n');
+        return MockIdP.page(response, message ? 401 : 200, `
+            <h1>Mock IdP</h1>
+            <p>Sign in to <strong>${MockIdP.escape(params.client_id)}</strong></p>
+            ${message ? `<p class="error">${MockIdP.escape(message)}</p>` : ''}
+            <form method="post" action="/authorize">
+                ${hidden}
+                <label>Username <input name="username" autocomplete="username" required autofocus></label>
+                <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+                <button type="submit">Sign in</button>
+            </form>
+            <p class="note">Accounts from config/users.js</p>`);
+    }
+
+    signIn(response, params) {
+        if (this.checkAuthorizeRequest(params)) {
+            return this.authorize(response, params);
+        }
+
+        const account = Object.prototype.hasOwnProperty.call(this.users, params.username) ? this.users[params.username] : null;
+        const valid = account && crypto.timingSafeEqual(
+            Buffer.from(hashPassword(params.password || '', account).hash, 'base64'),
+            Buffer.from(account.hash, 'base64')
+        );
+        if (!valid) {
+            return this.authorize(response, params, 'Invalid username or password');
+        }
+
+        const code = crypto.randomBytes(24).toString('base64url');
+        this.codes.set(code, {
+            clientId: params.client_id,
+            redirectUri: params.redirect_uri,
+            challenge: params.code_challenge,
+            nonce: params.nonce,
+            username: params.username,
+            expires: Date.now() + MockIdP.CODE_TTL_SECONDS * 1000
+        });
+
+        const target = new URL(params.redirect_uri);
+        target.searchParams.set('code', code);
+        if (params.state) target.searchParams.set('state', params.state);
+        response.writeHead(302, { Location: target.href });
+        response.end();
+    }
+
+    token(response, params) {
+        const fail = (error, description) => MockIdP.send(response, 400, { error, error_description: description });
+        if (params.grant_type !== 'authorization_code') {
+            return fail('unsupported_grant_type', 'Only authorization_code is supported');
+        }
+
+        // Codes are single use, even when the exchange fails
+        const grant = this.codes.get(params.code);
+        this.codes.delete(params.code);
+        if (!grant || grant.expires < Date.now()) return fail('invalid_grant', 'Unknown or expired code');
+        if (grant.clientId !== params.client_id) return fail('invalid_grant', 'Code was issued to another client');
+        if (grant.redirectUri !== params.redirect_uri) return fail('invalid_grant', 'redirect_uri does not match the authorization request');
+
+        const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+        if (challenge !== grant.challenge) return fail('invalid_grant', 'PKCE verification failed');
+
+        const now = Math.floor(Date.now() / 1000);
+        const role = (this.users[grant.username] || {}).role;
+        const idToken = this.sign({
+            iss: this.issuer,
+            sub: grant.username,
+            aud: grant.clientId,
+            iat: now,
+            exp: now + MockIdP.TOKEN_TTL_SECONDS,
+            ...(grant.nonce ? { nonce: grant.nonce } : {}),
+            preferred_username: grant.username,
+            name: grant.username,
+            ...(role ? { role } : {})
+        });
+
+        return MockIdP.send(response, 200, {
+            access_token: crypto.randomBytes(24).toString('base64url'),
+            token_type: 'Bearer',
+            expires_in: MockIdP.TOKEN_TTL_SECONDS,
+            id_token: idToken
+        });
+    }
+
+    /**
+     * @param {Object} claims
+     * @returns {string} RS256 JWT
+     */
+    sign(claims) {
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: this.keyId })}.${encode(claims)}`;
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(input), this.keys.privateKey).toString('base64url');
+        return `${input}.${signature}`;
+    }
+
+    static async readForm(request) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MockIdP.MAX_BODY_BYTES) throw new Error('Request body too large');
+            chunks.push(chunk);
+        }
+        return Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')));
+    }
+
+    static send(response, status, body) {
+        const text = JSON.stringify(body);
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(text),
+            'Cache-Control': 'no-store',
+            'Access-Control-Allow-Origin': '*'
+        });
+        response.end(text);
+    }
+
+    static page(response, status, body) {
+        const text = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Mock IdP</title>
+    <style>
+        body { font-family: sans-serif; background: #0a0e27; color: #88ccff; max-width: 360px; margin: 60px auto; }
+        label { display: block; margin: 12px 0; }
+        input:not([type=hidden]) { display: block; width: 100%; padding: 8px; margin-top: 4px; }
+        button { padding: 10px 20px; }
+        .error { color: #ff8888; }
+        .note { font-size: 0.85em; color: #66aacc; }
+    </style>
+</head>
+<body>${body}</body>
+</html>`;
+        response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+        response.end(text);
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+}
+
+MockIdP.DEFAULT_REDIRECT_URIS = ['http://localhost:8000/index.html', 'http://127.0.0.1:8000/index.html'];
+MockIdP.CODE_TTL_SECONDS = 60;
+MockIdP.TOKEN_TTL_SECONDS = 3600;
+MockIdP.MAX_BODY_BYTES = 64 * 1024;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const idx = args.indexOf(name);
+        return idx >= 0 && args[idx + 1] !== undefined ? args[idx + 1] : fallback;
+    };
+    const port = parseInt(option('--port', '9400'), 10);
+    const host = option('--host', '127.0.0.1');
+    const redirectUris = args.filter((arg, idx) => args[idx - 1] === '--redirect-uri');
+
+    const idp = new MockIdP({
+        issuer: `http://${host}:${port}`,
+        clients: { 'satellite-dashboard': redirectUris.length > 0 ? redirectUris : MockIdP.DEFAULT_REDIRECT_URIS }
+    });
+    idp.listen(port, host).then(address => {
+        console.log(`🔑 Mock IdP listening on http://${address.address}:${address.port}`);
+        console.log(`   Users: ${Object.keys(idp.users).join(', ')}`);
+        console.log(`   Redirect URIs: ${idp.clients['satellite-dashboard'].join(', ')}`);
+    }).catch(error => {
+        console.error(`❌ Could not start the mock IdP: ${error.message}`);
+        process.exitCode = 1;
+    });
+    process.on('SIGINT', () => idp.close().then(() => process.exit(0)));
+    process.on('SIGTERM', () => idp.close().then(() => process.exit(0)));
+}
+
+module.exports = MockIdP;